@@ -24,6 +24,8 @@
 #
 #  - optional_port: The port you wish the server to run on. Defaults to 5500.
 #  - optional_api_key: Your API key. Can also be provided as an environment variable 'API_KEY'.
+#
+#  Open http://localhost:<port>/#edit=1 to edit the story (demo/src/story-editor.js).
 
 # --- Start of Script ---
 
@@ -33,19 +33,29 @@ import {
   showMarker,
   removeMarker,
 } from "../utils/create-markers.js";
+import { importStory } from "../utils/story-import.js";
+import { migrateStory } from "../utils/story-migration.js";
+import { validateStory } from "../utils/config-validator.js";
 
 // Properties of a chapter that can be edited
 const chapterProperties = [
   "title",
+  "placeName",
   "content",
   "address",
+  "website",
+  "logoUrl",
   "imageUrl",
   "dateTime",
   "imageCredit",
+  "openingHours",
+  "ticketInfo",
+  "etiquetas",
+  "cameraStyle",
+  "cameraCoordinates",
   "showFocus",
   "radius",
   "showLocationMarker",
-  "cameraOptions",
 ];
 
 // Sidebar HTML loading removed
@@ -114,6 +124,107 @@ export function addChapterToStory(chapter) {
   localStorage.setItem("story", JSON.stringify(story));
 }
 
+/**
+ * Reads a story from a story config (config.json) or from a CSV, GeoJSON or KML file.
+ * Story configs in a legacy schema are migrated to the current one.
+ *
+ * @param {File} file - The file chosen in the import input.
+ * @returns {Promise<{story: Story, report: import("../utils/story-import.js").ImportReport}>} The imported story and its import report
+ *   (the report format is "json" for story configs).
+ */
+export async function importStoryFromFile(file) {
+  const text = await file.text();
+  const storyConfig = parseStoryConfig(text);
+
+  if (!storyConfig) {
+    return importStory(text, { fileName: file.name });
+  }
+
+  const { story: importedStory } = migrateStory(storyConfig);
+  return {
+    story: importedStory,
+    report: {
+      format: "json",
+      recordCount: importedStory.chapters.length,
+      chapterCount: importedStory.chapters.length,
+      warnings: [],
+      errors: validateStory(importedStory),
+    },
+  };
+}
+
+/**
+ * Parses a file content as story config.
+ *
+ * @param {string} text - The file content.
+ * @returns {Object | null} The parsed config, or null if the content is not a story config (e.g. GeoJSON).
+ */
+function parseStoryConfig(text) {
+  try {
+    const config = JSON.parse(text);
+    return Array.isArray(config?.chapters) ? config : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Formats an import report for the confirmation dialog.
+ *
+ * @param {import("../utils/story-import.js").ImportReport} report - The import report.
+ * @returns {string} The report as text.
+ */
+function formatImportReport(report) {
+  const lines = [`${report.chapterCount} capítulos importados de ${report.recordCount} registros (${report.format.toUpperCase()}).`];
+
+  if (report.warnings.length) {
+    lines.push("", "Avisos:", ...report.warnings.map(({ record, message }) => `- ${record}: ${message}`));
+  }
+
+  if (report.errors.length) {
+    lines.push("", "Errores de validación:", ...report.errors.map(({ path, message }) => `- ${path}: ${message}`));
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Initializes the import action of the story editor ("Importar" in story-editor.js): choosing a file
+ * in the "import-story" input shows the import report and, once confirmed, hands the story to the editor.
+ *
+ * @param {(story: Story) => void} onImport - Receives the confirmed story and replaces the edited one with it.
+ */
+export function initStoryImport(onImport) {
+  const importInput = document.querySelector('input[name="import-story"]');
+
+  if (!importInput) {
+    return;
+  }
+
+  importInput.addEventListener("change", async () => {
+    const [file] = importInput.files;
+    importInput.value = ""; // Allow importing the same file again
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const { story: importedStory, report } = await importStoryFromFile(file);
+      const replaceStory = window.confirm(
+        `${formatImportReport(report)}\n\n¿Reemplazar la historia actual por la importada?`
+      );
+
+      if (replaceStory) {
+        onImport(importedStory);
+      }
+    } catch (error) {
+      console.error(error);
+      window.alert(`No se pudo importar ${file.name}: ${error.message}`);
+    }
+  });
+}
+
 /**
  * Returns the updated chapter data from the edit chapter form.
  */
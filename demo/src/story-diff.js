@@ -0,0 +1,105 @@
+/**
+ * Story Diff
+ * Compares two story configs: changed story properties, and chapters added, removed, changed or
+ * moved (matched by id). Used by the editor to list the changes since the last export.
+ */
+
+/**
+ * @typedef {Object} StoryChange
+ * @property {"added"|"removed"|"changed"|"moved"} type - The kind of change
+ * @property {number|string|null} chapterId - The chapter, null for the story properties
+ * @property {Localized} title - The chapter (or story) title
+ * @property {Array<{field: string, before: *, after: *}>} [fields] - The changed fields, for "changed"
+ * @property {number} [fromIndex] - The position before, for "moved"
+ * @property {number} [toIndex] - The position after, for "moved"
+ */
+
+/**
+ * The fields whose values differ between two objects
+ * @param {Object} before - The object before
+ * @param {Object} after - The object after
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+function diffFields(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * The ids of the chapters that changed place relative to the others: the chapters outside the
+ * longest run kept in the same relative order. Inserting or deleting a chapter moves nothing.
+ * @param {Array<number|string>} beforeIds - Ids of the chapters in both stories, in the order before
+ * @param {Array<number|string>} afterIds - The same ids, in the order after
+ * @returns {Set<number|string>}
+ */
+function getMovedIds(beforeIds, afterIds) {
+  const beforeIndex = new Map(beforeIds.map((id, index) => [id, index]));
+  const positions = afterIds.map(id => beforeIndex.get(id));
+
+  // Longest increasing subsequence of the old positions, quadratic is fine for a story
+  const lengths = positions.map(() => 1);
+  const previous = positions.map(() => -1);
+  positions.forEach((position, index) => {
+    for (let other = 0; other < index; other++) {
+      if (positions[other] < position && lengths[other] + 1 > lengths[index]) {
+        lengths[index] = lengths[other] + 1;
+        previous[index] = other;
+      }
+    }
+  });
+
+  const kept = new Set();
+  let index = lengths.indexOf(Math.max(0, ...lengths));
+  while (index >= 0) {
+    kept.add(afterIds[index]);
+    index = previous[index];
+  }
+
+  return new Set(afterIds.filter(id => !kept.has(id)));
+}
+
+/**
+ * List the changes from one story to another
+ * @param {Story} before - The story before, e.g. the last export
+ * @param {Story} after - The story after, e.g. the one being edited
+ * @returns {StoryChange[]} The changes: the story properties first, then chapters in their order after (removed ones last)
+ */
+export function diffStories(before, after) {
+  const changes = [];
+
+  const propertyFields = diffFields(before.properties || {}, after.properties || {});
+  if (propertyFields.length > 0) {
+    changes.push({ type: "changed", chapterId: null, title: after.properties?.title, fields: propertyFields });
+  }
+
+  const beforeChapters = new Map(before.chapters.map((chapter, index) => [chapter.id, { chapter, index }]));
+  const afterIds = new Set(after.chapters.map(chapter => chapter.id));
+
+  const commonIds = after.chapters.map(chapter => chapter.id).filter(id => beforeChapters.has(id));
+  const movedIds = getMovedIds(before.chapters.map(chapter => chapter.id).filter(id => afterIds.has(id)), commonIds);
+
+  after.chapters.forEach((chapter, index) => {
+    const previous = beforeChapters.get(chapter.id);
+    if (!previous) {
+      changes.push({ type: "added", chapterId: chapter.id, title: chapter.title });
+      return;
+    }
+
+    if (movedIds.has(chapter.id)) {
+      changes.push({ type: "moved", chapterId: chapter.id, title: chapter.title, fromIndex: previous.index, toIndex: index });
+    }
+
+    const fields = diffFields(previous.chapter, chapter);
+    if (fields.length > 0) {
+      changes.push({ type: "changed", chapterId: chapter.id, title: chapter.title, fields });
+    }
+  });
+
+  before.chapters
+    .filter(chapter => !afterIds.has(chapter.id))
+    .forEach(chapter => changes.push({ type: "removed", chapterId: chapter.id, title: chapter.title }));
+
+  return changes;
+}
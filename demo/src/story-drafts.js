@@ -0,0 +1,84 @@
+/**
+ * Story Drafts
+ * Keeps the story being edited in IndexedDB, so a closed tab or a crash doesn't lose work,
+ * together with the last story exported as config.json, which the editor diffs against.
+ * One record per story, keyed by the story id or config path.
+ */
+
+import { createStoreRequester } from "../utils/indexed-db.js";
+
+const DB_NAME = "ingenet3d-story-drafts";
+const DB_VERSION = 1;
+const STORE_NAME = "drafts";
+
+/**
+ * @typedef {Object} DraftRecord
+ * @property {Story} [draft] - The story as last edited
+ * @property {number} [savedAt] - When the draft was saved (ms since epoch)
+ * @property {Story} [exported] - The story as last exported
+ * @property {number} [exportedAt] - When it was exported (ms since epoch)
+ */
+
+/**
+ * Run one request against the drafts store
+ */
+const runStoreRequest = createStoreRequester({
+  databaseName: DB_NAME,
+  version: DB_VERSION,
+  storeName: STORE_NAME,
+  unavailableWarning: "Story drafts: IndexedDB unavailable, drafts are not saved",
+});
+
+/**
+ * Read the draft record of a story
+ * @param {string} storyKey - The story id or config path
+ * @returns {Promise<DraftRecord|null>}
+ */
+export async function getDraftRecord(storyKey) {
+  try {
+    return (await runStoreRequest("readonly", store => store.get(storyKey))) ?? null;
+  } catch (error) {
+    console.warn("⚠️ Story drafts: could not read the draft:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Merge values into the draft record of a story
+ * @param {string} storyKey - The story id or config path
+ * @param {DraftRecord} changes - The values to set
+ */
+async function updateDraftRecord(storyKey, changes) {
+  try {
+    const record = await getDraftRecord(storyKey);
+    await runStoreRequest("readwrite", store => store.put({ ...record, ...changes }, storyKey));
+  } catch (error) {
+    console.warn("⚠️ Story drafts: could not save the draft:", error.message);
+  }
+}
+
+/**
+ * Save the story being edited
+ * @param {string} storyKey - The story id or config path
+ * @param {Story} story - The edited story
+ */
+export function saveDraft(storyKey, story) {
+  return updateDraftRecord(storyKey, { draft: story, savedAt: Date.now() });
+}
+
+/**
+ * Remember the story as exported, the base of the next diff
+ * @param {string} storyKey - The story id or config path
+ * @param {Story} story - The exported story
+ */
+export function saveExport(storyKey, story) {
+  return updateDraftRecord(storyKey, { exported: story, exportedAt: Date.now() });
+}
+
+/**
+ * Drop the draft of a story, keeping its last export
+ * @param {string} storyKey - The story id or config path
+ */
+export function discardDraft(storyKey) {
+  return updateDraftRecord(storyKey, { draft: undefined, savedAt: undefined });
+}
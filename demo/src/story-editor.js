@@ -0,0 +1,1121 @@
+/**
+ * Story Editor
+ * Admin panel for the current story schema: story properties, chapters (reordered by drag and drop),
+ * tags with autocomplete, camera views captured from the viewer, and import and export of config.json.
+ * Every valid change is previewed in the viewer, can be undone, and is autosaved as a draft.
+ * Opened by main.js when the URL has an `edit` parameter.
+ */
+
+import { CAMERA_STYLES, TAG_CATEGORIES, validateStory } from "../utils/config-validator.js";
+import { SUPPORTED_LOCALES, LOCALE_NAMES, getLocale, isLocalizedValue, t } from "../utils/i18n.js";
+import { downloadFile } from "../utils/story-export.js";
+import { initStoryImport } from "./config.js";
+import { StoryHistory } from "./story-history.js";
+import { getDraftRecord, saveDraft, saveExport, discardDraft } from "./story-drafts.js";
+import { diffStories } from "./story-diff.js";
+
+/**
+ * Delay between the last change and the preview in the viewer, in milliseconds
+ * @readonly
+ */
+const PREVIEW_DELAY = 600;
+
+/**
+ * Delay between the last change and the draft autosave, in milliseconds
+ * @readonly
+ */
+const DRAFT_SAVE_DELAY = 1000;
+
+/**
+ * The language of stories without `defaultLanguage`
+ * @readonly
+ */
+const FALLBACK_LOCALE = "es";
+
+/**
+ * Form fields of the story properties
+ * @readonly
+ */
+const PROPERTY_FIELDS = [
+  { key: "title", label: "Título", localized: true },
+  { key: "introLabel", label: "Etiqueta de la vista general", localized: true },
+  { key: "description", label: "Descripción", type: "textarea", localized: true },
+  { key: "date", label: "Fecha", localized: true },
+  { key: "createdBy", label: "Autor" },
+  { key: "imageUrl", label: "Imagen (URL)" },
+  { key: "imageCredit", label: "Crédito de la imagen" },
+  { key: "defaultLanguage", label: "Idioma por defecto", type: "select", options: SUPPORTED_LOCALES },
+  { key: "placeName", label: "Lugar de la vista inicial" },
+  { key: "cameraStyle", label: "Estilo de cámara", type: "select", options: CAMERA_STYLES },
+];
+
+/**
+ * Form fields of a chapter; camera coordinates, focus options and tags have their own sections
+ * @readonly
+ */
+const CHAPTER_FIELDS = [
+  { key: "title", label: "Título", localized: true },
+  { key: "placeName", label: "Lugar (búsqueda de la cámara)" },
+  { key: "address", label: "Dirección", localized: true },
+  { key: "content", label: "Descripción", type: "textarea", localized: true },
+  { key: "website", label: "Web", type: "url" },
+  { key: "logoUrl", label: "Logo (URL)" },
+  { key: "imageUrl", label: "Imagen (URL)" },
+  { key: "imageCredit", label: "Crédito de la imagen", localized: true },
+  { key: "openingHours", label: "Horario", type: "textarea", localized: true },
+  { key: "ticketInfo", label: "Entradas", type: "textarea", localized: true },
+  { key: "cameraStyle", label: "Estilo de cámara", type: "select", options: CAMERA_STYLES },
+];
+
+/**
+ * Fields of `cameraCoordinates`; heading, pitch and range override the camera style
+ * @readonly
+ */
+const COORDINATE_FIELDS = [
+  { key: "lat", label: "Latitud", step: "0.000001" },
+  { key: "lng", label: "Longitud", step: "0.000001" },
+  { key: "elevation", label: "Elevación (m)", step: "any" },
+  { key: "heading", label: "Rumbo (°)", step: "any" },
+  { key: "pitch", label: "Inclinación (°)", step: "any" },
+  { key: "range", label: "Distancia (m)", step: "any" },
+];
+
+/**
+ * The story being edited, a mutable copy of the loaded config
+ * @type {Story}
+ */
+let editedStory;
+
+/**
+ * The id of the chapter in the form, null while editing the story properties
+ * @type {number|string|null}
+ */
+let selectedChapterId = null;
+
+/**
+ * The language localized fields are edited in
+ * @type {string}
+ */
+let editingLocale;
+
+/**
+ * Callbacks into the viewer, see `initStoryEditor`
+ */
+let viewer;
+
+/**
+ * The id or config path the drafts of the story are saved under
+ * @type {string}
+ */
+let storyKey;
+
+/**
+ * Undo and redo steps of the edited story
+ * @type {StoryHistory}
+ */
+let history;
+
+/**
+ * The story the changes are listed against: the last export, else the loaded config
+ * @type {{story: Story, exportedAt: number|null}}
+ */
+let baseline;
+
+let panel;
+let previewTimeout;
+let draftTimeout;
+let isPreviewing = false;
+let hasPendingPreview = false;
+
+/**
+ * The default language of the edited story
+ * @returns {string}
+ */
+function getDefaultLocale() {
+  return editedStory.properties.defaultLanguage || FALLBACK_LOCALE;
+}
+
+/**
+ * The text of a localized field in the editing language
+ * @param {Localized|undefined} value - The field value
+ * @returns {string} The text, empty if there is no translation
+ */
+function readLocalized(value) {
+  if (isLocalizedValue(value)) {
+    return value[editingLocale] ?? "";
+  }
+  // A plain string is in the default language
+  return editingLocale === getDefaultLocale() ? value ?? "" : "";
+}
+
+/**
+ * The text shown for a localized value: its translation, else the default language, else any
+ * @param {Localized|undefined} value - The value
+ * @returns {string}
+ */
+function displayLocalized(value) {
+  if (isLocalizedValue(value)) {
+    return value[editingLocale] ?? value[getDefaultLocale()] ?? Object.values(value)[0];
+  }
+  return value ?? "";
+}
+
+/**
+ * Set the editing-language text of a localized field. Fields with only a default-language
+ * text stay plain strings; a translation turns them into per-language objects.
+ * @param {Localized|undefined} value - The current value
+ * @param {string} text - The new text, empty to remove the translation
+ * @returns {Localized|undefined} The new value, undefined if no text is left
+ */
+function writeLocalized(value, text) {
+  const defaultLocale = getDefaultLocale();
+  const translations = isLocalizedValue(value)
+    ? { ...value }
+    : typeof value === "string" && value !== "" ? { [defaultLocale]: value } : {};
+
+  if (text.trim() === "") {
+    delete translations[editingLocale];
+  } else {
+    translations[editingLocale] = text;
+  }
+
+  const locales = Object.keys(translations);
+  if (locales.length === 0) {
+    return undefined;
+  }
+  return locales.length === 1 && locales[0] === defaultLocale ? translations[defaultLocale] : translations;
+}
+
+/**
+ * Set or remove a field and record the change
+ * @param {Object} target - The chapter, the story properties or a nested object
+ * @param {string} key - The field
+ * @param {*} value - The value; undefined or an empty string removes the field
+ * @param {string} label - The field label, names the change in the undo history
+ * @param {{merge?: boolean}} [options] - `merge` makes quick successive edits of the field (typing) one undo step
+ */
+function setValue(target, key, value, label, { merge = false } = {}) {
+  if (value === undefined || value === "") {
+    delete target[key];
+  } else {
+    target[key] = value;
+  }
+  onStoryChange(`Editar ${label}`, merge ? `${selectedChapterId ?? "story"}.${key}` : null);
+}
+
+/**
+ * The URL of an icon of the viewer
+ * @param {string} name - The file name in assets/icons
+ * @returns {string}
+ */
+function getIconUrl(name) {
+  return new URL(`../assets/icons/${name}`, import.meta.url).href;
+}
+
+/**
+ * The chapter in the form
+ * @returns {Chapter|undefined}
+ */
+function getSelectedChapter() {
+  return editedStory.chapters.find(chapter => chapter.id === selectedChapterId);
+}
+
+/* ============================================
+ * PREVIEW
+ * ============================================ */
+
+/**
+ * Record a change in the undo history, then preview and autosave the story once the author pauses
+ * @param {string} label - What the change did, e.g. "Mover capítulo"
+ * @param {string|null} [mergeKey] - See `StoryHistory.record`
+ */
+function onStoryChange(label, mergeKey = null) {
+  if (history.record(editedStory, label, mergeKey)) {
+    updateHistoryButtons();
+    scheduleUpdate();
+  }
+}
+
+/**
+ * Preview and autosave the story once the author pauses
+ */
+function scheduleUpdate() {
+  clearTimeout(previewTimeout);
+  previewTimeout = setTimeout(updatePreview, PREVIEW_DELAY);
+
+  clearTimeout(draftTimeout);
+  draftTimeout = setTimeout(() => saveDraft(storyKey, editedStory), DRAFT_SAVE_DELAY);
+}
+
+/**
+ * Validate the edited story and show it in the viewer if it is valid.
+ * Previews don't overlap: a change during a preview is shown once it has finished.
+ */
+async function updatePreview() {
+  if (isPreviewing) {
+    hasPendingPreview = true;
+    return;
+  }
+
+  const errors = validateStory(editedStory);
+  renderErrors(errors);
+  if (errors.length > 0) {
+    return;
+  }
+
+  isPreviewing = true;
+  try {
+    await viewer.preview(editedStory, selectedChapterId);
+  } catch (error) {
+    console.error("🚨 Story preview failed:", error);
+  } finally {
+    isPreviewing = false;
+  }
+
+  if (hasPendingPreview) {
+    hasPendingPreview = false;
+    updatePreview();
+  }
+}
+
+/**
+ * List the validation errors; clicking an error of a chapter opens that chapter
+ * @param {Array<{path: string, message: string}>} errors - The errors of `validateStory`
+ */
+function renderErrors(errors) {
+  const list = panel.querySelector(".story-editor-errors");
+  list.innerHTML = "";
+
+  errors.forEach(({ path, message }) => {
+    const item = document.createElement("li");
+    item.textContent = `${path}: ${message}`;
+
+    const chapterIndex = path.match(/^chapters\[(\d+)\]/)?.[1];
+    const chapter = chapterIndex !== undefined ? editedStory.chapters[chapterIndex] : undefined;
+    if (chapter) {
+      item.classList.add("is-link");
+      item.onclick = () => selectChapter(chapter.id);
+    }
+
+    list.appendChild(item);
+  });
+}
+
+/* ============================================
+ * CHAPTER LIST
+ * ============================================ */
+
+/**
+ * Render the story entry and one draggable entry per chapter
+ */
+function renderChapterList() {
+  const list = panel.querySelector(".story-editor-chapters");
+  list.innerHTML = "";
+
+  const storyItem = document.createElement("li");
+  storyItem.className = "story-editor-chapter is-story";
+  storyItem.classList.toggle("active", selectedChapterId === null);
+  storyItem.textContent = displayLocalized(editedStory.properties.title) || "Historia";
+  storyItem.onclick = () => selectChapter(null);
+  list.appendChild(storyItem);
+
+  editedStory.chapters.forEach((chapter, index) => {
+    const item = document.createElement("li");
+    item.className = "story-editor-chapter";
+    item.classList.toggle("active", chapter.id === selectedChapterId);
+    item.dataset.index = index;
+    item.draggable = true;
+    item.tabIndex = 0;
+    item.title = "Arrastra para reordenar (o Alt + ↑/↓)";
+
+    const handle = document.createElement("img");
+    handle.className = "story-editor-handle";
+    handle.src = getIconUrl("draggable-icon.svg");
+    handle.alt = "";
+
+    const title = document.createElement("span");
+    title.className = "story-editor-chapter-title";
+    title.textContent = `${index + 1}. ${displayLocalized(chapter.title) || "Sin título"}`;
+
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.className = "story-editor-icon-button";
+    deleteButton.title = "Eliminar capítulo";
+    deleteButton.innerHTML = `<img src="${getIconUrl("delete-icon.svg")}" alt="Eliminar">`;
+    deleteButton.onclick = (event) => {
+      event.stopPropagation();
+      deleteChapter(chapter.id);
+    };
+
+    item.append(handle, title, deleteButton);
+    item.onclick = () => selectChapter(chapter.id);
+    item.onkeydown = (event) => {
+      if (event.altKey && (event.key === "ArrowUp" || event.key === "ArrowDown")) {
+        event.preventDefault();
+        const newIndex = event.key === "ArrowUp" ? index - 1 : index + 1;
+        moveChapter(index, event.key === "ArrowUp" ? newIndex : newIndex + 1);
+        list.querySelector(`[data-index="${editedStory.chapters.indexOf(chapter)}"]`)?.focus();
+      } else if (event.key === "Enter") {
+        selectChapter(chapter.id);
+      }
+    };
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Reorder chapters by dragging their list entries. Listens on the list, so entries
+ * can be re-rendered without registering the handlers again.
+ * @param {HTMLElement} list - The chapter list
+ */
+function initDragAndDrop(list) {
+  let draggedIndex = null;
+
+  const clearDropMarkers = () => {
+    list.querySelectorAll(".drop-before, .drop-after").forEach(item => item.classList.remove("drop-before", "drop-after"));
+  };
+
+  list.addEventListener("dragstart", (event) => {
+    const item = event.target.closest("[data-index]");
+    if (!item) return;
+
+    draggedIndex = Number(item.dataset.index);
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", item.dataset.index); // Firefox only starts drags with data
+    item.classList.add("dragging");
+  });
+
+  list.addEventListener("dragover", (event) => {
+    const item = event.target.closest("[data-index]");
+    if (draggedIndex === null || !item) return;
+
+    event.preventDefault();
+    clearDropMarkers();
+    const { top, height } = item.getBoundingClientRect();
+    item.classList.add(event.clientY < top + height / 2 ? "drop-before" : "drop-after");
+  });
+
+  list.addEventListener("drop", (event) => {
+    const item = event.target.closest("[data-index]");
+    if (draggedIndex === null || !item) return;
+
+    event.preventDefault();
+    const targetIndex = Number(item.dataset.index) + (item.classList.contains("drop-after") ? 1 : 0);
+    moveChapter(draggedIndex, targetIndex);
+  });
+
+  list.addEventListener("dragend", () => {
+    draggedIndex = null;
+    clearDropMarkers();
+    list.querySelector(".dragging")?.classList.remove("dragging");
+  });
+}
+
+/**
+ * Move a chapter to another position
+ * @param {number} fromIndex - The chapter's index
+ * @param {number} toIndex - The index to insert it before (the chapter count to move it to the end)
+ */
+function moveChapter(fromIndex, toIndex) {
+  const insertIndex = toIndex > fromIndex ? toIndex - 1 : toIndex;
+  if (insertIndex === fromIndex || insertIndex < 0 || insertIndex >= editedStory.chapters.length) {
+    return;
+  }
+
+  const [chapter] = editedStory.chapters.splice(fromIndex, 1);
+  editedStory.chapters.splice(insertIndex, 0, chapter);
+  renderChapterList();
+  onStoryChange("Mover capítulo");
+}
+
+/**
+ * Add an empty chapter at the end and open it
+ */
+function addChapter() {
+  const chapterIds = editedStory.chapters.map(({ id }) => Number(id)).filter(Number.isFinite);
+
+  const chapter = {
+    id: chapterIds.length ? Math.max(...chapterIds) + 1 : 1,
+    title: writeLocalized(undefined, "Nuevo capítulo"),
+    placeName: "",
+    cameraStyle: "drone-orbit",
+    focusOptions: {
+      focusRadius: null,
+      showFocus: false,
+      showLocationMarker: true,
+    },
+  };
+
+  editedStory.chapters.push(chapter);
+  selectChapter(chapter.id);
+  onStoryChange("Añadir capítulo");
+}
+
+/**
+ * Delete a chapter after confirmation
+ * @param {number|string} chapterId - The chapter
+ */
+function deleteChapter(chapterId) {
+  const index = editedStory.chapters.findIndex(chapter => chapter.id === chapterId);
+  const title = displayLocalized(editedStory.chapters[index].title);
+
+  if (!window.confirm(`¿Eliminar el capítulo "${title}"?`)) {
+    return;
+  }
+
+  editedStory.chapters.splice(index, 1);
+  if (selectedChapterId === chapterId) {
+    selectedChapterId = null;
+    renderForm();
+  }
+  renderChapterList();
+  onStoryChange("Eliminar capítulo");
+}
+
+/**
+ * Open a chapter (or the story properties) in the form and show it in the viewer
+ * @param {number|string|null} chapterId - The chapter, null for the story properties
+ */
+function selectChapter(chapterId) {
+  selectedChapterId = chapterId;
+  renderChapterList();
+  renderForm();
+  viewer.showChapter(chapterId);
+}
+
+/* ============================================
+ * FORM
+ * ============================================ */
+
+/**
+ * Render the form of the selected chapter or of the story properties
+ */
+function renderForm() {
+  const form = panel.querySelector(".story-editor-form");
+  form.innerHTML = "";
+
+  const chapter = getSelectedChapter();
+  const target = chapter || editedStory.properties;
+
+  const heading = document.createElement("h3");
+  heading.textContent = chapter ? `Capítulo ${chapter.id}` : "Historia";
+  form.appendChild(heading);
+
+  (chapter ? CHAPTER_FIELDS : PROPERTY_FIELDS).forEach(field => form.appendChild(createField(target, field)));
+  form.appendChild(createCoordinatesFieldset(target));
+
+  if (chapter) {
+    form.appendChild(createFocusFieldset(chapter));
+    form.appendChild(createTagsFieldset(chapter));
+  }
+}
+
+/**
+ * Create a labelled input of a text or select field
+ * @param {Object} target - The chapter or the story properties
+ * @param {{key: string, label: string, type?: string, options?: string[], localized?: boolean}} field - The field
+ * @returns {HTMLLabelElement}
+ */
+function createField(target, { key, label, type = "text", options, localized = false }) {
+  const wrapper = document.createElement("label");
+  wrapper.className = "story-editor-field";
+  wrapper.append(localized ? `${label} (${editingLocale.toUpperCase()})` : label);
+
+  let input;
+  if (type === "select") {
+    input = document.createElement("select");
+    ["", ...options].forEach(option => input.add(new Option(option || "—", option)));
+  } else if (type === "textarea") {
+    input = document.createElement("textarea");
+    input.rows = 4;
+  } else {
+    input = document.createElement("input");
+    input.type = type;
+  }
+
+  input.name = key;
+  input.value = localized ? readLocalized(target[key]) : target[key] ?? "";
+  if (localized && !input.value) {
+    // Show the text the viewer falls back to
+    input.placeholder = displayLocalized(target[key]);
+  }
+
+  input.addEventListener("input", () => {
+    setValue(target, key, localized ? writeLocalized(target[key], input.value) : input.value.trim(), label, { merge: true });
+    if (key === "title") {
+      renderChapterList();
+    }
+  });
+
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+/**
+ * Create a number input
+ * @param {string} label - The label
+ * @param {number|null|undefined} value - The value
+ * @param {string} step - The input step
+ * @param {(value: number|undefined) => void} onChange - Receives the number, undefined when emptied
+ * @returns {HTMLLabelElement}
+ */
+function createNumberField(label, value, step, onChange) {
+  const wrapper = document.createElement("label");
+  wrapper.className = "story-editor-field is-compact";
+  wrapper.append(label);
+
+  const input = document.createElement("input");
+  input.type = "number";
+  input.step = step;
+  input.value = value ?? "";
+  input.addEventListener("input", () => {
+    onChange(input.value === "" ? undefined : Number(input.value));
+  });
+
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+/**
+ * Create a fieldset with a legend
+ * @param {string} legend - The legend
+ * @returns {HTMLFieldSetElement}
+ */
+function createFieldset(legend) {
+  const fieldset = document.createElement("fieldset");
+  fieldset.className = "story-editor-fieldset";
+  const legendElement = document.createElement("legend");
+  legendElement.textContent = legend;
+  fieldset.appendChild(legendElement);
+  return fieldset;
+}
+
+/**
+ * Create the `cameraCoordinates` inputs. Emptying every input removes the coordinates,
+ * so the camera is resolved from the place name again.
+ * @param {Object} target - The chapter or the story properties
+ * @returns {HTMLFieldSetElement}
+ */
+function createCoordinatesFieldset(target) {
+  const fieldset = createFieldset("Coordenadas de la cámara");
+  fieldset.classList.add("is-grid");
+
+  COORDINATE_FIELDS.forEach(({ key, label, step }) => {
+    fieldset.appendChild(createNumberField(label, target.cameraCoordinates?.[key], step, (value) => {
+      const coordinates = { ...target.cameraCoordinates };
+      if (value === undefined) {
+        delete coordinates[key];
+      } else {
+        coordinates[key] = value;
+      }
+      setValue(target, "cameraCoordinates", Object.keys(coordinates).length > 0 ? coordinates : undefined, label, { merge: true });
+    }));
+  });
+
+  const captureButton = document.createElement("button");
+  captureButton.type = "button";
+  captureButton.className = "story-editor-button story-editor-capture";
+  captureButton.title = "Guarda el centro de la pantalla como objetivo, con el rumbo, la inclinación y la distancia de la cámara";
+  captureButton.innerHTML = `<img src="${getIconUrl("save-camera-position-icon.svg")}" alt=""> Usar esta vista`;
+  captureButton.onclick = () => useCurrentView(target);
+  fieldset.appendChild(captureButton);
+
+  return fieldset;
+}
+
+/**
+ * Store the view of the viewer as the camera of a chapter or of the story intro.
+ * The drone orbit turns the camera and the overview (the intro default) ignores heading and pitch,
+ * so the target gets the static style to stay where it was framed.
+ * @param {Object} target - The chapter or the story properties
+ */
+function useCurrentView(target) {
+  const coordinates = viewer.captureView();
+  if (!coordinates) {
+    window.alert("La cámara no apunta al suelo. Acércate al lugar y vuelve a intentarlo.");
+    return;
+  }
+
+  target.cameraCoordinates = coordinates;
+  target.cameraStyle = "static";
+
+  renderForm();
+  onStoryChange("Usar la vista actual");
+  console.log(`📸 Captured view: heading ${coordinates.heading}°, pitch ${coordinates.pitch}°, range ${coordinates.range} m`);
+}
+
+/**
+ * Create the marker and focus inputs of a chapter
+ * @param {Chapter} chapter - The chapter
+ * @returns {HTMLFieldSetElement}
+ */
+function createFocusFieldset(chapter) {
+  const fieldset = createFieldset("Marcador y foco");
+  const getFocusOptions = () => chapter.focusOptions || { focusRadius: null, showFocus: false, showLocationMarker: true };
+
+  [
+    { key: "showLocationMarker", label: "Mostrar marcador" },
+    { key: "showFocus", label: "Resaltar un radio" },
+  ].forEach(({ key, label }) => {
+    const wrapper = document.createElement("label");
+    wrapper.className = "story-editor-checkbox";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = Boolean(getFocusOptions()[key]);
+    input.addEventListener("change", () => {
+      setValue(chapter, "focusOptions", { ...getFocusOptions(), [key]: input.checked }, label);
+    });
+    wrapper.append(input, label);
+    fieldset.appendChild(wrapper);
+  });
+
+  fieldset.appendChild(createNumberField("Radio (m)", chapter.focusOptions?.focusRadius, "any", (value) => {
+    setValue(chapter, "focusOptions", { ...getFocusOptions(), focusRadius: value ?? null }, "Radio", { merge: true });
+  }));
+
+  return fieldset;
+}
+
+/**
+ * All tags of a category in the story, by their text in the editing language
+ * @param {string} category - The tag category
+ * @returns {Map<string, Localized>} The tags; translated tags keep all their translations
+ */
+function getKnownTags(category) {
+  const tags = new Map();
+  editedStory.chapters.forEach(chapter => {
+    (chapter.etiquetas?.[category] || []).forEach(tag => {
+      const text = displayLocalized(tag);
+      if (text && !tags.has(text)) {
+        tags.set(text, tag);
+      }
+    });
+  });
+  return tags;
+}
+
+/**
+ * Set the tags of a category, removing empty categories
+ * @param {Chapter} chapter - The chapter
+ * @param {string} category - The tag category
+ * @param {Localized[]} tags - The tags
+ */
+function setTags(chapter, category, tags) {
+  const etiquetas = { ...chapter.etiquetas };
+  if (tags.length > 0) {
+    etiquetas[category] = tags;
+  } else {
+    delete etiquetas[category];
+  }
+  setValue(chapter, "etiquetas", Object.keys(etiquetas).length > 0 ? etiquetas : undefined, t(`tags.${category}`));
+}
+
+/**
+ * Create the tag editors of a chapter: removable chips plus an input that suggests the
+ * tags of the other chapters, so the same tag is spelled the same way everywhere
+ * @param {Chapter} chapter - The chapter
+ * @returns {HTMLFieldSetElement}
+ */
+function createTagsFieldset(chapter) {
+  const fieldset = createFieldset("Etiquetas");
+
+  TAG_CATEGORIES.forEach(category => {
+    const row = document.createElement("div");
+    row.className = "story-editor-tags";
+
+    const label = document.createElement("span");
+    label.className = "story-editor-tags-label";
+    label.textContent = t(`tags.${category}`);
+
+    const chips = document.createElement("div");
+    chips.className = "story-editor-chips";
+
+    const datalist = document.createElement("datalist");
+    datalist.id = `story-editor-tags-${category}`;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = "Añadir…";
+    input.setAttribute("list", datalist.id);
+
+    const render = () => {
+      const tags = chapter.etiquetas?.[category] || [];
+      const texts = tags.map(displayLocalized);
+
+      chips.innerHTML = "";
+      tags.forEach((tag, index) => {
+        const chip = document.createElement("span");
+        chip.className = "story-editor-chip";
+        chip.textContent = texts[index];
+
+        const removeButton = document.createElement("button");
+        removeButton.type = "button";
+        removeButton.textContent = "×";
+        removeButton.title = "Quitar";
+        removeButton.onclick = () => {
+          setTags(chapter, category, tags.filter((_, tagIndex) => tagIndex !== index));
+          render();
+        };
+
+        chip.appendChild(removeButton);
+        chips.appendChild(chip);
+      });
+
+      datalist.innerHTML = "";
+      [...getKnownTags(category).keys()]
+        .filter(text => !texts.includes(text))
+        .sort((a, b) => a.localeCompare(b, editingLocale))
+        .forEach(text => datalist.appendChild(new Option(text)));
+    };
+
+    // Fires on Enter, on blur and when a suggestion is picked
+    input.addEventListener("change", () => {
+      const text = input.value.trim();
+      input.value = "";
+      const tags = chapter.etiquetas?.[category] || [];
+      if (!text || tags.some(tag => displayLocalized(tag) === text)) {
+        return;
+      }
+
+      // Reuse a known tag so its translations are kept
+      const tag = getKnownTags(category).get(text) ?? writeLocalized(undefined, text);
+      setTags(chapter, category, [...tags, tag]);
+      render();
+    });
+
+    render();
+    row.append(label, chips, input, datalist);
+    fieldset.appendChild(row);
+  });
+
+  return fieldset;
+}
+
+/* ============================================
+ * PANEL
+ * ============================================ */
+
+/**
+ * Replace the edited story, e.g. with an imported one
+ * @param {Story} nextStory - The story
+ * @param {string} label - Names the change in the undo history
+ */
+function loadStory(nextStory, label) {
+  editedStory = structuredClone(nextStory);
+  selectedChapterId = null;
+  renderChapterList();
+  renderForm();
+  onStoryChange(label);
+}
+
+/* ============================================
+ * UNDO / REDO
+ * ============================================ */
+
+/**
+ * Show a story from the undo history, keeping the selected chapter if it still exists
+ * @param {Story|null} story - The story returned by `history.undo()` or `history.redo()`
+ */
+function applyHistoryStep(story) {
+  if (!story) {
+    return;
+  }
+
+  editedStory = story;
+  if (selectedChapterId !== null && !getSelectedChapter()) {
+    selectedChapterId = null;
+  }
+  renderChapterList();
+  renderForm();
+  updateHistoryButtons();
+  scheduleUpdate();
+}
+
+function undo() {
+  applyHistoryStep(history.undo());
+}
+
+function redo() {
+  applyHistoryStep(history.redo());
+}
+
+/**
+ * Enable the undo and redo buttons and name the change each would apply
+ */
+function updateHistoryButtons() {
+  const undoButton = panel.querySelector('[data-action="undo"]');
+  const redoButton = panel.querySelector('[data-action="redo"]');
+
+  undoButton.disabled = !history.undoLabel;
+  undoButton.title = history.undoLabel ? `Deshacer: ${history.undoLabel} (Ctrl+Z)` : "Nada que deshacer";
+  redoButton.disabled = !history.redoLabel;
+  redoButton.title = history.redoLabel ? `Rehacer: ${history.redoLabel} (Ctrl+Mayús+Z)` : "Nada que rehacer";
+}
+
+/**
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo. Text fields keep their own undo.
+ * @param {KeyboardEvent} event
+ */
+function onHistoryKeydown(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || event.target.closest?.("input, textarea, select")) {
+    return;
+  }
+
+  const key = event.key.toLowerCase();
+  if (key === "z" && !event.shiftKey) {
+    event.preventDefault();
+    undo();
+  } else if ((key === "z" && event.shiftKey) || key === "y") {
+    event.preventDefault();
+    redo();
+  }
+}
+
+/* ============================================
+ * DRAFTS AND CHANGES
+ * ============================================ */
+
+/**
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} The date and time, in the editing language
+ */
+function formatTime(time) {
+  return new Date(time).toLocaleString(editingLocale, { dateStyle: "medium", timeStyle: "short" });
+}
+
+/**
+ * Offer to recover the draft left by a previous session, and diff against its last export
+ */
+async function recoverDraft() {
+  const record = await getDraftRecord(storyKey);
+  if (record?.exported) {
+    baseline = { story: record.exported, exportedAt: record.exportedAt };
+  }
+
+  if (!record?.draft || JSON.stringify(record.draft) === JSON.stringify(editedStory)) {
+    return;
+  }
+
+  if (window.confirm(`Hay un borrador de esta historia sin exportar, guardado el ${formatTime(record.savedAt)}. ¿Recuperarlo?\n\nSi no lo recuperas, se descartará.`)) {
+    loadStory(record.draft, "Recuperar borrador");
+    console.log(`📝 Recovered the story draft saved ${new Date(record.savedAt).toISOString()}`);
+  } else {
+    await discardDraft(storyKey);
+  }
+}
+
+/**
+ * Download the edited story as config.json
+ */
+function exportStoryConfig() {
+  const errors = validateStory(editedStory);
+  if (errors.length > 0 && !window.confirm(`La historia tiene ${errors.length} errores de validación. ¿Exportar igualmente?`)) {
+    return;
+  }
+
+  downloadFile(`${JSON.stringify(editedStory, null, 2)}\n`, "config.json", "application/json");
+  baseline = { story: structuredClone(editedStory), exportedAt: Date.now() };
+  saveExport(storyKey, editedStory);
+  console.log(`💾 Exported the story (${editedStory.chapters.length} chapters) as config.json`);
+}
+
+/**
+ * Labels of the change types
+ * @readonly
+ */
+const CHANGE_LABELS = {
+  added: "Añadido",
+  removed: "Eliminado",
+  changed: "Modificado",
+  moved: "Movido",
+};
+
+/**
+ * A field value for the changes list, shortened
+ * @param {*} value - The value
+ * @returns {string}
+ */
+function formatChangeValue(value) {
+  if (value === undefined) {
+    return "—";
+  }
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+}
+
+/**
+ * Create the list item of one change
+ * @param {StoryChange} change - The change
+ * @returns {HTMLLIElement}
+ */
+function createChangeItem(change) {
+  const item = document.createElement("li");
+  item.className = `story-editor-change is-${change.type}`;
+
+  const name = change.chapterId === null ? "Historia" : `Capítulo ${change.chapterId}`;
+  const position = change.type === "moved" ? ` (posición ${change.fromIndex + 1} → ${change.toIndex + 1})` : "";
+  const heading = document.createElement("strong");
+  heading.textContent = `${CHANGE_LABELS[change.type]}: ${name} «${displayLocalized(change.title) || "Sin título"}»${position}`;
+  item.appendChild(heading);
+
+  if (change.fields) {
+    const fields = document.createElement("ul");
+    change.fields.forEach(({ field, before, after }) => {
+      const fieldItem = document.createElement("li");
+      fieldItem.textContent = `${field}: ${formatChangeValue(before)} → ${formatChangeValue(after)}`;
+      fields.appendChild(fieldItem);
+    });
+    item.appendChild(fields);
+  }
+
+  return item;
+}
+
+/**
+ * Show the changes since the last export, or since the loaded config.json if it was never exported
+ */
+function showChanges() {
+  const dialog = panel.querySelector(".story-editor-changes");
+  const changes = diffStories(baseline.story, editedStory);
+
+  dialog.querySelector("h3").textContent = baseline.exportedAt
+    ? `Cambios desde la exportación del ${formatTime(baseline.exportedAt)}`
+    : "Cambios desde el config.json cargado";
+
+  const list = dialog.querySelector("ul");
+  list.innerHTML = "";
+  if (changes.length === 0) {
+    const item = document.createElement("li");
+    item.textContent = "Sin cambios";
+    list.appendChild(item);
+  }
+  changes.forEach(change => list.appendChild(createChangeItem(change)));
+
+  dialog.showModal();
+}
+
+/**
+ * Whether the edited story differs from the last export (or the loaded config)
+ * @returns {boolean}
+ */
+function hasUnexportedChanges() {
+  return JSON.stringify(baseline.story) !== JSON.stringify(editedStory);
+}
+
+/**
+ * Load the panel stylesheet, which is next to this module
+ */
+function loadStyles() {
+  const link = document.createElement("link");
+  link.rel = "stylesheet";
+  link.href = new URL("./story-editor.css", import.meta.url).href;
+  document.head.appendChild(link);
+}
+
+/**
+ * Create the editor panel
+ * @returns {HTMLElement}
+ */
+function createPanel() {
+  const element = document.createElement("aside");
+  element.id = "story-editor";
+  element.className = "story-editor";
+  element.innerHTML = `
+    <header class="story-editor-header">
+      <h2>Editor de historia</h2>
+      <select class="story-editor-locale" title="Idioma de los textos editados"></select>
+      <button type="button" class="story-editor-toggle" title="Plegar el editor">‹</button>
+    </header>
+    <div class="story-editor-body">
+      <div class="story-editor-actions">
+        <label class="story-editor-button">
+          Importar
+          <input type="file" name="import-story" accept=".json,.csv,.geojson,.kml" hidden>
+        </label>
+        <button type="button" class="story-editor-button" data-action="export">Exportar config.json</button>
+      </div>
+      <div class="story-editor-actions">
+        <button type="button" class="story-editor-button" data-action="undo" disabled>↶ Deshacer</button>
+        <button type="button" class="story-editor-button" data-action="redo" disabled>↷ Rehacer</button>
+        <button type="button" class="story-editor-button" data-action="changes">Cambios</button>
+      </div>
+      <ol class="story-editor-chapters"></ol>
+      <button type="button" class="story-editor-button story-editor-add" data-action="add">
+        <img src="${getIconUrl("add-icon.svg")}" alt="">
+        Añadir capítulo
+      </button>
+      <ul class="story-editor-errors"></ul>
+      <form class="story-editor-form" name="story-editor-form"></form>
+    </div>
+    <dialog class="story-editor-changes">
+      <h3></h3>
+      <ul></ul>
+      <form method="dialog">
+        <button class="story-editor-button">Cerrar</button>
+      </form>
+    </dialog>`;
+
+  const localeSelect = element.querySelector(".story-editor-locale");
+  SUPPORTED_LOCALES.forEach(locale => localeSelect.add(new Option(LOCALE_NAMES[locale], locale)));
+  localeSelect.value = editingLocale;
+  localeSelect.onchange = () => {
+    editingLocale = localeSelect.value;
+    renderChapterList();
+    renderForm();
+  };
+
+  element.querySelector(".story-editor-toggle").onclick = () => element.classList.toggle("collapsed");
+  element.querySelector('[data-action="export"]').onclick = exportStoryConfig;
+  element.querySelector('[data-action="undo"]').onclick = undo;
+  element.querySelector('[data-action="redo"]').onclick = redo;
+  element.querySelector('[data-action="changes"]').onclick = showChanges;
+  element.querySelector('[data-action="add"]').onclick = addChapter;
+  element.querySelector(".story-editor-form").addEventListener("submit", event => event.preventDefault());
+
+  initDragAndDrop(element.querySelector(".story-editor-chapters"));
+  return element;
+}
+
+/**
+ * Open the story editor
+ * @param {Story} story - The loaded story config, with every translation; the editor works on a copy
+ * @param {Object} callbacks - How the editor drives the viewer
+ * @param {(story: Story, chapterId: number|string|null) => Promise<void>} callbacks.preview - Show an edited story and the chapter being edited
+ * @param {(chapterId: number|string|null) => Promise<void>} callbacks.showChapter - Show a chapter of the displayed story, null for the overview
+ * @param {() => CameraCoordinates | null} callbacks.captureView - The current camera view, null if it doesn't look at the ground
+ * @param {string} callbacks.storyKey - The story id or config path, under which drafts are saved
+ */
+export async function initStoryEditor(story, { preview, showChapter, captureView, storyKey: key }) {
+  if (panel) {
+    return;
+  }
+
+  viewer = { preview, showChapter, captureView };
+  storyKey = key;
+  editedStory = structuredClone(story);
+  editingLocale = getLocale();
+  history = new StoryHistory(editedStory);
+  baseline = { story: structuredClone(story), exportedAt: null };
+
+  loadStyles();
+  panel = createPanel();
+  document.body.appendChild(panel);
+  document.body.classList.add("is-editing-story");
+
+  initStoryImport(importedStory => loadStory(importedStory, "Importar historia"));
+  renderChapterList();
+  renderForm();
+  renderErrors(validateStory(editedStory));
+
+  document.addEventListener("keydown", onHistoryKeydown);
+  window.addEventListener("beforeunload", (event) => {
+    if (hasUnexportedChanges()) {
+      event.preventDefault();
+      event.returnValue = "";
+    }
+  });
+
+  console.log(`✏️ Story editor opened with ${editedStory.chapters.length} chapters`);
+  await recoverDraft();
+}
@@ -0,0 +1,115 @@
+/**
+ * Story History
+ * Undo and redo for the story editor. Every change records a snapshot of the story, so chapter
+ * edits, reorders, additions, deletions and imports are all undone the same way. Quick edits of
+ * the same field are merged into one step, so undo doesn't go back letter by letter.
+ */
+
+/**
+ * Undo steps kept; older steps are dropped
+ * @readonly
+ */
+const MAX_STEPS = 100;
+
+/**
+ * Edits of the same field within this many milliseconds of each other are one step
+ * @readonly
+ */
+const MERGE_INTERVAL = 1500;
+
+export class StoryHistory {
+  /**
+   * @param {Story} story - The story the history starts from
+   */
+  constructor(story) {
+    this.current = JSON.stringify(story);
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastMergeKey = null;
+    this.lastChangeTime = 0;
+  }
+
+  /**
+   * Record the story after a change. Does nothing if the story didn't change.
+   * @param {Story} story - The changed story
+   * @param {string} label - What the change did, e.g. "Editar Título"
+   * @param {string|null} [mergeKey] - Changes with the same key in quick succession become one step
+   * @returns {boolean} True if a change was recorded
+   */
+  record(story, label, mergeKey = null) {
+    const snapshot = JSON.stringify(story);
+    if (snapshot === this.current) {
+      return false;
+    }
+
+    const now = Date.now();
+    const isMerged = mergeKey !== null &&
+      mergeKey === this.lastMergeKey &&
+      now - this.lastChangeTime < MERGE_INTERVAL &&
+      this.undoStack.length > 0;
+
+    if (!isMerged) {
+      this.undoStack.push({ snapshot: this.current, label });
+      if (this.undoStack.length > MAX_STEPS) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.current = snapshot;
+    this.redoStack = [];
+    this.lastMergeKey = mergeKey;
+    this.lastChangeTime = now;
+    return true;
+  }
+
+  /**
+   * Go back one step
+   * @returns {Story|null} The story before the last change, null if there is nothing to undo
+   */
+  undo() {
+    return this.move(this.undoStack, this.redoStack);
+  }
+
+  /**
+   * Go forward one undone step
+   * @returns {Story|null} The story after the undone change, null if there is nothing to redo
+   */
+  redo() {
+    return this.move(this.redoStack, this.undoStack);
+  }
+
+  /**
+   * Move the current state from one stack to the other
+   * @param {Array<{snapshot: string, label: string}>} fromStack - The stack to take the step from
+   * @param {Array<{snapshot: string, label: string}>} toStack - The stack that receives the current state
+   * @returns {Story|null}
+   */
+  move(fromStack, toStack) {
+    const step = fromStack.pop();
+    if (!step) {
+      return null;
+    }
+
+    toStack.push({ snapshot: this.current, label: step.label });
+    this.current = step.snapshot;
+    // The next edit starts a new step, even of the field edited last
+    this.lastMergeKey = null;
+    return JSON.parse(step.snapshot);
+  }
+
+  /**
+   * The change that undo would revert, null if there is none
+   * @returns {string|null}
+   */
+  get undoLabel() {
+    return this.undoStack.at(-1)?.label ?? null;
+  }
+
+  /**
+   * The change that redo would apply again, null if there is none
+   * @returns {string|null}
+   */
+  get redoLabel() {
+    return this.redoStack.at(-1)?.label ?? null;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Script to create a story config from a spreadsheet (CSV), a GeoJSON FeatureCollection or a KML file
+ * (e.g. a Google Earth export), and print a validation report.
+ *
+ * Usage:
+ *   node import-story.mjs <input> [output] [--format csv|geojson|kml] [--title "Story title"]
+ *
+ *   input       The CSV, GeoJSON or KML file
+ *   output      The story config to write (default: <input name>.story.json, next to the input)
+ *
+ * CSV columns: title, address, website, plus one column per tag category (ubicacion, sector,
+ * profesion, tipo) with tags separated by "|", or an "etiquetas" column of "category: tag" entries.
+ * Optional: placeName, content, logoUrl, imageUrl, openingHours, ticketInfo, lat, lng, elevation.
+ */
+
+import fs from "fs";
+import path from "path";
+import { importStory } from "./src/utils/story-import.js";
+
+const args = process.argv.slice(2);
+const options = {};
+const files = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--format") options.format = args[++i];
+  else if (args[i] === "--title") options.title = args[++i];
+  else files.push(args[i]);
+}
+
+const [inputPath, outputArg] = files;
+if (!inputPath) {
+  console.error('Usage: node import-story.mjs <input> [output] [--format csv|geojson|kml] [--title "Story title"]');
+  process.exit(1);
+}
+
+const outputPath = outputArg || inputPath.replace(/\.[^./\\]+$/, "") + ".story.json";
+
+console.log(`🔧 Importing ${inputPath}...\n`);
+
+try {
+  const text = fs.readFileSync(inputPath, "utf8");
+  const { story, report } = importStory(text, {
+    format: options.format,
+    fileName: path.basename(inputPath),
+    properties: options.title ? { title: options.title } : {},
+  });
+
+  console.log(`📝 ${report.chapterCount} chapters from ${report.recordCount} ${report.format.toUpperCase()} records\n`);
+
+  if (report.warnings.length > 0) {
+    console.log(`⚠️ ${report.warnings.length} warnings:`);
+    report.warnings.forEach(({ record, message }) => console.log(`  ${record}: ${message}`));
+    console.log("");
+  }
+
+  if (report.errors.length > 0) {
+    console.log(`❌ ${report.errors.length} validation errors to fix before publishing:`);
+    report.errors.forEach(({ path: fieldPath, message }) => console.log(`  ${fieldPath}: ${message}`));
+    console.log("");
+  } else {
+    console.log("✅ The story is valid\n");
+  }
+
+  // Create backup of an existing output
+  if (outputPath === inputPath) {
+    throw new Error("The output would overwrite the input, give an output path");
+  }
+  if (fs.existsSync(outputPath)) {
+    const backupPath = outputPath.replace(/\.json$/, ".backup.json");
+    fs.copyFileSync(outputPath, backupPath);
+    console.log(`✅ Backup created: ${backupPath}`);
+  }
+
+  fs.writeFileSync(outputPath, JSON.stringify(story, null, 2), "utf8");
+  console.log(`✨ Done! Story written to ${outputPath}`);
+  console.log("📍 Add cameraCoordinates with: node scripts/resolve-camera-coordinates.mjs " + outputPath);
+
+  process.exit(report.errors.length > 0 ? 1 : 0);
+} catch (error) {
+  console.error("❌ Error:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,78 @@
+/**
+ * Tests for the chatbot follow-ups (src/utils/chat-context.js): picking a place of the last list by
+ * position, without mistaking the numbers of a new question for positions.
+ *
+ * Usage:
+ *   node --test scripts/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDialogueState, parseFollowUp, resolveSelection } from "../src/utils/chat-context.js";
+
+/**
+ * A dialogue state that has just listed three places
+ * @returns {import("../src/utils/chat-context.js").DialogueState}
+ */
+function stateWithResults() {
+  return { ...createDialogueState(), results: [4, 7, 9], shownCount: 3 };
+}
+
+test("picks a place of the list by ordinal or number", () => {
+  const cases = {
+    "el segundo": 2,
+    "¿Y el tercero?": 3,
+    "al 2": 2,
+    "número 3": 3,
+    "the third one": 3,
+    "take me to the second": 2,
+    "o terceiro": 3,
+    "the last one": 0,
+  };
+
+  Object.entries(cases).forEach(([message, position]) => {
+    const followUp = parseFollowUp(message);
+    assert.equal(followUp?.type, "select", message);
+    assert.equal(followUp.position, position, message);
+  });
+
+  assert.deepEqual(resolveSelection(parseFollowUp("el segundo"), stateWithResults(), 40, null), { index: 7 });
+  assert.deepEqual(resolveSelection(parseFollowUp("el último"), stateWithResults(), 40, null), { index: 9 });
+  assert.equal(parseFollowUp("llévame al segundo").navigate, true);
+});
+
+test("reads distances as new questions, not positions", () => {
+  [
+    "museos a 20 km de Vigo",
+    "centros a 30 km de Bilbao",
+    "a 5 km de Ferrol",
+    "astilleros el 10 km alrededor de Cádiz",
+  ].forEach(message => {
+    assert.notEqual(parseFollowUp(message)?.type, "select", message);
+  });
+});
+
+test("reads closest questions as new questions, not positions", () => {
+  [
+    "the 3 closest to Madrid",
+    "los 3 más cercanos a Vigo",
+    "el 3 más cercano a Gijón",
+    "o 2 mais preto de Vigo",
+  ].forEach(message => {
+    assert.notEqual(parseFollowUp(message)?.type, "select", message);
+  });
+});
+
+test("keeps the list when a position is out of range", () => {
+  assert.deepEqual(resolveSelection(parseFollowUp("el 5"), stateWithResults(), 40, null), { error: "outOfRange" });
+  assert.deepEqual(resolveSelection(parseFollowUp("el segundo"), createDialogueState(), 40, null), { error: "noResults" });
+});
+
+test("recognizes the other follow-ups", () => {
+  assert.equal(parseFollowUp("empezar de nuevo").type, "reset");
+  assert.equal(parseFollowUp("muéstrame más").type, "more");
+  assert.equal(parseFollowUp("llévame allí").type, "goThere");
+  assert.deepEqual(parseFollowUp("¿y el siguiente?"), { type: "select", step: 1, navigate: false });
+  assert.deepEqual(parseFollowUp("¿y en Galicia?"), { type: "refine", text: "en galicia" });
+  assert.equal(parseFollowUp("museos navales en Galicia"), null);
+});
@@ -0,0 +1,83 @@
+/**
+ * Script to convert legacy story configs (e.g. sampleConfigs/*.json) to the current story schema.
+ * The viewer migrates legacy stories when loading them; this writes the result back so the file
+ * can be edited in the current format.
+ *
+ * Usage:
+ *   node scripts/migrate-story.mjs <config...> [--dry-run]
+ *
+ *   config       Story configs to convert; current ones are left untouched
+ *   --dry-run    Print the summary without writing anything
+ */
+
+import fs from "fs";
+import path from "path";
+import { migrateStory, CURRENT_STORY_VERSION } from "../src/utils/story-migration.js";
+import { validateStory } from "../src/utils/config-validator.js";
+
+/**
+ * The indentation of a JSON file, so the converted file keeps its formatting
+ * @param {string} content - The file content
+ * @returns {number} The number of spaces per level
+ */
+function detectIndent(content) {
+  const match = content.match(/^[{[]\r?\n( +)/);
+  return match ? match[1].length : 2;
+}
+
+/**
+ * Convert one story config
+ * @param {string} configPath - The config file
+ * @param {boolean} dryRun - If true, nothing is written
+ * @returns {boolean} True if the converted story is valid (or was already current)
+ */
+function migrateFile(configPath, dryRun) {
+  const relativePath = path.relative(process.cwd(), configPath);
+  const configContent = fs.readFileSync(configPath, "utf8");
+  const { story, fromVersion } = migrateStory(JSON.parse(configContent));
+
+  if (fromVersion === CURRENT_STORY_VERSION) {
+    console.log(`✨ ${relativePath}: already at version ${CURRENT_STORY_VERSION}`);
+    return true;
+  }
+
+  const located = story.chapters.filter(chapter => chapter.cameraCoordinates).length;
+  console.log(`🔄 ${relativePath}: version ${fromVersion} → ${CURRENT_STORY_VERSION}, ${located} of ${story.chapters.length} chapters located`);
+
+  const errors = validateStory(story);
+  errors.forEach(({ path: fieldPath, message }) => console.log(`  ⚠️ ${fieldPath}: ${message}`));
+
+  if (!dryRun) {
+    // Create backup
+    const backupPath = configPath.replace(/\.json$/, ".backup.json");
+    fs.writeFileSync(backupPath, configContent, "utf8");
+    fs.writeFileSync(configPath, JSON.stringify(story, null, detectIndent(configContent)), "utf8");
+    console.log(`  ✅ Written (backup: ${path.relative(process.cwd(), backupPath)})`);
+  }
+
+  return errors.length === 0;
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const configPaths = args.filter(arg => arg !== "--dry-run").map(arg => path.resolve(arg));
+
+if (configPaths.length === 0) {
+  console.error("Usage: node scripts/migrate-story.mjs <config...> [--dry-run]");
+  process.exit(1);
+}
+
+let allValid = true;
+configPaths.forEach(configPath => {
+  try {
+    allValid = migrateFile(configPath, dryRun) && allValid;
+  } catch (error) {
+    console.error(`❌ ${path.relative(process.cwd(), configPath)}: ${error.message}`);
+    allValid = false;
+  }
+});
+
+if (dryRun) {
+  console.log("\n🔍 Dry run: nothing written.");
+}
+process.exit(allValid ? 0 : 1);
@@ -0,0 +1,129 @@
+/**
+ * Mock of an OpenAI-compatible chat completions endpoint, to try the chatbot backend without a model.
+ * It answers with the places the chatbot put in the prompt as best matches, cited as [[id]],
+ * so the citations and "take me there" buttons can be checked end to end.
+ *
+ * Usage:
+ *   node scripts/mock-chat-server.mjs [options]
+ *
+ *   --port <number>   Port to listen on (default: 8787)
+ *   --fail            Answer every request with HTTP 500, to check the fallback to keyword matching
+ *
+ * Then in src/env.js:
+ *   export const CHAT_API_URL = "http://localhost:8787/v1";
+ *   export const CHAT_MODEL = "mock";
+ */
+
+import http from "http";
+
+/**
+ * Parse the command line
+ * @param {string[]} args - The arguments after the script name
+ * @returns {{port: number, fail: boolean}}
+ */
+function parseArgs(args) {
+  const options = { port: 8787, fail: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--port") {
+      options.port = Number(args[++i]);
+    } else if (args[i] === "--fail") {
+      options.fail = true;
+    } else {
+      console.error(`Unknown option: ${args[i]}`);
+      process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * The places the chatbot described as best matches in the system prompt
+ * @param {string} systemPrompt - The system message
+ * @returns {Array<{id: string, title: string}>}
+ */
+function getBestMatches(systemPrompt) {
+  const [, matchesSection = ""] = systemPrompt.split("Places that best match the question:");
+  return [...matchesSection.matchAll(/^\[\[([^\]]+)\]\] (.+)$/gm)].map(([, id, title]) => ({ id, title }));
+}
+
+/**
+ * The mock reply to a conversation
+ * @param {Array<{role: string, content: string}>} messages - The conversation
+ * @returns {string}
+ */
+function createReply(messages) {
+  const systemPrompt = messages.find(message => message.role === "system")?.content || "";
+  const question = messages.at(-1)?.content || "";
+  const matches = getBestMatches(systemPrompt).slice(0, 3);
+
+  if (matches.length === 0) {
+    return `(mock) No encuentro lugares relacionados con "${question}".`;
+  }
+
+  const places = matches.map(({ id, title }) => `${title} [[${id}]]`).join(", ");
+  return `(mock) Sobre "${question}", te pueden interesar: ${places}.`;
+}
+
+/**
+ * Send a JSON response with CORS headers, the viewer runs on another port
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - The HTTP status
+ * @param {Object} [body] - The JSON body
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+  });
+  response.end(body ? JSON.stringify(body) : undefined);
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+const server = http.createServer((request, response) => {
+  if (request.method === "OPTIONS") {
+    sendJson(response, 204);
+    return;
+  }
+
+  if (request.method !== "POST" || !request.url.endsWith("/chat/completions")) {
+    sendJson(response, 404, { error: { message: `No route for ${request.method} ${request.url}` } });
+    return;
+  }
+
+  let body = "";
+  request.on("data", chunk => { body += chunk; });
+  request.on("end", () => {
+    if (options.fail) {
+      sendJson(response, 500, { error: { message: "Mock failure (--fail)" } });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      sendJson(response, 400, { error: { message: "Invalid JSON" } });
+      return;
+    }
+
+    const reply = createReply(payload.messages || []);
+    console.log(`💬 ${payload.model}: "${payload.messages?.at(-1)?.content}" → ${reply}`);
+
+    sendJson(response, 200, {
+      id: `mock-${Date.now()}`,
+      object: "chat.completion",
+      created: Math.floor(Date.now() / 1000),
+      model: payload.model,
+      choices: [{ index: 0, message: { role: "assistant", content: reply }, finish_reason: "stop" }],
+    });
+  });
+});
+
+server.listen(options.port, () => {
+  console.log(`🤖 Mock chat server on http://localhost:${options.port}/v1${options.fail ? " (failing every request)" : ""}`);
+});
@@ -0,0 +1,250 @@
+/**
+ * Script to resolve every chapter without a location (`cameraCoordinates` or legacy `coords`) and write
+ * the result into the story config, so the viewer doesn't need to geocode it on every visit.
+ *
+ * Usage:
+ *   node scripts/resolve-camera-coordinates.mjs [config] [options]
+ *
+ *   config                  Story config to update (default: src/config.json)
+ *   --provider <name>       "google" (needs GOOGLE_MAPS_API_KEY), "gazetteer" (offline, town level)
+ *                           or "fixture" (default: google if GOOGLE_MAPS_API_KEY is set, else gazetteer)
+ *   --fixture <file>        JSON file of {"<placeName or address>": {lat, lng, elevation?}} for the fixture provider
+ *   --max-distance <km>     Flag chapters resolved farther than this from their address (default: 20)
+ *   --dry-run               Print the summary without writing anything
+ *
+ * Test:
+ *   node --test scripts/
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLocationResolver } from "../src/utils/camera-resolver.js";
+import { gazetteerProvider } from "../src/utils/camera-providers.js";
+import { lookupGazetteer } from "../src/utils/gazetteer.js";
+import { haversineDistance } from "../src/utils/geo.js";
+import { getConfiguredLocation } from "../src/utils/chapter-location.js";
+
+const repoRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/**
+ * Parse the command line
+ * @param {string[]} args - The arguments after the script name
+ * @returns {{configPath: string, provider: string, fixturePath: string|null, maxDistanceKm: number, dryRun: boolean}}
+ */
+function parseArgs(args) {
+  const options = {
+    configPath: path.join(repoRoot, "src", "config.json"),
+    provider: process.env.GOOGLE_MAPS_API_KEY ? "google" : "gazetteer",
+    fixturePath: null,
+    maxDistanceKm: 20,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--provider") {
+      options.provider = args[++i];
+    } else if (arg === "--fixture") {
+      options.fixturePath = args[++i];
+      if (!args.includes("--provider")) options.provider = "fixture";
+    } else if (arg === "--max-distance") {
+      options.maxDistanceKm = Number(args[++i]);
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.configPath = path.resolve(arg);
+    }
+  }
+
+  if (!Number.isFinite(options.maxDistanceKm)) {
+    throw new Error("--max-distance must be a number of kilometers");
+  }
+  return options;
+}
+
+/**
+ * Locations read from a JSON fixture, keyed by place name or address. Used to test the script offline.
+ * @param {string} fixturePath - The fixture file
+ * @returns {import("../src/utils/camera-providers.js").CameraProvider}
+ */
+function createFixtureProvider(fixturePath) {
+  if (!fixturePath) {
+    throw new Error("The fixture provider needs --fixture <file>");
+  }
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+
+  return {
+    name: "fixture",
+    async resolve(query) {
+      return fixture[query.placeName] || fixture[query.address] || null;
+    },
+  };
+}
+
+/**
+ * The Places API (New) text search and the Elevation API over HTTP
+ * @param {string} apiKey - A Google Maps Platform API key
+ * @returns {import("../src/utils/camera-providers.js").CameraProvider}
+ */
+function createGoogleProvider(apiKey) {
+  if (!apiKey) {
+    throw new Error("The google provider needs the GOOGLE_MAPS_API_KEY environment variable");
+  }
+
+  async function getElevation(lat, lng) {
+    const url = `https://maps.googleapis.com/maps/api/elevation/json?locations=${lat},${lng}&key=${apiKey}`;
+    const { status, results } = await (await fetch(url)).json();
+    return status === "OK" && results[0] ? results[0].elevation : undefined;
+  }
+
+  return {
+    name: "google",
+    async resolve(query) {
+      const textQuery = query.placeName || query.address;
+      if (!textQuery) {
+        return null;
+      }
+
+      const response = await fetch("https://places.googleapis.com/v1/places:searchText", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Goog-Api-Key": apiKey,
+          "X-Goog-FieldMask": "places.location",
+        },
+        body: JSON.stringify({ textQuery, languageCode: "es", maxResultCount: 1 }),
+      });
+      if (!response.ok) {
+        throw new Error(`Places API responded ${response.status}: ${await response.text()}`);
+      }
+
+      const { places } = await response.json();
+      const location = places?.[0]?.location;
+      if (!location) {
+        return null;
+      }
+
+      const elevation = await getElevation(location.latitude, location.longitude);
+      return { lat: location.latitude, lng: location.longitude, elevation };
+    },
+  };
+}
+
+/**
+ * Create the provider chosen on the command line
+ * @param {ReturnType<typeof parseArgs>} options - The parsed options
+ * @returns {import("../src/utils/camera-providers.js").CameraProvider}
+ */
+function createProvider(options) {
+  switch (options.provider) {
+    case "google":
+      return createGoogleProvider(process.env.GOOGLE_MAPS_API_KEY);
+    case "gazetteer":
+      return gazetteerProvider;
+    case "fixture":
+      return createFixtureProvider(options.fixturePath);
+    default:
+      throw new Error(`Unknown provider "${options.provider}" (use google, gazetteer or fixture)`);
+  }
+}
+
+/**
+ * Round a resolved location to what is stored in the config
+ * @param {{lat: number, lng: number, elevation?: number}} location - The location
+ * @returns {{lat: number, lng: number, elevation?: number}} The cameraCoordinates value
+ */
+function toCameraCoordinates({ lat, lng, elevation }) {
+  const coordinates = { lat: parseFloat(lat.toFixed(6)), lng: parseFloat(lng.toFixed(6)) };
+  if (Number.isFinite(elevation)) {
+    coordinates.elevation = Math.round(elevation);
+  }
+  return coordinates;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const resolveLocation = createLocationResolver([createProvider(options)]);
+  const relativeConfigPath = path.relative(process.cwd(), options.configPath);
+
+  console.log(`🔧 Resolving cameraCoordinates in ${relativeConfigPath} (provider: ${options.provider})...\n`);
+
+  const configContent = fs.readFileSync(options.configPath, "utf8");
+  const config = JSON.parse(configContent);
+
+  const resolved = [];
+  const unresolved = [];
+
+  // One request at a time keeps the script within the API rate limits
+  for (const chapter of config.chapters) {
+    // Legacy `coords` are precise too, a provider would only move them
+    if (getConfiguredLocation(chapter)) continue;
+
+    try {
+      const location = await resolveLocation(chapter);
+      chapter.cameraCoordinates = toCameraCoordinates(location);
+      resolved.push(chapter);
+    } catch (error) {
+      unresolved.push({ chapter, reason: error.message });
+    }
+  }
+
+  // Check every located chapter against the town in its address
+  const farFromAddress = [];
+  config.chapters.forEach(chapter => {
+    const location = getConfiguredLocation(chapter);
+    const town = location && lookupGazetteer(chapter.address);
+    if (!town) return;
+
+    const distanceKm = haversineDistance(location, town) / 1000;
+    if (distanceKm > options.maxDistanceKm) {
+      farFromAddress.push({ chapter, town, distanceKm, field: location.source, isNew: resolved.includes(chapter) });
+    }
+  });
+
+  console.log(`📝 Resolved ${resolved.length} of ${resolved.length + unresolved.length} chapters without a location:\n`);
+  resolved.forEach(chapter => {
+    console.log(`[${chapter.id}] ${chapter.title}`);
+    console.log(`  + cameraCoordinates: ${JSON.stringify(chapter.cameraCoordinates)}`);
+  });
+
+  if (unresolved.length > 0) {
+    console.log(`\n⚠️ Could not resolve ${unresolved.length} chapters:\n`);
+    unresolved.forEach(({ chapter, reason }) => {
+      console.log(`[${chapter.id}] ${chapter.title}: ${reason}`);
+    });
+  }
+
+  if (farFromAddress.length > 0) {
+    console.log(`\n📏 ${farFromAddress.length} chapters are more than ${options.maxDistanceKm} km from their address:\n`);
+    farFromAddress.forEach(({ chapter, town, distanceKm, field, isNew }) => {
+      const label = isNew ? "resolved now" : `${field} already in the config`;
+      console.log(`[${chapter.id}] ${chapter.title}: ${distanceKm.toFixed(1)} km from ${town.name} (${label})`);
+      console.log(`  address: ${chapter.address}`);
+    });
+  }
+
+  if (options.dryRun) {
+    console.log("\n🔍 Dry run: nothing written.");
+    return;
+  }
+  if (resolved.length === 0) {
+    console.log("\n✨ Nothing to write.");
+    return;
+  }
+
+  // Create backup
+  const backupPath = options.configPath.replace(/\.json$/, ".backup.json");
+  fs.writeFileSync(backupPath, configContent, "utf8");
+  console.log(`\n✅ Backup created: ${path.relative(process.cwd(), backupPath)}`);
+
+  fs.writeFileSync(options.configPath, JSON.stringify(config, null, 2), "utf8");
+  console.log(`✨ Done! ${resolved.length} chapters now have cameraCoordinates in ${relativeConfigPath}.`);
+}
+
+main().catch(error => {
+  console.error("❌ Error:", error.message);
+  process.exit(1);
+});
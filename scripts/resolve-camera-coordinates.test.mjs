@@ -0,0 +1,75 @@
+/**
+ * Tests for resolve-camera-coordinates.mjs with the fixture provider, offline.
+ *
+ * Usage:
+ *   node --test scripts/
+ */
+
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const scriptsDir = path.dirname(fileURLToPath(import.meta.url));
+const scriptPath = path.join(scriptsDir, "resolve-camera-coordinates.mjs");
+const storyFixture = path.join(scriptsDir, "fixtures", "camera-story.json");
+const locationsFixture = path.join(scriptsDir, "fixtures", "camera-locations.json");
+const tempDirs = [];
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Run the script on a copy of the fixture story
+ * @param {string[]} args - Extra arguments
+ * @returns {{output: string, configPath: string}} The console output and the path of the copy
+ */
+function runOnFixtureStory(args = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "camera-story-"));
+  tempDirs.push(dir);
+  const configPath = path.join(dir, "config.json");
+  fs.copyFileSync(storyFixture, configPath);
+
+  const output = execFileSync(process.execPath, [scriptPath, configPath, "--fixture", locationsFixture, ...args], {
+    encoding: "utf8",
+    env: { ...process.env, GOOGLE_MAPS_API_KEY: "" },
+  });
+  return { output, configPath };
+}
+
+test("writes the fixture locations of chapters without one and backs up the config", () => {
+  const { configPath } = runOnFixtureStory();
+  const chapters = JSON.parse(fs.readFileSync(configPath, "utf8")).chapters;
+
+  assert.deepEqual(chapters[3].cameraCoordinates, { lat: 43.46851, lng: -3.79671, elevation: 5 });
+  assert.deepEqual(chapters[4].cameraCoordinates, { lat: 41.37124, lng: 2.18503, elevation: 3 });
+  assert.equal(chapters[5].cameraCoordinates, undefined);
+  assert.equal(fs.readFileSync(configPath.replace(/\.json$/, ".backup.json"), "utf8"), fs.readFileSync(storyFixture, "utf8"));
+});
+
+test("keeps chapters located by cameraCoordinates or legacy coords", () => {
+  const { configPath } = runOnFixtureStory();
+  const original = JSON.parse(fs.readFileSync(storyFixture, "utf8")).chapters;
+  const chapters = JSON.parse(fs.readFileSync(configPath, "utf8")).chapters;
+
+  assert.deepEqual(chapters.slice(0, 3), original.slice(0, 3));
+});
+
+test("flags locations far from their address, legacy coords included", () => {
+  const { output } = runOnFixtureStory(["--dry-run"]);
+
+  assert.match(output, /Resolved 2 of 3 chapters without a location/);
+  assert.match(output, /\[6\] Unknown to the fixture: No location found/);
+  assert.match(output, /\[3\] Legacy coords far from the address: [\d.]+ km from Bilbao \(coords already in the config\)/);
+  assert.match(output, /\[5\] Resolved far from the address: [\d.]+ km from Bilbao \(resolved now\)/);
+  assert.doesNotMatch(output, /\[4\] Resolved by the fixture: [\d.]+ km/);
+});
+
+test("writes nothing on a dry run", () => {
+  const { configPath } = runOnFixtureStory(["--dry-run"]);
+
+  assert.equal(fs.readFileSync(configPath, "utf8"), fs.readFileSync(storyFixture, "utf8"));
+  assert.equal(fs.existsSync(configPath.replace(/\.json$/, ".backup.json")), false);
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for the chapter search index (src/utils/search-index.js): typos, accents, stemming and highlighting.
+ *
+ * Usage:
+ *   node --test scripts/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSearchIndex, foldText, truncate } from "../src/utils/search-index.js";
+
+const chapters = [
+  {
+    id: 1,
+    title: "Museo Guggenheim Bilbao",
+    address: "Abandoibarra Etorb. 2, 48009 Bilbao",
+    content: "Museo de arte contemporáneo junto a la ría.",
+    etiquetas: { tipo: ["Museo"] },
+  },
+  {
+    id: 2,
+    title: "Universidad Politécnica de Cartagena",
+    address: "Plaza del Cronista Isidoro Valverde, 30202 Cartagena",
+    content: "Escuela de ingenieros navales y oceánicos.",
+    etiquetas: { sector: ["Ingeniería Naval"] },
+  },
+  {
+    id: 3,
+    title: "Astillero <Navantia> & Ferrol",
+    address: "Calle Taxonera s/n, 15403 Ferrol",
+    content: "Construcción de buques para la Armada. Visitas <b>guiadas</b> los sábados.",
+    etiquetas: { tipo: ["Astillero"] },
+  },
+  {
+    id: 4,
+    title: "Museo Marítimo del Cantábrico",
+    address: "39004 Santander",
+    content: "Acuario y museo del mar.",
+    etiquetas: { tipo: ["Museo"] },
+  },
+];
+
+const index = createSearchIndex(chapters);
+
+/**
+ * The ids of the chapters found for a query, best first
+ * @param {string} query - The query
+ * @returns {number[]}
+ */
+function searchIds(query) {
+  return index.search(query).map(({ chapter }) => chapter.id);
+}
+
+test("finds places despite typos", () => {
+  assert.deepEqual(searchIds("guggenhiem"), [1]);
+  assert.deepEqual(searchIds("cartajena"), [2]);
+});
+
+test("ignores accents and case", () => {
+  assert.equal(foldText("Cantábrico CÁDIZ Cataluña"), "cantabrico cadiz cataluna");
+  assert.deepEqual(searchIds("cantabrico"), [4]);
+  assert.deepEqual(searchIds("MARÍTIMO"), [4]);
+});
+
+test("matches plural and gender forms through stemming", () => {
+  assert.deepEqual(searchIds("museos").sort(), [1, 4]);
+  assert.equal(searchIds("astilleros")[0], 3);
+  assert.deepEqual(searchIds("ingeniero"), [2]);
+});
+
+test("finds nothing for words the story doesn't have", () => {
+  assert.deepEqual(searchIds("aeropuerto"), []);
+  assert.deepEqual(searchIds("de la"), []);
+});
+
+test("marks the matches and escapes the HTML of the title and snippet", () => {
+  const [navantia] = index.search("navantia");
+  assert.equal(navantia.titleHtml, "Astillero &lt;<mark>Navantia</mark>&gt; &amp; Ferrol");
+
+  const [guided] = index.search("guiadas");
+  assert.equal(guided.chapter.id, 3);
+  assert.match(guided.snippetHtml, /&lt;b&gt;<mark>guiadas<\/mark>&lt;\/b&gt;/);
+  assert.doesNotMatch(guided.snippetHtml, /<b>/);
+});
+
+test("truncates long texts at a word boundary", () => {
+  assert.equal(truncate("Museo del mar", 20), "Museo del mar");
+  assert.equal(truncate("Museo de arte contemporáneo junto a la ría", 20), "Museo de arte…");
+  assert.equal(truncate("Abandoibarraetorbidea", 10), "Abandoibar…");
+});
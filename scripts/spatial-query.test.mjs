@@ -0,0 +1,33 @@
+/**
+ * Tests for the chatbot's spatial questions (src/utils/spatial-query.js): which messages ask where places are.
+ *
+ * Usage:
+ *   node --test scripts/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSpatialQuery, answerSpatialQuery } from "../src/utils/spatial-query.js";
+
+const chapters = [
+  { id: 1, title: "Museo Naval", address: "Calle Real 1, 15401 Ferrol (A Coruña)", coords: { lat: 43.4831, lng: -8.233 }, etiquetas: { ubicacion: ["Ferrol", "Galicia"] } },
+  { id: 2, title: "Museo Guggenheim Bilbao", address: "Abandoibarra Etorb. 2, 48009 Bilbao", coords: { lat: 43.2687, lng: -2.934 }, etiquetas: { ubicacion: ["Bilbao", "País Vasco"] } },
+];
+
+test("reads near, nearest and distance questions", () => {
+  assert.equal(parseSpatialQuery("¿qué hay cerca de Vigo?", chapters)?.placeText, "vigo");
+  assert.equal(parseSpatialQuery("museums close to Bilbao", chapters)?.kind, "near");
+  assert.equal(parseSpatialQuery("centros próximos a Vigo", chapters)?.kind, "near");
+  assert.equal(parseSpatialQuery("los 3 más cercanos a Madrid", chapters)?.kind, "nearest");
+  assert.equal(parseSpatialQuery("museos a 20 km de Vigo", chapters)?.radius, 20000);
+});
+
+test("leaves opening hours questions to the intents", () => {
+  assert.equal(parseSpatialQuery("What time does the Guggenheim close on Sunday?", chapters), null);
+  assert.equal(parseSpatialQuery("¿Abre el museo naval el próximo domingo?", chapters), null);
+});
+
+test("reports a place it can't locate", () => {
+  const query = parseSpatialQuery("¿abre el domingo cerca de las 10?", chapters);
+  assert.equal(answerSpatialQuery(query, chapters).error, "unknownPlace");
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for the CSV export (src/utils/story-export.js): cells a spreadsheet would run as formulas
+ * are kept as text, and the export imports back unchanged.
+ *
+ * Usage:
+ *   node --test scripts/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../src/utils/story-export.js";
+import { importStory, parseCsv } from "../src/utils/story-import.js";
+
+const chapters = [
+  {
+    id: 1,
+    title: "=HYPERLINK(\"https://example.com\",\"Museo\")",
+    address: "@Calle Real 1, Ferrol",
+    content: "-20 % los martes, +info en taquilla",
+    cameraCoordinates: { lat: 43.4831, lng: -8.233 },
+    etiquetas: { tipo: ["Museo"] },
+  },
+];
+
+test("puts an apostrophe before formula-like text but not before numbers", () => {
+  const [header, row] = parseCsv(toCsv(chapters).replace(/^\uFEFF/, ""));
+  const cell = column => row[header.indexOf(column)];
+
+  assert.equal(cell("title"), "'=HYPERLINK(\"https://example.com\",\"Museo\")");
+  assert.equal(cell("address"), "'@Calle Real 1, Ferrol");
+  assert.equal(cell("content"), "'-20 % los martes, +info en taquilla");
+  assert.equal(cell("lng"), "-8.233");
+  assert.equal(cell("tipo"), "Museo");
+});
+
+test("imports its own CSV back without the apostrophes", () => {
+  const { story } = importStory(toCsv(chapters), { fileName: "export.csv" });
+  const [chapter] = story.chapters;
+
+  assert.equal(chapter.title, chapters[0].title);
+  assert.equal(chapter.address, chapters[0].address);
+  assert.equal(chapter.content, chapters[0].content);
+  assert.deepEqual(chapter.cameraCoordinates, { lat: 43.4831, lng: -8.233 });
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for the story import (src/utils/story-import.js): text fields come in as plain text and
+ * links only as http(s) URLs.
+ *
+ * Usage:
+ *   node --test scripts/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { importStory } from "../src/utils/story-import.js";
+
+const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark>
+    <name>Museo &amp; Faro</name>
+    <description><![CDATA[<div><b>Museo</b> del mar<br>Abierto <img src=x onerror=alert(1)>todo el año</div><script>alert(2)</script><p>&lt;script&gt;alert(3)&lt;/script&gt; fin</p>]]></description>
+    <ExtendedData>
+      <Data name="website"><value>javascript:alert(1)</value></Data>
+      <Data name="logo"><value>assets/logos/faro.png</value></Data>
+    </ExtendedData>
+    <Point><coordinates>-8.2,43.4,0</coordinates></Point>
+  </Placemark>
+</Document></kml>`;
+
+test("strips the HTML of KML descriptions", () => {
+  const { story, report } = importStory(kml, { fileName: "faros.kml" });
+  const [chapter] = story.chapters;
+
+  assert.equal(chapter.title, "Museo & Faro");
+  assert.equal(chapter.content, "Museo del mar\nAbierto todo el año\nfin");
+  assert.ok(report.warnings.some(({ message }) => message === "HTML removed from content"));
+});
+
+test("drops links that aren't http(s) and keeps relative asset paths", () => {
+  const { story, report } = importStory(kml, { fileName: "faros.kml" });
+  const [chapter] = story.chapters;
+
+  assert.equal(chapter.website, undefined);
+  assert.equal(chapter.logoUrl, "assets/logos/faro.png");
+  assert.ok(report.warnings.some(({ message }) => message.startsWith('website "javascript:alert(1)" ignored')));
+});
+
+test("keeps plain CSV text and http(s) links as they are", () => {
+  const csv = "title,website,imagen,content\nA,https://a.es,javascript:x,Tres & dos\n";
+  const { story, report } = importStory(csv, { fileName: "lugares.csv" });
+  const [chapter] = story.chapters;
+
+  assert.equal(chapter.website, "https://a.es");
+  assert.equal(chapter.content, "Tres & dos");
+  assert.equal(chapter.imageUrl, undefined);
+  assert.ok(!report.warnings.some(({ message }) => message.startsWith("HTML removed")));
+});
@@ -15,15 +15,16 @@
 import { story } from "../main.js";
 import {
   createCustomRadiusShader,
-  performFlyTo,
   removeCustomRadiusShader,
-  setSpainOverviewFromGoogleEarthExported,
-  animateEarthToSpain,
+  animateEarthToOverview,
+  flyToOverview,
 } from "../utils/cesium.js";
-import { flyToPlaceNew } from "../utils/places-new-api.js";
-import { simpleFlyToPlace } from "../utils/simple-geocoder.js";
+import { resolveCamera } from "../utils/camera-resolver.js";
+import { flyToCamera } from "../utils/camera-flight.js";
 import { setSelectedMarker, hideAllMarkers, showAllMarkers, showLocationPin } from "../utils/create-markers.js";
 import { getParams, setParams } from "../utils/params.js";
+import { getOverviewView } from "../utils/story-bounds.js";
+import { isChapterVisible, updateMarkerVisibility } from "../utils/tag-filters.js";
 import { cesiumViewer } from "../utils/cesium.js";
 import { loadSvg } from "../utils/svg.js";
 import { setTextContent } from "../utils/ui.js";
@@ -102,8 +103,11 @@ export function initChapterNavigation() {
   // Set up event listeners only if elements exist
   if (startButton) {
     startButton.addEventListener("click", () => {
-      activateNavigationElement("details");
-      updateChapter(0);
+      const firstChapterIndex = getNavigableChapterIndices()[0];
+      if (firstChapterIndex !== undefined) {
+        activateNavigationElement("details");
+        updateChapter(firstChapterIndex);
+      }
     });
   }
 
@@ -139,7 +143,7 @@ export function initChapterNavigation() {
 /**
  * Stops the autoplay chapter progression of the story.
  */
-function stopAutoplay() {
+export function stopAutoplay() {
   if (autoplayButton) {
     autoplayButton.innerHTML = PLAY_ICON;
   }
@@ -168,8 +172,8 @@ function setNextAutoplayStep() {
     setNextAutoplayStep(); // Start the next autoplay step
   }, timeoutDuration);
 
-  // If the current chapter is the last one, stop the autoplay
-  if (getCurrentChapterIndex() === story.chapters.length - 1) {
+  // If the current chapter is the last one (of the filtered chapters), stop the autoplay
+  if (getNextChapterIndex() === undefined) {
     stopAutoplay();
   }
 }
@@ -190,14 +194,35 @@ function autoplayClickHandler() {
   }
 }
 
+/**
+ * Returns the indices of the chapters that pass the active tag filters, in story order.
+ * Autoplay and next/previous only step through these chapters.
+ * @returns {number[]}
+ */
+function getNavigableChapterIndices() {
+  return story.chapters
+    .map((chapter, index) => (isChapterVisible(chapter) ? index : -1))
+    .filter(index => index !== -1);
+}
+
+/**
+ * Returns the index of the next navigable chapter after the current one
+ * @returns {number | undefined} The index, or undefined if the current chapter is the last
+ */
+function getNextChapterIndex() {
+  const currentIndex = getCurrentChapterIndex() ?? -1;
+  return getNavigableChapterIndices().find(index => index > currentIndex);
+}
+
 /**
  * Sets the previous chapter as the current chapter.
  */
 const setPreviousChapter = () => {
-  const newChapterIndex = getCurrentChapterIndex() - 1;
+  const currentIndex = getCurrentChapterIndex() ?? -1;
+  const newChapterIndex = getNavigableChapterIndices().findLast(index => index < currentIndex);
 
-  // If the new chapter index is positive, update the current chapter
-  if (newChapterIndex >= 0) {
+  // If there is a previous chapter, update the current chapter
+  if (newChapterIndex !== undefined) {
     updateChapter(newChapterIndex);
     // when going back further in the chapters, go back to teh intro
   } else {
@@ -209,11 +234,11 @@ const setPreviousChapter = () => {
  * Continues to the next chapter in the story.
  */
 const setNextChapter = () => {
-  const newChapterIndex = getCurrentChapterIndex() + 1;
+  const newChapterIndex = getNextChapterIndex();
 
-  // If the new chapter index is less than the total number of chapters, update the current chapter
+  // If there is a next chapter, update the current chapter
   // (Then did not reach end of chapters)
-  if (newChapterIndex < story.chapters.length) {
+  if (newChapterIndex !== undefined) {
     updateChapter(newChapterIndex);
   }
 };
@@ -222,7 +247,7 @@ const setNextChapter = () => {
  * Resets the application to the introductory state.
  */
 export async function resetToIntro() {
-  const { placeName, cameraStyle } = story.properties;
+  const { placeName, cameraStyle = "overview" } = story.properties;
 
   setParams("chapterId", null); // Clear the chapter parameter
   setSelectedMarker(null); // "Deselect" current marker
@@ -231,10 +256,11 @@ export async function resetToIntro() {
   activateNavigationElement("intro"); // Activate the introduction navigation
   removeCustomRadiusShader(); // Remove the custom radius shader
   showAllMarkers(); // Show all markers when returning to overview
+  updateMarkerVisibility(story.chapters); // ...except those hidden by the tag filters
 
   // ===================================================================
   // CRITICAL: Stop ALL orbit/rotation animations when returning to root page
-  // The root page (Spain overview) should NEVER have any rotation or orbit effect
+  // The root page (story overview) should NEVER have any rotation or orbit effect
   // ===================================================================
 
   // Stop location-specific orbit animation (drone orbit from places)
@@ -242,9 +268,9 @@ export async function resetToIntro() {
     window.stopOrbitAnimation();
   }
 
-  // Stop Spain overview orbit effect
-  if (window.stopSpainOrbitEffect) {
-    window.stopSpainOrbitEffect();
+  // Stop overview orbit effect
+  if (window.stopOverviewOrbit) {
+    window.stopOverviewOrbit();
   }
 
   // Also try stopping drone orbit directly (extra safety)
@@ -262,31 +288,19 @@ export async function resetToIntro() {
     console.error('Error checking clock listeners:', error);
   }
 
-  // For Spain overview, use epic Earth-to-Spain zoom animation
-  if (placeName === "Spain" && (cameraStyle === "overview" || !cameraStyle)) {
-    animateEarthToSpain();
-  } else {
+  // For the story overview (computed from the chapter bounds), use the epic Earth-to-region zoom animation
+  if (cameraStyle === "overview" && getOverviewView(story)) {
+    animateEarthToOverview();
+  } else if (placeName) {
     try {
-      // Try NEW Places API first, fallback to simple geocoder
-      try {
-        await flyToPlaceNew(placeName, cameraStyle || 'overview');
-      } catch (placesError) {
-        console.warn(`NEW Places API failed for intro ${placeName}, using simple geocoder:`, placesError);
-        await simpleFlyToPlace(placeName, cameraStyle || 'overview');
-      }
+      flyToCamera(await resolveCamera(story.properties, cameraStyle));
     } catch (error) {
       console.error(`Error returning to intro (${placeName}):`, error);
-      // Final fallback to manual camera positioning
-      performFlyTo({
-        position: Cesium.Cartesian3.fromDegrees(-3.7492, 40.4637, 2000000),
-        orientation: {
-          roll: 0,
-          pitch: -1.2,
-          heading: 0,
-        },
-        duration: FLY_TO_DURATION,
-      });
+      // Final fallback to the overview
+      flyToOverview(FLY_TO_DURATION);
     }
+  } else {
+    flyToOverview(FLY_TO_DURATION);
   }
 }
 
@@ -317,77 +331,33 @@ export async function updateChapter(chapterIndex) {
       return;
     }
 
-    let cameraConfig;
-    let flySuccessful = false;
-
-    // Try NEW Places API first, fallback to simple geocoder
-    try {
-      cameraConfig = await flyToPlaceNew(placeName, cameraStyle || 'drone-orbit');
-      flySuccessful = true;
-
-      // Show location pin at the actual location with company logo (non-blocking)
-      if (cameraConfig && cameraConfig.location) {
-        showLocationPin(
-          chapterId,
-          cameraConfig.location,
-          chapter.title,
-          chapter.logoUrl,
-          chapter.website
-        ).catch(err => {
-          console.warn('⚠️ Location pin failed to load (non-critical):', err.message);
-        });
-      }
-
-      // Update chapter with Google Place details if available
-      if (cameraConfig && cameraConfig.placeDetails) {
-        // Update content with Google's editorial summary if available
-        if (cameraConfig.placeDetails.editorialSummary) {
-          chapter.content = cameraConfig.placeDetails.editorialSummary;
-        }
-
-        // Use local imageUrl from config.json
-        // Google Photo API has been removed to save costs
+    // A view written with its own heading or pitch (e.g. captured in the story editor) stays where it
+    // was framed, unless the chapter asks for the orbit
+    const hasFixedView = ['heading', 'pitch'].some(key => Number.isFinite(chapter.cameraCoordinates?.[key]));
+    const cameraConfig = flyToCamera(await resolveCamera(chapter, cameraStyle || (hasFixedView ? 'static' : 'drone-orbit')));
+
+    // Show location pin at the actual location with company logo (non-blocking)
+    showLocationPin(
+      chapterId,
+      cameraConfig.location,
+      chapter.title,
+      chapter.logoUrl,
+      chapter.website
+    ).catch(err => {
+      console.warn('⚠️ Location pin failed to load (non-critical):', err.message);
+    });
 
-        // Update chapter details in UI
-        updateChapterContent(chapter, false);
-      }
-    } catch (placesError) {
-      // Fallback to simple geocoder
-      try {
-        cameraConfig = await simpleFlyToPlace(placeName, cameraStyle || 'drone-orbit');
-        flySuccessful = true;
-
-        // Show location pin at the actual location with company logo (non-blocking)
-        if (cameraConfig && cameraConfig.location) {
-          showLocationPin(
-            chapterId,
-            cameraConfig.location,
-            chapter.title,
-            chapter.logoUrl,
-            chapter.website
-          ).catch(err => {
-            console.warn('⚠️ Location pin failed to load (non-critical):', err.message);
-          });
-        }
-      } catch (geocoderError) {
-        console.error(`❌ Both APIs failed for ${placeName}:`, geocoderError);
-        flySuccessful = false;
-      }
+    // Update content with Google's editorial summary if the Places API resolved the place
+    // (the story config is frozen, so render a copy instead of mutating the chapter)
+    const editorialSummary = cameraConfig.placeDetails?.editorialSummary;
+    if (editorialSummary) {
+      updateChapterContent({ ...chapter, content: editorialSummary }, false);
     }
 
-    if (!flySuccessful) {
-      console.error(`❌ Camera navigation failed for ${placeName}`);
-    }
-    
     // Handle focus options after camera is positioned
     if (hasFocus) {
       const radius = story.chapters[chapterIndex].focusOptions.focusRadius;
-      // Convert lat/lng from cameraConfig to coords format for shader
-      const coords = {
-        lat: cameraConfig.location.lat(),
-        lng: cameraConfig.location.lng()
-      };
-      createCustomRadiusShader(coords, radius); // Create the custom radius shader
+      createCustomRadiusShader(cameraConfig.location, radius); // Create the custom radius shader
     } else {
       removeCustomRadiusShader(); // Remove the custom radius shader
     }
@@ -434,21 +404,22 @@ export function getChapterIndexFromId(chapterId) {
  * the forward button (if the current chapter is the last).
  */
 export function updateDetailsNavigation() {
-  // Update chapter index
-  const chapterIndex = getCurrentChapterIndex() + 1;
+  // Update chapter index (the position among the filtered chapters)
+  const navigableIndices = getNavigableChapterIndices();
+  const chapterIndex = navigableIndices.indexOf(getCurrentChapterIndex()) + 1;
 
   // Displays the current chapter index if element exists
   if (detailNavigation) {
     const chapterIndexElement = detailNavigation.querySelector("#chapter-index");
     if (chapterIndexElement) {
-      chapterIndexElement.textContent = `${chapterIndex} / ${story.chapters.length}`;
+      chapterIndexElement.textContent = `${chapterIndex} / ${navigableIndices.length}`;
     }
   }
 
   // If the last chapter is reached, disable the forward button
   // Check if the current chapter is the last chapter
   if (forwardButton) {
-    if (chapterIndex === story.chapters.length) {
+    if (getNextChapterIndex() === undefined) {
       // Disable the forward button
       forwardButton.disabled = true;
     } else {
@@ -522,13 +493,14 @@ function updateLegacyContent(chapter, isIntro) {
  * Updates the chapter index display and the state of the forward navigation button.
  */
 function updateChapterIndexAndNavigation() {
-  const chapterIndex = getCurrentChapterIndex();
-  const chapterIndexDisplay = `${chapterIndex + 1} / ${story.chapters.length}`;
+  const navigableIndices = getNavigableChapterIndices();
+  const chapterIndex = navigableIndices.indexOf(getCurrentChapterIndex());
+  const chapterIndexDisplay = `${chapterIndex + 1} / ${navigableIndices.length}`;
   setTextContent("#chapter-index", chapterIndexDisplay);
 
   // Update forward button state if it exists
   if (forwardButton) {
-    forwardButton.disabled = chapterIndex + 1 === story.chapters.length;
+    forwardButton.disabled = getNextChapterIndex() === undefined;
   }
 }
 
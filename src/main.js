@@ -1,37 +1,117 @@
-import { initCesiumViewer, cesiumViewer, getTileset } from "./utils/cesium.js";
-import { loadConfig } from "./utils/config.js";
-import createMarkers from "./utils/create-markers.js";
+import { initCesiumViewer, cesiumViewer, getTileset, getCameraCoordinates } from "./utils/cesium.js";
+import { loadConfig, deepFreeze } from "./utils/config.js";
+import createMarkers, { clearMarkers } from "./utils/create-markers.js";
 import { initGoogleMaps } from "./utils/places.js";
-import { initChapterNavigation, updateChapter, resetToIntro, getCurrentChapterIndex } from "./chapters/chapter-navigation.js";
-import { initGoogleMapsServicesNew, resolvePlaceToCameraNew } from "./utils/places-new-api.js";
-import { simpleGeocodeToCamera } from "./utils/simple-geocoder.js";
+import { initChapterNavigation, updateChapter, resetToIntro, getCurrentChapterIndex, getChapterIndexFromId, stopAutoplay } from "./chapters/chapter-navigation.js";
+import { initPlacesProvider, getPlaceDetails } from "./utils/camera-providers.js";
+import { resolveCamera } from "./utils/camera-resolver.js";
 import { initChatbot } from "./utils/chatbot.js";
+import { initPlaceSearch } from "./utils/place-search.js";
 import { loadingManager } from "./utils/loading-manager.js";
 import { preloadChapterImages } from "./utils/image-preloader.js";
 import { detectAndConfigurePerformance } from "./utils/performance-settings.js";
 import { initIdleFrameManager } from "./utils/idle-frame-manager.js";
+import { getParams, setParams } from "./utils/params.js";
+import { getChapterLocation } from "./utils/chapter-location.js";
+import {
+  initI18n,
+  t,
+  getLocale,
+  setLocale,
+  setStoryDefaultLocale,
+  localizeStory,
+  localizeValue,
+  initLanguageSwitcher,
+  updateLanguageSwitcher,
+} from "./utils/i18n.js";
+import { applyFilters, clearFilters, isChapterVisible, toggleFilterPanel } from "./utils/tag-filters.js";
+import { downloadStoryExport } from "./utils/story-export.js";
+import { escapeHtml } from "./utils/search-index.js";
+import {
+  loadStoryCatalog,
+  resolveStoryConfigUrl,
+  renderStoryCatalog,
+  showStoryCatalog,
+  hideStoryCatalog,
+} from "./utils/story-catalog.js";
 // import { initFreezeModeManager, freezeAtLocation } from "./utils/freeze-mode-manager.js"; // DISABLED - causing tile thrashing
 
 /**
- * The story configuration object
+ * The config loaded when there is neither a `story` parameter nor a story catalog
+ * @readonly
+ */
+const DEFAULT_CONFIG_URL = "./config.json";
+
+// Messages must be available before anything (including load errors) is shown
+await initI18n();
+
+/**
+ * The optional story catalog, listing the stories that can be selected on the landing page
+ */
+const storyCatalog = await loadStoryCatalog("./stories.json");
+
+/**
+ * The id of the loaded story (a catalog id or a config path), null for the default config
+ * @type {string | null}
+ */
+const defaultStoryId = storyCatalog ? storyCatalog.defaultStory || storyCatalog.stories[0].id : null;
+let activeStoryId = getParams().get("story") || defaultStoryId;
+
+if (activeStoryId && !resolveStoryConfigUrl(storyCatalog, activeStoryId)) {
+  console.warn(`⚠️ Unknown story "${activeStoryId}", loading the default story instead`);
+  activeStoryId = defaultStoryId;
+}
+
+/**
+ * The story configuration as loaded, with every translation of its localized fields
  * @type {Story}
  */
-export const story = await loadConfig("./config.json");
-const { chapters } = story;
+let rawStory = await loadConfig(resolveStoryConfigUrl(storyCatalog, activeStoryId) || DEFAULT_CONFIG_URL).catch((error) => {
+  console.error('🚨 Failed to load story configuration:', error);
+  loadingManager.showError(t('errors.storyLoad'), error);
+  throw error;
+});
+
+await setStoryDefaultLocale(rawStory.properties.defaultLanguage);
+
+/**
+ * The story configuration object in the current locale.
+ * Reassigned by `switchStory` and on language change, importers see the new story through the live binding.
+ * @type {Story}
+ */
+export let story = localizeStory(rawStory);
+
+/**
+ * Camera configuration and Google place details resolved per chapter id.
+ * Kept outside the story because the loaded config is deep-frozen.
+ * @type {Map<number|string, {cameraConfig: Object|null, placeDetails: Object|null}>}
+ */
+const chapterDetails = new Map();
+
+/**
+ * Google place details of a chapter, for the chatbot's practical questions.
+ * Looked up by place name: the camera of most chapters comes from the config, without the Places API.
+ * @param {number|string} chapterId - The chapter id
+ * @returns {Promise<Object|null>}
+ */
+async function loadChapterPlaceDetails(chapterId) {
+  const chapter = story.chapters.find(ch => ch.id === chapterId);
+  return chapter ? getPlaceDetails(chapter.placeName || chapter.address) : null;
+}
 
 /**
  * Load detailed data for a specific chapter when needed
  * This only runs when user clicks on a place
  */
 async function loadChapterDetails(chapterId) {
-  const chapter = chapters.find(ch => ch.id === chapterId);
+  const chapter = story.chapters.find(ch => ch.id === chapterId);
   if (!chapter) {
     console.error(`🚨 Chapter not found for ID: ${chapterId}`);
     return null;
   }
   
-  if (chapter.detailsLoaded) {
-    return chapter;
+  if (chapterDetails.has(chapterId)) {
+    return chapterDetails.get(chapterId);
   }
 
   try {
@@ -41,43 +121,25 @@ async function loadChapterDetails(chapterId) {
       console.warn('⚠️ Google Maps API not loaded yet, loading now...');
       if (!window.googleMapsLoaded) {
         await initGoogleMaps();
-        initGoogleMapsServicesNew();
+        initPlacesProvider();
         window.googleMapsLoaded = true;
       }
     }
 
-    let cameraConfig;
-
-    // Try NEW Places API first, fallback to simple geocoder
-    try {
-      cameraConfig = await resolvePlaceToCameraNew(chapter.placeName, chapter.cameraStyle || 'static');
-    } catch (placesError) {
-      console.warn(`⚠️ NEW Places API failed for ${chapter.title}, trying simple geocoder...`);
-      cameraConfig = await simpleGeocodeToCamera(chapter.placeName, chapter.cameraStyle || 'static');
-    }
+    const cameraConfig = await resolveCamera(chapter, chapter.cameraStyle || 'static');
 
     // Store camera configuration and place details
-    if (cameraConfig) {
-      chapter.cameraConfig = cameraConfig;
-
-      if (cameraConfig.placeDetails) {
-        chapter.placeDetails = cameraConfig.placeDetails;
-
-        // Optionally update content with Google's editorial summary
-        if (cameraConfig.placeDetails.editorialSummary && !chapter.content) {
-          chapter.content = cameraConfig.placeDetails.editorialSummary;
-        }
-      }
-    }
-
-    chapter.detailsLoaded = true;
+    chapterDetails.set(chapterId, {
+      cameraConfig: cameraConfig || null,
+      placeDetails: cameraConfig?.placeDetails || null
+    });
     
   } catch (error) {
     console.error(`💥 FAILED to load details for ${chapter.title}:`, error);
     console.trace('Error stack:');
   }
   
-  return chapter;
+  return chapterDetails.get(chapterId) || null;
 }
 
 /**
@@ -110,7 +172,7 @@ async function main() {
     loadingManager.startStage('INIT');
 
     // Detect device and network capabilities FIRST for adaptive optimization
-    loadingManager.updateStage('INIT', 0.2, 'Detectando red y dispositivo...');
+    loadingManager.updateStage('INIT', 0.2, t('loading.detectingNetwork'));
     const performanceSettings = await detectAndConfigurePerformance();
 
     // Store globally for other modules to access
@@ -119,7 +181,7 @@ async function main() {
     // Show network warning ONLY if slow (minimal, professional)
     const isSlow = performanceSettings.networkSpeed === 'slow';
     if (isSlow) {
-      loadingManager.showNetworkStatus('Conexión lenta - Optimizando rendimiento');
+      loadingManager.showNetworkStatus(t('loading.slowNetwork'));
     }
     loadingManager.updateStage('INIT', 0.4, `${performanceSettings.description}`);
 
@@ -127,7 +189,7 @@ async function main() {
     initializeNewUI();
 
     // Initialize Cesium with adaptive performance settings
-    loadingManager.updateStage('INIT', 0.6, 'Inicializando visor 3D...');
+    loadingManager.updateStage('INIT', 0.6, t('loading.stage.init'));
     await initCesiumViewer(performanceSettings);
 
     loadingManager.completeStage('INIT');
@@ -136,7 +198,7 @@ async function main() {
     // STAGE 2: PRELOAD IMAGES (15-40%)
     // ==========================================
     // Preload all chapter images in batches (adaptive batch size based on network)
-    await preloadChapterImages(chapters, performanceSettings.imageBatchSize);
+    await preloadChapterImages(story.chapters, performanceSettings.imageBatchSize);
 
     // ==========================================
     // STAGE 3: CREATE MARKERS (40-70%)
@@ -144,7 +206,7 @@ async function main() {
     loadingManager.startStage('LOCATIONS');
 
     // Create unified markers using the advanced marker system
-    await createMarkers(chapters);
+    await createMarkers(story.chapters);
 
     loadingManager.completeStage('LOCATIONS');
 
@@ -157,7 +219,13 @@ async function main() {
     initChapterNavigation();
 
     // Initialize the chatbot with story data
-    initChatbot(story);
+    initChatbot(story, { loadPlaceDetails: loadChapterPlaceDetails });
+
+    // The search box reads the current story, so it follows story and language switches
+    initPlaceSearch({
+      getChapters: () => story.chapters,
+      onSelect: (chapterId) => window.navigateToChapter(chapterId)
+    });
 
     loadingManager.completeStage('CONTENT');
 
@@ -178,12 +246,12 @@ async function main() {
       if (typeof google === 'undefined' || !google.maps) {
         console.log('📍 Loading Google Maps API...');
         await initGoogleMaps();
-        initGoogleMapsServicesNew();
+        initPlacesProvider();
         window.googleMapsLoaded = true;
         console.log('✅ Google Maps API loaded successfully');
       } else {
         console.log('✅ Google Maps API already available');
-        initGoogleMapsServicesNew();
+        initPlacesProvider();
         window.googleMapsLoaded = true;
       }
     } catch (error) {
@@ -247,16 +315,59 @@ function initializeNewUI() {
   
   isUIInitialized = true;
 
-  // Clear any existing content to prevent duplicates
-  const placesList = document.getElementById('places-list');
-  if (placesList.children.length > 0) {
-    console.warn('⚠️ PLACES LIST ALREADY HAS CONTENT, CLEARING...');
-    placesList.innerHTML = '';
+  renderPlacesList();
+
+  // Initialize bottom sheet to minimized state
+  const bottomSheet = document.getElementById('bottom-sheet');
+  if (bottomSheet) {
+    bottomSheet.classList.add('minimized');
   }
 
+  // Initialize orbit pause button state on mobile
+  if (isMobile && isOrbitPaused) {
+    const pauseBtn = document.getElementById('orbit-pause-btn');
+    const pauseIcon = document.getElementById('pause-icon');
+    const playIcon = document.getElementById('play-icon');
+
+    if (pauseBtn) {
+      pauseBtn.classList.add('paused');
+      pauseIcon.style.display = 'none';
+      playIcon.style.display = 'block';
+    }
+  }
+}
+
+/**
+ * Get the label of the story overview card: the story's `introLabel`, or a generic label
+ * @returns {string}
+ */
+function getIntroLabel() {
+  return story.properties.introLabel || t('places.intro');
+}
+
+/**
+ * Show the story's overview label as the loading screen title
+ */
+function showLoadingTitle() {
+  const loadingText = document.querySelector('.loading-text');
+  if (loadingText) {
+    loadingText.textContent = getIntroLabel();
+  }
+}
+
+/**
+ * Render the places list in the top navigation for the current story.
+ * Called on startup and again whenever another story is loaded or the language changes.
+ */
+function renderPlacesList() {
+  // Clear any existing content (e.g. the places of the previous story)
+  const placesList = document.getElementById('places-list');
+  placesList.innerHTML = '';
+
   const chapters = story.chapters;
+  const introLabel = getIntroLabel();
   
-  // Add intro card for "Explorar España"
+  // Add intro card (the story overview)
   const introCard = document.createElement('div');
   introCard.className = 'place-card intro-card';
   introCard.dataset.chapterId = 'intro';
@@ -274,14 +385,14 @@ function initializeNewUI() {
   
   // Add intro image
   const introImg = document.createElement('img');
-  introImg.src = story.properties.imageUrl || 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="140" height="60" viewBox="0 0 140 60"><rect width="140" height="60" fill="%233b82f6"/><text x="70" y="35" text-anchor="middle" fill="white" font-family="Arial" font-size="12">Explorar España</text></svg>';
-  introImg.alt = 'Explorar España';
+  introImg.src = story.properties.imageUrl || `data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="140" height="60" viewBox="0 0 140 60"><rect width="140" height="60" fill="%233b82f6"/><text x="70" y="35" text-anchor="middle" fill="white" font-family="Arial" font-size="12">${encodeURIComponent(introLabel)}</text></svg>`;
+  introImg.alt = introLabel;
   introCard.appendChild(introImg);
   
   // Add intro title
   const introTitle = document.createElement('div');
   introTitle.className = 'place-card-title';
-  introTitle.textContent = 'Explorar España';
+  introTitle.textContent = introLabel;
   introCard.appendChild(introTitle);
 
 
@@ -355,29 +466,218 @@ function initializeNewUI() {
     placesList.appendChild(placeCard);
   });
 
-  // Initialize bottom sheet to minimized state
-  const bottomSheet = document.getElementById('bottom-sheet');
-  if (bottomSheet) {
-    bottomSheet.classList.add('minimized');
+  // Trim the list to the active tag filters
+  applyFilters(chapters);
+
+  // Initialize scroll button states
+  setTimeout(() => updateScrollButtons(), 100);
+}
+
+/* ============================================
+ * STORY SWITCHING
+ * ============================================ */
+
+let isSwitchingStory = false;
+
+/**
+ * Show another story config: the markers, places list and chatbot of the current story are rebuilt
+ * @param {Story} nextRawStory - The story config, with every translation of its localized fields
+ */
+async function showStory(nextRawStory) {
+  await setStoryDefaultLocale(nextRawStory.properties.defaultLanguage);
+
+  // Tear down everything that belongs to the previous story
+  stopAutoplay();
+  clearMarkers();
+  chapterDetails.clear();
+
+  rawStory = nextRawStory;
+  story = localizeStory(rawStory);
+  showLoadingTitle();
+
+  renderPlacesList();
+  await createMarkers(story.chapters);
+  initChatbot(story, { loadPlaceDetails: loadChapterPlaceDetails });
+}
+
+/**
+ * Load another story and rebuild markers, places list and chatbot without a page reload
+ * @param {string} storyId - A story catalog id or a relative path to a config file
+ */
+async function switchStory(storyId) {
+  if (isSwitchingStory || storyId === activeStoryId) {
+    return;
   }
 
-  // Initialize orbit pause button state on mobile
-  if (isMobile && isOrbitPaused) {
-    const pauseBtn = document.getElementById('orbit-pause-btn');
-    const pauseIcon = document.getElementById('pause-icon');
-    const playIcon = document.getElementById('play-icon');
+  const configUrl = resolveStoryConfigUrl(storyCatalog, storyId);
+  if (!configUrl) {
+    console.warn(`⚠️ Unknown story "${storyId}", keeping the current story`);
+    return;
+  }
 
-    if (pauseBtn) {
-      pauseBtn.classList.add('paused');
-      pauseIcon.style.display = 'none';
-      playIcon.style.display = 'block';
-    }
+  isSwitchingStory = true;
+
+  try {
+    await showStory(await loadConfig(configUrl));
+    activeStoryId = storyId;
+    resetToIntro();
+
+    // Hide the error screen in case a previous switch failed
+    loadingManager.complete();
+    console.log(`✅ Switched to story "${story.properties.title}"`);
+  } catch (error) {
+    console.error(`🚨 Failed to switch to story "${storyId}":`, error);
+    loadingManager.showError(t('errors.storyLoad'), error);
+  } finally {
+    isSwitchingStory = false;
+  }
+}
+
+/**
+ * Initialize the story landing page if the catalog lists more than one story.
+ * The landing page opens on startup only when the URL asks for no story nor chapter and the catalog has no default story.
+ */
+function initStoryCatalog() {
+  if (!storyCatalog || storyCatalog.stories.length < 2) {
+    return;
+  }
+
+  const storiesButton = document.getElementById('stories-btn');
+  if (storiesButton) {
+    storiesButton.style.display = 'flex';
+  }
+
+  // Only a visit that is not headed anywhere starts on the landing page: a chapter link or a
+  // catalog with a default story opens the story
+  const params = getParams();
+  if (!params.has('story') && !params.has('chapterId') && !storyCatalog.defaultStory) {
+    window.showStoryCatalog();
+  }
+}
+
+/**
+ * Show the story landing page
+ */
+window.showStoryCatalog = function() {
+  renderStoryCatalog(storyCatalog, activeStoryId, (storyId) => {
+    hideStoryCatalog();
+    // The hashchange listener loads the selected story
+    setParams('story', storyId);
+  });
+  showStoryCatalog();
+};
+
+window.hideStoryCatalog = hideStoryCatalog;
+
+/* ============================================
+ * STORY EDITOR
+ * ============================================ */
+
+/**
+ * Show a chapter of the displayed story, or the story overview
+ * @param {number|string|null} chapterId - The chapter, null (or an id not in the story) for the overview
+ */
+async function showChapterOrOverview(chapterId) {
+  if (chapterId !== null && getChapterIndexFromId(chapterId) >= 0) {
+    await window.navigateToChapter(chapterId);
+  } else {
+    setActivePlace('intro');
+    await resetToIntro();
+  }
+}
+
+/**
+ * Show an edited story in the viewer, then the chapter being edited (or the overview)
+ * @param {Story} editedStory - The story from the editor; it is copied, so the editor can keep changing it
+ * @param {number|string|null} chapterId - The chapter being edited, null while editing the story properties
+ */
+async function previewStory(editedStory, chapterId) {
+  await showStory(deepFreeze(structuredClone(editedStory)));
+  await showChapterOrOverview(chapterId);
+}
+
+/**
+ * Open the story editor when the URL has an `edit` parameter (e.g. `#edit=1`).
+ * The editor is part of the admin build only (build_admin.sh copies demo/src to ./demo).
+ */
+async function initStoryEditorIfRequested() {
+  if (!getParams().has('edit')) {
+    return;
+  }
+
+  try {
+    const { initStoryEditor } = await import('./demo/story-editor.js');
+    await initStoryEditor(rawStory, {
+      preview: previewStory,
+      showChapter: showChapterOrOverview,
+      captureView: getCameraCoordinates,
+      storyKey: activeStoryId || DEFAULT_CONFIG_URL,
+    });
+  } catch (error) {
+    console.warn('⚠️ The story editor is not available in this build:', error.message);
   }
-  
-  // Initialize scroll button states
-  setTimeout(() => updateScrollButtons(), 100);
 }
 
+/**
+ * Switch the UI and the story content to another language, keeping the current view
+ * @param {string} locale - The new locale
+ */
+async function switchLocale(locale) {
+  await setLocale(locale);
+  updateLanguageSwitcher();
+
+  story = localizeStory(rawStory);
+  showLoadingTitle();
+  renderPlacesList();
+  initChatbot(story, { loadPlaceDetails: loadChapterPlaceDetails });
+
+  if (storyCatalog && !document.getElementById('story-catalog')?.classList.contains('hidden')) {
+    window.showStoryCatalog();
+  }
+
+  // Re-render the bottom sheet for the chapter being viewed (or the intro)
+  const chapterIndex = getCurrentChapterIndex();
+  const chapter = chapterIndex !== null && chapterIndex >= 0 ? story.chapters[chapterIndex] : null;
+  if (chapter) {
+    updateTabContent(chapter, false);
+    setActivePlace(chapter.id);
+  } else {
+    updateTabContent(story.properties, true);
+    setActivePlace('intro');
+  }
+
+  console.log(`🌐 Language switched to "${locale}"`);
+}
+
+window.toggleFilterPanel = toggleFilterPanel;
+window.clearFilters = clearFilters;
+
+/**
+ * Download the places that pass the active tag filters, in the current language
+ * @param {"geojson"|"kml"|"csv"} format - The export format
+ */
+window.exportStory = function(format) {
+  downloadStoryExport(story.chapters.filter(isChapterVisible), format, story.properties.title);
+};
+
+// React to `story`, `lang` and tag filter parameter changes (links, language switcher, filter panel, back/forward navigation)
+window.addEventListener('hashchange', () => {
+  const params = getParams();
+
+  applyFilters(story.chapters);
+  setTimeout(() => updateScrollButtons(), 100);
+
+  const storyId = params.get('story');
+  if (storyId && storyId !== activeStoryId) {
+    switchStory(storyId);
+  }
+
+  const locale = params.get('lang');
+  if (locale && locale !== getLocale()) {
+    switchLocale(locale);
+  }
+});
+
 /**
  * Set active place in top navigation
  */
@@ -401,7 +701,7 @@ window.setActivePlace = function(chapterId) {
 };
 
 /**
- * Go to home/root page (Spain overview)
+ * Go to home/root page (story overview)
  * Called by home button and IEE logo click
  */
 window.goToHome = function() {
@@ -495,8 +795,8 @@ window.toggleOrbitPause = function() {
       window.stopOrbitAnimation();
       orbitStopped = true;
     }
-    if (window.stopSpainOrbitEffect) {
-      window.stopSpainOrbitEffect();
+    if (window.stopOverviewOrbit) {
+      window.stopOverviewOrbit();
       orbitStopped = true;
     }
     if (!orbitStopped) {
@@ -522,8 +822,10 @@ window.toggleOrbitPause = function() {
 
         // Check if we should restart an orbit animation
         if (chapter.cameraStyle === 'drone-orbit' && window.startOrbitAnimation) {
-          const coords = chapter.cameraConfig?.coordinates || { lat: 40.4168, lng: -3.7038 };
-          window.startOrbitAnimation(coords);
+          const coords = chapterDetails.get(chapter.id)?.cameraConfig?.location || getChapterLocation(chapter);
+          if (coords) {
+            window.startOrbitAnimation(coords);
+          }
         }
       }
     } catch (error) {
@@ -890,101 +1192,6 @@ function extractUrls(content) {
   return matches || [];
 }
 
-/**
- * Enhanced location data with real information
- */
-const enhancedLocationData = {
-  1: { // Fundación Exponav
-    openingHours: "Consultar horarios en el sitio web oficial. Visitas concertadas disponibles",
-    ticketInfo: "Entrada gratuita. Visitas guiadas disponibles previa cita. Centro educativo especializado",
-    address: "Edificio Herrerías, Cantón de Molins s/n, 15490 Ferrol (A Coruña)",
-    officialLinks: [
-      { url: "https://exponav.org/", title: "Fundación Exponav", description: "Museo de Construcción Naval - Sitio oficial" }
-    ]
-  },
-  2: { // Fundación Excelem
-    openingHours: "Lunes a viernes horario comercial. Consultar para actividades específicas",
-    ticketInfo: "Centro de formación y robótica. Participación en concursos y actividades STEAM",
-    address: "Polígono Industrial Oeste, Calle Perú, 5, 30820 Alcantarilla, Murcia",
-    officialLinks: [
-      { url: "https://excelem.org/", title: "Fundación Excelem", description: "Ecosistema de Robótica y Automatización" }
-    ]
-  },
-  3: { // MUCAIN
-    openingHours: "Museo virtual disponible 24/7 online. Consultar eventos presenciales",
-    ticketInfo: "Acceso gratuito al museo virtual. Contenido audiovisual educativo de alta calidad",
-    address: "Plaza de la Catedral, 11005 Cádiz",
-    officialLinks: [
-      { url: "https://mucain.com/", title: "MUCAIN", description: "Museo Virtual de la Carrera de Indias" }
-    ]
-  },
-  4: { // Museo Histórico Minero UPM
-    openingHours: "Visitas concertadas. Consultar en la ETS de Ingenieros de Minas y Energía",
-    ticketInfo: "Entrada gratuita con visita guiada. Más de 10,000 minerales, fósiles e instrumentos históricos",
-    address: "C. de Ríos Rosas, 21, 28003 Madrid",
-    officialLinks: [
-      { url: "https://minasyenergia.upm.es/museo/", title: "Museo Histórico-Minero UPM", description: "Universidad Politécnica de Madrid" }
-    ]
-  },
-  5: { // Sagrada Familia
-    openingHours: "Nov-Feb: Lun-Sáb 9:00-18:00, Dom 10:30-18:00. Mar-Oct: Lun-Vie 9:00-19:00, Sáb 9:00-18:00, Dom 10:30-19:00. Abr-Sep: Lun-Vie 9:00-20:00, Sáb 9:00-18:00, Dom 10:30-20:00",
-    ticketInfo: "Niños menores de 10 años: gratis. Audioguía incluida en app oficial (19 idiomas). Cancelaciones hasta 48h antes.",
-    address: "C/ Mallorca, 401, 08013 Barcelona",
-    officialLinks: [
-      { url: "https://sagradafamilia.org/", title: "Sagrada Família - Sitio Oficial", description: "Web oficial para compra de entradas sin comisiones" }
-    ]
-  },
-  6: { // Prado Museum
-    openingHours: "Lun-Sáb: 10:00-20:00. Dom y festivos: 10:00-19:00. Entrada gratuita: Lun-Sáb 18:00-20:00, Dom 17:00-19:00",
-    ticketInfo: "Entrada general: 18-20€. Con audioguía: 22-26€. Pase Triángulo del Arte (Prado + Reina Sofía + Thyssen): 40-60€",
-    address: "C/ Ruiz de Alarcón, 23, 28014 Madrid",
-    officialLinks: [
-      { url: "https://www.museodelprado.es/", title: "Museo Nacional del Prado", description: "Sitio web oficial del museo" }
-    ]
-  },
-  7: { // Park Güell
-    openingHours: "9:30-19:30 (Jul-Ago: 9:00-19:30). BON DIA BARCELONA: 7:00-9:30 solo residentes",
-    ticketInfo: "Adultos: 10-18€. Niños 7-12 años: 7-13.50€. Menores de 7 años: gratis. Compra anticipada obligatoria",
-    address: "08024 Barcelona",
-    officialLinks: [
-      { url: "https://parkguell.barcelona/", title: "Park Güell - Sitio Oficial", description: "Web oficial del parque diseñado por Gaudí" }
-    ]
-  },
-  8: { // Alhambra
-    openingHours: "Temporada alta (Abr-Oct): 8:30-20:00. Temporada baja: 8:30-18:00. Cerrado 25 Dic y 1 Ene",
-    ticketInfo: "Entrada general diurna, jardines y visitas nocturnas. Reserva hasta 1 año antes. Entrada 1h antes del cierre",
-    address: "C/ Real de la Alhambra, s/n, 18009 Granada",
-    officialLinks: [
-      { url: "https://www.alhambra.org/", title: "Alhambra y Generalife", description: "Portal oficial de la Alhambra de Granada" }
-    ]
-  },
-  10: { // Guggenheim
-    openingHours: "Consultar horarios especiales y días cerrados en el sitio oficial. Cerrado 25 Dic y 1 Ene",
-    ticketInfo: "Descuentos especiales último día de cada exposición (50% desde las 16:00). Precios variables según visitante",
-    address: "Abandoibarra Etorb., 2, 48009 Bilbao, Bizkaia",
-    officialLinks: [
-      { url: "https://www.guggenheim-bilbao.eus/", title: "Museo Guggenheim Bilbao", description: "Sitio web oficial del museo" }
-    ]
-  },
-  11: { // Royal Palace
-    openingHours: "Consultar horarios en el sitio oficial. Cerrado días especiales. Entrada gratuita UE: últimas 2 horas",
-    ticketInfo: "Entrada gratuita ciudadanos UE: Lun-Jue últimas 2 horas. Skip-the-line disponible. Llegada recomendada 8:00",
-    address: "C. de Bailén, s/n, 28071 Madrid",
-    officialLinks: [
-      { url: "https://tickets.patrimonionacional.es/", title: "Patrimonio Nacional", description: "Venta oficial de entradas al Palacio Real" }
-    ]
-  },
-  12: { // Santiago Cathedral
-    openingHours: "Basílica: 7:00-21:00. Museo: 10:00-20:00. Oficina del Peregrino: 9:00-19:00",
-    ticketInfo: "Entrada libre a la basílica. Museo con entrada. Botafumeiro bajo petición. Compostela para peregrinos",
-    address: "Praza do Obradoiro, s/n, 15705 Santiago de Compostela, A Coruña",
-    officialLinks: [
-      { url: "https://catedraldesantiago.es/", title: "Catedral de Santiago", description: "Sitio web oficial de la Catedral" },
-      { url: "https://oficinadelperegrino.com/", title: "Oficina del Peregrino", description: "Información oficial para peregrinos" }
-    ]
-  }
-};
-
 /**
  * Populate the information tab
  */
@@ -998,40 +1205,72 @@ function populateInfoTab(chapter, isIntro = false) {
   // Address/Location
   const addressElement = document.querySelector('.place-address');
   if (addressElement) {
-    let address = chapter.address || chapter.placeName || 'Ubicación no disponible';
-
-    // Use enhanced data if available
-    const enhanced = enhancedLocationData[chapter.id];
-    if (enhanced && enhanced.address) {
-      address = enhanced.address;
-    }
-
+    const address = chapter.address || chapter.placeName || t('info.addressUnavailable');
     addressElement.textContent = address;
   }
 
   // Date/Period
   const dateElement = document.querySelector('.place-date');
   if (dateElement) {
-    const date = isIntro ? chapter.date : (chapter.dateTime || 'Fecha no disponible');
+    const date = isIntro ? chapter.date : (chapter.dateTime || t('info.dateUnavailable'));
     dateElement.textContent = date;
   }
 
   // Description - Enhanced with real information
   const descriptionElement = document.querySelector('.place-description');
   if (descriptionElement) {
-    let description = isIntro ? chapter.description : (chapter.content || 'Descripción no disponible');
+    let description = isIntro ? chapter.description : (chapter.content || t('info.descriptionUnavailable'));
 
-    // Add enhanced information for specific locations
-    const enhanced = enhancedLocationData[chapter.id];
-    if (enhanced) {
-      description += `\n\nDIRECCIÓN:\n${enhanced.address}\n\nHORARIOS DE APERTURA:\n${enhanced.openingHours}\n\nINFORMACIÓN DE ENTRADAS:\n${enhanced.ticketInfo}`;
+    // Add visitor information from the chapter config when available
+    if (!isIntro && (chapter.openingHours || chapter.ticketInfo)) {
+      if (chapter.address) {
+        description += `\n\n${t('info.address')}:\n${chapter.address}`;
+      }
+      if (chapter.openingHours) {
+        description += `\n\n${t('info.openingHours')}:\n${chapter.openingHours}`;
+      }
+      if (chapter.ticketInfo) {
+        description += `\n\n${t('info.ticketInfo')}:\n${chapter.ticketInfo}`;
+      }
     }
 
-    // Format the text properly with line breaks
-    descriptionElement.innerHTML = description.replace(/\n/g, '<br>');
+    // Format the text properly with line breaks, as text: imported stories can carry markup
+    descriptionElement.innerHTML = escapeHtml(description).replace(/\n/g, '<br>');
   }
 }
 
+/**
+ * Create an item of the links tab, with its title and description as text
+ * @param {string} url - The link URL
+ * @param {string} title - The title
+ * @param {string} description - The description
+ * @returns {HTMLAnchorElement}
+ */
+function createLinkItem(url, title, description) {
+  const linkElement = document.createElement('a');
+  linkElement.href = url;
+  linkElement.target = '_blank';
+  linkElement.className = 'link-item';
+  linkElement.innerHTML = `
+    <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+      <path d="M18 13V6A2 2 0 0 0 16 4H4A2 2 0 0 0 2 6V18C2 19.1 2.9 20 4 20H20A2 2 0 0 0 22 18V8H18" stroke="currentColor" stroke-width="2"/>
+      <path d="M15 3H21V9M10 14L21 3" stroke="currentColor" stroke-width="2"/>
+    </svg>
+  `;
+
+  const text = document.createElement('div');
+  const titleElement = document.createElement('span');
+  titleElement.className = 'link-title';
+  titleElement.textContent = title;
+  const descriptionElement = document.createElement('span');
+  descriptionElement.className = 'link-desc';
+  descriptionElement.textContent = description;
+  text.append(titleElement, descriptionElement);
+  linkElement.appendChild(text);
+
+  return linkElement;
+}
+
 /**
  * Populate the links tab
  */
@@ -1042,59 +1281,27 @@ function populateLinksTab(chapter) {
   // Clear existing content
   officialLinksContainer.innerHTML = '';
 
-  // Get enhanced links data
-  const enhanced = enhancedLocationData[chapter.id];
+  const officialLinks = chapter.officialLinks || [];
   let hasLinks = false;
 
-  // Add enhanced official links
-  if (enhanced && enhanced.officialLinks) {
-    enhanced.officialLinks.forEach(link => {
-      hasLinks = true;
-      const linkElement = document.createElement('a');
-      linkElement.href = link.url;
-      linkElement.target = '_blank';
-      linkElement.className = 'link-item';
-      linkElement.innerHTML = `
-        <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-          <path d="M18 13V6A2 2 0 0 0 16 4H4A2 2 0 0 0 2 6V18C2 19.1 2.9 20 4 20H20A2 2 0 0 0 22 18V8H18" stroke="currentColor" stroke-width="2"/>
-          <path d="M15 3H21V9M10 14L21 3" stroke="currentColor" stroke-width="2"/>
-        </svg>
-        <div>
-          <span class="link-title">${link.title}</span>
-          <span class="link-desc">${link.description}</span>
-        </div>
-      `;
-      officialLinksContainer.appendChild(linkElement);
-    });
-  }
+  // Add official links from the chapter config
+  officialLinks.forEach(link => {
+    hasLinks = true;
+    officialLinksContainer.appendChild(createLinkItem(link.url, link.title, link.description || ''));
+  });
 
   // Also extract URLs from chapter content as fallback
   const urls = extractUrls(chapter.content);
   if (urls.length > 0) {
     urls.forEach(url => {
-      // Skip if we already added this URL from enhanced data
-      const alreadyAdded = enhanced && enhanced.officialLinks &&
-        enhanced.officialLinks.some(link => link.url === url);
+      // Skip if we already added this URL from the official links
+      const alreadyAdded = officialLinks.some(link => link.url === url);
 
       if (!alreadyAdded) {
         hasLinks = true;
         const domain = new URL(url).hostname.replace('www.', '');
 
-        const linkElement = document.createElement('a');
-        linkElement.href = url;
-        linkElement.target = '_blank';
-        linkElement.className = 'link-item';
-        linkElement.innerHTML = `
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <path d="M18 13V6A2 2 0 0 0 16 4H4A2 2 0 0 0 2 6V18C2 19.1 2.9 20 4 20H20A2 2 0 0 0 22 18V8H18" stroke="currentColor" stroke-width="2"/>
-            <path d="M15 3H21V9M10 14L21 3" stroke="currentColor" stroke-width="2"/>
-          </svg>
-          <div>
-            <span class="link-title">${domain}</span>
-            <span class="link-desc">Información adicional</span>
-          </div>
-        `;
-        officialLinksContainer.appendChild(linkElement);
+        officialLinksContainer.appendChild(createLinkItem(url, domain, t('links.additionalInfo')));
       }
     });
   }
@@ -1103,7 +1310,7 @@ function populateLinksTab(chapter) {
   if (!hasLinks) {
     officialLinksContainer.innerHTML = `
       <div style="text-align: center; color: #94a3b8; padding: 20px;">
-        <p>No hay enlaces oficiales disponibles</p>
+        <p>${t('links.none')}</p>
       </div>
     `;
   }
@@ -1141,7 +1348,7 @@ function populateTagsTab(chapter) {
       // Show placeholder if no tags
       const placeholder = document.createElement('span');
       placeholder.className = 'tag-placeholder';
-      placeholder.textContent = 'No disponible';
+      placeholder.textContent = t('tags.unavailable');
       placeholder.style.color = '#94a3b8';
       placeholder.style.fontStyle = 'italic';
       placeholder.style.fontSize = '12px';
@@ -1256,7 +1463,11 @@ document.addEventListener('keydown', function(event) {
 });
 
 // Call main (UI initialization happens inside main())
+showLoadingTitle();
+initLanguageSwitcher();
 await main();
+initStoryCatalog();
+initStoryEditorIfRequested();
 
 // Handle window resize for responsive scroll buttons
 window.addEventListener('resize', () => {
@@ -6,38 +6,99 @@ type CesiumCameraOptions = {
   roll: number; // Roll in radians
 };
 
+// The camera styles understood by the camera pipeline
+type CameraStyle = "static" | "drone-orbit" | "overview";
+
+// Exact camera target for a chapter, skips the Places API lookup when present
+type CameraCoordinates = {
+  lat: number; // Latitude in degrees (-90 to 90)
+  lng: number; // Longitude in degrees (-180 to 180)
+  elevation?: number; // Ground elevation of the target in meters
+  heading?: number; // Camera heading in degrees clockwise from north, replaces the camera style's
+  pitch?: number; // Camera pitch in degrees (-90 to 90, negative looks down), replaces the camera style's
+  range?: number; // Camera distance from the target in meters
+};
+
+// The languages the UI is translated to
+type Locale = "es" | "en" | "gl" | "eu" | "ca";
+
+// A text field given either as a plain string or as one translation per language.
+// The app reads the localized view of the story, where every Localized value is a string.
+type Localized<T extends string = string> = T | Partial<Record<Locale, T>>;
+
 // Define the type for the shader options
 type focusOptions = {
-  focusRadius: number;
+  focusRadius: number | null; // Radius in meters, required when showFocus is true
   showFocus: boolean;
   showLocationMarker: boolean;
 };
 
+// Tags used to categorise a chapter, grouped by category
+type Etiquetas = {
+  ubicacion?: Localized[];
+  sector?: Localized[];
+  profesion?: Localized[];
+  tipo?: Localized[];
+};
+
+// Overview camera overrides, each value defaults to one computed from the chapter bounds
+type OverviewOptions = {
+  center?: { lat: number; lng: number }; // Center of the top-down overview in degrees
+  range?: number; // Distance of the camera from the center in meters
+};
+
+// An official web link shown in the links tab
+type OfficialLink = {
+  url: string; // Absolute http(s) URL
+  title: Localized; // Link text
+  description?: Localized; // Short description under the title
+};
+
 // Define the type for the Segment
 interface Chapter {
-  id: number;
-  title: string; // Title of the segment
-  imageUrl: string; // URL for the segment's image (google or custom)
-  imageCredit: string; // Credit for the segment's image
-  content: string; // Text content of the segment
-  dateTime: string;
-  coords: google.maps.LatLngLiteral; // Latitude and longitude coordinates using Google Maps type
-  address: string; // Clear text address
-  cameraOptions: CesiumCameraOptions; // Basic Cesium camera options
-  focus: focusOptions;
+  id: number | string; // Unique chapter id
+  title: Localized; // Title of the segment
+  placeName: string; // Place name or address used to resolve the camera
+  cameraStyle?: CameraStyle; // How the camera frames the place
+  cameraCoordinates?: CameraCoordinates; // Optional exact camera target
+  imageUrl?: string; // URL for the segment's image (google or custom)
+  imageCredit?: Localized; // Credit for the segment's image
+  preserveCustomImage?: boolean; // Keep imageUrl when refreshing images
+  content?: Localized; // Text content of the segment
+  dateTime?: Localized;
+  address?: Localized; // Clear text address
+  logoUrl?: string; // URL for the organization logo
+  website?: string; // Organization website
+  openingHours?: Localized; // Visitor opening hours shown in the info tab
+  ticketInfo?: Localized; // Ticket and admission info shown in the info tab
+  officialLinks?: OfficialLink[]; // Links shown in the links tab
+  etiquetas?: Etiquetas; // Tags shown in the details panel
+  focusOptions?: focusOptions;
+  coords?: google.maps.LatLngLiteral; // Approximate marker position, used when cameraCoordinates is absent
+  /** @deprecated Legacy camera options, use placeName and cameraCoordinates */
+  cameraOptions?: CesiumCameraOptions;
 }
 
 interface StoryProperties {
   imageUrl: string; // The image url for the intro card
   imageCredit: string; // The image credit for the intro card
-  title: string; // The title of the story
-  date: string; // A date associated with the story
-  description: string; // The description text
+  title: Localized; // The title of the story
+  introLabel?: Localized; // Label of the overview card in the places list
+  date: Localized; // A date associated with the story
+  description: Localized; // The description text
   createdBy: string; // The author
-  cameraOptions: CesiumCameraOptions; // Basic Cesium camera options
+  defaultLanguage?: Locale; // Language used for fields without a translation in the current language
+  placeName?: string; // Place name for the intro view
+  cameraStyle?: CameraStyle; // Camera style for the intro view
+  cameraCoordinates?: CameraCoordinates; // Optional exact camera target for the intro view
+  overview?: OverviewOptions; // Overrides for the overview computed from the chapter locations
+  /** @deprecated Legacy camera options, use placeName */
+  cameraOptions?: CesiumCameraOptions;
 }
 // Define the NeighbourhoodStory as an array of Segments
+// The config returned by loadConfig is migrated to the current schema, validated and deep-frozen
 interface Story {
-  chapters: Chapter[];
-  properties: StoryProperties;
+  readonly version?: number; // Schema version, set on stories converted from an older schema (see story-migration.js)
+  readonly chapters: readonly Readonly<Chapter>[];
+  readonly properties: Readonly<StoryProperties>;
 }
@@ -0,0 +1,281 @@
+/**
+ * API Cache
+ * Cache and request queue for paid Google API calls. Results are kept in IndexedDB with a
+ * per-entry TTL so repeat visits need no request (or in memory only, for content Google doesn't
+ * allow storing), identical requests in flight are merged, and the remaining requests go through
+ * a queue with a concurrency limit and retries with backoff.
+ */
+
+import { createStoreRequester } from "./indexed-db.js";
+
+const DB_NAME = "ingenet3d-api-cache";
+const DB_VERSION = 2; // Version 1 stored Places content (opening hours, phone...) that may not be kept
+const STORE_NAME = "responses";
+
+const DEFAULT_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_CONCURRENT_REQUESTS = 2;
+const MIN_REQUEST_INTERVAL = 100; // Minimum 100ms between request starts
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500; // Doubled on every retry
+const REQUEST_TIMEOUT = 20000; // A request still pending after this gives its slot back and is retried
+
+// Google statuses that a retry won't change
+const NON_RETRYABLE_STATUSES = new Set(["ZERO_RESULTS", "NOT_FOUND", "INVALID_REQUEST", "REQUEST_DENIED"]);
+
+/** @type {Map<string, {value: *, expiresAt: number}>} */
+const memoryCache = new Map();
+/** @type {Map<string, Promise<*>>} */
+const inFlightRequests = new Map();
+/** @type {Array<{task: () => Promise<*>, resolve: Function, reject: Function}>} */
+const requestQueue = [];
+let activeRequests = 0;
+let lastRequestTime = 0;
+
+const stats = {
+  hits: 0,
+  memoryHits: 0,
+  persistentHits: 0,
+  misses: 0,
+  merged: 0,
+  retries: 0,
+  failures: 0,
+};
+
+/**
+ * Run one request against the cache store
+ */
+const runStoreRequest = createStoreRequester({
+  databaseName: DB_NAME,
+  version: DB_VERSION,
+  storeName: STORE_NAME,
+  upgrade: (store, oldVersion) => {
+    if (oldVersion >= 1) {
+      store.clear();
+    }
+  },
+  unavailableWarning: "API cache: IndexedDB unavailable, caching in memory only",
+});
+
+/**
+ * Read an unexpired entry from IndexedDB
+ * @param {string} cacheKey - The cache key
+ * @returns {Promise<{value: *, expiresAt: number}|null>} The entry, or null
+ */
+async function readPersistentEntry(cacheKey) {
+  try {
+    const entry = await runStoreRequest("readonly", store => store.get(cacheKey));
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      runStoreRequest("readwrite", store => store.delete(cacheKey)).catch(() => {});
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    console.warn(`⚠️ API cache: could not read ${cacheKey}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Write an entry to IndexedDB. Failures (quota, private mode) only cost a future request.
+ * @param {string} cacheKey - The cache key
+ * @param {{value: *, expiresAt: number}} entry - The entry
+ */
+async function writePersistentEntry(cacheKey, entry) {
+  try {
+    await runStoreRequest("readwrite", store => store.put(entry, cacheKey));
+  } catch (error) {
+    console.warn(`⚠️ API cache: could not persist ${cacheKey}:`, error.message);
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+/**
+ * Settle with a request, or reject when it takes longer than REQUEST_TIMEOUT.
+ * Google callbacks that never fire would otherwise hold a queue slot for good.
+ * @param {() => Promise<*>} task - The request
+ * @returns {Promise<*>}
+ */
+function runWithTimeout(task) {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const error = new Error(`Request timed out after ${REQUEST_TIMEOUT}ms`);
+      error.status = "TIMEOUT";
+      reject(error);
+    }, REQUEST_TIMEOUT);
+  });
+
+  return Promise.race([Promise.resolve().then(task), timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Add a request to the queue.
+ * A task must not wait for another queued call: it would hold its slot while the other one waits for a free slot.
+ * @param {() => Promise<*>} task - The request
+ * @returns {Promise<*>} Settles with the request
+ */
+function enqueue(task) {
+  return new Promise((resolve, reject) => {
+    requestQueue.push({ task, resolve, reject });
+    processQueue();
+  });
+}
+
+/**
+ * Start queued requests while there are free slots, spacing their starts by MIN_REQUEST_INTERVAL
+ */
+function processQueue() {
+  while (activeRequests < MAX_CONCURRENT_REQUESTS && requestQueue.length > 0) {
+    const { task, resolve, reject } = requestQueue.shift();
+    activeRequests++;
+
+    const startTime = Math.max(Date.now(), lastRequestTime + MIN_REQUEST_INTERVAL);
+    lastRequestTime = startTime;
+
+    delay(startTime - Date.now())
+      .then(() => runWithTimeout(task))
+      .then(resolve, reject)
+      .finally(() => {
+        activeRequests--;
+        processQueue();
+      });
+  }
+}
+
+/**
+ * Returns true if a failed request is worth retrying. Errors may carry the Google `status`.
+ * @param {Error} error - The error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return !NON_RETRYABLE_STATUSES.has(error?.status);
+}
+
+/**
+ * Run a request through the queue, retrying transient failures with exponential backoff.
+ * The request leaves the queue while it waits, so a backoff doesn't hold a slot.
+ * @param {string} cacheKey - The cache key, for logs
+ * @param {() => Promise<*>} apiFunction - The request
+ * @returns {Promise<*>} The result
+ */
+async function requestWithRetries(cacheKey, apiFunction) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await enqueue(apiFunction);
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+
+      const backoff = RETRY_BASE_DELAY * 2 ** attempt * (1 + Math.random() * 0.5);
+      stats.retries++;
+      console.warn(`🔁 API call failed for ${cacheKey} (${error.message}), retrying in ${Math.round(backoff)}ms`);
+      await delay(backoff);
+    }
+  }
+}
+
+async function resolveApiCall(cacheKey, apiFunction, ttl, persist) {
+  const persisted = persist ? await readPersistentEntry(cacheKey) : null;
+  if (persisted) {
+    stats.hits++;
+    stats.persistentHits++;
+    memoryCache.set(cacheKey, persisted);
+    return persisted.value;
+  }
+
+  stats.misses++;
+  let result;
+  try {
+    result = await requestWithRetries(cacheKey, apiFunction);
+  } catch (error) {
+    stats.failures++;
+    console.error(`API call failed for ${cacheKey}:`, error);
+    throw error;
+  }
+
+  // Nothing found: don't cache, a later request may succeed
+  if (result === null || result === undefined) {
+    return result;
+  }
+
+  // Keep plain data (Google objects serialize with toJSON) so a result looks the same after a reload
+  const entry = { value: JSON.parse(JSON.stringify(result)), expiresAt: Date.now() + ttl };
+  memoryCache.set(cacheKey, entry);
+  if (persist) {
+    await writePersistentEntry(cacheKey, entry);
+  }
+  return entry.value;
+}
+
+/**
+ * Call an API through the cache. A fresh cached result is returned without a request;
+ * a call identical to one in flight shares its result.
+ * Results must be JSON-serializable and come back as plain data; null results are not cached.
+ * @param {string} cacheKey - Identifies the request, e.g. `place_${placeName}`
+ * @param {() => Promise<*>} apiFunction - Makes the request
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - How long the result stays fresh, in milliseconds (default 30 days)
+ * @param {boolean} [options.persist] - Keep the result in IndexedDB; false keeps it for this page load only
+ * @returns {Promise<*>} The result
+ */
+export function cachedApiCall(cacheKey, apiFunction, { ttl = DEFAULT_TTL, persist = true } = {}) {
+  const cached = memoryCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    stats.hits++;
+    stats.memoryHits++;
+    return Promise.resolve(cached.value);
+  }
+
+  if (inFlightRequests.has(cacheKey)) {
+    stats.merged++;
+    return inFlightRequests.get(cacheKey);
+  }
+
+  const request = resolveApiCall(cacheKey, apiFunction, ttl, persist).finally(() => {
+    inFlightRequests.delete(cacheKey);
+  });
+  inFlightRequests.set(cacheKey, request);
+  return request;
+}
+
+/**
+ * Get the cache statistics since the page loaded
+ * @returns {{hits: number, memoryHits: number, persistentHits: number, misses: number, merged: number,
+ *   retries: number, failures: number, hitRate: number, queued: number, active: number}}
+ *   `merged` counts calls that shared a request in flight; `hitRate` is hits / (hits + misses)
+ */
+export function getApiCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+    queued: requestQueue.length,
+    active: activeRequests,
+  };
+}
+
+/**
+ * Drop every cached result, in memory and in IndexedDB
+ */
+export async function clearApiCache() {
+  memoryCache.clear();
+  try {
+    await runStoreRequest("readwrite", store => store.clear());
+    console.log("🧹 API cache cleared");
+  } catch (error) {
+    console.warn("⚠️ API cache: could not clear IndexedDB:", error.message);
+  }
+}
+
+// Make the statistics available from the console
+if (typeof window !== "undefined") {
+  window.getApiCacheStats = getApiCacheStats;
+  window.clearApiCache = clearApiCache;
+}
@@ -12,7 +12,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import { cesiumViewer } from "./cesium.js";
+import { cesiumViewer, setOverviewView } from "./cesium.js";
 
 /**
  * Creates camera control UI for manual camera manipulation
@@ -142,14 +142,7 @@ function addCameraControlListeners() {
 
   // Reset camera
   document.getElementById('reset-camera').addEventListener('click', () => {
-    // Reset to Spain overview
-    cesiumViewer.camera.setView({
-      destination: new Cesium.Cartesian3(6398360.282088748, -540037.4857380188, 5367951.010709623),
-      orientation: {
-        heading: 0.0037632091199800936,
-        pitch: -1.5682037518921312,
-        roll: 0
-      }
-    });
+    // Reset to the story overview
+    setOverviewView();
   });
 }
\ No newline at end of file
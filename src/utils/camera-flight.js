@@ -0,0 +1,127 @@
+// Copyright 2024 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { cesiumViewer } from "./cesium.js";
+
+/**
+ * Camera Flight
+ * Moves the camera to a resolved camera (see camera-resolver.js) and runs the drone orbit
+ */
+
+/**
+ * Apply camera configuration to Cesium viewer
+ * @param {Object} cameraConfig - Camera configuration
+ * @param {boolean} immediate - If true, sets camera immediately without animation
+ */
+export function applyCameraConfig(cameraConfig, immediate = false) {
+  if (!cesiumViewer) {
+    throw new Error('Cesium viewer not initialized');
+  }
+
+  if (immediate) {
+    // For initial overview, set camera immediately without any animation
+    cesiumViewer.camera.setView({
+      destination: cameraConfig.target,
+      orientation: {
+        heading: cameraConfig.heading,
+        pitch: cameraConfig.pitch,
+        roll: cameraConfig.roll
+      }
+    });
+  } else {
+    // Use Cesium's lookAt method for precise positioning
+    cesiumViewer.camera.lookAt(
+      cameraConfig.target,
+      cameraConfig.headingPitchRange
+    );
+  }
+
+  // Add drone orbit effect if specified (but not for overview)
+  if (cameraConfig.cameraStyle === 'drone-orbit') {
+    // Check if mobile and if orbit should be paused by default
+    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    if (!isMobile || (window.isOrbitPaused === false)) {
+      // Only start orbit on desktop or if explicitly unpaused on mobile
+      startDroneOrbit();
+    } else {
+      console.log('📱 Mobile: orbit paused by default for this location');
+      stopDroneOrbit();
+    }
+  } else {
+    stopDroneOrbit();
+  }
+}
+
+/**
+ * Fly to a resolved camera with a smooth animation, then apply it
+ * @param {Object} cameraConfig - The resolved camera
+ * @returns {Object} The camera configuration
+ */
+export function flyToCamera(cameraConfig) {
+  cesiumViewer.camera.flyTo({
+    destination: cameraConfig.target,
+    orientation: {
+      heading: cameraConfig.heading,
+      pitch: cameraConfig.pitch,
+      roll: cameraConfig.roll
+    },
+    duration: 5.0, // 5 second animation for smoother Google Earth-like travel
+    complete: () => {
+      // Apply final camera configuration after animation
+      applyCameraConfig(cameraConfig);
+    }
+  });
+
+  return cameraConfig;
+}
+
+/**
+ * Drone orbit animation (SLOWER)
+ */
+let orbitAnimation = null;
+
+function startDroneOrbit() {
+  stopDroneOrbit(); // Clear any existing orbit
+  stopOverviewOrbitIfExists(); // Stop overview orbit if active
+
+  // Don't check for mobile here - let the pause button control it
+  orbitAnimation = cesiumViewer.clock.onTick.addEventListener(() => {
+    // Reduced rotation speed for subtle animation (0.0010 - very gentle)
+    cesiumViewer.camera.rotate(Cesium.Cartesian3.UNIT_Z, 0.0010);
+  });
+}
+
+// Function to stop the overview orbit (we'll import this or check if it exists)
+function stopOverviewOrbitIfExists() {
+  // Check if we can access the overview orbit stop function
+  if (typeof window !== 'undefined' && window.stopOverviewOrbit) {
+    window.stopOverviewOrbit();
+  }
+}
+
+function stopDroneOrbit() {
+  if (orbitAnimation) {
+    orbitAnimation();
+    orbitAnimation = null;
+  }
+}
+
+// Make orbit control functions available globally with unified names
+if (typeof window !== 'undefined') {
+  window.stopOrbitAnimation = stopDroneOrbit;
+  window.startOrbitAnimation = startDroneOrbit;
+  // Also provide legacy compatibility
+  window.stopDroneOrbit = stopDroneOrbit;
+  window.startDroneOrbit = startDroneOrbit;
+}
@@ -0,0 +1,87 @@
+/**
+ * Camera Math
+ * Turns a resolved location into the camera view of a camera style.
+ * Every camera resolved for a place goes through `computeCameraView`.
+ */
+
+/**
+ * Camera settings per style. `range` is the distance in meters from the target,
+ * used when the location has no viewport and no range of its own.
+ * @readonly
+ */
+export const CAMERA_STYLES = {
+  static: { heading: 0, pitch: -Math.PI / 4, range: 1000 }, // -45 degrees
+  "drone-orbit": { heading: 0, pitch: -Math.PI / 8, range: 1000 }, // -22.5 degrees for a better architectural view
+  overview: { heading: 0, pitch: -Math.PI / 2, range: 2000000 }, // Straight down, country-wide
+};
+
+/**
+ * Distance limits in meters when framing a viewport (buildings to small towns)
+ * @readonly
+ */
+const MIN_VIEWPORT_RANGE = 500;
+const MAX_VIEWPORT_RANGE = 10000;
+
+/**
+ * Height in meters of the target when the location has no elevation
+ * @readonly
+ */
+export const DEFAULT_ELEVATION = 10;
+
+/**
+ * Distance that frames a viewport: half its diagonal, within the viewport range limits
+ * @param {{north: number, south: number, east: number, west: number}} viewport - The viewport in degrees
+ * @param {number} elevation - Height in meters of the viewport
+ * @returns {number} The distance in meters
+ */
+function getViewportRange(viewport, elevation) {
+  const diagonal = Cesium.Cartesian3.distance(
+    Cesium.Cartesian3.fromDegrees(viewport.west, viewport.south, elevation),
+    Cesium.Cartesian3.fromDegrees(viewport.east, viewport.north, elevation)
+  );
+  return Math.max(MIN_VIEWPORT_RANGE, Math.min(MAX_VIEWPORT_RANGE, diagonal / 2));
+}
+
+/**
+ * Compute the camera view of a location for a camera style.
+ * The distance comes from, in order: the overview style (always country-wide),
+ * the location's own `range` (e.g. a gazetteer province), its viewport, the style default.
+ * A location `heading` and `pitch` (degrees, e.g. from `cameraCoordinates`) replace the style's,
+ * except for the overview.
+ *
+ * @param {{lat: number, lng: number, elevation?: number, heading?: number, pitch?: number, range?: number, viewport?: {north: number, south: number, east: number, west: number}}} location - The resolved location
+ * @param {string} [cameraStyle="static"] - 'static', 'drone-orbit' or 'overview'
+ * @returns {{target: Cesium.Cartesian3, distance: number, heading: number, pitch: number, roll: number, cameraStyle: string, headingPitchRange: Cesium.HeadingPitchRange}}
+ */
+export function computeCameraView(location, cameraStyle = "static") {
+  const style = CAMERA_STYLES[cameraStyle] ? cameraStyle : "static";
+  const { range } = CAMERA_STYLES[style];
+  let { heading, pitch } = CAMERA_STYLES[style];
+  const elevation = Number.isFinite(location.elevation) ? location.elevation : DEFAULT_ELEVATION;
+
+  let distance = range;
+  if (style !== "overview") {
+    if (Number.isFinite(location.heading)) {
+      heading = Cesium.Math.toRadians(location.heading);
+    }
+    if (Number.isFinite(location.pitch)) {
+      pitch = Cesium.Math.toRadians(location.pitch);
+    }
+
+    if (Number.isFinite(location.range)) {
+      distance = location.range;
+    } else if (location.viewport) {
+      distance = getViewportRange(location.viewport, elevation);
+    }
+  }
+
+  return {
+    target: Cesium.Cartesian3.fromDegrees(location.lng, location.lat, elevation),
+    distance,
+    heading,
+    pitch,
+    roll: 0,
+    cameraStyle: style,
+    headingPitchRange: new Cesium.HeadingPitchRange(heading, pitch, distance),
+  };
+}
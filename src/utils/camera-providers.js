@@ -0,0 +1,337 @@
+// Copyright 2024 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { getConfiguredLocation, getCachedGeocode, cacheGeocode } from "./chapter-location.js";
+import { lookupGazetteer } from "./gazetteer.js";
+import { cachedApiCall } from "./api-cache.js";
+import { DEFAULT_ELEVATION } from "./camera-math.js";
+
+/**
+ * Camera Providers
+ * The location sources of the camera resolver. A provider resolves a place
+ * (a chapter or the story properties) to a location, or returns null when it doesn't know it.
+ *
+ * @typedef {Object} LocationQuery
+ * @property {string} [placeName] - The place name, e.g. "Navantia Ferrol"
+ * @property {string} [address] - The postal address
+ * @property {{lat: number, lng: number, elevation?: number, heading?: number, pitch?: number, range?: number}} [cameraCoordinates] - Coordinates from the config
+ * @property {{lat: number, lng: number}} [coords] - Legacy coordinates from the config
+ *
+ * @typedef {Object} ResolvedLocation
+ * @property {number} lat - Latitude in degrees
+ * @property {number} lng - Longitude in degrees
+ * @property {number} [elevation] - Ground height in meters
+ * @property {number} [heading] - Camera heading in degrees, clockwise from north
+ * @property {number} [pitch] - Camera pitch in degrees, negative looks down
+ * @property {number} [range] - Camera distance in meters that frames the place (e.g. a whole province)
+ * @property {{north: number, south: number, east: number, west: number}} [viewport] - The place extent in degrees
+ * @property {Object} [placeDetails] - Google place details, when searched by the Places API during this page load
+ *
+ * @typedef {Object} CameraProvider
+ * @property {string} name - Shown in logs and in the `source` of resolved cameras
+ * @property {(query: LocationQuery) => Promise<ResolvedLocation | null>} resolve
+ */
+
+/**
+ * Coordinates written in the config (`cameraCoordinates`, legacy `coords`)
+ * @type {CameraProvider}
+ */
+export const configProvider = {
+  name: "config",
+  async resolve(query) {
+    const location = getConfiguredLocation(query);
+    if (!location) {
+      return null;
+    }
+
+    const { source, ...coordinates } = location;
+    return coordinates;
+  },
+};
+
+/**
+ * Places geocoded on a previous visit (see `cacheGeocode`)
+ * @type {CameraProvider}
+ */
+export const cacheProvider = {
+  name: "cache",
+  async resolve(query) {
+    return getCachedGeocode(query.placeName);
+  },
+};
+
+let elevationService;
+
+// Google allows caching coordinates, elevations and place IDs for up to 30 days, and no other place content
+const PLACE_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+const ELEVATION_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Place details found by the searches of this page load, by place name. Kept in memory only.
+ * @type {Map<string, Object>}
+ */
+const sessionPlaceDetails = new Map();
+
+/**
+ * Initialize the Google Maps services used by the Places provider.
+ * Until this succeeds, the Places provider skips every query.
+ * @returns {boolean} True if the services are ready
+ */
+export function initPlacesProvider() {
+  // Check if Google Maps is loaded
+  if (typeof google === "undefined" || !google.maps) {
+    console.error("Google Maps not loaded yet");
+    return false;
+  }
+
+  try {
+    // PlacesService is deprecated, we use the Place class directly
+    elevationService = new google.maps.ElevationService();
+    return true;
+  } catch (error) {
+    console.error("Error initializing Google Maps services:", error);
+    return false;
+  }
+}
+
+/**
+ * Search for a place using the NEW Place API
+ * @param {string} query - The place name to search for
+ * @returns {Promise<Object>} Place details
+ */
+async function searchPlace(query) {
+  // First try NEW API without type restriction for addresses
+  const request = {
+    textQuery: query,
+    fields: ["id", "displayName", "location", "viewport", "editorialSummary",
+             "formattedAddress", "rating", "regularOpeningHours", "internationalPhoneNumber",
+             "adrFormatAddress", "businessStatus", "priceLevel", "userRatingCount"],
+    language: "es",
+    maxResultCount: 1
+  };
+
+  const { places } = await google.maps.places.Place.searchByText(request);
+
+  if (places && places.length > 0) {
+    return places[0];
+  }
+
+  // If no results, try Legacy Find Place API (better for addresses)
+  console.log(`NEW API failed for ${query}, trying Legacy Find Place API...`);
+  return await searchPlaceLegacy(query);
+}
+
+/**
+ * Search for a place using the Legacy Find Place API (better for addresses)
+ * @param {string} query - The place name/address to search for
+ * @returns {Promise<Object>} Place object in the NEW API format
+ */
+function searchPlaceLegacy(query) {
+  const service = new google.maps.places.PlacesService(document.createElement("div"));
+
+  return new Promise((resolve, reject) => {
+    const request = {
+      query: query,
+      fields: ["place_id", "name", "formatted_address", "geometry", "rating", "types"]
+    };
+
+    service.findPlaceFromQuery(request, (results, status) => {
+      if (status === google.maps.places.PlacesServiceStatus.OK && results && results.length > 0) {
+        const place = results[0];
+        console.log(`Legacy Find Place API found: ${place.name} at ${place.formatted_address}`);
+
+        // Convert legacy format to NEW API format
+        resolve({
+          id: place.place_id,
+          displayName: { text: place.name },
+          location: place.geometry.location,
+          viewport: place.geometry.viewport,
+          formattedAddress: place.formatted_address,
+          rating: place.rating
+        });
+      } else {
+        const error = new Error(`Legacy Find Place API failed: ${status}`);
+        error.status = status;
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Get elevation for a location (with caching)
+ * @param {google.maps.LatLngLiteral} location - The location
+ * @returns {Promise<number>} The ground height in meters, or the default elevation if the API fails
+ */
+async function getElevation(location) {
+  // Cache key using rounded coordinates (within ~11m accuracy)
+  const lat = location.lat.toFixed(4);
+  const lng = location.lng.toFixed(4);
+  const cacheKey = `elevation_${lat}_${lng}`;
+
+  try {
+    return await cachedApiCall(cacheKey, () => new Promise((resolve, reject) => {
+      elevationService.getElevationForLocations({
+        locations: [location]
+      }, (results, status) => {
+        if (status === "OK" && results[0]) {
+          console.log(`🏔️ Elevation API called for ${lat}, ${lng}: ${results[0].elevation}m`);
+          resolve(results[0].elevation || 0);
+        } else {
+          const error = new Error(`Elevation API failed: ${status}`);
+          error.status = status;
+          reject(error);
+        }
+      });
+    }), { ttl: ELEVATION_CACHE_TTL });
+  } catch (error) {
+    console.warn(`⚠️ Elevation API failed, using default`);
+    return DEFAULT_ELEVATION;
+  }
+}
+
+/**
+ * Convert a Google viewport to plain degrees
+ * @param {google.maps.LatLngBounds} [viewport] - The viewport
+ * @returns {{north: number, south: number, east: number, west: number} | undefined}
+ */
+function toViewport(viewport) {
+  if (!viewport) {
+    return undefined;
+  }
+
+  const northEast = viewport.getNorthEast();
+  const southWest = viewport.getSouthWest();
+  return { north: northEast.lat(), east: northEast.lng(), south: southWest.lat(), west: southWest.lng() };
+}
+
+/**
+ * The details of a place search result shown by the chatbot
+ * @param {Object} result - A place of `searchPlace`
+ * @returns {Object}
+ */
+function toPlaceDetails(result) {
+  return {
+    displayName: result.displayName,
+    formattedAddress: result.formattedAddress,
+    editorialSummary: result.editorialSummary,
+    rating: result.rating,
+    userRatingCount: result.userRatingCount,
+    phoneNumber: result.internationalPhoneNumber,
+    openingHours: result.regularOpeningHours,
+    priceLevel: result.priceLevel
+  };
+}
+
+/**
+ * Find where a place is with the Places API. Only the place ID, coordinates and viewport are cached;
+ * the details of the same search are kept for this page load (see `getPlaceDetails`).
+ * @param {string} placeName - The place name or address
+ * @returns {Promise<{placeId: string, lat: number, lng: number, viewport?: Object} | null>} The place, or null if not found
+ */
+function findPlace(placeName) {
+  return cachedApiCall(`place_${placeName}`, async () => {
+    const result = await searchPlace(placeName);
+    if (!result) {
+      return null;
+    }
+
+    sessionPlaceDetails.set(placeName, toPlaceDetails(result));
+    return {
+      placeId: result.id,
+      lat: result.location.lat(),
+      lng: result.location.lng(),
+      viewport: toViewport(result.viewport)
+    };
+  }, { ttl: PLACE_CACHE_TTL });
+}
+
+/**
+ * Get the Google place details (opening hours, phone, price level...) of a place, whatever located its camera.
+ * Chapters with coordinates in the config never reach the Places provider, so their details are looked up here.
+ * Google doesn't allow storing them: they are fetched once per page load.
+ * @param {string} placeName - The place name or address
+ * @returns {Promise<Object|null>} The place details, or null if the Places API is not ready or doesn't know the place
+ */
+export async function getPlaceDetails(placeName) {
+  if (!elevationService || !placeName) {
+    return null;
+  }
+  if (sessionPlaceDetails.has(placeName)) {
+    return sessionPlaceDetails.get(placeName);
+  }
+
+  try {
+    return await cachedApiCall(`place_details_${placeName}`, async () => {
+      const result = await searchPlace(placeName);
+      return result ? toPlaceDetails(result) : null;
+    }, { persist: false });
+  } catch (error) {
+    console.warn(`⚠️ Place details failed for ${placeName}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * The Google Places API (text search, then the legacy Find Place API), with the ground elevation.
+ * Resolved places are cached so their marker can be placed without an API call next time.
+ * @type {CameraProvider}
+ */
+export const placesProvider = {
+  name: "places",
+  async resolve(query) {
+    const placeName = query.placeName || query.address;
+    if (!elevationService || !placeName) {
+      return null;
+    }
+
+    // Each Google request is its own queued call: a queued task waiting for another one
+    // would hold its slot, and two of them would take every slot and wait forever
+    const place = await findPlace(placeName);
+    if (!place) {
+      return null;
+    }
+
+    console.log(`📍 ${placeName} resolved by the Places API. Run scripts/resolve-camera-coordinates.mjs to save its cameraCoordinates in the config.`);
+
+    const elevation = await getElevation({ lat: place.lat, lng: place.lng });
+    cacheGeocode(placeName, { lat: place.lat, lng: place.lng, elevation });
+
+    return { ...place, elevation, placeDetails: sessionPlaceDetails.get(placeName) };
+  },
+};
+
+/**
+ * The offline gazetteer, matched against the place name then the address
+ * @type {CameraProvider}
+ */
+export const gazetteerProvider = {
+  name: "gazetteer",
+  async resolve(query) {
+    const place = lookupGazetteer(query.placeName) || lookupGazetteer(query.address);
+    if (!place) {
+      return null;
+    }
+
+    const { lat, lng, range } = place;
+    return { lat, lng, range };
+  },
+};
+
+/**
+ * The default provider chain, in order of preference
+ * @readonly
+ * @type {CameraProvider[]}
+ */
+export const DEFAULT_CAMERA_PROVIDERS = [configProvider, cacheProvider, placesProvider, gazetteerProvider];
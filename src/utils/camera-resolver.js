@@ -0,0 +1,59 @@
+/**
+ * Camera Resolver
+ * Resolves where the camera goes for a place by asking an ordered chain of providers
+ * (see camera-providers.js) and turning the first answer into a camera view.
+ */
+
+import { DEFAULT_CAMERA_PROVIDERS } from "./camera-providers.js";
+import { computeCameraView, DEFAULT_ELEVATION } from "./camera-math.js";
+
+/**
+ * Create a location resolver from an ordered provider chain.
+ * Providers are asked in order; one that fails is logged and skipped.
+ * @param {import("./camera-providers.js").CameraProvider[]} providers - The provider chain
+ * @returns {(query: import("./camera-providers.js").LocationQuery) => Promise<import("./camera-providers.js").ResolvedLocation & {source: string}>}
+ *   Resolves to the first location found, with the name of the provider as `source`. Rejects if no provider knows the place.
+ */
+export function createLocationResolver(providers) {
+  return async function resolveLocation(query) {
+    for (const provider of providers) {
+      try {
+        const location = await provider.resolve(query);
+        if (location) {
+          return { ...location, source: provider.name };
+        }
+      } catch (error) {
+        console.warn(`⚠️ Camera provider "${provider.name}" failed for ${query.placeName}:`, error.message);
+      }
+    }
+
+    throw new Error(`No location found for ${query.placeName || query.address}`);
+  };
+}
+
+/**
+ * Resolve a place with the default provider chain
+ */
+export const resolveLocation = createLocationResolver(DEFAULT_CAMERA_PROVIDERS);
+
+/**
+ * Resolve the camera for a place (a chapter or the story properties).
+ * Every caller gets the same shape, whichever provider found the place.
+ * @param {import("./camera-providers.js").LocationQuery} query - The place to resolve
+ * @param {string} [cameraStyle="static"] - 'static', 'drone-orbit' or 'overview'
+ * @returns {Promise<Object>} The camera view (see `computeCameraView`) with `placeName`,
+ *   `location` ({lat, lng}), `elevation`, `viewport`, `placeDetails` (Places API only) and `source`
+ */
+export async function resolveCamera(query, cameraStyle = "static") {
+  const location = await resolveLocation(query);
+
+  return {
+    ...computeCameraView(location, cameraStyle),
+    placeName: query.placeName,
+    location: { lat: location.lat, lng: location.lng },
+    elevation: location.elevation ?? DEFAULT_ELEVATION,
+    viewport: location.viewport || null,
+    placeDetails: location.placeDetails || null,
+    source: location.source,
+  };
+}
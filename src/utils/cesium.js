@@ -14,7 +14,10 @@
 
 import { GOOGLE_MAPS_API_KEY } from "../env.js";
 import { story } from "../main.js";
-import { resolvePlaceToCameraNew, applyCameraConfigNew } from "./places-new-api.js";
+import { resolveCamera } from "./camera-resolver.js";
+import { applyCameraConfig } from "./camera-flight.js";
+import { getOverviewView, MAX_OVERVIEW_RANGE } from "./story-bounds.js";
+import { getViewTowards } from "./geo.js";
 
 /**
  * The radius from the target point to position the camera.
@@ -206,6 +209,46 @@ export function getCameraOptions() {
   };
 }
 
+/**
+ * Returns the current view as `cameraCoordinates`: the point at the center of the screen
+ * (on the 3D tiles if they are picked, else on the ellipsoid) is the target, and heading,
+ * pitch (degrees) and range put the camera back where it is now.
+ *
+ * @return {CameraCoordinates | null} The camera coordinates, or null if the camera doesn't look at the ground.
+ */
+export function getCameraCoordinates() {
+  const { scene, camera } = cesiumViewer;
+  const screenCenter = new Cesium.Cartesian2(
+    scene.canvas.clientWidth / 2,
+    scene.canvas.clientHeight / 2
+  );
+
+  let target = scene.pickPositionSupported ? scene.pickPosition(screenCenter) : undefined;
+  if (!Cesium.defined(target)) {
+    target = camera.pickEllipsoid(screenCenter, scene.globe.ellipsoid);
+  }
+  if (!Cesium.defined(target)) {
+    return null;
+  }
+
+  const cartographic = Cesium.Cartographic.fromCartesian(target);
+  const location = {
+    lat: Cesium.Math.toDegrees(cartographic.latitude),
+    lng: Cesium.Math.toDegrees(cartographic.longitude),
+    height: cartographic.height,
+  };
+  const view = getViewTowards(camera.positionWC, location);
+
+  return {
+    lat: parseFloat(location.lat.toFixed(6)),
+    lng: parseFloat(location.lng.toFixed(6)),
+    elevation: parseFloat(location.height.toFixed(1)),
+    heading: parseFloat(view.heading.toFixed(2)),
+    pitch: parseFloat(view.pitch.toFixed(2)),
+    range: Math.round(view.range),
+  };
+}
+
 /**
  * The `initializeCesiumViewer` function is responsible for initializing a CesiumJS 3D map viewer,
  * configuring its default camera position and orientation, and adding both a 3D
@@ -322,48 +365,25 @@ export async function initCesiumViewer(performanceSettings = null) {
   // Left-click + drag for rotation (default behavior)
   cesiumViewer.scene.screenSpaceCameraController.rotateEventTypes = Cesium.CameraEventType.LEFT_DRAG;
 
-  // For Spain overview, use epic Earth-to-Spain zoom animation on initial load
-  if (story.properties.placeName === "Spain" && story.properties.cameraStyle === "overview") {
-    // Use the epic zoom animation on first load
-    animateEarthToSpain();
-  } else if (story.properties.placeName) {
+  const { placeName, cameraStyle = 'overview' } = story.properties;
+
+  // The overview (computed from the chapter bounds or set in story.properties.overview)
+  // uses the Earth-to-region zoom animation on initial load
+  if (cameraStyle === 'overview' && getOverviewView(story)) {
+    animateEarthToOverview();
+  } else if (placeName) {
     try {
-      // Check if Google Maps services are available
-      if (typeof google !== 'undefined' && google.maps) {
-        const cameraConfig = await resolvePlaceToCameraNew(
-          story.properties.placeName, 
-          story.properties.cameraStyle || 'overview'
-        );
-        // Use immediate mode for initial overview to avoid any zoom animations
-        applyCameraConfigNew(cameraConfig, true);
-      } else {
-        console.warn('Google Maps not available, using default Spain view');
-        setDefaultSpainView();
-      }
+      const cameraConfig = await resolveCamera(story.properties, cameraStyle);
+      // Use immediate mode for initial overview to avoid any zoom animations
+      applyCameraConfig(cameraConfig, true);
     } catch (error) {
       console.error('Error setting initial camera from place:', error);
-      // Fallback to default Spain view
-      setDefaultSpainView();
+      // Fallback to the overview
+      setOverviewView();
     }
   } else {
-    // Fallback to default Spain view
-    setDefaultSpainView();
-  }
-
-  function setSpainOverviewFromGoogleEarth() {
-    setSpainOverviewFromGoogleEarthExported();
-  }
-
-  function setDefaultSpainView() {
-    // Default overview of Spain (fallback)
-    cesiumViewer.camera.setView({
-      destination: Cesium.Cartesian3.fromDegrees(-3.7492, 40.4637, 2000000), // 2000km altitude
-      orientation: {
-        heading: 0,
-        pitch: -1.2,
-        roll: 0,
-      },
-    });
+    // Fallback to the overview
+    setOverviewView();
   }
 
   await createTileset();
@@ -499,100 +519,110 @@ export function removeCustomRadiusShader() {
 }
 
 /**
- * Set Spain overview using exact Google Earth coordinates (exported function)
+ * Get the overview of the current story, falling back to a view of the whole Earth
+ * @returns {{center: {lat: number, lng: number}, range: number}} The overview view
  */
-export function setSpainOverviewFromGoogleEarthExported() {
+function getCurrentOverview() {
+  return getOverviewView(story) || { center: { lat: 0, lng: 0 }, range: MAX_OVERVIEW_RANGE };
+}
+
+/**
+ * Set the camera to the story overview (top-down view of all chapters)
+ */
+export function setOverviewView() {
   if (!cesiumViewer) {
     console.error('Cesium viewer not initialized');
     return;
   }
 
-  // Spain overview - top-down view centered on Spain and Canary Islands
-  // Centered between mainland Spain and Canary Islands
-  const latitude = 38.5; // Adjusted to include Canary Islands
-  const longitude = -5.0; // Adjusted to center better
-  const altitude = 0;
-  const range = 6000000; // 6 million meters to show Spain + Canary Islands with extra space (zoomed out further)
+  const { center, range } = getCurrentOverview();
 
   // Fully vertical view (top-down)
   const heading = 0; // North up
   const pitch = Cesium.Math.toRadians(-90); // Straight down (90 degrees)
-  const roll = 0;
 
   // Set camera position using lookAt for top-down view
-  const center = Cesium.Cartesian3.fromDegrees(longitude, latitude, altitude);
-  const headingPitchRange = new Cesium.HeadingPitchRange(heading, pitch, range);
+  const target = Cesium.Cartesian3.fromDegrees(center.lng, center.lat, 0);
+  cesiumViewer.camera.lookAt(target, new Cesium.HeadingPitchRange(heading, pitch, range));
+}
 
-  cesiumViewer.camera.lookAt(center, headingPitchRange);
+/**
+ * Fly the camera to the story overview
+ * @param {number} duration - The duration of the flight in seconds
+ */
+export function flyToOverview(duration = 3.5) {
+  flyToTopDownView(getCurrentOverview(), duration);
 }
 
 /**
- * Animate from Earth view to Spain overview (epic zoom effect)
- * Shows the entire Earth, then zooms into Spain smoothly
+ * Fly the camera straight above a point, looking down
+ * @param {{center: {lat: number, lng: number}, range: number}} view - The point and the camera height in meters
+ * @param {number} duration - The duration of the flight in seconds
  */
-export function animateEarthToSpain() {
+export function flyToTopDownView({ center, range }, duration = 2) {
   if (!cesiumViewer) {
     console.error('Cesium viewer not initialized');
     return;
   }
 
-  // Final Spain position (same as setSpainOverviewFromGoogleEarthExported)
-  const latitude = 38.5;
-  const longitude = -5.0;
-  const altitude = 0;
-  const finalRange = 6000000; // 6 million meters
+  // Release any lookAt transform so flyTo works in world coordinates
+  cesiumViewer.camera.lookAtTransform(Cesium.Matrix4.IDENTITY);
 
-  // Start from Earth view (show entire planet)
-  const earthCenter = Cesium.Cartesian3.fromDegrees(longitude, latitude, altitude);
-  const earthRange = 20000000; // 20 million meters (view entire Earth)
-  const earthHeading = 0;
+  cesiumViewer.camera.flyTo({
+    destination: Cesium.Cartesian3.fromDegrees(center.lng, center.lat, range),
+    orientation: {
+      heading: 0,
+      pitch: Cesium.Math.toRadians(-90),
+      roll: 0
+    },
+    duration,
+    easingFunction: Cesium.EasingFunction.CUBIC_IN_OUT
+  });
+}
+
+/**
+ * Animate from Earth view to the story overview (epic zoom effect)
+ * Shows the entire Earth, then zooms into the story region smoothly
+ */
+export function animateEarthToOverview() {
+  if (!cesiumViewer) {
+    console.error('Cesium viewer not initialized');
+    return;
+  }
+
+  const { center } = getCurrentOverview();
+
+  // Start from Earth view (show entire planet) above the story region
+  const earthCenter = Cesium.Cartesian3.fromDegrees(center.lng, center.lat, 0);
   const earthPitch = Cesium.Math.toRadians(-90); // Top-down
-  const earthRoll = 0;
 
   // First, immediately set camera to Earth view
   cesiumViewer.camera.lookAt(
     earthCenter,
-    new Cesium.HeadingPitchRange(earthHeading, earthPitch, earthRange)
+    new Cesium.HeadingPitchRange(0, earthPitch, MAX_OVERVIEW_RANGE)
   );
 
-  // Then, animate smooth zoom to Spain (3.5 seconds)
-  setTimeout(() => {
-    const spainCenter = Cesium.Cartesian3.fromDegrees(longitude, latitude, altitude);
-    const spainHeading = 0;
-    const spainPitch = Cesium.Math.toRadians(-90);
-    const spainRoll = 0;
-
-    // Use flyTo for smooth animation
-    cesiumViewer.camera.flyTo({
-      destination: Cesium.Cartesian3.fromDegrees(longitude, latitude, finalRange),
-      orientation: {
-        heading: spainHeading,
-        pitch: spainPitch,
-        roll: spainRoll
-      },
-      duration: 3.5, // 3.5 seconds for epic zoom
-      easingFunction: Cesium.EasingFunction.CUBIC_IN_OUT
-    });
-  }, 100); // Small delay to ensure Earth view is set first
+  // Then, animate smooth zoom to the overview (3.5 seconds)
+  setTimeout(() => flyToOverview(3.5), 100); // Small delay to ensure Earth view is set first
 }
 
 /**
- * Spain orbit animation (same speed as other locations)
+ * Overview orbit animation (same speed as other locations)
  */
-let spainOrbitAnimation = null;
+let overviewOrbitAnimation = null;
 
-export function stopSpainOrbitEffect() {
-  if (spainOrbitAnimation) {
-    spainOrbitAnimation();
-    spainOrbitAnimation = null;
+export function stopOverviewOrbitEffect() {
+  if (overviewOrbitAnimation) {
+    overviewOrbitAnimation();
+    overviewOrbitAnimation = null;
   }
 }
 
-export function startSpainOrbitEffect() {
-  stopSpainOrbitEffect(); // Clear any existing orbit
+export function startOverviewOrbitEffect() {
+  stopOverviewOrbitEffect(); // Clear any existing orbit
 
   // Don't check for mobile here - let the pause button control it
-  spainOrbitAnimation = cesiumViewer.clock.onTick.addEventListener(() => {
+  overviewOrbitAnimation = cesiumViewer.clock.onTick.addEventListener(() => {
     // Very subtle rotation for overview: 0.00005 radians/tick (minimal movement)
     cesiumViewer.camera.rotate(Cesium.Cartesian3.UNIT_Z, 0.00005);
   });
@@ -600,11 +630,8 @@ export function startSpainOrbitEffect() {
 
 // Make orbit control functions available globally for cross-module access
 if (typeof window !== 'undefined') {
-  window.stopSpainOrbitEffect = stopSpainOrbitEffect;
-  window.startSpainOrbitEffect = startSpainOrbitEffect;
-  // Unified naming for consistency
-  window.stopOverviewOrbit = stopSpainOrbitEffect;
-  window.startOverviewOrbit = startSpainOrbitEffect;
+  window.stopOverviewOrbit = stopOverviewOrbitEffect;
+  window.startOverviewOrbit = startOverviewOrbitEffect;
 }
 
 /**
@@ -0,0 +1,132 @@
+/**
+ * Chapter Location
+ * Resolves the map position of a chapter from its config data, with a small
+ * localStorage cache of geocoded places as a last resort
+ */
+
+const GEOCODE_CACHE_KEY = 'ingenet3d.geocodeCache';
+
+/**
+ * How long a geocoded location is kept: Google allows caching coordinates for up to 30 days
+ * @readonly
+ */
+const GEOCODE_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read the geocode cache from localStorage
+ * @returns {Object<string, {lat: number, lng: number, elevation?: number, cachedAt: number}>} Cached locations keyed by place name
+ */
+function readGeocodeCache() {
+  try {
+    return JSON.parse(localStorage.getItem(GEOCODE_CACHE_KEY)) || {};
+  } catch (error) {
+    // Private mode or corrupted entry - behave as an empty cache
+    return {};
+  }
+}
+
+/**
+ * Returns true if the value is a usable {lat, lng} pair
+ * @param {*} location - The value to check
+ * @returns {boolean}
+ */
+export function isValidLocation(location) {
+  return Boolean(location) && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+}
+
+/**
+ * Returns true if a cached location is still within GEOCODE_CACHE_TTL
+ * @param {{cachedAt?: number}} location - The cached location
+ * @returns {boolean}
+ */
+function isFreshGeocode(location) {
+  return Number.isFinite(location?.cachedAt) && Date.now() - location.cachedAt < GEOCODE_CACHE_TTL;
+}
+
+/**
+ * Get a previously geocoded location for a place name
+ * @param {string} placeName - The place name used for geocoding
+ * @returns {{lat: number, lng: number, elevation?: number}|null} The cached location, or null if unknown or expired
+ */
+export function getCachedGeocode(placeName) {
+  if (!placeName) return null;
+  const location = readGeocodeCache()[placeName];
+  if (!isValidLocation(location) || !isFreshGeocode(location)) return null;
+
+  const { cachedAt, ...coordinates } = location;
+  return coordinates;
+}
+
+/**
+ * Store a geocoded location so markers can be placed without an API call on the next visit
+ * @param {string} placeName - The place name used for geocoding
+ * @param {{lat: number, lng: number, elevation?: number}} location - The resolved location
+ */
+export function cacheGeocode(placeName, location) {
+  if (!placeName || !isValidLocation(location)) return;
+
+  // Expired entries are dropped on every write
+  const cache = Object.fromEntries(Object.entries(readGeocodeCache()).filter(([, cached]) => isFreshGeocode(cached)));
+  cache[placeName] = { lat: location.lat, lng: location.lng, cachedAt: Date.now() };
+  if (Number.isFinite(location.elevation)) {
+    cache[placeName].elevation = location.elevation;
+  }
+
+  try {
+    localStorage.setItem(GEOCODE_CACHE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.warn('⚠️ Could not persist geocode cache:', error.message);
+  }
+}
+
+/**
+ * Optional `cameraCoordinates` fields passed on with the location
+ * @readonly
+ */
+const CAMERA_COORDINATE_EXTRAS = ['elevation', 'heading', 'pitch', 'range'];
+
+/**
+ * Get the location written in the config: `cameraCoordinates`, then the legacy `coords` field.
+ * @param {Chapter} chapter - The chapter (or story properties) to locate
+ * @returns {{lat: number, lng: number, elevation?: number, heading?: number, pitch?: number, range?: number, source: string}|null}
+ *   The location (with the camera fields of `cameraCoordinates`) and the field it came from, or null
+ */
+export function getConfiguredLocation(chapter) {
+  if (isValidLocation(chapter.cameraCoordinates)) {
+    const { lat, lng } = chapter.cameraCoordinates;
+    const location = { lat, lng };
+    CAMERA_COORDINATE_EXTRAS.forEach((key) => {
+      if (Number.isFinite(chapter.cameraCoordinates[key])) {
+        location[key] = chapter.cameraCoordinates[key];
+      }
+    });
+    return { ...location, source: 'cameraCoordinates' };
+  }
+
+  if (isValidLocation(chapter.coords)) {
+    const { lat, lng } = chapter.coords;
+    return { lat, lng, source: 'coords' };
+  }
+
+  return null;
+}
+
+/**
+ * Get the location of a chapter, in order of preference:
+ * `cameraCoordinates`, the legacy `coords` field, then a cached geocode of `placeName`.
+ * @param {Chapter} chapter - The chapter to locate
+ * @returns {{lat: number, lng: number, source: string}|null} The location and where it came from, or null if unknown
+ */
+export function getChapterLocation(chapter) {
+  const configured = getConfiguredLocation(chapter);
+  if (configured) {
+    return configured;
+  }
+
+  const cached = getCachedGeocode(chapter.placeName);
+  if (cached) {
+    return { ...cached, source: 'geocode-cache' };
+  }
+
+  return null;
+}
@@ -0,0 +1,120 @@
+/**
+ * Chat Backend
+ * The language model behind the chatbot. Any OpenAI-compatible chat completions endpoint works
+ * (Ollama, vLLM, LM Studio, scripts/mock-chat-server.mjs, or OpenAI and Azure behind a proxy).
+ * It is configured in env.js:
+ *
+ *   export const CHAT_API_URL = "http://localhost:8787/v1"; // Base URL, "/chat/completions" is appended
+ *   export const CHAT_MODEL = "gpt-4o-mini";
+ *   export const CHAT_API_KEY = "";                           // Optional, sent as a Bearer token
+ *
+ * env.js is served to every visitor, so CHAT_API_KEY is public. Never put a provider key in it: hosted
+ * models go through a same-origin proxy (e.g. "/api/chat/v1") that adds the key on the server.
+ * A CHAT_API_KEY is only sent to the page's own origin or to localhost; with any other CHAT_API_URL
+ * the backend is not used.
+ *
+ * Without CHAT_API_URL the chatbot keeps answering with its keyword matcher.
+ */
+
+import * as env from "../env.js";
+
+/**
+ * Abort requests that take longer than this, in milliseconds
+ * @readonly
+ */
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Hosts of a model running on the visitor's own machine
+ * @readonly
+ */
+const LOCAL_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {"system"|"user"|"assistant"} role - Who wrote the message
+ * @property {string} content - The message text
+ *
+ * @typedef {Object} ChatBackend
+ * @property {string} name - Shown in logs
+ * @property {(messages: ChatMessage[]) => Promise<string>} complete - The reply of the model to a conversation
+ */
+
+/**
+ * Create a backend for an OpenAI-compatible chat completions endpoint
+ * @param {Object} options
+ * @param {string} options.url - The API base URL, e.g. "/api/chat/v1" or "http://localhost:11434/v1"
+ * @param {string} options.model - The model name
+ * @param {string} [options.apiKey] - Sent as a Bearer token when set
+ * @param {number} [options.temperature] - Sampling temperature; low keeps answers close to the story content
+ * @returns {ChatBackend}
+ */
+export function createOpenAIChatBackend({ url, model, apiKey, temperature = 0.2 }) {
+  const endpoint = `${url.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: `${model} @ ${new URL(endpoint, window.location.href).host}`,
+
+    async complete(messages) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, messages, temperature }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Chat endpoint responded ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const reply = data.choices?.[0]?.message?.content;
+      if (typeof reply !== "string" || !reply.trim()) {
+        throw new Error("Chat endpoint returned no message");
+      }
+      return reply.trim();
+    },
+  };
+}
+
+/**
+ * Whether an API key may be sent to a URL from the browser: only to the page's own origin (a proxy)
+ * or to a local endpoint, never straight to a provider
+ * @param {string} url - The API base URL
+ * @returns {boolean}
+ */
+function canSendApiKey(url) {
+  const { origin, hostname } = new URL(url, window.location.href);
+  return origin === window.location.origin || LOCAL_HOSTNAMES.includes(hostname);
+}
+
+/**
+ * The backend configured in env.js
+ * @returns {ChatBackend|null} The backend, or null if none is configured
+ */
+export function getConfiguredChatBackend() {
+  if (!env.CHAT_API_URL) {
+    return null;
+  }
+
+  if (!env.CHAT_MODEL) {
+    console.warn("⚠️ CHAT_API_URL is set but CHAT_MODEL is not, the chatbot uses keyword matching");
+    return null;
+  }
+
+  if (env.CHAT_API_KEY && !canSendApiKey(env.CHAT_API_URL)) {
+    console.error("❌ CHAT_API_KEY is public in env.js and is only sent to a same-origin proxy or a local endpoint, the chatbot uses keyword matching");
+    return null;
+  }
+
+  return createOpenAIChatBackend({
+    url: env.CHAT_API_URL,
+    model: env.CHAT_MODEL,
+    apiKey: env.CHAT_API_KEY,
+  });
+}
@@ -0,0 +1,255 @@
+/**
+ * Chat Context
+ * What the chatbot remembers between messages: the places it listed last, the place being talked
+ * about and the last visited one, and the constraints of the last search. Follow-ups like
+ * "¿y el siguiente?", "muéstrame más", "llévame al segundo" or "¿y en Galicia?" are resolved against it.
+ */
+
+import { foldText, getSearchIndex } from './search-index.js';
+import { parseSpatialQuery } from './spatial-query.js';
+
+/**
+ * Places added to the list by "muéstrame más"
+ * @readonly
+ */
+export const RESULTS_PAGE_SIZE = 4;
+
+/**
+ * "empezar de nuevo" and its variants, anywhere in the message
+ * @readonly
+ */
+const RESET_PATTERN = /\b(empezar de nuevo|empecemos de nuevo|empieza de nuevo|volver a empezar|empezar de cero|reiniciar|reinicia|start over|start again|restart|reset|tornar a comencar|comencar de nou|comecar de novo|comezar de novo|volver a comezar|hasi berriro|berriz hasi)\b/;
+
+/**
+ * "muéstrame más", "¿hay más?", "more": the whole message asks for the rest of the list
+ * @readonly
+ */
+const MORE_PATTERN = /^((muestrame|ensename|dame|dime|quiero|hay|show me|show|any|mostra m|ensenya m|amosa me|amosame|ensiname|erakutsi) )?(mas|more|mes|mais|gehiago|otros|others|altres|outros)( (lugares|sitios|resultados|opciones|places|results|options|llocs|resultats|opcions|leku))?$/;
+
+/**
+ * Ordinal words of the UI languages, with 0 for "the last one"
+ * @readonly
+ */
+const ORDINAL_WORDS = {
+  primero: 1, primera: 1, primer: 1, first: 1, primeiro: 1, primeira: 1, lehena: 1,
+  segundo: 2, segunda: 2, second: 2, segon: 2, segona: 2, bigarrena: 2,
+  tercero: 3, tercera: 3, tercer: 3, third: 3, terceiro: 3, terceira: 3, hirugarrena: 3,
+  cuarto: 4, cuarta: 4, fourth: 4, quart: 4, quarta: 4, laugarrena: 4,
+  quinto: 5, quinta: 5, fifth: 5, cinque: 5, cinquena: 5, bosgarrena: 5,
+  ultimo: 0, ultima: 0, last: 0, darrer: 0, darrera: 0, derradeiro: 0, derradeira: 0, azkena: 0,
+};
+
+/**
+ * Distance units, after a number that is a distance and not a position ("a 20 km")
+ * @readonly
+ */
+const DISTANCE_UNITS = 'km|kms|kilometros?|kilometers?|kilometres?|quilometres?|quilometros?|m|metros?|meters?|metres?';
+
+/**
+ * "el segundo", "the third one", "al 2", "número 3": an ordinal after an article, or a number after
+ * an article that can't be a preposition ("a 20 km", "o 2") nor "the" ("the 3 closest to Madrid"),
+ * and not followed by a distance or "closest"
+ * @readonly
+ */
+const ORDINAL_PATTERN = new RegExp(
+  `\\b(?:(?:el|la|al|lo|the|l|o|a|ao|numero|number|opcion|option|num)\\s+(${Object.keys(ORDINAL_WORDS).join('|')})` +
+  `|(?:el|la|al|lo|numero|number|opcion|option|num)\\s+(\\d{1,2})(?!\\s*(?:${DISTANCE_UNITS}|closest|nearest|mas cercan\\w*|mes proper\\w*|mais (?:preto|proxim\\w*)|hurbilen\\w*)\\b))\\b`
+);
+
+/**
+ * Longest message picking a place by position, longer ones name things ("Museo de la Primera…")
+ * @readonly
+ */
+const MAX_SELECT_WORDS = 8;
+
+/**
+ * "el siguiente" and "el anterior"
+ * @readonly
+ */
+const NEXT_PATTERN = /\b(siguiente|next|seguent|seguinte|hurrengoa)\b/;
+const PREVIOUS_PATTERN = /\b(anterior|previous|aurrekoa)\b/;
+
+/**
+ * Words asking to go to a place ("llévame", "take me")
+ * @readonly
+ */
+const NAVIGATE_PATTERN = /\b(llevame|lleveme|vamos|vayamos|take me|go to|go there|lets go|porta m|anem|levame|imos|eraman)\b/;
+
+/**
+ * "llévame allí", "take me there": the whole message goes to the place being talked about
+ * @readonly
+ */
+const GO_THERE_PATTERN = /^(llevame|lleveme|vamos|take me|go|lets go|porta m|anem|levame|imos|eraman nazazu)( (alli|alla|ahi|alli mismo|there|alla|hi|ali|ala|hara))?$/;
+
+/**
+ * "¿y en Galicia?", "solo museos": a message refining the last search starts with one of these
+ * @readonly
+ */
+const REFINE_PATTERN = /^(?:(?:y|and|what about|i|e|eta|pero|but|solo|only|just|nomes|nomas|solamente|soamente)\s+)+(.+)$/;
+
+/**
+ * A distance without a place ("¿y a menos de 20 km?"), measured from the place of the last search
+ * @readonly
+ */
+const DISTANCE_ONLY_PATTERN = new RegExp(`^(?:.*\\s)?\\d+(?:[.,]\\d+)? ?(?:${DISTANCE_UNITS})$`);
+
+/**
+ * @typedef {Object} DialogueState
+ * @property {number[]} results - The chapter indices of the last list, in order
+ * @property {number} shownCount - How many of them are shown
+ * @property {number|null} focusIndex - The place being talked about (the last answer about a single place)
+ * @property {number|null} lastVisitedIndex - The last place the chatbot took the visitor to
+ * @property {number|null} shownChapterIndex - The chapter shown at the last message, to notice places opened on the map
+ * @property {string|null} lastIntent - The practical question of the last answer ("hours"), repeated by "¿y el siguiente?"
+ * @property {{topic: string, spatial: import('./spatial-query.js').SpatialQuery|null}|null} constraints - The last search
+ *
+ * @typedef {Object} FollowUp
+ * @property {"reset"|"more"|"select"|"goThere"|"refine"} type - Start over, show more of the list, pick a place
+ *   of the list (by position or next/previous), go to the place being talked about, or narrow the last search
+ * @property {number} [position] - For "select" by position: 1-based, 0 for the last one
+ * @property {1|-1} [step] - For "select" next (1) or previous (-1)
+ * @property {boolean} [navigate] - For "select": the message asks to go there
+ * @property {string} [text] - For "refine": the new constraint ("en galicia")
+ */
+
+/**
+ * @returns {DialogueState} A state with nothing to remember
+ */
+export function createDialogueState() {
+  return {
+    results: [],
+    shownCount: 0,
+    focusIndex: null,
+    lastVisitedIndex: null,
+    shownChapterIndex: null,
+    lastIntent: null,
+    constraints: null,
+  };
+}
+
+/**
+ * Fold a message for the patterns: accents, case and punctuation out
+ * @param {string} message - The message
+ * @returns {string}
+ */
+function normalizeMessage(message) {
+  return foldText(message).replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Recognize a message that only makes sense after the previous answers
+ * @param {string} message - The visitor's message
+ * @returns {FollowUp|null} The follow-up, or null for a message that stands on its own
+ */
+export function parseFollowUp(message) {
+  const text = normalizeMessage(message);
+
+  if (RESET_PATTERN.test(text)) {
+    return { type: 'reset' };
+  }
+
+  if (MORE_PATTERN.test(text)) {
+    return { type: 'more' };
+  }
+
+  if (GO_THERE_PATTERN.test(text)) {
+    return { type: 'goThere' };
+  }
+
+  const navigate = NAVIGATE_PATTERN.test(text);
+
+  const ordinalMatch = text.match(ORDINAL_PATTERN);
+  if (ordinalMatch && text.split(' ').length <= MAX_SELECT_WORDS) {
+    const [, word, number] = ordinalMatch;
+    const position = word ? ORDINAL_WORDS[word] : Number(number);
+    return { type: 'select', position, navigate };
+  }
+
+  if (NEXT_PATTERN.test(text)) {
+    return { type: 'select', step: 1, navigate };
+  }
+
+  if (PREVIOUS_PATTERN.test(text)) {
+    return { type: 'select', step: -1, navigate };
+  }
+
+  const refineMatch = text.match(REFINE_PATTERN);
+  if (refineMatch) {
+    return { type: 'refine', text: refineMatch[1] };
+  }
+
+  return null;
+}
+
+/**
+ * The place a "select" follow-up points to
+ * @param {FollowUp} followUp - The follow-up
+ * @param {DialogueState} state - The dialogue state
+ * @param {number} chapterCount - The chapters of the story, for next and previous without a list
+ * @param {number|null} currentIndex - The chapter being shown
+ * @returns {{index: number} | {error: "noResults"|"noMore"|"outOfRange"}}
+ */
+export function resolveSelection(followUp, state, chapterCount, currentIndex) {
+  const { results } = state;
+
+  if (followUp.step) {
+    const baseIndex = state.focusIndex ?? state.lastVisitedIndex ?? currentIndex;
+
+    // Without a list, next and previous follow the story
+    if (results.length === 0) {
+      if (baseIndex === null || baseIndex < 0) {
+        return { error: 'noResults' };
+      }
+      const index = baseIndex + followUp.step;
+      return index >= 0 && index < chapterCount ? { index } : { error: 'noMore' };
+    }
+
+    const position = results.indexOf(baseIndex);
+    const nextPosition = position < 0 ? 0 : position + followUp.step;
+    return nextPosition >= 0 && nextPosition < results.length
+      ? { index: results[nextPosition] }
+      : { error: 'noMore' };
+  }
+
+  if (results.length === 0) {
+    return { error: 'noResults' };
+  }
+
+  const position = followUp.position === 0 ? results.length : followUp.position;
+  return position >= 1 && position <= results.length
+    ? { index: results[position - 1] }
+    : { error: 'outOfRange' };
+}
+
+/**
+ * Apply a refinement to the last search: a new place or region keeps the topic ("¿y en Galicia?"),
+ * a new distance keeps the place ("¿y a menos de 20 km?") and a new topic keeps the place ("¿y museos?")
+ * @param {string} text - The refinement, folded ("en galicia")
+ * @param {DialogueState} state - The dialogue state
+ * @param {Chapter[]} chapters - The chapters
+ * @returns {import('./spatial-query.js').SpatialQuery|null} The refined spatial question, or null if
+ *   the refinement is not spatial and the last search was not either
+ */
+export function refineSpatialQuery(text, state, chapters) {
+  const previousTopic = state.constraints?.topic || '';
+  const previousQuery = state.constraints?.spatial;
+
+  const query = parseSpatialQuery(text, chapters);
+  if (query) {
+    return { ...query, topic: query.topic || previousTopic };
+  }
+
+  if (!previousQuery) {
+    return null;
+  }
+
+  if (DISTANCE_ONLY_PATTERN.test(text)) {
+    const distanceQuery = parseSpatialQuery(`${text} de ${previousQuery.placeText}`, chapters);
+    return distanceQuery && { ...distanceQuery, topic: previousTopic, refersToCurrentPlace: previousQuery.refersToCurrentPlace };
+  }
+
+  // A new topic, if the story has it
+  return getSearchIndex(chapters).search(text, { limit: 1 }).length > 0
+    ? { ...previousQuery, topic: text }
+    : null;
+}
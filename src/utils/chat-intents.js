@@ -0,0 +1,202 @@
+/**
+ * Chat Intents
+ * Practical questions the chatbot answers from the chapter data instead of searching for places:
+ * opening hours, tickets, address and contact, website, and what a place is about.
+ * The answer is a card with the requested details, shown by the chatbot.
+ */
+
+import { t } from './i18n.js';
+import { foldText, truncate } from './search-index.js';
+import { getChapterLocation } from './chapter-location.js';
+import { isWebUrl } from './config-validator.js';
+
+/**
+ * Phrasings of each intent, matched against the accent-folded message, in the UI languages.
+ * The first intent that matches wins.
+ * @readonly
+ */
+const INTENT_PATTERNS = {
+  hours: /\b(horari\w*|hora\w*|abre\w*|abiert\w*|cierra\w*|cerrad\w*|apertura|open\w*|hours?|clos\w*|obert\w*|tanca\w*|aberto|pecha\w*|ordutegi\w*|zabalik|irekita)\b/g,
+  prices: /\b(precios?|cuesta\w*|coste|costo|entradas?|tarifas?|billetes?|gratis|gratuit\w*|tickets?|prices?|costs?|fees?|free|preus?|prezos?|custa|sarrer\w*|prezio\w*|doakoa)\b/g,
+  website: /\b(web|pagina web|sitio web|website|url|enlace|link|paxina web|webgune\w*)\b/g,
+  address: /\b(direccion|donde esta|donde queda|como llego|como llegar|ubicacion|telefono|contacto|address|where is|how do i get|phone|contact|adreca|on es|enderezo|onde esta|helbide\w*|non dago)\b/g,
+  about: /\b(que es|que hacen|a que se dedica|de que trata|hablame de|cuentame|what is|what do they do|tell me about|que fan|que e|zer da|zer egiten)\b/g,
+};
+
+/**
+ * Words that point to the place being shown ("¿a qué hora abre este museo?"). "este" and "esta"
+ * need a noun after them, folded "está" is also "esta".
+ * @readonly
+ */
+const CURRENT_PLACE_PATTERN = /\b((este|esta|aquest|aquesta) (lugar|sitio|museo|museu|centro|centre|edificio|empresa|lloc)|esto|aixo|isto|aqui|here|this|hemen|hau)\b/g;
+
+/**
+ * Characters of chapter content shown in the "about" card
+ * @readonly
+ */
+const MAX_ABOUT_LENGTH = 320;
+
+/**
+ * Google price levels of the Places API, as shown in the card
+ * @readonly
+ */
+const PRICE_LEVELS = {
+  INEXPENSIVE: '€',
+  MODERATE: '€€',
+  EXPENSIVE: '€€€',
+  VERY_EXPENSIVE: '€€€€',
+};
+
+/**
+ * @typedef {"hours"|"prices"|"website"|"address"|"about"} IntentName
+ *
+ * @typedef {Object} Intent
+ * @property {IntentName} name - What the visitor asks for
+ * @property {string} placeQuery - The rest of the message, to search for the place
+ * @property {boolean} refersToCurrentPlace - The message points to the place being shown
+ *
+ * @typedef {Object} CardRow
+ * @property {string} label - The row label
+ * @property {string} value - The text, may have line breaks
+ * @property {string} [href] - Makes the value a link
+ *
+ * @typedef {Object} IntentCard
+ * @property {string} title - The place
+ * @property {CardRow[]} rows - The requested details
+ */
+
+/**
+ * Recognize a practical question
+ * @param {string} message - The visitor's message
+ * @returns {Intent|null} The intent, or null for anything else (a place search)
+ */
+export function detectIntent(message) {
+  const folded = foldText(message);
+
+  for (const [name, pattern] of Object.entries(INTENT_PATTERNS)) {
+    if (folded.match(pattern)) {
+      return {
+        name,
+        placeQuery: folded.replace(pattern, ' ').replace(CURRENT_PLACE_PATTERN, ' ').trim(),
+        refersToCurrentPlace: Boolean(folded.match(CURRENT_PLACE_PATTERN)),
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The website row of a chapter, only for http(s) links
+ * @param {Chapter} chapter - The chapter
+ * @returns {CardRow|null}
+ */
+function getWebsiteRow(chapter) {
+  return isWebUrl(chapter.website)
+    ? { label: t('chat.card.website'), value: chapter.website.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, ''), href: chapter.website }
+    : null;
+}
+
+/**
+ * The rows answering an intent, from the config and the Google place details
+ * @param {IntentName} name - The intent
+ * @param {Chapter} chapter - The place
+ * @param {Object|null} placeDetails - Google place details (see `getPlaceDetails`), if resolved
+ * @returns {CardRow[]} The rows, empty if the data has no answer
+ */
+function getIntentRows(name, chapter, placeDetails) {
+  const rows = [];
+
+  switch (name) {
+    case 'hours': {
+      const weekdays = placeDetails?.openingHours?.weekdayDescriptions;
+      if (chapter.openingHours) {
+        rows.push({ label: t('chat.card.hours'), value: chapter.openingHours });
+      } else if (weekdays?.length) {
+        rows.push({ label: t('chat.card.hours'), value: weekdays.join('\n') });
+      }
+      break;
+    }
+
+    case 'prices': {
+      if (chapter.ticketInfo) {
+        rows.push({ label: t('chat.card.tickets'), value: chapter.ticketInfo });
+      }
+      const priceLevel = placeDetails?.priceLevel;
+      if (priceLevel === 'FREE') {
+        rows.push({ label: t('chat.card.priceLevel'), value: t('chat.card.free') });
+      } else if (PRICE_LEVELS[priceLevel]) {
+        rows.push({ label: t('chat.card.priceLevel'), value: PRICE_LEVELS[priceLevel] });
+      }
+      break;
+    }
+
+    case 'website': {
+      const websiteRow = getWebsiteRow(chapter);
+      if (websiteRow) rows.push(websiteRow);
+      break;
+    }
+
+    case 'address': {
+      const address = chapter.address || placeDetails?.formattedAddress || chapter.placeName;
+      const location = getChapterLocation(chapter);
+      if (address) {
+        rows.push({ label: t('chat.card.address'), value: address });
+      }
+      if (placeDetails?.phoneNumber) {
+        rows.push({ label: t('chat.card.phone'), value: placeDetails.phoneNumber, href: `tel:${placeDetails.phoneNumber.replace(/\s/g, '')}` });
+      }
+      if (location) {
+        rows.push({
+          label: t('chat.card.map'),
+          value: 'Google Maps',
+          href: `https://www.google.com/maps/search/?api=1&query=${location.lat},${location.lng}`
+        });
+      }
+      const websiteRow = getWebsiteRow(chapter);
+      if (websiteRow && rows.length > 0) rows.push(websiteRow);
+      break;
+    }
+
+    case 'about': {
+      const description = chapter.content || placeDetails?.editorialSummary;
+      if (description) {
+        rows.push({ label: t('chat.card.about'), value: truncate(description, MAX_ABOUT_LENGTH) });
+      }
+      ['sector', 'tipo', 'ubicacion'].forEach(category => {
+        const tags = chapter.etiquetas?.[category];
+        if (tags?.length) {
+          rows.push({ label: t(`tags.${category}`), value: tags.join(', ') });
+        }
+      });
+      break;
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Answer a practical question about a place
+ * @param {IntentName} name - The intent
+ * @param {Chapter} chapter - The place
+ * @param {Object|null} placeDetails - Google place details, if resolved
+ * @returns {{text: string, card: IntentCard}} The message text and the card; when the data has no
+ *   answer, the text says so and the card points to the website
+ */
+export function answerIntent(name, chapter, placeDetails) {
+  const rows = getIntentRows(name, chapter, placeDetails);
+
+  if (rows.length > 0) {
+    return {
+      text: t(`chat.intent.${name}`, { title: chapter.title }),
+      card: { title: chapter.title, rows }
+    };
+  }
+
+  const websiteRow = getWebsiteRow(chapter);
+  return {
+    text: `${t(`chat.intent.${name}Missing`, { title: chapter.title })}${websiteRow ? ` ${t('chat.intent.checkWebsite')}` : ''}`,
+    card: { title: chapter.title, rows: websiteRow ? [websiteRow] : [] }
+  };
+}
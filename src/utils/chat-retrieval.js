@@ -0,0 +1,135 @@
+/**
+ * Chat Retrieval
+ * Grounds the chat backend on the story: the prompt lists every chapter in one line and
+ * describes the chapters that best match the question in full (content, tags, opening hours,
+ * tickets). The model cites chapters as [[id]], which become "take me there" buttons.
+ */
+
+import { LOCALE_NAMES } from "./i18n.js";
+import { truncate } from "./search-index.js";
+
+/**
+ * Chapters described in full in the prompt
+ * @readonly
+ */
+const MAX_DETAILED_CHAPTERS = 5;
+
+/**
+ * Characters of chapter content kept in the prompt
+ * @readonly
+ */
+const MAX_CONTENT_LENGTH = 700;
+
+/**
+ * Earlier chat messages sent along with the question
+ * @readonly
+ */
+const MAX_HISTORY_MESSAGES = 6;
+
+/**
+ * A citation in a reply, e.g. "[[12]]"
+ * @readonly
+ */
+const CITATION_PATTERN = /\s*\[\[\s*([^\]]+?)\s*\]\]/g;
+
+/**
+ * @param {Chapter} chapter - The chapter
+ * @returns {string} The chapter tags, e.g. "ubicacion: Vigo, Galicia; sector: Naval"
+ */
+function describeTags(chapter) {
+  return Object.entries(chapter.etiquetas || {})
+    .filter(([, tags]) => Array.isArray(tags) && tags.length > 0)
+    .map(([category, tags]) => `${category}: ${tags.join(", ")}`)
+    .join("; ");
+}
+
+/**
+ * One line per chapter, so the model knows everything the story contains
+ * @param {Chapter[]} chapters - The story chapters
+ * @returns {string}
+ */
+function describeCatalog(chapters) {
+  return chapters
+    .map(chapter => {
+      const location = chapter.etiquetas?.ubicacion?.join(", ");
+      return `[[${chapter.id}]] ${chapter.title}${location ? ` (${location})` : ""}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Everything the story says about a chapter
+ * @param {Chapter} chapter - The chapter
+ * @returns {string}
+ */
+function describeChapter(chapter) {
+  const lines = [`[[${chapter.id}]] ${chapter.title}`];
+  const tags = describeTags(chapter);
+
+  if (chapter.address) lines.push(`Address: ${chapter.address}`);
+  if (tags) lines.push(`Tags: ${tags}`);
+  if (chapter.openingHours) lines.push(`Opening hours: ${chapter.openingHours}`);
+  if (chapter.ticketInfo) lines.push(`Tickets: ${chapter.ticketInfo}`);
+  if (chapter.website) lines.push(`Website: ${chapter.website}`);
+  if (chapter.content) lines.push(`Description: ${truncate(chapter.content, MAX_CONTENT_LENGTH)}`);
+
+  return lines.join("\n");
+}
+
+/**
+ * Build the conversation sent to the chat backend
+ * @param {Object} options
+ * @param {Story} options.story - The localized story
+ * @param {Chapter[]} options.rankedChapters - The chapters matching the question, best first
+ * @param {string} options.question - The visitor's question
+ * @param {Array<{type: "user"|"bot", text: string}>} options.history - Earlier chat messages, oldest first
+ * @param {string} options.locale - The language to answer in
+ * @returns {import("./chat-backend.js").ChatMessage[]}
+ */
+export function buildChatMessages({ story, rankedChapters, question, history, locale }) {
+  const detailedChapters = rankedChapters.slice(0, MAX_DETAILED_CHAPTERS);
+
+  const system = [
+    `You are the guide of "${story.properties.title}", an interactive 3D map. Answer in ${LOCALE_NAMES[locale] || locale}, briefly (at most 4 sentences).`,
+    "Use only the places below. If they don't answer the question, say so and suggest related places from the list.",
+    "Cite every place you mention right after its name with its id in double brackets, e.g. \"Museo Naval [[3]]\". Never cite an id that is not listed.",
+    "",
+    "All places:",
+    describeCatalog(story.chapters),
+  ];
+
+  if (detailedChapters.length > 0) {
+    system.push("", "Places that best match the question:", detailedChapters.map(describeChapter).join("\n\n"));
+  }
+
+  const earlierMessages = history
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map(message => ({ role: message.type === "user" ? "user" : "assistant", content: message.text }));
+
+  return [
+    { role: "system", content: system.join("\n") },
+    ...earlierMessages,
+    { role: "user", content: question },
+  ];
+}
+
+/**
+ * Take the [[id]] citations out of a reply
+ * @param {string} reply - The model reply
+ * @param {Chapter[]} chapters - The story chapters
+ * @returns {{text: string, citations: Array<{index: number, title: string}>}} The reply without
+ *   citation marks, and the cited chapters in order of first mention (unknown ids are dropped)
+ */
+export function extractCitations(reply, chapters) {
+  const citations = [];
+
+  const text = reply.replace(CITATION_PATTERN, (match, id) => {
+    const index = chapters.findIndex(chapter => String(chapter.id) === id);
+    if (index >= 0 && !citations.some(citation => citation.index === index)) {
+      citations.push({ index, title: chapters[index].title });
+    }
+    return "";
+  });
+
+  return { text: text.trim(), citations };
+}
@@ -1,19 +1,60 @@
-import { updateChapter } from '../chapters/chapter-navigation.js';
+import { updateChapter, getCurrentChapterIndex } from '../chapters/chapter-navigation.js';
+import { t, getLocale } from './i18n.js';
+import { getConfiguredChatBackend } from './chat-backend.js';
+import { buildChatMessages, extractCitations } from './chat-retrieval.js';
+import { getSearchIndex, escapeHtml } from './search-index.js';
+import { detectIntent, answerIntent } from './chat-intents.js';
+import { parseSpatialQuery, answerSpatialQuery } from './spatial-query.js';
+import { createDialogueState, parseFollowUp, resolveSelection, refineSpatialQuery, RESULTS_PAGE_SIZE } from './chat-context.js';
+import { createCustomRadiusShader, removeCustomRadiusShader, flyToTopDownView } from './cesium.js';
+import { hideMarker, showMarker } from './create-markers.js';
+import { updateMarkerVisibility } from './tag-filters.js';
+import { getOverviewView } from './story-bounds.js';
+import { getParams } from './params.js';
 
 let chatHistory = [];
 let isOpen = false;
 let storyData = null;
+let searchIndex = null;
+let loadPlaceDetails = null;
+let isWaitingForReply = false;
+let isSpatialHighlightShown = false;
+let dialogue = createDialogueState();
+
+/**
+ * Camera height over a search radius, to see the whole circle
+ * @readonly
+ */
+const RADIUS_VIEW_FACTOR = 3;
+
+// Answers conversational questions when configured in env.js, otherwise the keyword matcher answers
+const chatBackend = getConfiguredChatBackend();
+if (chatBackend) {
+  console.log(`🤖 Chatbot backend: ${chatBackend.name}`);
+}
 
-export function initChatbot(story) {
+/**
+ * Start the chatbot for a story
+ * @param {Story} story - The localized story
+ * @param {Object} [options]
+ * @param {(chapterId: number|string) => Promise<Object|null>} [options.loadPlaceDetails] - Google place details of a chapter, for opening hours and contact questions
+ */
+export function initChatbot(story, options = {}) {
   storyData = story;
+  searchIndex = getSearchIndex(story.chapters);
+  loadPlaceDetails = options.loadPlaceDetails || null;
+  // The markers of the previous story are gone
+  isSpatialHighlightShown = false;
 
   const welcomeMessage = {
     type: 'bot',
-    text: '¡Hola! ¿A qué lugar de España te gustaría ir? Puedo llevarte a la Sagrada Familia, Alhambra, Museo del Prado, o cualquier otro lugar de nuestra lista.',
+    text: t('chat.welcome'),
     timestamp: new Date()
   };
 
-  chatHistory.push(welcomeMessage);
+  // Start a fresh conversation (initChatbot runs again when another story is loaded)
+  chatHistory = [welcomeMessage];
+  dialogue = createDialogueState();
 
   setTimeout(() => {
     showChatHint();
@@ -85,28 +126,92 @@ function renderChatHistory() {
         <div class="message-text">${message.text}</div>
         <div class="confirmation-buttons">
           <button class="confirm-btn yes" onclick="window.confirmNavigation(${message.confirmation.place.index})">
-            Sí, llévame allí
+            ${t('chat.confirmYes')}
           </button>
           <button class="confirm-btn no" onclick="window.cancelNavigation()">
-            No, buscar otra cosa
+            ${t('chat.confirmNo')}
           </button>
         </div>
       `;
+    } else if (message.card) {
+      messageDiv.innerHTML = `
+        <div class="message-text">${escapeHtml(message.text)}</div>
+        ${renderCard(message.card)}
+      `;
+    } else if (message.spatialResults) {
+      messageDiv.innerHTML = `
+        <div class="message-text">${escapeHtml(message.text)}</div>
+        ${message.spatialResults.length > 0 ? `
+          <div class="suggestions">
+            ${message.spatialResults.map(result => `
+              <button class="suggestion-btn" onclick="window.selectPlace(${result.index})">
+                ${escapeHtml(result.title)}
+                ${result.distance !== null ? `<span class="chat-distance">${formatDistance(result.distance)}</span>` : ''}
+              </button>
+            `).join('')}
+          </div>
+          <button class="chat-link-btn" onclick="window.clearSpatialHighlight()">${t('chat.spatial.showAll')}</button>
+        ` : ''}
+      `;
+    } else if (message.citations) {
+      // Model replies are plain text, escaped before rendering
+      messageDiv.innerHTML = `
+        <div class="message-text">${escapeHtml(message.text).replace(/\n/g, '<br>')}</div>
+        ${message.citations.length > 0 ? `
+          <div class="chat-citations-label">${t('chat.takeMeThere')}</div>
+          <div class="suggestions">
+            ${message.citations.map(citation => `
+              <button class="suggestion-btn" onclick="window.selectPlace(${citation.index})">
+                ${escapeHtml(citation.title)}
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+      `;
     } else {
       messageDiv.innerHTML = `<div class="message-text">${message.text}</div>`;
     }
 
+    if (message.isPending) {
+      messageDiv.classList.add('pending');
+    }
+
     chatMessages.appendChild(messageDiv);
   });
 
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
-export function sendMessage() {
+/**
+ * The HTML of an answer card: the place, the requested details and a button to go there
+ * @param {import('./chat-intents.js').IntentCard & {index: number}} card - The card
+ * @returns {string}
+ */
+function renderCard(card) {
+  const rows = card.rows.map(row => {
+    const value = escapeHtml(row.value).replace(/\n/g, '<br>');
+    return `
+      <dt>${escapeHtml(row.label)}</dt>
+      <dd>${row.href ? `<a href="${escapeHtml(row.href)}" target="_blank" rel="noopener noreferrer">${value}</a>` : value}</dd>
+    `;
+  }).join('');
+
+  return `
+    <div class="chat-card">
+      <div class="chat-card-title">${escapeHtml(card.title)}</div>
+      ${rows ? `<dl class="chat-card-rows">${rows}</dl>` : ''}
+      <button class="suggestion-btn chat-card-navigate" onclick="window.selectPlace(${card.index})">
+        ${t('chat.card.navigate')}
+      </button>
+    </div>
+  `;
+}
+
+export async function sendMessage() {
   const chatInput = document.getElementById('chat-input');
   const userInput = chatInput.value.trim();
 
-  if (!userInput) return;
+  if (!userInput || isWaitingForReply) return;
 
   const userMessage = {
     type: 'user',
@@ -116,325 +221,479 @@ export function sendMessage() {
   chatHistory.push(userMessage);
 
   chatInput.value = '';
+  clearSpatialHighlight();
+
+  // A place opened outside the chat (on the map or in the places list) is the one talked about
+  const currentIndex = getCurrentChapterIndex();
+  if (currentIndex !== dialogue.shownChapterIndex) {
+    dialogue.shownChapterIndex = currentIndex;
+    if (currentIndex !== null && currentIndex >= 0) {
+      dialogue.focusIndex = currentIndex;
+    }
+  }
 
-  const matches = findMatchingPlaces(userInput);
+  const intent = detectIntent(userInput);
+  const followUp = parseFollowUp(userInput);
 
-  if (matches.length === 0) {
-    const botMessage = {
-      type: 'bot',
-      text: `No encontré ningún lugar con "${userInput}". Prueba con nombres como "Sagrada", "Prado", "Alhambra", "Palacio Real" o "Santiago".`,
-      timestamp: new Date()
-    };
-    chatHistory.push(botMessage);
-  } else if (matches.length === 1) {
-    const place = matches[0];
-    const botMessage = {
+  if (followUp?.type === 'reset') {
+    startOver();
+    renderChatHistory();
+    return;
+  }
+
+  const followUpAnswer = followUp ? await answerFollowUp(followUp, intent) : null;
+  if (followUpAnswer) {
+    chatHistory.push(followUpAnswer);
+    renderChatHistory();
+    return;
+  }
+
+  const spatialQuery = parseSpatialQuery(userInput, storyData.chapters);
+  const spatialAnswer = spatialQuery && answerSpatialQuery(spatialQuery, storyData.chapters, { currentIndex: getCurrentChapterIndex() });
+  // "cerca de", "más cercanos" and distances are spatial when their place is known, "en <región>" only
+  // when nothing else is asked; otherwise a practical question wins ("¿abre el domingo cerca de las 10?")
+  if (spatialAnswer && (!intent || (spatialQuery.kind !== 'region' && !spatialAnswer.error))) {
+    chatHistory.push(answerSpatialQuestion(spatialQuery, spatialAnswer));
+    renderChatHistory();
+    return;
+  }
+
+  if (intent) {
+    chatHistory.push(await answerPracticalQuestion(intent));
+    renderChatHistory();
+    return;
+  }
+
+  const backendAnswer = chatBackend ? await answerWithBackend(userInput) : null;
+  chatHistory.push(backendAnswer || answerWithMatcher(userInput));
+
+  renderChatHistory();
+}
+
+/**
+ * Forget the conversation, "empezar de nuevo"
+ */
+function startOver() {
+  dialogue = createDialogueState();
+  chatHistory = [{
+    type: 'bot',
+    text: t('chat.context.reset'),
+    timestamp: new Date()
+  }];
+}
+
+/**
+ * Answer a message that refers to the previous answers
+ * @param {import('./chat-context.js').FollowUp} followUp - The follow-up
+ * @param {import('./chat-intents.js').Intent|null} intent - The practical question of the message, if any
+ * @returns {Promise<Object|null>} The bot message, or null to answer the message on its own
+ */
+async function answerFollowUp(followUp, intent) {
+  switch (followUp.type) {
+    case 'more':
+      return answerMore();
+
+    case 'goThere': {
+      const index = dialogue.focusIndex ?? dialogue.lastVisitedIndex;
+      return index === null ? createBotMessage(t('chat.context.whichPlace')) : startNavigation(index);
+    }
+
+    case 'select': {
+      const selection = resolveSelection(followUp, dialogue, storyData.chapters.length, getCurrentChapterIndex());
+      // Without a list "la primera" is more likely part of a name
+      if (selection.error === 'noResults' && followUp.position !== undefined) {
+        return null;
+      }
+      if (selection.error) {
+        return createBotMessage(t(`chat.context.${selection.error}`, { count: dialogue.results.length }));
+      }
+
+      // "¿y el siguiente?" after opening hours asks for the opening hours of the next one
+      const selectedIntent = intent || (!followUp.navigate && dialogue.lastIntent ? { name: dialogue.lastIntent } : null);
+      if (selectedIntent) {
+        return answerPracticalQuestion(selectedIntent, selection.index);
+      }
+      if (followUp.navigate) {
+        return startNavigation(selection.index);
+      }
+
+      const place = { ...storyData.chapters[selection.index], index: selection.index };
+      dialogue.focusIndex = selection.index;
+      dialogue.lastIntent = null;
+      return {
+        ...createBotMessage(t('chat.context.selected', { title: place.title })),
+        confirmation: { place }
+      };
+    }
+
+    case 'refine': {
+      // "¿y qué horario tiene?" is a question about the place, not a narrower search
+      const query = intent ? null : refineSpatialQuery(followUp.text, dialogue, storyData.chapters);
+      return query ? answerSpatialQuestion(query) : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Show the next places of the last list, "muéstrame más"
+ * @returns {Object} The bot message
+ */
+function answerMore() {
+  const { results, shownCount } = dialogue;
+
+  if (results.length === 0) {
+    return createBotMessage(t('chat.context.noResults'));
+  }
+  if (shownCount >= results.length) {
+    return createBotMessage(t('chat.context.noMore'));
+  }
+
+  const page = results.slice(shownCount, shownCount + RESULTS_PAGE_SIZE);
+  dialogue.shownCount += page.length;
+
+  return {
+    ...createBotMessage(t('chat.context.more', { from: shownCount + 1, to: dialogue.shownCount, total: results.length })),
+    suggestions: page.map(index => ({ ...storyData.chapters[index], index }))
+  };
+}
+
+/**
+ * Say so and go to a place, as when the visitor confirms a suggestion
+ * @param {number} index - The chapter index
+ * @returns {Object} The bot message
+ */
+function startNavigation(index) {
+  goToPlace(index);
+  return createBotMessage(t('chat.onMyWay'));
+}
+
+/**
+ * @param {string} text - The text
+ * @returns {Object} A bot message with the text
+ */
+function createBotMessage(text) {
+  return {
+    type: 'bot',
+    text,
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Remember the places of a list, for "muéstrame más", "el segundo" and "¿y en Galicia?"
+ * @param {number[]} indices - The chapter indices, in order
+ * @param {number} shownCount - How many of them are shown
+ * @param {{topic: string, spatial: import('./spatial-query.js').SpatialQuery|null}} constraints - The search
+ */
+function rememberResults(indices, shownCount, constraints) {
+  dialogue.results = indices;
+  dialogue.shownCount = shownCount;
+  dialogue.constraints = constraints;
+  dialogue.focusIndex = indices.length === 1 ? indices[0] : null;
+  dialogue.lastIntent = null;
+}
+
+/**
+ * The place a practical question is about: the one it names, else the one being talked about,
+ * else the one being shown
+ * @param {import('./chat-intents.js').Intent} intent - The question
+ * @returns {number|null} The chapter index, null if the question names no place and none is shown
+ */
+function findIntentPlace(intent) {
+  const currentIndex = getCurrentChapterIndex();
+  const hasCurrentPlace = currentIndex !== null && currentIndex >= 0;
+
+  if (intent.refersToCurrentPlace && hasCurrentPlace) {
+    return currentIndex;
+  }
+
+  const [bestMatch] = intent.placeQuery ? searchIndex.search(intent.placeQuery, { limit: 1 }) : [];
+  if (bestMatch) {
+    return bestMatch.index;
+  }
+
+  if (dialogue.focusIndex !== null) {
+    return dialogue.focusIndex;
+  }
+
+  return hasCurrentPlace ? currentIndex : null;
+}
+
+/**
+ * Answer a question about opening hours, tickets, address, website or what a place is, with a card
+ * @param {import('./chat-intents.js').Intent} intent - The question
+ * @param {number|null} [index] - The place, if a follow-up already chose it
+ * @returns {Promise<Object>} The bot message
+ */
+async function answerPracticalQuestion(intent, index = findIntentPlace(intent)) {
+  if (index === null) {
+    return {
       type: 'bot',
-      text: `Encontré: ${place.title}. ¿Quieres que te lleve allí?`,
-      confirmation: {
-        place: place,
-        userInput: userInput
-      },
+      text: t('chat.intent.whichPlace'),
       timestamp: new Date()
     };
-    chatHistory.push(botMessage);
-  } else {
-    const topMatches = matches.slice(0, 4);
-    let responseText = `Encontré ${matches.length} lugar${matches.length > 1 ? 'es' : ''} relacionado${matches.length > 1 ? 's' : ''} con "${userInput}".`;
+  }
 
-    if (matches.length > 4) {
-      responseText += ` Te muestro los ${topMatches.length} más relevantes:`;
-    } else {
-      responseText += ' ¿Cuál te gustaría visitar?';
-    }
+  const chapter = storyData.chapters[index];
+  let placeDetails = null;
+  try {
+    placeDetails = loadPlaceDetails ? await loadPlaceDetails(chapter.id) : null;
+  } catch (error) {
+    console.warn(`⚠️ Chatbot: no place details for ${chapter.title}:`, error.message);
+  }
+
+  dialogue.focusIndex = index;
+  dialogue.lastIntent = intent.name;
 
-    const botMessage = {
+  const { text, card } = answerIntent(intent.name, chapter, placeDetails);
+  return {
+    type: 'bot',
+    text,
+    card: { ...card, index },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * A distance as shown in the chat ("850 m", "2,5 km", "48 km")
+ * @param {number} meters - The distance
+ * @returns {string}
+ */
+function formatDistance(meters) {
+  const locale = getLocale();
+  if (meters < 1000) {
+    return `${Math.round(meters / 10) * 10} m`;
+  }
+  const kilometers = meters / 1000;
+  return `${kilometers.toLocaleString(locale, { maximumFractionDigits: kilometers < 10 ? 1 : 0 })} km`;
+}
+
+/**
+ * Answer a question about the places near a town or place, within a distance or in a region,
+ * with the list of places, and show them on the map
+ * @param {import('./spatial-query.js').SpatialQuery} query - The question
+ * @param {import('./spatial-query.js').SpatialAnswer} [answer] - Its answer, if already computed
+ * @returns {Object} The bot message
+ */
+function answerSpatialQuestion(query, answer = answerSpatialQuery(query, storyData.chapters, { currentIndex: getCurrentChapterIndex() })) {
+
+  if (answer.error) {
+    return {
       type: 'bot',
-      text: responseText,
-      suggestions: topMatches,
+      text: t(`chat.spatial.${answer.error}`, { place: query.placeText }),
       timestamp: new Date()
     };
-    chatHistory.push(botMessage);
   }
 
-  renderChatHistory();
-}
+  const place = answer.region || answer.anchor.name;
+  const distance = answer.radius ? formatDistance(answer.radius) : '';
+  const count = answer.results.length;
+  let text;
 
-function findMatchingPlaces(input) {
-  // Extract keywords from the input query
-  const keywords = extractKeywords(input);
+  if (query.kind === 'region') {
+    text = count > 0 ? t('chat.spatial.region', { place, count }) : t('chat.spatial.noneInRegion', { place });
+  } else if (query.kind === 'nearest') {
+    text = count > 0 ? t('chat.spatial.nearest', { place, count }) : t('chat.spatial.noneNearby', { place });
+  } else {
+    text = count > 0 ? t('chat.spatial.radius', { place, distance, count }) : t('chat.spatial.noneInRadius', { place, distance });
+  }
 
-  if (keywords.length === 0) {
-    return [];
+  if (answer.closest) {
+    text += ` ${t('chat.spatial.closest', {
+      title: answer.closest.chapter.title,
+      distance: formatDistance(answer.closest.distance)
+    })}`;
   }
 
-  const matches = [];
-
-  // Enhanced translations and synonyms dictionary
-  const translations = {
-    // Location variations and synonyms
-    'espana': 'españa',
-    'andaluza': 'andalucía',
-    'andaluz': 'andalucía',
-    'sur': 'andalucía',
-    'cataluna': 'catalunya',
-    'catalan': 'catalunya',
-    'vasco': 'país vasco',
-    'euskadi': 'país vasco',
-    'norte': 'galicia',
-    'gallego': 'galicia',
-    'gallega': 'galicia',
-
-    // Type variations and plurals
-    'museos': 'museo',
-    'museo': 'museo',
-    'museistico': 'museo',
-    'galeria': 'museo',
-    'galerias': 'museo',
-    'centro cultural': 'museo',
-    'centros culturales': 'museo',
-    'palacios': 'palacio',
-    'palacio': 'palacio',
-    'catedrales': 'catedral',
-    'catedral': 'catedral',
-    'basilicas': 'basilica',
-    'basilica': 'basilica',
-    'iglesias': 'catedral',
-    'iglesia': 'catedral',
-    'templos': 'catedral',
-    'templo': 'catedral',
-    'parques': 'parque',
-    'parque': 'parque',
-    'jardines': 'parque',
-    'jardin': 'parque',
-    'fundaciones': 'fundación',
-    'fundacion': 'fundación',
-    'universidades': 'universidad',
-    'universidad': 'universidad',
-    'centros': 'centro',
-    'centro': 'centro',
-
-    // Sector synonyms and variations
-    'robotica': 'robótica',
-    'roboticos': 'robótica',
-    'automatizacion': 'automatización',
-    'automatico': 'automatización',
-    'automatica': 'automatización',
-    'maritimo': 'marítimo',
-    'maritima': 'marítimo',
-    'naval': 'naval',
-    'navales': 'naval',
-    'marino': 'marítimo',
-    'marina': 'marítimo',
-    'barcos': 'naval',
-    'barco': 'naval',
-    'mineria': 'minería',
-    'minero': 'minería',
-    'minera': 'minería',
-    'minas': 'minería',
-    'mina': 'minería',
-    'arte': 'arte',
-    'artistico': 'arte',
-    'artistica': 'arte',
-    'artistas': 'arte',
-    'artista': 'arte',
-    'historia': 'historia',
-    'historico': 'historia',
-    'historica': 'historia',
-    'historicos': 'historia',
-    'historicas': 'historia',
-    'arquitectura': 'arquitectura',
-    'arquitectonico': 'arquitectura',
-    'arquitectonica': 'arquitectura',
-    'construccion': 'arquitectura',
-    'edificios': 'arquitectura',
-    'edificio': 'arquitectura',
-    'religion': 'religión',
-    'religioso': 'religión',
-    'religiosa': 'religión',
-    'religioosos': 'religión',
-    'religiosas': 'religión',
-    'sagrado': 'religión',
-    'sagrada': 'religión',
-    'santo': 'religión',
-    'santa': 'religión',
-    'cultura': 'cultura',
-    'cultural': 'cultura',
-    'culturales': 'cultura',
-    'turismo': 'turismo',
-    'turistico': 'turismo',
-    'turistica': 'turismo',
-    'tecnologia': 'tecnología',
-    'tecnologico': 'tecnología',
-    'tecnologica': 'tecnología',
-
-    // Professional variations
-    'ingenieria': 'ingeniería',
-    'ingeniero': 'ingeniería',
-    'ingeniera': 'ingeniería',
-    'ingenieros': 'ingeniería',
-    'ingenieras': 'ingeniería',
-    'tecnico': 'ingeniería',
-    'tecnica': 'ingeniería',
-    'tecnicos': 'ingeniería',
-    'tecnicas': 'ingeniería',
-    'arquitecto': 'arquitectura',
-    'arquitecta': 'arquitectura',
-    'arquitectos': 'arquitectura',
-    'arquitectas': 'arquitectura',
-    'historiador': 'historia',
-    'historiadora': 'historia',
-    'historiadores': 'historia',
-    'historiadoras': 'historia',
-
-    // Common search terms and patterns
-    'lugares': 'lugar',
-    'lugar': 'lugar',
-    'sitios': 'lugar',
-    'sitio': 'lugar',
-    'visitas': 'visitar',
-    'visita': 'visitar',
-    'visitar': 'visitar',
-    'conocer': 'visitar',
-    'ver': 'visitar',
-    'turístico': 'turismo',
-    'turística': 'turismo',
-    'turísticos': 'turismo',
-    'turísticas': 'turismo'
-  };
+  const results = count > 0 ? answer.results : [answer.closest].filter(Boolean);
+  showSpatialHighlight(answer, results);
+  rememberResults(results.map(result => result.index), results.length, { topic: query.topic, spatial: query });
 
-  // Apply translations to each keyword
-  const enhancedKeywords = keywords.map(keyword => {
-    for (const [spanish, normalized] of Object.entries(translations)) {
-      if (keyword === spanish || keyword.includes(spanish)) {
-        return normalized;
-      }
-    }
-    return keyword;
-  });
+  return {
+    type: 'bot',
+    text,
+    spatialResults: results.map(result => ({
+      index: result.index,
+      title: result.chapter.title,
+      distance: result.distance
+    })),
+    timestamp: new Date()
+  };
+}
 
-  storyData.chapters.forEach((chapter, index) => {
-    const titleMatch = normalizeText(chapter.title);
-    const placeNameMatch = normalizeText(chapter.placeName);
-
-    let score = 0;
-    let matchedKeywords = 0;
-    let categoryMatches = new Set(); // Track which tag categories matched
-    let matchDetails = []; // For debugging
-
-    // Check each keyword against this chapter
-    [...keywords, ...enhancedKeywords].forEach(keyword => {
-      let keywordFound = false;
-      let keywordScore = 0;
-
-      // Check title (highest priority)
-      if (titleMatch.includes(keyword)) {
-        keywordScore = Math.max(keywordScore, 0.9);
-        matchDetails.push(`title:"${keyword}"`);
-        keywordFound = true;
-      }
+/**
+ * @returns {boolean} True if the story overview is shown, where the markers are
+ */
+function isOverviewShown() {
+  return getParams().get('chapterId') === null;
+}
 
-      // Check placeName
-      if (placeNameMatch.includes(keyword)) {
-        keywordScore = Math.max(keywordScore, 0.8);
-        matchDetails.push(`place:"${keyword}"`);
-        keywordFound = true;
-      }
+/**
+ * Show only the places of a spatial answer on the map, with the search radius around the town or
+ * place asked about, and fly over them. Only in the overview: a chapter hides the markers and has
+ * its own radius.
+ * @param {import('./spatial-query.js').SpatialAnswer} answer - The answer
+ * @param {import('./spatial-query.js').SpatialResult[]} results - The places listed
+ */
+function showSpatialHighlight(answer, results) {
+  if (!isOverviewShown() || results.length === 0) {
+    return;
+  }
 
-      // Check tags
-      if (chapter.etiquetas) {
-        Object.entries(chapter.etiquetas).forEach(([category, tagArray]) => {
-          if (Array.isArray(tagArray)) {
-            tagArray.forEach(tag => {
-              const normalizedTag = normalizeText(tag);
-              if (normalizedTag.includes(keyword) || keyword.includes(normalizedTag)) {
-                // Exact matches get higher scores
-                const exactMatch = normalizedTag === keyword;
-                const tagScore = exactMatch ? 0.75 : 0.6;
-                keywordScore = Math.max(keywordScore, tagScore);
-                categoryMatches.add(category);
-                matchDetails.push(`${category}:"${tag}"→"${keyword}"`);
-                keywordFound = true;
-              }
-            });
-          }
-        });
-      }
+  const resultIds = new Set(results.map(result => result.chapter.id));
+  storyData.chapters.forEach(({ id }) => {
+    const setVisibility = resultIds.has(id) ? showMarker : hideMarker;
+    [id, `dot-${id}`, `line-${id}`].forEach(setVisibility);
+  });
 
-      if (keywordFound) {
-        matchedKeywords++;
-        score += keywordScore;
-      }
+  // Frame the places and the town asked about, as chapters located by `coords`
+  const anchorChapters = answer.anchor ? [{ coords: answer.anchor }] : [];
+  const view = getOverviewView({ properties: {}, chapters: [...results.map(result => result.chapter), ...anchorChapters] });
+  if (answer.anchor && answer.radius) {
+    createCustomRadiusShader(answer.anchor, answer.radius);
+    flyToTopDownView({
+      center: answer.anchor,
+      range: Math.max(view.range, answer.radius * RADIUS_VIEW_FACTOR)
     });
+  } else {
+    removeCustomRadiusShader();
+    flyToTopDownView(view);
+  }
 
-    // Bonus for matching keywords across different tag categories
-    const categoryBonus = Math.min(categoryMatches.size * 0.1, 0.3);
-
-    // Calculate final score
-    if (matchedKeywords > 0) {
-      const baseScore = score / Math.max(keywords.length, 1); // Average score per keyword
-      const completenessBonus = (matchedKeywords / keywords.length) * 0.2; // Bonus for matching more keywords
-      const finalScore = Math.min(baseScore + categoryBonus + completenessBonus, 1);
-
-      if (finalScore > 0.3) { // Lower threshold for multi-keyword searches
-        matches.push({
-          ...chapter,
-          index,
-          score: finalScore,
-          matchedKeywords,
-          totalKeywords: keywords.length,
-          matchDetails: matchDetails.join(', ')
-        });
-      }
-    }
-  });
+  isSpatialHighlightShown = true;
+}
 
-  // Sort by score (highest first), then by number of keywords matched
-  matches.sort((a, b) => {
-    if (Math.abs(a.score - b.score) < 0.1) {
-      // If scores are very close, prioritize more keyword matches
-      return b.matchedKeywords - a.matchedKeywords;
-    }
-    return b.score - a.score;
-  });
+/**
+ * Show the markers of the tag filters again and remove the search radius
+ */
+function clearSpatialHighlight() {
+  if (!isSpatialHighlightShown) {
+    return;
+  }
 
-  return matches;
+  isSpatialHighlightShown = false;
+  // Opening a chapter replaced the highlight, and going back to the overview applies the tag filters
+  if (isOverviewShown()) {
+    removeCustomRadiusShader();
+    updateMarkerVisibility(storyData.chapters);
+  }
 }
 
-// Spanish stopwords to filter out from search queries
-const spanishStopwords = new Set([
-  'algun', 'alguna', 'algunos', 'algunas', 'en', 'de', 'del', 'la', 'el', 'los', 'las',
-  'que', 'donde', 'como', 'para', 'por', 'con', 'sin', 'hay', 'tiene', 'tengo',
-  'quiero', 'busco', 'ver', 'visitar', 'ir', 'llevame', 'y', 'o', 'un', 'una',
-  'unos', 'unas', 'me', 'te', 'se', 'nos', 'le', 'les', 'lo', 'al', 'esta', 'este',
-  'estan', 'son', 'es', 'ser', 'esta', 'estar', 'pero', 'si', 'no', 'mas', 'muy',
-  'tambien', 'solo', 'cuando', 'quien', 'cual', 'cuales', 'porque', 'hasta', 'desde'
-]);
-
-// Function to normalize text by removing accents and special characters
-function normalizeText(text) {
-  return text
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Remove accents but keep ñ
-    .replace(/[^\w\sñÑ]/g, ' ') // Keep letters, numbers, spaces, and ñ
-    .replace(/\s+/g, ' ')
-    .trim()
-    .toLowerCase();
+/**
+ * Answer with the keyword matcher: the matching places to choose from
+ * @param {string} userInput - The visitor's message
+ * @returns {Object} The bot message
+ */
+function answerWithMatcher(userInput) {
+  const matches = findMatchingPlaces(userInput);
+
+  if (matches.length === 0) {
+    return {
+      type: 'bot',
+      text: t('chat.noMatch', { query: userInput }),
+      timestamp: new Date()
+    };
+  }
+
+  rememberResults(matches.map(match => match.index), Math.min(matches.length, RESULTS_PAGE_SIZE), { topic: userInput, spatial: null });
+
+  if (matches.length === 1) {
+    const place = matches[0];
+    return {
+      type: 'bot',
+      text: t('chat.singleMatch', { title: place.title }),
+      confirmation: {
+        place: place,
+        userInput: userInput
+      },
+      timestamp: new Date()
+    };
+  }
+
+  const topMatches = matches.slice(0, RESULTS_PAGE_SIZE);
+  let responseText = t('chat.multipleMatches', { count: matches.length, query: userInput });
+
+  if (matches.length > RESULTS_PAGE_SIZE) {
+    responseText += ` ${t('chat.showingTop', { count: topMatches.length })}`;
+  } else {
+    responseText += ` ${t('chat.whichOne')}`;
+  }
+
+  return {
+    type: 'bot',
+    text: responseText,
+    suggestions: topMatches,
+    timestamp: new Date()
+  };
 }
 
-// Function to extract keywords by removing stopwords
-function extractKeywords(text) {
-  const normalized = normalizeText(text);
-  const words = normalized.split(' ')
-    .filter(word => word.length > 2) // Remove very short words
-    .filter(word => !spanishStopwords.has(word)) // Remove stopwords
-    .filter(word => word.trim() !== ''); // Remove empty strings
+/**
+ * Answer with the chat backend, grounded on the chapters that match the question
+ * @param {string} question - The visitor's message, already in the chat history
+ * @returns {Promise<Object|null>} The bot message with the cited chapters, or null if the backend failed
+ */
+async function answerWithBackend(question) {
+  const history = chatHistory.slice(0, -1).filter(message => !message.isPending);
+  const pendingMessage = {
+    type: 'bot',
+    text: t('chat.thinking'),
+    isPending: true,
+    timestamp: new Date()
+  };
+  chatHistory.push(pendingMessage);
+  renderChatHistory();
+  isWaitingForReply = true;
+
+  try {
+    const messages = buildChatMessages({
+      story: storyData,
+      rankedChapters: findMatchingPlaces(question),
+      question,
+      history,
+      locale: getLocale()
+    });
+    const { text, citations } = extractCitations(await chatBackend.complete(messages), storyData.chapters);
+    rememberResults(citations.map(citation => citation.index), citations.length, { topic: question, spatial: null });
 
-  // Remove duplicates
-  return [...new Set(words)];
+    return {
+      type: 'bot',
+      text,
+      citations,
+      timestamp: new Date()
+    };
+  } catch (error) {
+    console.warn(`⚠️ Chatbot backend ${chatBackend.name} failed, answering with keyword matching:`, error.message);
+    return null;
+  } finally {
+    isWaitingForReply = false;
+    // The history is replaced when another story is loaded meanwhile
+    const pendingIndex = chatHistory.indexOf(pendingMessage);
+    if (pendingIndex >= 0) {
+      chatHistory.splice(pendingIndex, 1);
+    }
+  }
+}
+
+/**
+ * The places matching a message, best first
+ * @param {string} input - The visitor's message
+ * @returns {Array<Object>} The matching chapters, with their `index` in the story and their `score`
+ */
+function findMatchingPlaces(input) {
+  return searchIndex.search(input).map(result => ({
+    ...result.chapter,
+    index: result.index,
+    score: result.score
+  }));
 }
 
 function navigateToPlace(index) {
+  clearSpatialHighlight();
+  dialogue.focusIndex = index;
+  dialogue.lastVisitedIndex = index;
+
   const placeCard = document.querySelector(`.place-card[data-chapter-id="${storyData.chapters[index].id}"]`);
   if (placeCard) {
     placeCard.click();
@@ -444,35 +703,43 @@ function navigateToPlace(index) {
 
   const successMessage = {
     type: 'bot',
-    text: `¡Bienvenido a ${storyData.chapters[index].title}! Pregúntame por otro lugar cuando quieras.`,
+    text: t('chat.welcomeTo', { title: storyData.chapters[index].title }),
     timestamp: new Date()
   };
   chatHistory.push(successMessage);
 }
 
+/**
+ * Go to a place after a moment, so the visitor reads "on my way", and close the chat
+ * @param {number} index - The chapter index
+ */
+function goToPlace(index) {
+  setTimeout(() => {
+    navigateToPlace(index);
+
+    setTimeout(() => {
+      toggleChat();
+    }, 500);
+  }, 1000);
+}
+
 // Confirmation functions
 window.confirmNavigation = function(index) {
   const confirmationMessage = {
     type: 'bot',
-    text: '¡Perfecto! Te llevo allí...',
+    text: t('chat.onMyWay'),
     timestamp: new Date()
   };
   chatHistory.push(confirmationMessage);
   renderChatHistory();
 
-  setTimeout(() => {
-    navigateToPlace(index);
-
-    setTimeout(() => {
-      toggleChat();
-    }, 500);
-  }, 1000);
+  goToPlace(index);
 };
 
 window.cancelNavigation = function() {
   const cancelMessage = {
     type: 'bot',
-    text: 'De acuerdo. Prueba con otro nombre o ubicación. Puedo buscar por nombre, ciudad, tipo de lugar o sector.',
+    text: t('chat.cancelled'),
     timestamp: new Date()
   };
   chatHistory.push(cancelMessage);
@@ -487,6 +754,7 @@ window.selectPlace = function(index) {
   }, 500);
 };
 
+window.clearSpatialHighlight = clearSpatialHighlight;
 window.toggleChat = toggleChat;
 window.sendMessage = sendMessage;
 
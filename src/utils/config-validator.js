@@ -0,0 +1,475 @@
+/**
+ * Config Validator
+ * Validates story configurations before they reach the viewer and reports
+ * every problem by field path (e.g. "chapters[4].cameraCoordinates.lat")
+ */
+
+import { SUPPORTED_LOCALES, isLocalizedValue } from "./i18n.js";
+
+/**
+ * The camera styles understood by the camera pipeline
+ * @readonly
+ */
+export const CAMERA_STYLES = ["static", "drone-orbit", "overview"];
+
+/**
+ * The tag categories a chapter can define in its `etiquetas` object
+ * @readonly
+ */
+export const TAG_CATEGORIES = ["ubicacion", "sector", "profesion", "tipo"];
+
+/**
+ * Optional chapter fields holding a URL, with the check their value must pass when not empty
+ * @readonly
+ */
+const OPTIONAL_CHAPTER_URLS = {
+  website: { isValid: isWebUrl, hint: "must start with http:// or https://" },
+  imageUrl: { isValid: isAssetUrl, hint: "must start with http:// or https://, or be a path in the app" },
+  logoUrl: { isValid: isAssetUrl, hint: "must start with http:// or https://, or be a path in the app" },
+};
+
+/**
+ * Optional chapter fields that may be a string or a per-language object
+ * @readonly
+ */
+const OPTIONAL_CHAPTER_TEXTS = ["imageCredit", "content", "address", "dateTime", "openingHours", "ticketInfo"];
+
+/**
+ * Optional story properties that may be a string or a per-language object
+ * @readonly
+ */
+const OPTIONAL_PROPERTY_TEXTS = ["description", "date", "introLabel"];
+
+/**
+ * Error message suffix for fields accepting translations
+ * @readonly
+ */
+const LOCALIZED_HINT = `a string or an object of translations (${SUPPORTED_LOCALES.join(", ")})`;
+
+/**
+ * Error thrown when a story configuration fails validation.
+ * The individual problems are available on the `errors` property.
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {Array<{path: string, message: string}>} errors - The validation errors found in the config.
+   */
+  constructor(errors) {
+    const details = errors.map(({ path, message }) => `  - ${path}: ${message}`);
+    super(`Invalid story configuration (${errors.length} error${errors.length === 1 ? "" : "s"}):\n${details.join("\n")}`);
+    this.name = "ConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Returns true if the value is an http(s) URL, the only links a story may open
+ * (a "javascript:" URL from an import would run in the page).
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+export function isWebUrl(value) {
+  return typeof value === "string" && /^https?:\/\/\S+$/i.test(value.trim());
+}
+
+/**
+ * Returns true if the value is an http(s) URL or a relative path in the app (e.g. "assets/logos/udc.png").
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+export function isAssetUrl(value) {
+  return isWebUrl(value) || (typeof value === "string" && !/^([a-z][a-z\d+.-]*:|\/\/)/i.test(value.trim()));
+}
+
+/**
+ * Returns true if the value is a plain (non-null, non-array) object.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Returns true if the value is a string with at least one non-whitespace character.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * Returns true if the value is a non-empty string, or translations that are all non-empty.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isNonEmptyText(value) {
+  return isNonEmptyString(value) || (isLocalizedValue(value) && Object.values(value).every(isNonEmptyString));
+}
+
+/**
+ * Returns true if the value is a string or an object of translations.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isText(value) {
+  return typeof value === "string" || isLocalizedValue(value);
+}
+
+/**
+ * Returns a short, readable description of a value's type for error messages.
+ * @param {*} value - The value to describe.
+ * @returns {string}
+ */
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "string") return `string "${value}"`;
+  if (typeof value === "number") return `number ${value}`;
+  return typeof value;
+}
+
+/**
+ * Validates a numeric coordinate component.
+ * @param {Array} errors - The error list to append to.
+ * @param {string} path - The field path of the value.
+ * @param {*} value - The value to validate.
+ * @param {number} min - The minimum allowed value.
+ * @param {number} max - The maximum allowed value.
+ */
+function validateCoordinate(errors, path, value, min, max) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    errors.push({ path, message: `must be a number, got ${describe(value)}` });
+  } else if (value < min || value > max) {
+    errors.push({ path, message: `must be between ${min} and ${max}, got ${value}` });
+  }
+}
+
+/**
+ * Validates a `cameraCoordinates` object.
+ * @param {Array} errors - The error list to append to.
+ * @param {string} path - The field path of the object.
+ * @param {*} cameraCoordinates - The value to validate.
+ */
+function validateCameraCoordinates(errors, path, cameraCoordinates) {
+  if (!isPlainObject(cameraCoordinates)) {
+    errors.push({ path, message: `must be an object with lat and lng, got ${describe(cameraCoordinates)}` });
+    return;
+  }
+
+  validateCoordinate(errors, `${path}.lat`, cameraCoordinates.lat, -90, 90);
+  validateCoordinate(errors, `${path}.lng`, cameraCoordinates.lng, -180, 180);
+
+  const { elevation, heading, pitch, range } = cameraCoordinates;
+  if (elevation !== undefined && (typeof elevation !== "number" || !Number.isFinite(elevation))) {
+    errors.push({ path: `${path}.elevation`, message: `must be a number, got ${describe(elevation)}` });
+  }
+
+  if (heading !== undefined) {
+    validateCoordinate(errors, `${path}.heading`, heading, -360, 360);
+  }
+
+  if (pitch !== undefined) {
+    validateCoordinate(errors, `${path}.pitch`, pitch, -90, 90);
+  }
+
+  if (range !== undefined && (typeof range !== "number" || !(range > 0))) {
+    errors.push({ path: `${path}.range`, message: `must be a positive number of meters, got ${describe(range)}` });
+  }
+}
+
+/**
+ * Validates a camera style value.
+ * @param {Array} errors - The error list to append to.
+ * @param {string} path - The field path of the value.
+ * @param {*} cameraStyle - The value to validate.
+ */
+function validateCameraStyle(errors, path, cameraStyle) {
+  if (cameraStyle !== undefined && !CAMERA_STYLES.includes(cameraStyle)) {
+    errors.push({
+      path,
+      message: `unknown camera style ${describe(cameraStyle)} (expected one of ${CAMERA_STYLES.join(", ")})`,
+    });
+  }
+}
+
+/**
+ * Validates a chapter's `focusOptions` object.
+ * @param {Array} errors - The error list to append to.
+ * @param {string} path - The field path of the object.
+ * @param {*} focusOptions - The value to validate.
+ */
+function validateFocusOptions(errors, path, focusOptions) {
+  if (!isPlainObject(focusOptions)) {
+    errors.push({ path, message: `must be an object, got ${describe(focusOptions)}` });
+    return;
+  }
+
+  const { focusRadius, showFocus } = focusOptions;
+
+  if (focusRadius !== undefined && focusRadius !== null && (typeof focusRadius !== "number" || !(focusRadius > 0))) {
+    errors.push({ path: `${path}.focusRadius`, message: `must be a positive number or null, got ${describe(focusRadius)}` });
+  }
+
+  ["showFocus", "showLocationMarker"].forEach((key) => {
+    if (focusOptions[key] !== undefined && typeof focusOptions[key] !== "boolean") {
+      errors.push({ path: `${path}.${key}`, message: `must be true or false, got ${describe(focusOptions[key])}` });
+    }
+  });
+
+  if (showFocus === true && !(typeof focusRadius === "number" && focusRadius > 0)) {
+    errors.push({ path: `${path}.focusRadius`, message: "is required when showFocus is true" });
+  }
+}
+
+/**
+ * Validates a chapter's `etiquetas` (tags) object.
+ * @param {Array} errors - The error list to append to.
+ * @param {string} path - The field path of the object.
+ * @param {*} etiquetas - The value to validate.
+ */
+function validateEtiquetas(errors, path, etiquetas) {
+  if (!isPlainObject(etiquetas)) {
+    errors.push({ path, message: `must be an object, got ${describe(etiquetas)}` });
+    return;
+  }
+
+  Object.entries(etiquetas).forEach(([category, tags]) => {
+    const categoryPath = `${path}.${category}`;
+
+    if (!TAG_CATEGORIES.includes(category)) {
+      errors.push({
+        path: categoryPath,
+        message: `unknown tag category (expected one of ${TAG_CATEGORIES.join(", ")})`,
+      });
+      return;
+    }
+
+    if (!Array.isArray(tags)) {
+      errors.push({ path: categoryPath, message: `must be an array of tags, got ${describe(tags)}` });
+      return;
+    }
+
+    tags.forEach((tag, tagIndex) => {
+      if (!isNonEmptyText(tag)) {
+        errors.push({ path: `${categoryPath}[${tagIndex}]`, message: `must be non-empty ${LOCALIZED_HINT}, got ${describe(tag)}` });
+      }
+    });
+  });
+}
+
+/**
+ * Validates the `overview` camera overrides of the story properties.
+ * @param {Array} errors - The error list to append to.
+ * @param {string} path - The field path of the object.
+ * @param {*} overview - The value to validate.
+ */
+function validateOverview(errors, path, overview) {
+  if (!isPlainObject(overview)) {
+    errors.push({ path, message: `must be an object, got ${describe(overview)}` });
+    return;
+  }
+
+  if (overview.center !== undefined) {
+    validateCameraCoordinates(errors, `${path}.center`, overview.center);
+  }
+
+  if (overview.range !== undefined && (typeof overview.range !== "number" || !(overview.range > 0))) {
+    errors.push({ path: `${path}.range`, message: `must be a positive number of meters, got ${describe(overview.range)}` });
+  }
+}
+
+/**
+ * Validates a chapter's `officialLinks` array.
+ * @param {Array} errors - The error list to append to.
+ * @param {string} path - The field path of the array.
+ * @param {*} officialLinks - The value to validate.
+ */
+function validateOfficialLinks(errors, path, officialLinks) {
+  if (!Array.isArray(officialLinks)) {
+    errors.push({ path, message: `must be an array of links, got ${describe(officialLinks)}` });
+    return;
+  }
+
+  officialLinks.forEach((link, linkIndex) => {
+    const linkPath = `${path}[${linkIndex}]`;
+
+    if (!isPlainObject(link)) {
+      errors.push({ path: linkPath, message: `must be an object with url and title, got ${describe(link)}` });
+      return;
+    }
+
+    if (!isNonEmptyString(link.url)) {
+      errors.push({ path: `${linkPath}.url`, message: `is required, got ${describe(link.url)}` });
+    } else if (!isWebUrl(link.url)) {
+      errors.push({ path: `${linkPath}.url`, message: `must start with http:// or https://, got ${describe(link.url)}` });
+    }
+
+    if (!isNonEmptyText(link.title)) {
+      errors.push({ path: `${linkPath}.title`, message: `is required, got ${describe(link.title)}` });
+    }
+
+    if (link.description !== undefined && !isText(link.description)) {
+      errors.push({ path: `${linkPath}.description`, message: `must be ${LOCALIZED_HINT}, got ${describe(link.description)}` });
+    }
+  });
+}
+
+/**
+ * Validates a single chapter.
+ * @param {Array} errors - The error list to append to.
+ * @param {string} path - The field path of the chapter.
+ * @param {*} chapter - The value to validate.
+ */
+function validateChapter(errors, path, chapter) {
+  if (!isPlainObject(chapter)) {
+    errors.push({ path, message: `must be an object, got ${describe(chapter)}` });
+    return;
+  }
+
+  const { id, title, placeName, cameraStyle, focusOptions, etiquetas, cameraCoordinates, coords, officialLinks } = chapter;
+
+  if (!(typeof id === "number" && Number.isFinite(id)) && !isNonEmptyString(id)) {
+    errors.push({ path: `${path}.id`, message: `is required and must be a number or string, got ${describe(id)}` });
+  }
+
+  if (!isNonEmptyText(title)) {
+    errors.push({ path: `${path}.title`, message: `is required, got ${describe(title)}` });
+  }
+
+  if (!isNonEmptyString(placeName)) {
+    errors.push({ path: `${path}.placeName`, message: `is required, got ${describe(placeName)}` });
+  }
+
+  validateCameraStyle(errors, `${path}.cameraStyle`, cameraStyle);
+
+  if (focusOptions !== undefined) {
+    validateFocusOptions(errors, `${path}.focusOptions`, focusOptions);
+  }
+
+  if (etiquetas !== undefined) {
+    validateEtiquetas(errors, `${path}.etiquetas`, etiquetas);
+  }
+
+  if (cameraCoordinates !== undefined) {
+    validateCameraCoordinates(errors, `${path}.cameraCoordinates`, cameraCoordinates);
+  }
+
+  // Legacy marker position, same shape as cameraCoordinates
+  if (coords !== undefined) {
+    validateCameraCoordinates(errors, `${path}.coords`, coords);
+  }
+
+  if (officialLinks !== undefined) {
+    validateOfficialLinks(errors, `${path}.officialLinks`, officialLinks);
+  }
+
+  Object.entries(OPTIONAL_CHAPTER_URLS).forEach(([key, { isValid, hint }]) => {
+    if (chapter[key] === undefined) {
+      return;
+    }
+    if (typeof chapter[key] !== "string") {
+      errors.push({ path: `${path}.${key}`, message: `must be a string, got ${describe(chapter[key])}` });
+    } else if (chapter[key].trim() !== "" && !isValid(chapter[key])) {
+      errors.push({ path: `${path}.${key}`, message: `${hint}, got ${describe(chapter[key])}` });
+    }
+  });
+
+  OPTIONAL_CHAPTER_TEXTS.forEach((key) => {
+    if (chapter[key] !== undefined && !isText(chapter[key])) {
+      errors.push({ path: `${path}.${key}`, message: `must be ${LOCALIZED_HINT}, got ${describe(chapter[key])}` });
+    }
+  });
+}
+
+/**
+ * Validates a story configuration object.
+ *
+ * @param {*} story - The parsed story configuration.
+ * @returns {Array<{path: string, message: string}>} The validation errors. An empty array means the story is valid.
+ *
+ * @example
+ * const errors = validateStory(story);
+ * if (errors.length > 0) {
+ *   throw new ConfigValidationError(errors);
+ * }
+ */
+export function validateStory(story) {
+  const errors = [];
+
+  if (!isPlainObject(story)) {
+    errors.push({ path: "(root)", message: `must be an object, got ${describe(story)}` });
+    return errors;
+  }
+
+  const { properties, chapters } = story;
+
+  if (!isPlainObject(properties)) {
+    errors.push({ path: "properties", message: `is required and must be an object, got ${describe(properties)}` });
+  } else {
+    if (!isNonEmptyText(properties.title)) {
+      errors.push({ path: "properties.title", message: `is required, got ${describe(properties.title)}` });
+    }
+
+    OPTIONAL_PROPERTY_TEXTS.forEach((key) => {
+      if (properties[key] !== undefined && !isText(properties[key])) {
+        errors.push({ path: `properties.${key}`, message: `must be ${LOCALIZED_HINT}, got ${describe(properties[key])}` });
+      }
+    });
+
+    const { defaultLanguage } = properties;
+    if (defaultLanguage !== undefined && !SUPPORTED_LOCALES.includes(defaultLanguage)) {
+      errors.push({
+        path: "properties.defaultLanguage",
+        message: `unsupported language ${describe(defaultLanguage)} (expected one of ${SUPPORTED_LOCALES.join(", ")})`,
+      });
+    }
+
+    const { imageUrl } = properties;
+    if (typeof imageUrl === "string" && imageUrl.trim() !== "" && !isAssetUrl(imageUrl)) {
+      errors.push({ path: "properties.imageUrl", message: `${OPTIONAL_CHAPTER_URLS.imageUrl.hint}, got ${describe(imageUrl)}` });
+    }
+
+    validateCameraStyle(errors, "properties.cameraStyle", properties.cameraStyle);
+
+    if (properties.cameraCoordinates !== undefined) {
+      validateCameraCoordinates(errors, "properties.cameraCoordinates", properties.cameraCoordinates);
+    }
+
+    if (properties.overview !== undefined) {
+      validateOverview(errors, "properties.overview", properties.overview);
+    }
+  }
+
+  if (!Array.isArray(chapters)) {
+    errors.push({ path: "chapters", message: `is required and must be an array, got ${describe(chapters)}` });
+    return errors;
+  }
+
+  // Remember where each id was first used to report duplicates with both locations
+  const firstIndexById = new Map();
+
+  chapters.forEach((chapter, index) => {
+    const path = `chapters[${index}]`;
+    validateChapter(errors, path, chapter);
+
+    const id = chapter?.id;
+    if (id === undefined || id === null) {
+      return;
+    }
+
+    // Ids are compared loosely across the app (e.g. "5" from the URL equals 5)
+    const key = String(id);
+    if (firstIndexById.has(key)) {
+      errors.push({
+        path: `${path}.id`,
+        message: `duplicate id ${describe(id)} (already used by chapters[${firstIndexById.get(key)}])`,
+      });
+    } else {
+      firstIndexById.set(key, index);
+    }
+  });
+
+  return errors;
+}
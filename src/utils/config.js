@@ -12,18 +12,38 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import { validateStory, ConfigValidationError } from "./config-validator.js";
+import { migrateStory, CURRENT_STORY_VERSION } from "./story-migration.js";
+
+/**
+ * Recursively freezes an object and all of its nested objects and arrays.
+ *
+ * @param {Object} object - The object to freeze.
+ * @returns {Object} The same object, deep-frozen.
+ */
+export function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (typeof value === "object" && value !== null && !Object.isFrozen(value)) {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
+
 /**
  * Asynchronously fetches and loads a configuration file in JSON format.
  *
- * If successful, the configuration data is returned for use in the application.
+ * If successful, the configuration data is migrated to the current schema version (see story-migration.js),
+ * validated and returned for use in the application.
  * The returned configuration object is deep-frozen to prevent modifications.
  *
- * If an error occurs during the fetch or parsing, an error message is thrown.
+ * If an error occurs during the fetch or parsing, or the configuration is invalid, an error is thrown.
  *
  * @param {string} configUrl - The URL of the configuration file to be fetched.
- * @returns {Object} A Promise that resolves with the loaded and parsed configuration data.
+ * @returns {Promise<Story>} A Promise that resolves with the loaded, validated and deep-frozen configuration data.
  *
- * @throws {string} If an error occurs during the fetch or parsing, a descriptive error message is thrown.
+ * @throws {ConfigValidationError} If the configuration does not match the story schema. The `errors` property lists every problem by field path.
+ * @throws {Error} If an error occurs during the fetch or parsing, or the story schema is newer than supported.
  *
  * @example
  * const configUrl = "path/to/config.json";
@@ -35,13 +55,31 @@
  * }
  */
 export async function loadConfig(configUrl) {
+  let config;
+
   try {
     // Fetch the configuration data from the specified URL.
     const configResponse = await fetch(configUrl);
+    if (!configResponse.ok) {
+      throw new Error(`HTTP ${configResponse.status} ${configResponse.statusText}`);
+    }
     // Parse the JSON data
-    return await configResponse.json();
+    config = await configResponse.json();
   } catch (error) {
     // Handle and report any errors during the process.
-    throw `Failed to load and parse configuration data: ${error}`;
+    throw new Error(`Failed to load and parse configuration data from ${configUrl}: ${error.message}`);
+  }
+
+  const { story, fromVersion } = migrateStory(config);
+  if (fromVersion < CURRENT_STORY_VERSION) {
+    console.log(`🔄 Migrated ${configUrl} from story schema version ${fromVersion} to ${CURRENT_STORY_VERSION}`);
   }
+  config = story;
+
+  const errors = validateStory(config);
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  return deepFreeze(config);
 }
@@ -17,8 +17,16 @@ import {
   updateChapter,
 } from "../chapters/chapter-navigation.js";
 import { cesiumViewer } from "./cesium.js";
-import { resolvePlaceToCameraNew } from "./places-new-api.js";
-import { simpleGeocodeToCamera } from "./simple-geocoder.js";
+import { getChapterLocation } from "./chapter-location.js";
+import { getStoryBounds, getBoundsCenter } from "./story-bounds.js";
+import {
+  clusterScreenPoints,
+  rectanglesOverlap,
+  createClusterBadge,
+  getSpiderAngles,
+  getSpiderLegLength,
+  CLUSTER_BADGE_SIZE,
+} from "./marker-clusters.js";
 
 // The size of the marker in relation to the original SVG size.
 // We are scaling it down to help preserve clarity when increasing marker size for the selected marker.
@@ -36,6 +44,85 @@ let markerClickHandler = null;
  */
 let selectedMarkerId = null;
 
+/**
+ * The billboards of all markers: logo labels, location dots and cluster badges.
+ * Their images share the collection's texture atlas, one image per logo (see `setImage` keys).
+ * @type {Cesium.BillboardCollection | null}
+ */
+let markerBillboards = null;
+
+/**
+ * The lines between location dots and logo labels
+ * @type {Cesium.PolylineCollection | null}
+ */
+let markerLines = null;
+
+/**
+ * Incremented by `clearMarkers`, so logos still loading for a previous story are dropped
+ */
+let markerGeneration = 0;
+
+/**
+ * Layout data of every marker, keyed by the chapter id as a string.
+ * The layout (clusters, label positions) is recomputed from these on every camera change.
+ * @type {Map<string, {id: number|string, coord: Cesium.Cartesian3, direction: Cesium.Cartesian3, hasLocationMarker: boolean, dot: Cesium.Billboard, label: Cesium.Billboard, line: Cesium.Polyline, screenPosition?: Cesium.Cartesian2, labelPosition?: Cesium.Cartesian3, showLabel?: boolean}>}
+ */
+const markerRecords = new Map();
+
+/**
+ * Markers hidden through `hideMarker` (e.g. by the tag filters), by chapter id as a string
+ * @type {Set<string>}
+ */
+const hiddenMarkerKeys = new Set();
+
+/**
+ * Markers of a spiderfied cluster, fanned out on a ring around the cluster center
+ * until the camera moves again. The ring is laid out in screen space, so it keeps
+ * its shape whatever the camera heading and tilt.
+ * @type {Map<string, {center: Cesium.Cartesian3, angle: number, count: number}>}
+ */
+const spiderLegs = new Map();
+
+/**
+ * False while a single chapter is viewed (see `hideAllMarkers`)
+ * @type {boolean}
+ */
+let markersVisible = true;
+
+/**
+ * Cluster badge billboards with the count they show, reused from one layout to the next
+ * @type {Array<{billboard: Cesium.Billboard, count: number}>}
+ */
+let clusterBillboards = [];
+
+/**
+ * The marker keys grouped in each visible cluster, by cluster billboard id
+ * @type {Map<string, string[]>}
+ */
+const clusterMembers = new Map();
+
+/**
+ * The camera view matrix of the last layout, to skip frames where the camera did not move
+ * @type {Cesium.Matrix4 | null}
+ */
+let lastLayoutViewMatrix = null;
+
+/**
+ * Time of the last layout (performance.now()), used to throttle layouts during camera flights
+ */
+let lastLayoutTime = 0;
+
+/**
+ * Timeout id of the next scheduled layout, null if none is pending
+ * @type {number | null}
+ */
+let pendingLayoutTimeout = null;
+
+/**
+ * Whether the layout already follows the camera (the listeners outlive story switches)
+ */
+let isTrackingCamera = false;
+
 /**
  * Asynchronously fetches and parses SVG content from a URL.
  * @param {string} url - URL of the SVG resource.
@@ -71,12 +158,21 @@ function encodeSvgToDataUri(svgElement) {
   return `data:image/svg+xml,${encodeURIComponent(svgElement.outerHTML)}`;
 }
 
+/**
+ * The location dot image, drawn once and shared by all markers
+ * @type {HTMLCanvasElement | null}
+ */
+let locationDotImage = null;
+
 /**
  * Creates a minimalist white dot marker for a location (to be placed at the actual location point).
- * @param {string} markerId - The ID of the marker.
- * @returns {Promise<string>} The marker image data URL.
+ * @returns {HTMLCanvasElement} The marker image.
  */
-async function createLocationDot(markerId) {
+function getLocationDotImage() {
+  if (locationDotImage) {
+    return locationDotImage;
+  }
+
   const canvas = document.createElement('canvas');
   const ctx = canvas.getContext('2d');
 
@@ -112,7 +208,8 @@ async function createLocationDot(markerId) {
   ctx.arc(centerX, centerY, radius - 0.5, 0, 2 * Math.PI);
   ctx.stroke();
 
-  return canvas.toDataURL();
+  locationDotImage = canvas;
+  return canvas;
 }
 
 /**
@@ -188,133 +285,128 @@ function loadImage(url, websiteUrl = null) {
 }
 
 /**
- * Creates a label with logo inside a white circle using SVG (no CORS issues).
- * @param {string} markerId - The ID of the marker.
- * @param {string} title - The title of the place to display.
- * @param {string} logoUrl - Optional logo URL for the location.
- * @param {string} websiteUrl - Optional website URL for favicon fallback.
- * @returns {Promise<string>} The marker image with logo in circle or initials.
+ * Get the initials shown on a label when the place has no usable logo
+ * @param {string} title - The title of the place
+ * @returns {string} Up to two uppercase letters
  */
-async function createMarkerLabel(markerId, title = '', logoUrl = null, websiteUrl = null) {
-  const size = 84;
-  const centerX = size / 2;
-  const centerY = size / 2;
-  const radius = 36;
+function getInitials(title) {
+  return title
+    .split(' ')
+    .map(word => word[0])
+    .filter(letter => letter)
+    .join('')
+    .substring(0, 2)
+    .toUpperCase();
+}
 
-  let svgContent;
+/**
+ * Draws a marker label: a logo (or the initials) inside a white circle.
+ * Labels are drawn at LABEL_IMAGE_RESOLUTION times their display size to stay sharp on high density screens.
+ * @param {Object} options
+ * @param {HTMLImageElement} [options.logo] - The loaded logo
+ * @param {string} [options.initials] - The initials, drawn when there is no logo
+ * @returns {HTMLCanvasElement} The label image
+ */
+function drawMarkerLabel({ logo, initials = '' }) {
+  const size = LABEL_IMAGE_SIZE * LABEL_IMAGE_RESOLUTION;
+  const center = size / 2;
+  const radius = 36 * LABEL_IMAGE_RESOLUTION;
 
-  if (logoUrl) {
-    // Try to load the image and convert to data URI to avoid CORS issues
-    let logoDataUri = null;
-    try {
-      const img = await loadImage(logoUrl, websiteUrl);
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  canvas.width = size;
+  canvas.height = size;
 
-      // Try to convert to data URI (only works with CORS-enabled images)
-      try {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
-        logoDataUri = canvas.toDataURL('image/png');
-      } catch (canvasError) {
-        // If canvas conversion fails due to CORS, use the URL directly
-        logoDataUri = img.src;
-      }
-    } catch (error) {
-      console.warn(`⚠️ Failed to load logo for ${title}:`, error.message);
-      // Will fall through to use initials instead
-    }
+  // White circle background with shadow
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.25)';
+  ctx.shadowBlur = 6 * LABEL_IMAGE_RESOLUTION;
+  ctx.shadowOffsetY = 2 * LABEL_IMAGE_RESOLUTION;
+  ctx.fillStyle = '#ffffff';
+  ctx.beginPath();
+  ctx.arc(center, center, radius, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.shadowColor = 'transparent';
 
-    if (logoDataUri) {
-      // Use SVG with embedded data URI or direct URL
-      svgContent = `
-        <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
-          <defs>
-            <filter id="shadow-${markerId}" x="-50%" y="-50%" width="200%" height="200%">
-              <feGaussianBlur in="SourceAlpha" stdDeviation="3"/>
-              <feOffset dx="0" dy="2" result="offsetblur"/>
-              <feComponentTransfer>
-                <feFuncA type="linear" slope="0.25"/>
-              </feComponentTransfer>
-              <feMerge>
-                <feMergeNode/>
-                <feMergeNode in="SourceGraphic"/>
-              </feMerge>
-            </filter>
-            <clipPath id="circle-clip-${markerId}">
-              <circle cx="${centerX}" cy="${centerY}" r="${radius - 4}"/>
-            </clipPath>
-          </defs>
+  if (logo) {
+    // Logo clipped to the circle, fitted inside it keeping its aspect ratio
+    const box = (radius - 8 * LABEL_IMAGE_RESOLUTION) * 2;
+    const fit = Math.min(box / logo.width, box / logo.height);
+    const width = logo.width * fit;
+    const height = logo.height * fit;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(center, center, radius - 4 * LABEL_IMAGE_RESOLUTION, 0, 2 * Math.PI);
+    ctx.clip();
+    ctx.drawImage(logo, center - width / 2, center - height / 2, width, height);
+    ctx.restore();
+  } else {
+    ctx.fillStyle = '#3b82f6';
+    ctx.font = `bold ${20 * LABEL_IMAGE_RESOLUTION}px Arial, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(initials, center, center);
+  }
 
-          <!-- White circle background with shadow -->
-          <circle cx="${centerX}" cy="${centerY}" r="${radius}" fill="white" fill-opacity="1.0" filter="url(#shadow-${markerId})"/>
+  return canvas;
+}
 
-          <!-- Logo image (clipped to circle) - fully opaque -->
-          <image
-            href="${logoDataUri}"
-            x="${centerX - (radius - 8)}"
-            y="${centerY - (radius - 8)}"
-            width="${(radius - 8) * 2}"
-            height="${(radius - 8) * 2}"
-            clip-path="url(#circle-clip-${markerId})"
-            preserveAspectRatio="xMidYMid meet"
-          />
-        </svg>
-      `;
-    } else {
-      // If logo failed to load, fall through to initials
-      logoUrl = null;
-    }
+/**
+ * Loads the logo of a place for its marker label.
+ * The logo ends up in a WebGL texture, so images served without CORS headers (they would taint the canvas) are rejected.
+ * @param {string} logoUrl - The logo URL
+ * @param {string} [websiteUrl] - The website URL for favicon fallback
+ * @returns {Promise<HTMLImageElement | null>} The logo, or null if it can't be used
+ */
+async function loadMarkerLogo(logoUrl, websiteUrl) {
+  try {
+    const logo = await loadImage(logoUrl, websiteUrl);
+
+    // Reading a pixel throws a SecurityError when the image taints the canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(logo, 0, 0, 1, 1);
+    ctx.getImageData(0, 0, 1, 1);
+
+    return logo;
+  } catch (error) {
+    console.warn(`⚠️ Failed to load logo ${logoUrl}:`, error.message);
+    return null;
   }
+}
 
-  if (!logoUrl) {
-    // Draw initials as fallback
-    const initials = title
-      .split(' ')
-      .map(word => word[0])
-      .filter(letter => letter)
-      .join('')
-      .substring(0, 2)
-      .toUpperCase();
-
-    svgContent = `
-      <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
-        <defs>
-          <filter id="shadow-${markerId}" x="-50%" y="-50%" width="200%" height="200%">
-            <feGaussianBlur in="SourceAlpha" stdDeviation="3"/>
-            <feOffset dx="0" dy="2" result="offsetblur"/>
-            <feComponentTransfer>
-              <feFuncA type="linear" slope="0.25"/>
-            </feComponentTransfer>
-            <feMerge>
-              <feMergeNode/>
-              <feMergeNode in="SourceGraphic"/>
-            </feMerge>
-          </filter>
-        </defs>
+/**
+ * Replace the initials of marker labels with their logos, loading a few logos at a time.
+ * Markers sharing a logo share its atlas image.
+ * @param {Array<{label: Cesium.Billboard, logoUrl: string, website?: string}>} markers - The markers with a logo
+ * @param {number} generation - The marker generation the markers belong to
+ */
+async function loadMarkerLogos(markers, generation) {
+  const markersByLogo = new Map();
+  markers.forEach(marker => {
+    markersByLogo.set(marker.logoUrl, [...(markersByLogo.get(marker.logoUrl) || []), marker]);
+  });
+  const queue = [...markersByLogo.entries()];
 
-        <!-- White circle background with shadow -->
-        <circle cx="${centerX}" cy="${centerY}" r="${radius}" fill="white" fill-opacity="1.0" filter="url(#shadow-${markerId})"/>
+  const loadNext = async () => {
+    while (queue.length > 0) {
+      const [logoUrl, logoMarkers] = queue.shift();
+      const logo = await loadMarkerLogo(logoUrl, logoMarkers[0].website);
 
-        <!-- Initials text -->
-        <text
-          x="${centerX}"
-          y="${centerY}"
-          font-family="Arial, sans-serif"
-          font-size="20"
-          font-weight="bold"
-          fill="#3b82f6"
-          text-anchor="middle"
-          dominant-baseline="central"
-        >${initials}</text>
-      </svg>
-    `;
-  }
+      if (generation !== markerGeneration) {
+        return;
+      }
+      if (logo) {
+        const image = drawMarkerLabel({ logo });
+        logoMarkers.forEach(({ label }) => label.setImage(`label:${logoUrl}`, image));
+        cesiumViewer.scene.requestRender();
+      }
+    }
+  };
 
-  // Convert SVG to proper data URI for Cesium
-  const encodedSvg = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgContent);
-  return encodedSvg;
+  await Promise.all(Array.from({ length: LOGO_LOAD_CONCURRENCY }, loadNext));
 }
 
 /**
@@ -333,195 +425,218 @@ function addHeightOffset(coord, heightOffset) {
 }
 
 /**
- * Helper function to create a polyline entity configuration.
- * Creates a minimalist white dashed line extending from the location outward.
- * @param {Cesium.Cartesian3} options.locationPoint - The actual location point.
- * @param {Cesium.Cartesian3} options.labelPoint - The point where the label will be placed.
- * @returns {Object} Polyline entity configuration.
- */
-function getPolylineConfiguration({ locationPoint, labelPoint }) {
-  return {
-    polyline: {
-      positions: [locationPoint, labelPoint],
-      material: new Cesium.PolylineDashMaterialProperty({
-        color: Cesium.Color.fromCssColorString('#ffffff').withAlpha(0.7),
-        dashLength: 12.0,
-      }),
-      width: 1.5,
-      followSurface: false,
-      clampToGround: false,
-      depthFailMaterial: new Cesium.PolylineDashMaterialProperty({
-        color: Cesium.Color.fromCssColorString('#ffffff').withAlpha(0.25),
-        dashLength: 12.0,
-      }),
-      distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0.0, Number.MAX_VALUE),
-    },
-  };
+ * Get the marker collections, adding them to the scene the first time
+ * @returns {{billboards: Cesium.BillboardCollection, lines: Cesium.PolylineCollection}}
+ */
+function getMarkerCollections() {
+  if (!markerBillboards) {
+    // Lines first, so the billboards are drawn over them
+    markerLines = cesiumViewer.scene.primitives.add(new Cesium.PolylineCollection());
+    markerBillboards = cesiumViewer.scene.primitives.add(new Cesium.BillboardCollection({ scene: cesiumViewer.scene }));
+  }
+
+  return { billboards: markerBillboards, lines: markerLines };
 }
 
 /**
- * Helper function to create a location dot entity configuration.
- * @param {Cesium.Cartesian3} options.position - The position to place the dot.
- * @param {number} options.id - ID for the marker.
- * @param {string} options.dotImage - Data URI for the location dot.
- * @param {string} options.title - Title for the marker.
- * @returns {Cesium.Entity.ConstructorOptions} Dot marker entity configuration.
+ * The minimalist white dashed material of the lines, shared by all lines so they are drawn in one batch
+ * @type {Cesium.Material | null}
  */
-function getDotMarkerConfiguration({ position, id, dotImage, title }) {
-  return {
-    position,
-    id: `dot-${id}`,
-    name: title,
-    billboard: {
-      image: dotImage,
-      scale: 1.0,
-      verticalOrigin: Cesium.VerticalOrigin.CENTER,
-      horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
-      scaleByDistance: new Cesium.NearFarScalar(100000, 1.5, 5000000, 0.3),
-      disableDepthTestDistance: Number.POSITIVE_INFINITY,
-    },
-  };
+let markerLineMaterial = null;
+
+/**
+ * Get the line material
+ * @returns {Cesium.Material}
+ */
+function getMarkerLineMaterial() {
+  if (!markerLineMaterial) {
+    markerLineMaterial = Cesium.Material.fromType('PolylineDash', {
+      color: Cesium.Color.fromCssColorString('#ffffff').withAlpha(0.7),
+      dashLength: 12.0,
+    });
+  }
+  return markerLineMaterial;
 }
 
 /**
- * Helper function to create a label entity configuration (at the end of the line).
- * @param {Cesium.Cartesian3} options.position - The position to place the label.
- * @param {number} options.id - ID for the marker.
- * @param {string} options.labelImage - Data URI for the label.
- * @param {string} options.title - Title for the marker.
- * @returns {Cesium.Entity.ConstructorOptions} Label entity configuration.
+ * Add the billboards and line of a marker, hidden until the layout shows them
+ * @param {Object} options
+ * @param {number|string} options.id - The chapter id
+ * @param {Cesium.Cartesian3} options.position - The marker location
+ * @param {string} options.title - The chapter title, its initials are shown until the logo is loaded
+ * @returns {{dot: Cesium.Billboard, label: Cesium.Billboard, line: Cesium.Polyline}}
  */
-function getLabelMarkerConfiguration({ position, id, labelImage, title }) {
-  return {
+function addMarkerPrimitives({ id, position, title }) {
+  const { billboards, lines } = getMarkerCollections();
+
+  const line = lines.add({
+    positions: [position, position],
+    width: 1.5,
+    material: getMarkerLineMaterial(),
+    show: false,
+  });
+
+  const dot = billboards.add({
+    id: `dot-${id}`,
     position,
+    verticalOrigin: Cesium.VerticalOrigin.CENTER,
+    horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
+    scaleByDistance: new Cesium.NearFarScalar(100000, 1.5, 5000000, 0.3),
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    show: false,
+  });
+  dot.setImage('location-dot', getLocationDotImage());
+
+  const label = billboards.add({
     id,
-    name: title,
-    billboard: {
-      image: labelImage,
-      scale: 1.0,
-      verticalOrigin: Cesium.VerticalOrigin.CENTER,
-      horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
-      scaleByDistance: new Cesium.NearFarScalar(100000, 1.2, 5000000, 0.5),
-      disableDepthTestDistance: Number.POSITIVE_INFINITY,
-      pixelOffset: new Cesium.Cartesian2(0, 0),
-    },
-  };
+    position,
+    width: LABEL_IMAGE_SIZE,
+    height: LABEL_IMAGE_SIZE,
+    verticalOrigin: Cesium.VerticalOrigin.CENTER,
+    horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
+    scaleByDistance: new Cesium.NearFarScalar(
+      LABEL_SCALE_BY_DISTANCE.near,
+      LABEL_SCALE_BY_DISTANCE.nearValue,
+      LABEL_SCALE_BY_DISTANCE.far,
+      LABEL_SCALE_BY_DISTANCE.farValue
+    ),
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    show: false,
+  });
+  const initials = getInitials(title);
+  label.setImage(`label-initials:${initials}`, drawMarkerLabel({ initials }));
+
+  return { dot, label, line };
 }
 
 /**
  * Sets the selected marker and scales it to 1 while scaling the previous marker back to the default scale.
- * @param {number | null} markerId - The id given to the entity object representing the selected marker.
+ * @param {number | null} markerId - The id given to the billboard representing the selected marker.
  */
 export function setSelectedMarker(markerId) {
-  // If no markerID is provided, the getter returns undefined
-  const newMarker = cesiumViewer.entities.getById(markerId);
-
-  // Get the currently still selected marker
-  const currentMarker =
-    !isNaN(Number(selectedMarkerId)) &&
-    cesiumViewer.entities.getById(selectedMarkerId);
-
   // Scale the previous selected marker back to the default scale
+  const currentMarker = selectedMarkerId !== null && markerRecords.get(String(selectedMarkerId));
   if (currentMarker) {
-    currentMarker.billboard.scale = 1.0; // Reset to normal size
+    currentMarker.label.scale = 1.0; // Reset to normal size
   }
 
   // Scale the new selected marker to be larger
+  const newMarker = markerId !== null && markerRecords.get(String(markerId));
   if (newMarker) {
-    newMarker.billboard.scale = 1.3; // Scale up selected bubble marker
+    newMarker.label.scale = 1.3; // Scale up selected bubble marker
   }
 
   // Update the selected marker ID
   selectedMarkerId = markerId;
+  cesiumViewer?.scene.requestRender();
 }
 
 /**
- * Remove single marker billboard.
- * @param {number} markerId - The entity ID for the marker billboard
+ * Remove single marker billboard (with its dot and line).
+ * @param {number} markerId - The ID of the marker billboard
  */
 export function removeMarker(markerId) {
-  cesiumViewer.entities.removeById(markerId);
+  const key = String(markerId);
+  const record = markerRecords.get(key);
+  if (!record) {
+    return;
+  }
+
+  markerBillboards.remove(record.label);
+  markerBillboards.remove(record.dot);
+  markerLines.remove(record.line);
+  markerRecords.delete(key);
+  scheduleMarkerLayout();
+}
+
+/**
+ * Get the layout key of a marker from any of its entity ids (label, `dot-` or `line-`)
+ * @param {number|string} entityId - The entity id
+ * @returns {string} The chapter id as a string
+ */
+function getMarkerKey(entityId) {
+  return String(entityId).replace(/^(dot|line)-/, '');
 }
 
 /**
  * Hide marker billboard.
- * @param {number} markerId - The entity ID for the marker billboard
+ * The marker stays hidden through re-layouts until `showMarker` is called.
+ * @param {number|string} markerId - The entity ID for the marker billboard (or its dot or line)
  */
 export function hideMarker(markerId) {
-  // If no markerID is provided, the getter returns undefined
-  const marker = cesiumViewer.entities.getById(markerId);
-
-  if (!marker) {
+  const key = getMarkerKey(markerId);
+  if (hiddenMarkerKeys.has(key)) {
     return;
   }
 
-  marker.show = false;
+  hiddenMarkerKeys.add(key);
+  scheduleMarkerLayout();
 }
 
 /**
  * Show marker billboard.
- * @param {number} markerId - The entity ID for the marker billboard
+ * Whether it is drawn on its own or as part of a cluster depends on the camera.
+ * @param {number|string} markerId - The entity ID for the marker billboard (or its dot or line)
  */
 export function showMarker(markerId) {
-  // If no markerID is provided, the getter returns undefined
-  const marker = cesiumViewer.entities.getById(markerId);
-
-  if (!marker) {
+  const key = getMarkerKey(markerId);
+  if (!hiddenMarkerKeys.has(key)) {
     return;
   }
-  marker.show = true;
+
+  hiddenMarkerKeys.delete(key);
+  scheduleMarkerLayout();
 }
 
 /**
- * Hide all markers (logos, dots, and lines) - used when viewing a specific chapter
+ * Hide all markers (logos, dots, lines and clusters) - used when viewing a specific chapter
  */
 export function hideAllMarkers() {
   if (!cesiumViewer) {
     return;
   }
 
-  // Iterate through all entities and hide markers, dots, and lines
-  for (let i = 0; i < cesiumViewer.entities.values.length; i++) {
-    const entity = cesiumViewer.entities.values[i];
-    const entityId = entity.id;
-
-    // Hide if it's a marker (number), dot (dot-X), or line (line-X)
-    if (
-      typeof entityId === 'number' ||
-      (typeof entityId === 'string' && (entityId.startsWith('dot-') || entityId.startsWith('line-')))
-    ) {
-      entity.show = false;
-    }
-  }
+  markersVisible = false;
+  updateMarkerLayout();
 }
 
 /**
- * Show all markers (logos, dots, and lines) - used when viewing the overview page
+ * Show all markers (logos, dots, lines and clusters) - used when viewing the overview page
  */
 export function showAllMarkers() {
   if (!cesiumViewer) {
     return;
   }
 
-  // Iterate through all entities and show markers, dots, and lines
-  for (let i = 0; i < cesiumViewer.entities.values.length; i++) {
-    const entity = cesiumViewer.entities.values[i];
-    const entityId = entity.id;
-
-    // Show if it's a marker (number), dot (dot-X), or line (line-X)
-    // But DON'T show location pins (location-pin-X)
-    if (
-      typeof entityId === 'number' ||
-      (typeof entityId === 'string' && (entityId.startsWith('dot-') || entityId.startsWith('line-')))
-    ) {
-      entity.show = true;
-    }
-  }
+  markersVisible = true;
+  updateMarkerLayout();
 
   // Always hide location pins when showing all markers (overview mode)
   hideLocationPin();
 }
 
+/**
+ * Remove all markers (logos, dots, lines and clusters) and any location pin - used when switching stories
+ */
+export function clearMarkers() {
+  if (!cesiumViewer) {
+    return;
+  }
+
+  markerGeneration++;
+  markerBillboards?.removeAll();
+  markerLines?.removeAll();
+  selectedMarkerId = null;
+
+  clusterBillboards = [];
+  clusterMembers.clear();
+  markerRecords.clear();
+  hiddenMarkerKeys.clear();
+  spiderLegs.clear();
+
+  hideLocationPin();
+}
+
 /**
  * Creates a location pin with company logo at the actual location
  * @param {string} chapterId - The chapter/location ID
@@ -754,14 +869,23 @@ async function handleClickOnMarker(click) {
     return;
   }
 
-  const marker = primitive.id;
-  let markerId = marker.id;
+  // Marker billboards carry their id, entity billboards (location pins) their entity
+  const entityId = primitive.id instanceof Cesium.Entity ? primitive.id.id : primitive.id;
+
+  if (clusterMembers.has(entityId)) {
+    handleClickOnCluster(entityId);
+    return;
+  }
 
-  // If the marker is the dot (has "dot-" prefix), extract the actual chapter ID
-  if (typeof markerId === 'string' && markerId.startsWith('dot-')) {
-    markerId = parseInt(markerId.replace('dot-', ''));
+  // The dots at the center of an open ring close it, the logos around it select a chapter
+  if (String(entityId).startsWith('dot-') && spiderLegs.has(getMarkerKey(entityId))) {
+    closeSpider();
+    return;
   }
 
+  // Dots and labels lead to their chapter, the record keeps the original id type
+  const markerId = markerRecords.get(getMarkerKey(entityId))?.id ?? entityId;
+
   // Use the same navigation method as the horizontal bar
   if (typeof window.navigateToChapter === 'function') {
     await window.navigateToChapter(markerId);
@@ -807,265 +931,489 @@ function createMarkerClickHandler() {
 }
 
 /**
- * Checks if two markers are too close together in 3D space
- * @param {Cesium.Cartesian3} pos1 - First marker position
- * @param {Cesium.Cartesian3} pos2 - Second marker position
- * @param {number} minDistance - Minimum distance in meters (default 150km)
- * @returns {boolean} True if markers are too close
+ * Markers closer than this on screen (in pixels) are drawn as one cluster
+ * @readonly
+ */
+const CLUSTER_RADIUS = 44;
+
+/**
+ * Length in pixels of the line between a location dot and its logo label
+ * @readonly
+ */
+const LABEL_OFFSET = 56;
+
+/**
+ * Shortest leg in pixels of a spiderfied cluster (longer when the ring needs room for more logos)
+ * @readonly
+ */
+const MIN_SPIDER_LEG_LENGTH = 72;
+
+/**
+ * Markers closer than this (in meters) are co-located: no zoom level separates them,
+ * so clicking their cluster fans them out right away
+ * @readonly
+ */
+const COLOCATED_DISTANCE = 250;
+
+/**
+ * Size in pixels of the logo label (see `drawMarkerLabel`)
+ * @readonly
+ */
+const LABEL_IMAGE_SIZE = 84;
+
+/**
+ * Label images are drawn at this multiple of their size
+ * @readonly
+ */
+const LABEL_IMAGE_RESOLUTION = 2;
+
+/**
+ * Number of logos loaded at the same time
+ * @readonly
+ */
+const LOGO_LOAD_CONCURRENCY = 6;
+
+/**
+ * Label scale by camera distance (Cesium.NearFarScalar values), also used to
+ * estimate the label size on screen when checking for room
+ * @readonly
+ */
+const LABEL_SCALE_BY_DISTANCE = { near: 100000, nearValue: 1.2, far: 5000000, farValue: 0.5 };
+
+/**
+ * Minimum time in milliseconds between two layouts while the camera moves
+ * @readonly
+ */
+const LAYOUT_UPDATE_INTERVAL = 80;
+
+/**
+ * Closest distance in meters a cluster click flies to, and the cluster extent multiplier
+ * used to frame all of its markers
+ * @readonly
+ */
+const MIN_CLUSTER_FLY_RANGE = 1500;
+const CLUSTER_FLY_RANGE_FACTOR = 3;
+
+/**
+ * Height in meters of markers and clusters above the ellipsoid (no terrain sampling)
+ * @readonly
+ */
+const MARKER_HEIGHT = 200;
+
+/**
+ * The screen square of the given size centered on a point
+ * @param {number} x - Center x in pixels
+ * @param {number} y - Center y in pixels
+ * @param {number} size - Side length in pixels
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function squareAround(x, y, size) {
+  return { x: x - size / 2, y: y - size / 2, width: size, height: size };
+}
+
+/**
+ * The label scale Cesium applies at a camera distance (see LABEL_SCALE_BY_DISTANCE)
+ * @param {number} distance - Camera distance in meters
+ * @returns {number}
  */
-function checkCollision(pos1, pos2, minDistance = 150000) {
-  const distance = Cesium.Cartesian3.distance(pos1, pos2);
-  return distance < minDistance;
+function getLabelScale(distance) {
+  const { near, nearValue, far, farValue } = LABEL_SCALE_BY_DISTANCE;
+  const t = Cesium.Math.clamp((distance - near) / (far - near), 0, 1);
+  return Cesium.Math.lerp(nearValue, farValue, t);
 }
 
 /**
- * Resolves marker overlaps by adjusting line lengths and angles
- * @param {Array<{position: Cesium.Cartesian3, coord: Cesium.Cartesian3, direction: Cesium.Cartesian3, index: number}>} markers - Array of marker data
- * @returns {Array<Cesium.Cartesian3>} Adjusted label positions
- */
-function resolveCollisions(markers) {
-  const maxIterations = 15; // Reduced from 25 to prevent markers going too far
-  const adjustmentFactor = 1.2; // Reduced from 1.4 - 20% longer per iteration
-  const angleAdjustment = 0.15; // Reduced from 0.2 - ~8.6 degrees
-  const maxLineLength = 500000; // Maximum 500km - prevents markers extending into Africa!
-
-  for (let iteration = 0; iteration < maxIterations; iteration++) {
-    let hasCollisions = false;
-    let collisionCount = 0;
-
-    for (let i = 0; i < markers.length; i++) {
-      for (let j = i + 1; j < markers.length; j++) {
-        if (checkCollision(markers[i].position, markers[j].position)) {
-          hasCollisions = true;
-          collisionCount++;
-
-          // Adjust BOTH markers to spread them apart more effectively
-          const adjustBothMarkers = (marker, rotationDirection) => {
-            // Get current distance from location to label
-            const currentOffset = new Cesium.Cartesian3();
-            Cesium.Cartesian3.subtract(marker.position, marker.coord, currentOffset);
-            const currentLength = Cesium.Cartesian3.magnitude(currentOffset);
-
-            // Increase line length but cap at maximum
-            let newLength = Math.min(currentLength * adjustmentFactor, maxLineLength);
-
-            // If already at max length, only rotate (don't extend further)
-            if (currentLength >= maxLineLength) {
-              newLength = currentLength; // Keep same length
-            }
-
-            // Rotate direction to spread markers radially
-            const rotationAngle = rotationDirection * angleAdjustment;
-            const direction2D = new Cesium.Cartesian2(marker.direction.x, marker.direction.y);
-            const cos = Math.cos(rotationAngle);
-            const sin = Math.sin(rotationAngle);
-            const rotatedX = direction2D.x * cos - direction2D.y * sin;
-            const rotatedY = direction2D.x * sin + direction2D.y * cos;
-
-            const rotatedDirection = new Cesium.Cartesian3(rotatedX, rotatedY, marker.direction.z);
-            Cesium.Cartesian3.normalize(rotatedDirection, rotatedDirection);
-
-            // Calculate new position
-            const newOffset = new Cesium.Cartesian3();
-            Cesium.Cartesian3.multiplyByScalar(rotatedDirection, newLength, newOffset);
-            Cesium.Cartesian3.add(marker.coord, newOffset, marker.position);
-
-            // Update direction for next iteration
-            marker.direction = rotatedDirection;
-          };
-
-          // Adjust both markers in opposite directions
-          adjustBothMarkers(markers[i], 1);
-          adjustBothMarkers(markers[j], -1);
-        }
-      }
+ * Meters per pixel at a position for the current camera
+ * @param {Cesium.Cartesian3} position - The position
+ * @returns {number}
+ */
+function getMetersPerPixel(position) {
+  const { scene, camera } = cesiumViewer;
+  return camera.getPixelSize(
+    new Cesium.BoundingSphere(position, 0),
+    scene.canvas.clientWidth,
+    scene.canvas.clientHeight
+  );
+}
+
+/**
+ * Place the label of a marker LABEL_OFFSET pixels away from its dot, along the marker direction.
+ * Labels of a spiderfied cluster go at the end of their leg on the ring instead.
+ * @param {Object} record - The marker record
+ * @param {{center: Cesium.Cartesian3, angle: number, count: number}} [leg] - The spider leg of the marker
+ * @returns {{position: Cesium.Cartesian3, rect: Object} | null} The label position and its screen rectangle, null if off screen
+ */
+function getLabelLayout(record, leg) {
+  const { scene, camera } = cesiumViewer;
+  let position;
+
+  if (leg) {
+    const labelSize = LABEL_IMAGE_SIZE * getLabelScale(Cesium.Cartesian3.distance(camera.positionWC, leg.center));
+    const length = getSpiderLegLength(leg.count, labelSize, MIN_SPIDER_LEG_LENGTH) * getMetersPerPixel(leg.center);
+
+    // Screen-aligned direction: camera right is screen x, camera up is screen y
+    const right = Cesium.Cartesian3.multiplyByScalar(camera.rightWC, Math.cos(leg.angle) * length, new Cesium.Cartesian3());
+    const up = Cesium.Cartesian3.multiplyByScalar(camera.upWC, Math.sin(leg.angle) * length, new Cesium.Cartesian3());
+    position = Cesium.Cartesian3.add(leg.center, Cesium.Cartesian3.add(right, up, right), new Cesium.Cartesian3());
+  } else {
+    const offset = Cesium.Cartesian3.multiplyByScalar(record.direction, LABEL_OFFSET * getMetersPerPixel(record.coord), new Cesium.Cartesian3());
+    position = Cesium.Cartesian3.add(record.coord, offset, new Cesium.Cartesian3());
+  }
+
+  const screenPosition = Cesium.SceneTransforms.wgs84ToWindowCoordinates(scene, position);
+  if (!screenPosition) {
+    return null;
+  }
+
+  const size = LABEL_IMAGE_SIZE * getLabelScale(Cesium.Cartesian3.distance(camera.positionWC, position));
+  return { position, rect: squareAround(screenPosition.x, screenPosition.y, size) };
+}
+
+/**
+ * The position of a cluster badge: the mean of its marker locations
+ * @param {string[]} keys - The marker keys in the cluster
+ * @returns {Cesium.Cartesian3}
+ */
+function getClusterPosition(keys) {
+  const sum = new Cesium.Cartesian3();
+  keys.forEach(key => Cesium.Cartesian3.add(sum, markerRecords.get(key).coord, sum));
+  const mean = Cesium.Cartesian3.divideByScalar(sum, keys.length, sum);
+
+  const cartographic = Cesium.Cartographic.fromCartesian(mean);
+  return Cesium.Cartesian3.fromRadians(cartographic.longitude, cartographic.latitude, MARKER_HEIGHT);
+}
+
+/**
+ * Show the badge billboards for the clusters, adding more billboards when needed
+ * @param {Array<{members: Array<{key: string}>}>} clusters - The clusters with more than one marker
+ */
+function updateClusterBillboards(clusters) {
+  clusterMembers.clear();
+  const { billboards } = getMarkerCollections();
+
+  clusters.forEach((cluster, index) => {
+    const keys = cluster.members.map(({ key }) => key);
+    const position = getClusterPosition(keys);
+
+    let badge = clusterBillboards[index];
+    if (!badge) {
+      badge = {
+        billboard: billboards.add({
+          id: `cluster-${index}`,
+          position,
+          verticalOrigin: Cesium.VerticalOrigin.CENTER,
+          horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        }),
+        count: 0,
+      };
+      clusterBillboards.push(badge);
+    } else {
+      badge.billboard.position = position;
     }
 
-    if (!hasCollisions) {
-      break;
+    if (badge.count !== keys.length) {
+      badge.count = keys.length;
+      badge.billboard.setImage(`cluster-badge:${keys.length}`, createClusterBadge(keys.length));
     }
-  }
 
-  return markers.map(m => m.position);
+    badge.billboard.show = true;
+    clusterMembers.set(badge.billboard.id, keys);
+  });
+
+  clusterBillboards.slice(clusters.length).forEach(({ billboard }) => {
+    billboard.show = false;
+  });
 }
 
 /**
- * Creates markers for each chapter's coordinate and attaches them to the viewer.
- * @param {Chapter[]} chapters - the story's chapters.
+ * Lay out the markers for the current camera: cluster markers that are close on screen,
+ * then show logo labels (with their line) only where they do not overlap a cluster or another label.
+ * Markers without room for a label are shown as a dot.
  */
-export async function createMarkers(chapters) {
+function updateMarkerLayout() {
+  clearTimeout(pendingLayoutTimeout);
+  pendingLayoutTimeout = null;
+
   if (!cesiumViewer) {
-    console.error("Error creating markers: `cesiumViewer` is undefined");
     return;
   }
 
-  // Mobile optimization: reduce number of markers loaded simultaneously
-  const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-  const maxMarkersOnMobile = 8; // Limit to 8 markers on mobile
+  const { scene, camera } = cesiumViewer;
+  lastLayoutViewMatrix = Cesium.Matrix4.clone(camera.viewMatrix, lastLayoutViewMatrix);
+  lastLayoutTime = performance.now();
 
-  let chaptersToProcess = chapters;
-  if (isMobile && chapters.length > maxMarkersOnMobile) {
-    chaptersToProcess = chapters.slice(0, maxMarkersOnMobile);
-  }
+  // Project the shown markers, leaving out those behind the globe
+  const occluder = new Cesium.EllipsoidalOccluder(Cesium.Ellipsoid.WGS84, camera.positionWC);
+  const points = [];
+  const spiderPoints = [];
 
-  // Use hardcoded coordinates for fast loading (no API calls needed for initial display)
-  const hardcodedCoordinates = {
-    1: { lat: 43.4833, lng: -8.2167 },   // Fundación Exponav - Ferrol
-    2: { lat: 43.5333, lng: -7.0500 },   // Gondán Shipbuilders - Castropol
-    3: { lat: 43.6167, lng: -5.7833 },   // Museo Marítimo de Asturias - Luanco
-    4: { lat: 43.4647, lng: -3.8044 },   // Museo Marítimo del Cantábrico - Santander
-    5: { lat: 43.3229, lng: -1.9933 },   // Euskal Itsas Museoa - San Sebastián
-    6: { lat: 43.4833, lng: -8.2167 },   // Navantia Ferrol
-    7: { lat: 43.4817, lng: -8.2206 },   // Campus Industrial de Ferrol - UDC
-    8: { lat: 43.5590, lng: -5.9250 },   // Windar Renovables - Avilés
-    9: { lat: 43.3500, lng: -2.6833 },   // Murueta Astilleros - Bizkaia
-    10: { lat: 43.3000, lng: -2.9333 },  // Cintranaval-Defcar - Loiu
-    11: { lat: 41.3788, lng: 2.1894 },   // MB92 Barcelona
-    12: { lat: 41.3764, lng: 2.1758 },   // Museu Marítim de Barcelona
-    13: { lat: 41.3900, lng: 2.1159 },   // Compass Ingeniería - Barcelona
-    14: { lat: 37.6030, lng: -0.9870 },  // Universidad Politécnica de Cartagena (UPCT)
-    15: { lat: 37.6500, lng: -0.9800 },  // SAES - Electrónica Submarina - Cartagena
-    16: { lat: 37.6000, lng: -0.9833 },  // ARQVA - Museo Arqueología Subacuática - Cartagena
-    17: { lat: 37.6000, lng: -0.9833 },  // Museo Naval de Cartagena
-    18: { lat: 37.7167, lng: -1.0000 },  // CTN - Centro Tecnológico Naval - Fuente Álamo
-    19: { lat: 36.5298, lng: -6.2927 },  // MUCAIN - Museo Carrera de Indias - Cádiz
-    20: { lat: 37.9792, lng: -0.6925 },  // Museo del Mar y de la Sal - Torrevieja
-    21: { lat: 36.5972, lng: -6.2278 },  // Ghenova Ingeniería - El Puerto de Santa María
-    22: { lat: 36.5264, lng: -6.2056 },  // Navantia Seanergies - Puerto Real
-    23: { lat: 36.5264, lng: -6.2056 },  // Museo El Dique - Puerto Real
-    24: { lat: 28.1024, lng: -15.4130 },  // Universidad de Las Palmas (ULPGC)
-    25: { lat: 27.9833, lng: -15.3667 },  // PLOCAN - Plataforma Oceánica de Canarias - Telde
-    26: { lat: 28.1500, lng: -15.4333 },  // Museo Naval de Las Palmas
-    27: { lat: 28.1500, lng: -15.4167 },  // Astican - Astilleros Canarios - Las Palmas
-    28: { lat: 37.3891, lng: -5.9845 },  // Sener - Sevilla
-    29: { lat: 42.2406, lng: -8.7207 },  // Soermar - Vigo
-    30: { lat: 42.2328, lng: -8.7226 },  // Seaplace - Vigo
-    31: { lat: 40.4168, lng: -3.7038 },  // Real Liga Naval Española - Madrid
-    32: { lat: 42.1667, lng: -8.6167 },  // AIMEN Centro Tecnológico - O Porriño
-    33: { lat: 42.2333, lng: -8.7333 },  // Freire Shipyard - Vigo
-    34: { lat: 42.2167, lng: -8.7667 },  // Museo do Mar de Galicia - Vigo
-    35: { lat: 40.5167, lng: -3.7667 },  // CEHIPAR - Canal El Pardo - Madrid
-    36: { lat: 40.4168, lng: -3.6914 },  // Museo Naval de Madrid
-    37: { lat: 37.3828, lng: -5.9964 },  // Reales Atarazanas de Sevilla
-    38: { lat: 37.9838, lng: -1.1300 }   // Fundación Excelem - Murcia
-  };
+  markerRecords.forEach((record, key) => {
+    record.screenPosition = undefined;
+    record.showLabel = false;
 
-  const markerCoordinates = [];
-  const chapterLocations = [];
-
-  for (const chapter of chaptersToProcess) {
-    const coords = hardcodedCoordinates[chapter.id];
-    if (coords) {
-      // Use hardcoded coordinates with approximate height (200m above sea level)
-      // This allows instant marker display without waiting for terrain data
-      const cartesian = Cesium.Cartesian3.fromDegrees(coords.lng, coords.lat, 200);
-      markerCoordinates.push(cartesian);
-      chapterLocations.push(coords);
-    } else {
-      console.warn(`⚠️ No hardcoded coordinates for chapter ${chapter.id}: ${chapter.title}`);
-      // Fallback to default coordinates if no hardcoded coords available
-      const fallbackCoord = Cesium.Cartesian3.fromDegrees(-3.7492, 40.4637, 200);
-      markerCoordinates.push(fallbackCoord);
-      chapterLocations.push({ lat: 40.4637, lng: -3.7492 });
+    const isShown = markersVisible && record.hasLocationMarker && !hiddenMarkerKeys.has(key);
+    if (!isShown || !occluder.isPointVisible(record.coord)) {
+      return;
+    }
+
+    const screenPosition = Cesium.SceneTransforms.wgs84ToWindowCoordinates(scene, record.coord);
+    if (!screenPosition) {
+      return;
+    }
+
+    record.screenPosition = screenPosition;
+    const point = { key, x: screenPosition.x, y: screenPosition.y };
+    (spiderLegs.has(key) ? spiderPoints : points).push(point);
+  });
+
+  const clusters = clusterScreenPoints(points, CLUSTER_RADIUS);
+  const groups = clusters.filter(cluster => cluster.members.length > 1);
+  const clusteredKeys = new Set(groups.flatMap(cluster => cluster.members.map(({ key }) => key)));
+
+  // Cluster badges claim their screen space first, spiderfied markers always get their label
+  const occupied = groups.map(({ x, y }) => squareAround(x, y, CLUSTER_BADGE_SIZE));
+  const singles = [
+    ...spiderPoints,
+    ...clusters.filter(cluster => cluster.members.length === 1).map(cluster => cluster.members[0]),
+  ];
+
+  singles.forEach(({ key }) => {
+    const record = markerRecords.get(key);
+    const leg = spiderLegs.get(key);
+    const label = getLabelLayout(record, leg);
+    if (!label) {
+      return;
+    }
+
+    if (leg || !occupied.some(rect => rectanglesOverlap(rect, label.rect))) {
+      record.labelPosition = label.position;
+      record.showLabel = true;
+      occupied.push(label.rect);
+    }
+  });
+
+  markerRecords.forEach((record, key) => {
+    record.dot.show = Boolean(record.screenPosition) && !clusteredKeys.has(key);
+    record.label.show = record.showLabel;
+    record.line.show = record.showLabel;
+
+    if (record.showLabel) {
+      record.label.position = record.labelPosition;
+      record.line.positions = [record.coord, record.labelPosition];
     }
+  });
+
+  updateClusterBillboards(groups);
+  scene.requestRender();
+}
+
+/**
+ * Schedule a marker layout, coalescing calls made before it runs
+ * @param {number} [delay=0] - Delay in milliseconds
+ */
+function scheduleMarkerLayout(delay = 0) {
+  if (pendingLayoutTimeout !== null) {
+    return;
   }
+  pendingLayoutTimeout = setTimeout(updateMarkerLayout, delay);
+}
 
-  // PERFORMANCE: Skip terrain clamping for instant marker display
-  // Using approximate height (200m) is good enough for Spain's terrain
-  // We could refine heights in the background later if needed
-  const coordsWithAdjustedHeight = markerCoordinates;
-
-  // Spain center for calculating line directions (approximate center of Spain)
-  const spainCenter = Cesium.Cartesian3.fromDegrees(-3.7492, 40.4637, 0);
-
-  // Calculate initial positions for all markers with varied line lengths
-  const markerData = coordsWithAdjustedHeight.map((coord, index) => {
-    // Calculate direction vector from Spain center to this location
-    const direction = new Cesium.Cartesian3();
-    Cesium.Cartesian3.subtract(coord, spainCenter, direction);
-    Cesium.Cartesian3.normalize(direction, direction);
-
-    // Calculate angle for variation
-    const angle = Math.atan2(direction.y, direction.x);
-    const angleVariation = Math.sin(angle * 3) * 0.2; // -0.2 to +0.2
-    const indexVariation = (index % 5) * 0.1; // 0, 0.1, 0.2, 0.3, 0.4
-    const baseLength = 200000; // 200km base (reduced to keep markers closer)
-    const lineLength = baseLength * (1 + angleVariation + indexVariation); // 160km to 280km range
-
-    // Calculate initial label position
-    const labelOffset = new Cesium.Cartesian3();
-    Cesium.Cartesian3.multiplyByScalar(direction, lineLength, labelOffset);
-    const labelPosition = new Cesium.Cartesian3();
-    Cesium.Cartesian3.add(coord, labelOffset, labelPosition);
-
-    return {
-      position: labelPosition,
-      coord: coord,
-      direction: direction,
-      index: index
-    };
+/**
+ * Re-layout the markers after every rendered frame in which the camera moved (throttled)
+ */
+function trackCameraForMarkerLayout() {
+  if (isTrackingCamera) {
+    return;
+  }
+  isTrackingCamera = true;
+
+  const { scene, camera } = cesiumViewer;
+
+  scene.postRender.addEventListener(() => {
+    if (lastLayoutViewMatrix && Cesium.Matrix4.equalsEpsilon(camera.viewMatrix, lastLayoutViewMatrix, Cesium.Math.EPSILON7)) {
+      return;
+    }
+    scheduleMarkerLayout(Math.max(0, LAYOUT_UPDATE_INTERVAL - (performance.now() - lastLayoutTime)));
   });
 
-  // Apply collision resolution to spread overlapping markers
-  const resolvedPositions = resolveCollisions(markerData);
+  // A spiderfied cluster folds back as soon as the camera moves
+  camera.moveStart.addEventListener(() => {
+    if (spiderLegs.size > 0) {
+      closeSpider();
+    }
+  });
+}
 
-  // Create markers with resolved positions
-  for (let index = 0; index < coordsWithAdjustedHeight.length; index++) {
-    const coord = coordsWithAdjustedHeight[index];
-    const labelPosition = resolvedPositions[index];
-    const { id, title, logoUrl, website } = chaptersToProcess[index];
+/**
+ * Fan out the markers of a cluster on a ring around their center, so each logo can be selected
+ * @param {string[]} keys - The marker keys in the cluster
+ */
+function openSpider(keys) {
+  spiderLegs.clear();
 
-    const isMarkerVisible = chaptersToProcess[index].focusOptions?.showLocationMarker;
+  const coords = keys.map(key => markerRecords.get(key).coord);
+  const center = Cesium.BoundingSphere.fromPoints(coords).center;
+  const angles = getSpiderAngles(keys.length);
 
-    // Store the resolved coordinates on the chapter for other uses
-    chaptersToProcess[index].coords = chapterLocations[index];
+  keys.forEach((key, index) => {
+    spiderLegs.set(key, { center, angle: angles[index], count: keys.length });
+  });
 
-    // Create location dot image
-    const dotImage = await createLocationDot(id);
+  updateMarkerLayout();
+}
 
-    // Create marker label image with company logo
-    const labelImage = await createMarkerLabel(id, title, logoUrl, website);
+/**
+ * Fold a spiderfied cluster back
+ */
+function closeSpider() {
+  spiderLegs.clear();
+  updateMarkerLayout();
+}
 
-    // Add the connecting line from location to label
-    const lineEntity = cesiumViewer.entities.add({
-      id: `line-${id}`,
-      ...getPolylineConfiguration({
-        locationPoint: coord,
-        labelPoint: labelPosition
-      }),
-      show: isMarkerVisible,
-    });
+/**
+ * Log the groups of co-located markers (they are only selectable through their spiderfied cluster)
+ */
+function logColocatedMarkers() {
+  const records = [...markerRecords.values()].filter(record => record.hasLocationMarker);
+  const grouped = new Set();
+
+  records.forEach((record, index) => {
+    if (grouped.has(record)) return;
+
+    const group = records
+      .slice(index)
+      .filter(other => !grouped.has(other) && Cesium.Cartesian3.distance(record.coord, other.coord) < COLOCATED_DISTANCE);
+
+    if (group.length > 1) {
+      group.forEach(other => grouped.add(other));
+      console.log(`📍 Co-located markers: ${group.map(other => other.id).join(', ')}`);
+    }
+  });
+}
 
-    // Add the location dot at the actual location
-    cesiumViewer.entities.add({
-      ...getDotMarkerConfiguration({
-        position: coord,
-        id: `dot-${id}`,
-        dotImage,
-        title,
-      }),
-      show: isMarkerVisible,
+/**
+ * Handles a click on a cluster badge: fly in until its markers separate, or spiderfy it
+ * when flying closer would not help (the camera is already close, or the markers are co-located)
+ * @param {string} clusterId - The entity id of the cluster badge
+ */
+function handleClickOnCluster(clusterId) {
+  const keys = clusterMembers.get(clusterId);
+  const { camera } = cesiumViewer;
+
+  // The overview rotation would fold the ring back right away
+  window.stopOverviewOrbit?.();
+
+  const sphere = Cesium.BoundingSphere.fromPoints(keys.map(key => markerRecords.get(key).coord));
+  const range = Math.max(sphere.radius * CLUSTER_FLY_RANGE_FACTOR, MIN_CLUSTER_FLY_RANGE);
+  const isColocated = sphere.radius * 2 < COLOCATED_DISTANCE;
+
+  if (!isColocated && Cesium.Cartesian3.distance(camera.positionWC, sphere.center) > range * 1.5) {
+    // Release any lookAt transform (overview) so the flight works in world coordinates
+    camera.lookAtTransform(Cesium.Matrix4.IDENTITY);
+    camera.flyToBoundingSphere(sphere, {
+      offset: new Cesium.HeadingPitchRange(camera.heading, camera.pitch, range),
+      duration: 1.5,
     });
+    return;
+  }
+
+  openSpider(keys);
+}
 
-    // Add the label at the end of the line
-    cesiumViewer.entities.add({
-      ...getLabelMarkerConfiguration({
-        position: labelPosition,
-        id,
-        labelImage,
-        title,
-      }),
-      show: isMarkerVisible,
+/**
+ * The direction a marker label points to: away from the center of the story
+ * @param {Cesium.Cartesian3} coord - The marker location
+ * @param {Cesium.Cartesian3} storyCenter - The center of the story bounds
+ * @returns {Cesium.Cartesian3} A unit vector
+ */
+function getLabelDirection(coord, storyCenter) {
+  const direction = Cesium.Cartesian3.subtract(coord, storyCenter, new Cesium.Cartesian3());
+
+  // A location at the center has no direction of its own, point its label east
+  if (Cesium.Cartesian3.magnitude(direction) < 1) {
+    Cesium.Cartesian3.cross(Cesium.Cartesian3.UNIT_Z, coord, direction);
+  }
+
+  return Cesium.Cartesian3.normalize(direction, direction);
+}
+
+/**
+ * Creates markers for each chapter's coordinate and attaches them to the viewer.
+ * @param {Chapter[]} chapters - the story's chapters.
+ */
+export async function createMarkers(chapters) {
+  if (!cesiumViewer) {
+    console.error("Error creating markers: `cesiumViewer` is undefined");
+    return;
+  }
+
+  // Positions come from the config (cameraCoordinates, legacy coords or a cached geocode),
+  // so markers are displayed instantly without waiting for API calls
+  const markerCoordinates = [];
+  const locatedChapters = [];
+
+  for (const chapter of chapters) {
+    const location = getChapterLocation(chapter);
+    if (!location) {
+      console.warn(`⚠️ No location for chapter ${chapter.id} (${chapter.title}): add "cameraCoordinates" to config.json. Marker skipped.`);
+      continue;
+    }
+
+    // Use approximate height (200m above sea level)
+    // This allows instant marker display without waiting for terrain data
+    markerCoordinates.push(Cesium.Cartesian3.fromDegrees(location.lng, location.lat, MARKER_HEIGHT));
+    locatedChapters.push(chapter);
+  }
+
+  // Labels point away from the center of the story bounds
+  const bounds = getStoryBounds(locatedChapters);
+  if (!bounds) {
+    // No located chapters, nothing to draw
+    return;
+  }
+  const boundsCenter = getBoundsCenter(bounds);
+  const storyCenter = Cesium.Cartesian3.fromDegrees(boundsCenter.lng, boundsCenter.lat, 0);
+
+  // Create the primitives hidden, the layout decides what is shown (dot, label or cluster).
+  // Labels show initials until their logo is loaded.
+  const markersWithLogo = [];
+
+  locatedChapters.forEach((chapter, index) => {
+    const coord = markerCoordinates[index];
+    const { id, title, logoUrl, website } = chapter;
+
+    const { dot, label, line } = addMarkerPrimitives({ id, position: coord, title });
+
+    markerRecords.set(String(id), {
+      id,
+      coord,
+      direction: getLabelDirection(coord, storyCenter),
+      hasLocationMarker: Boolean(chapter.focusOptions?.showLocationMarker),
+      dot,
+      label,
+      line,
     });
 
-    // Select the marker if it was rerendered and already selected before
-    if (selectedMarkerId === id) {
-      setSelectedMarker(id);
+    if (logoUrl) {
+      markersWithLogo.push({ label, logoUrl, website });
     }
+  });
+
+  // Select the marker if it was rerendered and already selected before
+  if (selectedMarkerId !== null) {
+    setSelectedMarker(selectedMarkerId);
   }
 
+  updateMarkerLayout();
+  logColocatedMarkers();
+  trackCameraForMarkerLayout();
+
   // add a click handler to the viewer which handles the click only when clicking on a billboard (Marker) instance
   createMarkerClickHandler();
+
+  // Logos stream in after the markers are shown
+  loadMarkerLogos(markersWithLogo, markerGeneration);
 }
 
 export default createMarkers;
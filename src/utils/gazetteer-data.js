@@ -0,0 +1,251 @@
+/**
+ * Gazetteer Data
+ * Spanish ports, municipalities, islands, provinces and regions for the offline gazetteer.
+ * The first name is the display name; the others are variants in Castilian, Galician, Basque,
+ * Catalan and English. Coordinates are in degrees (the centre of the town, the port basin,
+ * or roughly the centroid of an island, province or region).
+ */
+
+/**
+ * @readonly
+ * @type {Array<{kind: "port"|"municipality"|"island"|"province"|"region"|"country", names: string[], lat: number, lng: number}>}
+ */
+export const GAZETTEER_PLACES = [
+  // Ports
+  { kind: "port", names: ["Puerto de Ferrol", "Porto de Ferrol"], lat: 43.479, lng: -8.245 },
+  { kind: "port", names: ["Puerto de A Coruña", "Porto da Coruña", "Puerto de La Coruña"], lat: 43.367, lng: -8.395 },
+  { kind: "port", names: ["Puerto de Vigo", "Porto de Vigo"], lat: 42.241, lng: -8.726 },
+  { kind: "port", names: ["Puerto de Marín", "Porto de Marín"], lat: 42.4, lng: -8.695 },
+  { kind: "port", names: ["Puerto de Burela", "Porto de Burela"], lat: 43.657, lng: -7.35 },
+  { kind: "port", names: ["Puerto de Figueras", "Porto de Figueras"], lat: 43.5395, lng: -7.033 },
+  { kind: "port", names: ["Puerto de Avilés", "Puertu d'Avilés"], lat: 43.576, lng: -5.927 },
+  { kind: "port", names: ["Puerto de Gijón", "Puertu de Xixón", "El Musel"], lat: 43.559, lng: -5.695 },
+  { kind: "port", names: ["Puerto de Santander"], lat: 43.45, lng: -3.81 },
+  { kind: "port", names: ["Puerto de Bilbao", "Bilboko Portua"], lat: 43.352, lng: -3.048 },
+  { kind: "port", names: ["Puerto de Pasaia", "Puerto de Pasajes", "Pasaiako Portua"], lat: 43.323, lng: -1.926 },
+  { kind: "port", names: ["Port de Barcelona", "Puerto de Barcelona"], lat: 41.35, lng: 2.165 },
+  { kind: "port", names: ["Port de Tarragona", "Puerto de Tarragona"], lat: 41.1, lng: 1.23 },
+  { kind: "port", names: ["Port de Castelló", "Puerto de Castellón"], lat: 39.97, lng: 0.02 },
+  { kind: "port", names: ["Port de València", "Puerto de Valencia"], lat: 39.445, lng: -0.32 },
+  { kind: "port", names: ["Port d'Alacant", "Puerto de Alicante"], lat: 38.338, lng: -0.49 },
+  { kind: "port", names: ["Puerto de Cartagena"], lat: 37.595, lng: -0.98 },
+  { kind: "port", names: ["Puerto de Almería"], lat: 36.832, lng: -2.47 },
+  { kind: "port", names: ["Puerto de Motril"], lat: 36.72, lng: -3.525 },
+  { kind: "port", names: ["Puerto de Málaga"], lat: 36.715, lng: -4.415 },
+  { kind: "port", names: ["Puerto de Algeciras", "Puerto Bahía de Algeciras"], lat: 36.13, lng: -5.435 },
+  { kind: "port", names: ["Puerto de Cádiz", "Puerto Bahía de Cádiz"], lat: 36.535, lng: -6.28 },
+  { kind: "port", names: ["Puerto de Huelva"], lat: 37.24, lng: -6.95 },
+  { kind: "port", names: ["Puerto de Sevilla"], lat: 37.365, lng: -5.995 },
+  { kind: "port", names: ["Puerto de Las Palmas", "Puerto de La Luz"], lat: 28.14, lng: -15.42 },
+  { kind: "port", names: ["Puerto de Santa Cruz de Tenerife"], lat: 28.475, lng: -16.24 },
+  { kind: "port", names: ["Port de Palma", "Puerto de Palma"], lat: 39.558, lng: 2.63 },
+  { kind: "port", names: ["Puerto de Ceuta"], lat: 35.893, lng: -5.315 },
+  { kind: "port", names: ["Puerto de Melilla"], lat: 35.29, lng: -2.93 },
+
+  // Municipalities - Galicia
+  { kind: "municipality", names: ["A Coruña", "La Coruña", "Coruña"], lat: 43.3623, lng: -8.4115 },
+  { kind: "municipality", names: ["Ferrol"], lat: 43.4832, lng: -8.2369 },
+  { kind: "municipality", names: ["Narón"], lat: 43.5031, lng: -8.19 },
+  { kind: "municipality", names: ["Santiago de Compostela"], lat: 42.8782, lng: -8.5448 },
+  { kind: "municipality", names: ["Ribeira", "Santa Uxía de Ribeira", "Santa Eugenia de Ribeira"], lat: 42.5544, lng: -8.9919 },
+  { kind: "municipality", names: ["Lugo"], lat: 43.0097, lng: -7.5568 },
+  { kind: "municipality", names: ["Burela"], lat: 43.66, lng: -7.359 },
+  { kind: "municipality", names: ["Ourense", "Orense"], lat: 42.3358, lng: -7.8639 },
+  { kind: "municipality", names: ["Pontevedra"], lat: 42.431, lng: -8.6444 },
+  { kind: "municipality", names: ["Vigo"], lat: 42.2406, lng: -8.7207 },
+  { kind: "municipality", names: ["O Porriño", "Porriño"], lat: 42.1616, lng: -8.6196 },
+  { kind: "municipality", names: ["Marín"], lat: 42.3917, lng: -8.7011 },
+  { kind: "municipality", names: ["Vilagarcía de Arousa", "Villagarcía de Arosa"], lat: 42.595, lng: -8.7656 },
+
+  // Municipalities - Asturias and Cantabria
+  { kind: "municipality", names: ["Oviedo", "Uviéu"], lat: 43.3619, lng: -5.8494 },
+  { kind: "municipality", names: ["Gijón", "Xixón"], lat: 43.5322, lng: -5.6611 },
+  { kind: "municipality", names: ["Avilés"], lat: 43.556, lng: -5.9248 },
+  { kind: "municipality", names: ["Castropol"], lat: 43.5286, lng: -7.0286 },
+  { kind: "municipality", names: ["Luanco", "Gozón", "Lluanco"], lat: 43.615, lng: -5.793 },
+  { kind: "municipality", names: ["Santander"], lat: 43.4623, lng: -3.8099 },
+  { kind: "municipality", names: ["Torrelavega"], lat: 43.3494, lng: -4.0479 },
+  { kind: "municipality", names: ["Santoña"], lat: 43.4431, lng: -3.4577 },
+
+  // Municipalities - Basque Country, Navarre, La Rioja
+  { kind: "municipality", names: ["Bilbao", "Bilbo"], lat: 43.263, lng: -2.935 },
+  { kind: "municipality", names: ["Donostia-San Sebastián", "Donostia", "San Sebastián"], lat: 43.3183, lng: -1.9812 },
+  { kind: "municipality", names: ["Vitoria-Gasteiz", "Vitoria", "Gasteiz"], lat: 42.8467, lng: -2.6716 },
+  { kind: "municipality", names: ["Murueta"], lat: 43.3553, lng: -2.6861 },
+  { kind: "municipality", names: ["Loiu", "Lujua"], lat: 43.3136, lng: -2.9382 },
+  { kind: "municipality", names: ["Pasaia", "Pasajes"], lat: 43.3247, lng: -1.9217 },
+  { kind: "municipality", names: ["Getxo", "Guecho"], lat: 43.3567, lng: -3.0114 },
+  { kind: "municipality", names: ["Barakaldo", "Baracaldo"], lat: 43.2956, lng: -2.9897 },
+  { kind: "municipality", names: ["Sestao"], lat: 43.3097, lng: -3.0064 },
+  { kind: "municipality", names: ["Bermeo"], lat: 43.4206, lng: -2.7214 },
+  { kind: "municipality", names: ["Zumaia", "Zumaya"], lat: 43.2958, lng: -2.2567 },
+  { kind: "municipality", names: ["Eibar"], lat: 43.1843, lng: -2.4716 },
+  { kind: "municipality", names: ["Pamplona", "Iruña", "Iruñea"], lat: 42.8125, lng: -1.6458 },
+  { kind: "municipality", names: ["Logroño"], lat: 42.4627, lng: -2.445 },
+
+  // Municipalities - Aragon and Catalonia
+  { kind: "municipality", names: ["Zaragoza", "Saragossa"], lat: 41.6488, lng: -0.8891 },
+  { kind: "municipality", names: ["Huesca", "Osca"], lat: 42.1401, lng: -0.4089 },
+  { kind: "municipality", names: ["Teruel"], lat: 40.3457, lng: -1.1065 },
+  { kind: "municipality", names: ["Barcelona"], lat: 41.3874, lng: 2.1686 },
+  { kind: "municipality", names: ["L'Hospitalet de Llobregat", "Hospitalet de Llobregat"], lat: 41.3596, lng: 2.0997 },
+  { kind: "municipality", names: ["Badalona"], lat: 41.45, lng: 2.2474 },
+  { kind: "municipality", names: ["Terrassa", "Tarrasa"], lat: 41.5632, lng: 2.0089 },
+  { kind: "municipality", names: ["Sabadell"], lat: 41.5463, lng: 2.1086 },
+  { kind: "municipality", names: ["Mataró"], lat: 41.5381, lng: 2.4445 },
+  { kind: "municipality", names: ["Vilanova i la Geltrú", "Villanueva y Geltrú"], lat: 41.2242, lng: 1.7256 },
+  { kind: "municipality", names: ["Girona", "Gerona"], lat: 41.9794, lng: 2.8214 },
+  { kind: "municipality", names: ["Palamós"], lat: 41.8459, lng: 3.1289 },
+  { kind: "municipality", names: ["Lleida", "Lérida"], lat: 41.6176, lng: 0.62 },
+  { kind: "municipality", names: ["Tarragona"], lat: 41.1189, lng: 1.2445 },
+  { kind: "municipality", names: ["La Ràpita", "Sant Carles de la Ràpita", "San Carlos de la Rápita"], lat: 40.618, lng: 0.592 },
+
+  // Municipalities - Valencian Community and Murcia
+  { kind: "municipality", names: ["València", "Valencia"], lat: 39.4699, lng: -0.3763 },
+  { kind: "municipality", names: ["Sagunt", "Sagunto"], lat: 39.6796, lng: -0.2784 },
+  { kind: "municipality", names: ["Gandia", "Gandía"], lat: 38.968, lng: -0.1812 },
+  { kind: "municipality", names: ["Alacant", "Alicante"], lat: 38.3452, lng: -0.481 },
+  { kind: "municipality", names: ["Elx", "Elche"], lat: 38.2669, lng: -0.6983 },
+  { kind: "municipality", names: ["Torrevieja", "Torrevella"], lat: 37.9787, lng: -0.6822 },
+  { kind: "municipality", names: ["Dénia", "Denia"], lat: 38.8408, lng: 0.1057 },
+  { kind: "municipality", names: ["Castelló de la Plana", "Castellón de la Plana"], lat: 39.9864, lng: -0.0513 },
+  { kind: "municipality", names: ["Vinaròs", "Vinaroz"], lat: 40.4703, lng: 0.4747 },
+  { kind: "municipality", names: ["Murcia"], lat: 37.9922, lng: -1.1307 },
+  { kind: "municipality", names: ["Cartagena"], lat: 37.6257, lng: -0.9966 },
+  { kind: "municipality", names: ["Fuente Álamo de Murcia", "Fuente Álamo"], lat: 37.7236, lng: -1.1708 },
+  { kind: "municipality", names: ["Alcantarilla"], lat: 37.9694, lng: -1.2131 },
+  { kind: "municipality", names: ["Lorca"], lat: 37.6772, lng: -1.7006 },
+  { kind: "municipality", names: ["Águilas"], lat: 37.4064, lng: -1.5828 },
+  { kind: "municipality", names: ["San Javier"], lat: 37.8063, lng: -0.8374 },
+
+  // Municipalities - Andalusia
+  { kind: "municipality", names: ["Sevilla", "Seville"], lat: 37.3891, lng: -5.9845 },
+  { kind: "municipality", names: ["Cádiz"], lat: 36.5271, lng: -6.2886 },
+  { kind: "municipality", names: ["El Puerto de Santa María", "Puerto de Santa María"], lat: 36.5939, lng: -6.233 },
+  { kind: "municipality", names: ["Puerto Real"], lat: 36.5283, lng: -6.1903 },
+  { kind: "municipality", names: ["San Fernando"], lat: 36.4658, lng: -6.1987 },
+  { kind: "municipality", names: ["Jerez de la Frontera"], lat: 36.685, lng: -6.1261 },
+  { kind: "municipality", names: ["Barbate"], lat: 36.1924, lng: -5.922 },
+  { kind: "municipality", names: ["Algeciras"], lat: 36.1408, lng: -5.4562 },
+  { kind: "municipality", names: ["La Línea de la Concepción"], lat: 36.1681, lng: -5.3478 },
+  { kind: "municipality", names: ["Huelva"], lat: 37.2614, lng: -6.9447 },
+  { kind: "municipality", names: ["Málaga"], lat: 36.7213, lng: -4.4214 },
+  { kind: "municipality", names: ["Almería"], lat: 36.834, lng: -2.4637 },
+  { kind: "municipality", names: ["Granada"], lat: 37.1773, lng: -3.5986 },
+  { kind: "municipality", names: ["Motril"], lat: 36.7457, lng: -3.5178 },
+  { kind: "municipality", names: ["Córdoba"], lat: 37.8882, lng: -4.7794 },
+  { kind: "municipality", names: ["Jaén"], lat: 37.7796, lng: -3.7849 },
+
+  // Municipalities - Canary and Balearic Islands, Ceuta, Melilla
+  { kind: "municipality", names: ["Las Palmas de Gran Canaria", "Las Palmas"], lat: 28.1235, lng: -15.4363 },
+  { kind: "municipality", names: ["Telde"], lat: 27.9924, lng: -15.4192 },
+  { kind: "municipality", names: ["Arrecife"], lat: 28.963, lng: -13.5477 },
+  { kind: "municipality", names: ["Puerto del Rosario"], lat: 28.5004, lng: -13.8627 },
+  { kind: "municipality", names: ["Santa Cruz de Tenerife"], lat: 28.4636, lng: -16.2518 },
+  { kind: "municipality", names: ["San Cristóbal de La Laguna", "La Laguna"], lat: 28.4874, lng: -16.3159 },
+  { kind: "municipality", names: ["Palma", "Palma de Mallorca"], lat: 39.5696, lng: 2.6502 },
+  { kind: "municipality", names: ["Maó", "Mahón"], lat: 39.8885, lng: 4.2658 },
+  { kind: "municipality", names: ["Ceuta"], lat: 35.8894, lng: -5.3213 },
+  { kind: "municipality", names: ["Melilla"], lat: 35.2923, lng: -2.9381 },
+
+  // Municipalities - inland
+  { kind: "municipality", names: ["Madrid"], lat: 40.4168, lng: -3.7038 },
+  { kind: "municipality", names: ["Getafe"], lat: 40.3057, lng: -3.7329 },
+  { kind: "municipality", names: ["Leganés"], lat: 40.3272, lng: -3.7635 },
+  { kind: "municipality", names: ["Móstoles"], lat: 40.3223, lng: -3.8649 },
+  { kind: "municipality", names: ["Alcalá de Henares"], lat: 40.4818, lng: -3.3636 },
+  { kind: "municipality", names: ["Valladolid"], lat: 41.6523, lng: -4.7245 },
+  { kind: "municipality", names: ["León"], lat: 42.5987, lng: -5.5671 },
+  { kind: "municipality", names: ["Burgos"], lat: 42.3439, lng: -3.6969 },
+  { kind: "municipality", names: ["Salamanca"], lat: 40.9701, lng: -5.6635 },
+  { kind: "municipality", names: ["Palencia"], lat: 42.0095, lng: -4.5288 },
+  { kind: "municipality", names: ["Zamora"], lat: 41.5034, lng: -5.7468 },
+  { kind: "municipality", names: ["Segovia"], lat: 40.9429, lng: -4.1088 },
+  { kind: "municipality", names: ["Ávila"], lat: 40.6565, lng: -4.6818 },
+  { kind: "municipality", names: ["Soria"], lat: 41.7666, lng: -2.479 },
+  { kind: "municipality", names: ["Toledo"], lat: 39.8628, lng: -4.0273 },
+  { kind: "municipality", names: ["Ciudad Real"], lat: 38.9848, lng: -3.9274 },
+  { kind: "municipality", names: ["Puertollano"], lat: 38.6871, lng: -4.1073 },
+  { kind: "municipality", names: ["Cuenca"], lat: 40.0704, lng: -2.1374 },
+  { kind: "municipality", names: ["Guadalajara"], lat: 40.6327, lng: -3.164 },
+  { kind: "municipality", names: ["Albacete"], lat: 38.9943, lng: -1.8585 },
+  { kind: "municipality", names: ["Badajoz"], lat: 38.8794, lng: -6.9707 },
+  { kind: "municipality", names: ["Cáceres"], lat: 39.4753, lng: -6.3724 },
+  { kind: "municipality", names: ["Mérida"], lat: 38.9161, lng: -6.3437 },
+
+  // Islands
+  { kind: "island", names: ["Gran Canaria"], lat: 27.96, lng: -15.6 },
+  { kind: "island", names: ["Tenerife"], lat: 28.29, lng: -16.63 },
+  { kind: "island", names: ["Lanzarote"], lat: 29.05, lng: -13.63 },
+  { kind: "island", names: ["Fuerteventura"], lat: 28.36, lng: -14.05 },
+  { kind: "island", names: ["Mallorca", "Majorca"], lat: 39.61, lng: 2.99 },
+  { kind: "island", names: ["Menorca", "Minorca"], lat: 39.95, lng: 4.1 },
+  { kind: "island", names: ["Eivissa", "Ibiza"], lat: 38.98, lng: 1.43 },
+
+  // Provinces
+  { kind: "province", names: ["A Coruña", "La Coruña", "Coruña"], lat: 43.12, lng: -8.4 },
+  { kind: "province", names: ["Lugo"], lat: 43.0, lng: -7.55 },
+  { kind: "province", names: ["Ourense", "Orense"], lat: 42.2, lng: -7.6 },
+  { kind: "province", names: ["Pontevedra"], lat: 42.43, lng: -8.5 },
+  { kind: "province", names: ["Asturias", "Principado de Asturias", "Asturies"], lat: 43.3, lng: -5.9 },
+  { kind: "province", names: ["Cantabria"], lat: 43.2, lng: -4.0 },
+  { kind: "province", names: ["Bizkaia", "Vizcaya", "Biscay"], lat: 43.23, lng: -2.85 },
+  { kind: "province", names: ["Gipuzkoa", "Guipúzcoa"], lat: 43.14, lng: -2.17 },
+  { kind: "province", names: ["Araba", "Álava"], lat: 42.83, lng: -2.72 },
+  { kind: "province", names: ["Navarra", "Nafarroa", "Navarre"], lat: 42.67, lng: -1.65 },
+  { kind: "province", names: ["La Rioja"], lat: 42.28, lng: -2.5 },
+  { kind: "province", names: ["Huesca", "Osca"], lat: 42.2, lng: -0.3 },
+  { kind: "province", names: ["Zaragoza", "Saragossa"], lat: 41.62, lng: -1.05 },
+  { kind: "province", names: ["Teruel"], lat: 40.65, lng: -0.9 },
+  { kind: "province", names: ["Barcelona"], lat: 41.75, lng: 2.0 },
+  { kind: "province", names: ["Girona", "Gerona"], lat: 42.05, lng: 2.65 },
+  { kind: "province", names: ["Lleida", "Lérida"], lat: 41.95, lng: 1.05 },
+  { kind: "province", names: ["Tarragona"], lat: 41.1, lng: 0.85 },
+  { kind: "province", names: ["Castelló", "Castellón"], lat: 40.2, lng: -0.15 },
+  { kind: "province", names: ["València", "Valencia"], lat: 39.4, lng: -0.75 },
+  { kind: "province", names: ["Alacant", "Alicante"], lat: 38.5, lng: -0.55 },
+  { kind: "province", names: ["Murcia", "Región de Murcia"], lat: 38.0, lng: -1.5 },
+  { kind: "province", names: ["Almería"], lat: 37.2, lng: -2.3 },
+  { kind: "province", names: ["Granada"], lat: 37.3, lng: -3.3 },
+  { kind: "province", names: ["Málaga"], lat: 36.8, lng: -4.65 },
+  { kind: "province", names: ["Cádiz"], lat: 36.55, lng: -5.75 },
+  { kind: "province", names: ["Huelva"], lat: 37.55, lng: -6.9 },
+  { kind: "province", names: ["Sevilla", "Seville"], lat: 37.45, lng: -5.65 },
+  { kind: "province", names: ["Córdoba"], lat: 37.9, lng: -4.8 },
+  { kind: "province", names: ["Jaén"], lat: 37.95, lng: -3.45 },
+  { kind: "province", names: ["Badajoz"], lat: 38.7, lng: -6.15 },
+  { kind: "province", names: ["Cáceres"], lat: 39.7, lng: -6.15 },
+  { kind: "province", names: ["Salamanca"], lat: 40.8, lng: -6.05 },
+  { kind: "province", names: ["Zamora"], lat: 41.7, lng: -6.0 },
+  { kind: "province", names: ["León"], lat: 42.6, lng: -5.8 },
+  { kind: "province", names: ["Palencia"], lat: 42.35, lng: -4.55 },
+  { kind: "province", names: ["Burgos"], lat: 42.35, lng: -3.65 },
+  { kind: "province", names: ["Soria"], lat: 41.7, lng: -2.6 },
+  { kind: "province", names: ["Segovia"], lat: 41.15, lng: -4.0 },
+  { kind: "province", names: ["Ávila"], lat: 40.6, lng: -4.95 },
+  { kind: "province", names: ["Valladolid"], lat: 41.6, lng: -4.8 },
+  { kind: "province", names: ["Madrid", "Comunidad de Madrid"], lat: 40.5, lng: -3.7 },
+  { kind: "province", names: ["Guadalajara"], lat: 40.8, lng: -2.6 },
+  { kind: "province", names: ["Cuenca"], lat: 40.0, lng: -2.15 },
+  { kind: "province", names: ["Toledo"], lat: 39.8, lng: -4.1 },
+  { kind: "province", names: ["Ciudad Real"], lat: 38.95, lng: -3.9 },
+  { kind: "province", names: ["Albacete"], lat: 38.8, lng: -1.85 },
+  { kind: "province", names: ["Illes Balears", "Islas Baleares", "Baleares", "Balearic Islands"], lat: 39.55, lng: 2.9 },
+  { kind: "province", names: ["Las Palmas"], lat: 28.55, lng: -14.55 },
+  { kind: "province", names: ["Santa Cruz de Tenerife"], lat: 28.25, lng: -17.1 },
+
+  // Regions
+  { kind: "region", names: ["Galicia", "Galiza"], lat: 42.75, lng: -7.87 },
+  { kind: "region", names: ["País Vasco", "Euskadi", "Basque Country"], lat: 43.0, lng: -2.6 },
+  { kind: "region", names: ["Aragón", "Aragó", "Aragon"], lat: 41.5, lng: -0.7 },
+  { kind: "region", names: ["Cataluña", "Catalunya", "Catalonia"], lat: 41.8, lng: 1.5 },
+  { kind: "region", names: ["Comunitat Valenciana", "Comunidad Valenciana", "Valencian Community"], lat: 39.4, lng: -0.55 },
+  { kind: "region", names: ["Andalucía", "Andalusia"], lat: 37.45, lng: -4.6 },
+  { kind: "region", names: ["Canarias", "Islas Canarias", "Canary Islands"], lat: 28.3, lng: -15.7 },
+  { kind: "region", names: ["Castilla y León", "Castile and León"], lat: 41.75, lng: -4.8 },
+  { kind: "region", names: ["Castilla-La Mancha", "Castile-La Mancha"], lat: 39.55, lng: -3.0 },
+  { kind: "region", names: ["Extremadura"], lat: 39.2, lng: -6.15 },
+
+  // Country
+  { kind: "country", names: ["España", "Spain", "Espanya", "Espainia"], lat: 40.4637, lng: -3.7492 },
+];
@@ -0,0 +1,106 @@
+/**
+ * Gazetteer
+ * Offline place lookup, the last resort of the camera resolver when no online geocoder is available
+ */
+
+import { GAZETTEER_PLACES } from "./gazetteer-data.js";
+
+/**
+ * Camera distance in meters that frames a place of each kind
+ * @readonly
+ */
+const RANGE_BY_KIND = {
+  port: 4000,
+  municipality: 8000,
+  island: 80000,
+  province: 150000,
+  region: 400000,
+  country: 2000000,
+};
+
+/**
+ * How specific each kind is. A text naming a town and its province resolves to the town.
+ * @readonly
+ */
+const SPECIFICITY_BY_KIND = {
+  port: 4,
+  municipality: 3,
+  island: 2,
+  province: 2,
+  region: 1,
+  country: 0,
+};
+
+/**
+ * Fold a text for matching: lowercase, without accents, words separated by single spaces
+ * and padded so that names only match whole words ("vigo" is not found in "vigor").
+ * @param {string} text - The text
+ * @returns {string} The folded text
+ */
+function foldText(text) {
+  const words = text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  return ` ${words} `;
+}
+
+const INDEXED_PLACES = GAZETTEER_PLACES.map(place => ({
+  ...place,
+  foldedNames: place.names.map(foldText),
+}));
+
+// Names shared by a province and its capital ("Murcia", "Pontevedra")
+const PROVINCE_NAMES = new Set(
+  INDEXED_PLACES.filter(place => place.kind === "province").flatMap(place => place.foldedNames)
+);
+
+/**
+ * Find the place mentioned in a text. The most specific kind wins, then the longest name.
+ * A name shared by a province and its capital counts as the province when the text also names
+ * another town, as in "O Porriño, Pontevedra".
+ * @param {string} text - A place name or address
+ * @returns {{name: string, kind: string, lat: number, lng: number, range: number} | null} The place, or null if none is mentioned
+ */
+export function lookupGazetteer(text) {
+  if (!text) {
+    return null;
+  }
+
+  const searchText = foldText(text);
+  const matches = [];
+
+  INDEXED_PLACES.forEach(place => {
+    place.foldedNames.forEach(name => {
+      if (searchText.includes(name)) {
+        matches.push({ place, name });
+      }
+    });
+  });
+
+  const namesOtherTown = matches.some(
+    ({ place, name }) => place.kind === "municipality" && !PROVINCE_NAMES.has(name)
+  );
+  const candidates = namesOtherTown
+    ? matches.filter(({ place, name }) => place.kind !== "municipality" || !PROVINCE_NAMES.has(name))
+    : matches;
+
+  let bestMatch = null;
+  candidates.forEach(match => {
+    const specificity = SPECIFICITY_BY_KIND[match.place.kind];
+    const bestSpecificity = bestMatch ? SPECIFICITY_BY_KIND[bestMatch.place.kind] : -1;
+    if (specificity > bestSpecificity ||
+        (specificity === bestSpecificity && match.name.length > bestMatch.name.length)) {
+      bestMatch = match;
+    }
+  });
+
+  if (!bestMatch) {
+    return null;
+  }
+
+  const { names, kind, lat, lng } = bestMatch.place;
+  return { name: names[0], kind, lat, lng, range: RANGE_BY_KIND[kind] };
+}
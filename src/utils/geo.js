@@ -0,0 +1,130 @@
+/**
+ * Geo
+ * Small geodesic helpers shared by the viewer and the Node scripts (no Cesium dependency)
+ */
+
+/**
+ * Mean Earth radius in meters
+ * @readonly
+ */
+export const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {{lat: number, lng: number}} from - Start point in degrees
+ * @param {{lat: number, lng: number}} to - End point in degrees
+ * @returns {number} Distance in meters
+ */
+export function haversineDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const deltaLat = toRadians(to.lat - from.lat);
+  const deltaLng = toRadians(to.lng - from.lng);
+
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * WGS84 ellipsoid, the Earth model of Cesium's Cartesian3 coordinates
+ * @readonly
+ */
+const WGS84_SEMI_MAJOR_AXIS = 6378137;
+const WGS84_FLATTENING = 1 / 298.257223563;
+const WGS84_ECCENTRICITY_SQUARED = WGS84_FLATTENING * (2 - WGS84_FLATTENING);
+
+/**
+ * Convert a geodetic position to Earth-centered Cartesian coordinates (same as Cesium.Cartesian3.fromDegrees)
+ * @param {{lat: number, lng: number, height?: number}} position - Degrees and meters above the ellipsoid
+ * @returns {{x: number, y: number, z: number}} Cartesian coordinates in meters
+ */
+export function geodeticToCartesian({ lat, lng, height = 0 }) {
+  const latitude = lat * Math.PI / 180;
+  const longitude = lng * Math.PI / 180;
+  const primeVerticalRadius = WGS84_SEMI_MAJOR_AXIS / Math.sqrt(1 - WGS84_ECCENTRICITY_SQUARED * Math.sin(latitude) ** 2);
+
+  return {
+    x: (primeVerticalRadius + height) * Math.cos(latitude) * Math.cos(longitude),
+    y: (primeVerticalRadius + height) * Math.cos(latitude) * Math.sin(longitude),
+    z: (primeVerticalRadius * (1 - WGS84_ECCENTRICITY_SQUARED) + height) * Math.sin(latitude),
+  };
+}
+
+/**
+ * Convert Earth-centered Cartesian coordinates to a geodetic position (same as Cesium.Cartographic.fromCartesian)
+ * @param {{x: number, y: number, z: number}} position - Cartesian coordinates in meters
+ * @returns {{lat: number, lng: number, height: number}} Degrees and meters above the ellipsoid
+ */
+export function cartesianToGeodetic({ x, y, z }) {
+  const distanceFromAxis = Math.hypot(x, y);
+  let latitude = Math.atan2(z, distanceFromAxis * (1 - WGS84_ECCENTRICITY_SQUARED));
+  let height = 0;
+
+  // Converges to well under a millimeter in a few iterations
+  for (let i = 0; i < 5; i++) {
+    const primeVerticalRadius = WGS84_SEMI_MAJOR_AXIS / Math.sqrt(1 - WGS84_ECCENTRICITY_SQUARED * Math.sin(latitude) ** 2);
+    height = distanceFromAxis / Math.cos(latitude) - primeVerticalRadius;
+    latitude = Math.atan2(z, distanceFromAxis * (1 - WGS84_ECCENTRICITY_SQUARED * primeVerticalRadius / (primeVerticalRadius + height)));
+  }
+
+  return {
+    lat: latitude * 180 / Math.PI,
+    lng: Math.atan2(y, x) * 180 / Math.PI,
+    height,
+  };
+}
+
+/**
+ * The point reached by travelling a distance along a bearing on a spherical Earth
+ * @param {{lat: number, lng: number}} from - Start point in degrees
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @param {number} distance - Distance in meters
+ * @returns {{lat: number, lng: number}} End point in degrees
+ */
+export function destinationPoint(from, bearing, distance) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const angularDistance = distance / EARTH_RADIUS_METERS;
+  const latitude = toRadians(from.lat);
+  const heading = toRadians(bearing);
+
+  const endLatitude = Math.asin(
+    Math.sin(latitude) * Math.cos(angularDistance) +
+    Math.cos(latitude) * Math.sin(angularDistance) * Math.cos(heading)
+  );
+  const endLongitude = toRadians(from.lng) + Math.atan2(
+    Math.sin(heading) * Math.sin(angularDistance) * Math.cos(latitude),
+    Math.cos(angularDistance) - Math.sin(latitude) * Math.sin(endLatitude)
+  );
+
+  // Normalize the longitude to -180..180 in case the path crosses the antimeridian
+  return { lat: endLatitude * 180 / Math.PI, lng: (endLongitude * 180 / Math.PI + 540) % 360 - 180 };
+}
+
+/**
+ * The camera that looks at a target from a position, as `lookAt` heading, pitch and range
+ * (the values that put a Cesium camera back at that position)
+ * @param {{x: number, y: number, z: number}} position - Camera position, Cartesian
+ * @param {{lat: number, lng: number, height: number}} target - The target
+ * @returns {{heading: number, pitch: number, range: number}} Heading and pitch in degrees, range in meters
+ */
+export function getViewTowards(position, target) {
+  const targetPosition = geodeticToCartesian(target);
+  const dx = targetPosition.x - position.x;
+  const dy = targetPosition.y - position.y;
+  const dz = targetPosition.z - position.z;
+
+  // The view direction in the east-north-up frame of the target
+  const latitude = target.lat * Math.PI / 180;
+  const longitude = target.lng * Math.PI / 180;
+  const east = -Math.sin(longitude) * dx + Math.cos(longitude) * dy;
+  const north = -Math.sin(latitude) * Math.cos(longitude) * dx - Math.sin(latitude) * Math.sin(longitude) * dy + Math.cos(latitude) * dz;
+  const up = Math.cos(latitude) * Math.cos(longitude) * dx + Math.cos(latitude) * Math.sin(longitude) * dy + Math.sin(latitude) * dz;
+  const range = Math.hypot(east, north, up);
+
+  return {
+    heading: (Math.atan2(east, north) * 180 / Math.PI + 360) % 360,
+    pitch: Math.asin(up / range) * 180 / Math.PI,
+    range,
+  };
+}
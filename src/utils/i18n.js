@@ -0,0 +1,263 @@
+/**
+ * Internationalization
+ * Message catalogs for the UI (src/locales/*.json), per-field translations
+ * for story content and the language switcher
+ */
+
+import { getParams, setParams } from "./params.js";
+
+/**
+ * The languages the UI is translated to
+ * @readonly
+ */
+export const SUPPORTED_LOCALES = ["es", "en", "gl", "eu", "ca"];
+
+/**
+ * The language names (in their own language), shown as hints in the language switcher
+ * @readonly
+ */
+export const LOCALE_NAMES = {
+  es: "Español",
+  en: "English",
+  gl: "Galego",
+  eu: "Euskara",
+  ca: "Català",
+};
+
+/**
+ * The language the UI is written in, used when a message is missing in another catalog
+ * @readonly
+ */
+const BASE_LOCALE = "es";
+
+/**
+ * Loaded message catalogs by locale
+ * @type {Map<string, Object<string, string>>}
+ */
+const catalogs = new Map();
+
+/**
+ * The locale chosen by the visitor (URL hash or browser language), null if none is supported
+ * @type {string | null}
+ */
+let requestedLocale = null;
+
+/**
+ * The story's default language, used when a story field has no translation for the current locale
+ * @type {string}
+ */
+let storyDefaultLocale = BASE_LOCALE;
+
+/**
+ * Returns true if the locale is one of the supported locales.
+ * @param {*} locale - The value to check
+ * @returns {boolean}
+ */
+export function isSupportedLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale);
+}
+
+/**
+ * Returns true if the value is a per-language object like `{ es: "...", en: "..." }`.
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+export function isLocalizedValue(value) {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return false;
+  }
+
+  const entries = Object.entries(value);
+  return entries.length > 0 &&
+    entries.every(([locale, text]) => isSupportedLocale(locale) && typeof text === "string");
+}
+
+/**
+ * Load the message catalog of a locale, if not already loaded
+ * @param {string} locale - The locale to load
+ */
+async function loadCatalog(locale) {
+  if (catalogs.has(locale)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`./locales/${locale}.json`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    catalogs.set(locale, await response.json());
+  } catch (error) {
+    console.warn(`⚠️ Could not load messages for "${locale}":`, error.message);
+    catalogs.set(locale, {});
+  }
+}
+
+/**
+ * Pick the locale requested by the visitor: the `lang` URL parameter, then the browser languages
+ * @returns {string | null} A supported locale, or null
+ */
+function detectRequestedLocale() {
+  const paramLocale = getParams().get("lang");
+  if (isSupportedLocale(paramLocale)) {
+    return paramLocale;
+  }
+
+  const browserLocales = navigator.languages || [navigator.language];
+  return browserLocales
+    .map(language => String(language).slice(0, 2).toLowerCase())
+    .find(isSupportedLocale) || null;
+}
+
+/**
+ * Initialize the locale layer. Must run before any message is shown.
+ */
+export async function initI18n() {
+  requestedLocale = detectRequestedLocale();
+  await Promise.all([loadCatalog(BASE_LOCALE), loadCatalog(getLocale())]);
+  document.documentElement.lang = getLocale();
+  applyTranslations();
+}
+
+/**
+ * Get the current locale
+ * @returns {string} The requested locale, or the story's default language
+ */
+export function getLocale() {
+  return requestedLocale || storyDefaultLocale;
+}
+
+/**
+ * Change the current locale and translate the static UI
+ * @param {string} locale - The new locale
+ */
+export async function setLocale(locale) {
+  if (!isSupportedLocale(locale)) {
+    console.warn(`⚠️ Unsupported language "${locale}"`);
+    return;
+  }
+
+  await loadCatalog(locale);
+  requestedLocale = locale;
+  document.documentElement.lang = locale;
+  applyTranslations();
+}
+
+/**
+ * Set the story's default language, the fallback for untranslated story fields
+ * @param {string} [locale] - The `defaultLanguage` of the story
+ */
+export async function setStoryDefaultLocale(locale) {
+  storyDefaultLocale = isSupportedLocale(locale) ? locale : BASE_LOCALE;
+  await loadCatalog(getLocale());
+  document.documentElement.lang = getLocale();
+  applyTranslations();
+}
+
+/**
+ * Translate a UI message
+ * @param {string} key - The message key, e.g. "tabs.info"
+ * @param {Object<string, string|number>} [params] - Values for `{name}` placeholders in the message
+ * @returns {string} The translated message, or the key if it is missing in every catalog
+ */
+export function t(key, params = {}) {
+  const message = catalogs.get(getLocale())?.[key] ?? catalogs.get(BASE_LOCALE)?.[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Pick the translation of a story field for the current locale.
+ * Falls back to the story's default language, then to the first available translation.
+ * Plain strings are returned unchanged.
+ * @param {string | Object<string, string>} value - A string or a per-language object
+ * @returns {string} The translated value
+ */
+export function localizeValue(value) {
+  if (!isLocalizedValue(value)) {
+    return value;
+  }
+
+  return value[getLocale()] ?? value[storyDefaultLocale] ?? Object.values(value)[0];
+}
+
+/**
+ * Recursively replace every per-language object with its translation
+ * @param {*} value - Any config value
+ * @returns {*} The translated, frozen value
+ */
+function localizeDeep(value) {
+  if (isLocalizedValue(value)) {
+    return localizeValue(value);
+  }
+
+  if (Array.isArray(value)) {
+    return Object.freeze(value.map(localizeDeep));
+  }
+
+  if (typeof value === "object" && value !== null) {
+    return Object.freeze(Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, localizeDeep(entry)])
+    ));
+  }
+
+  return value;
+}
+
+/**
+ * Create the current-locale view of a story: every translated field becomes a plain string,
+ * so the rest of the app can keep reading `chapter.title` etc.
+ * @param {Story} rawStory - The story as loaded from the config
+ * @returns {Story} A deep-frozen copy of the story in the current locale
+ */
+export function localizeStory(rawStory) {
+  return localizeDeep(rawStory);
+}
+
+/**
+ * Translate the static UI. Elements opt in with `data-i18n` (text content) and
+ * `data-i18n-title`, `data-i18n-placeholder`, `data-i18n-aria-label` (attributes).
+ * @param {ParentNode} [root=document] - The subtree to translate
+ */
+export function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  ["title", "placeholder", "aria-label"].forEach(attribute => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
+
+/**
+ * Fill the language switcher and persist the chosen language in the URL hash
+ */
+export function initLanguageSwitcher() {
+  const switcher = document.getElementById("language-switcher");
+  if (!switcher) return;
+
+  switcher.innerHTML = "";
+  SUPPORTED_LOCALES.forEach(locale => {
+    const option = document.createElement("option");
+    option.value = locale;
+    option.textContent = locale.toUpperCase();
+    option.title = LOCALE_NAMES[locale];
+    switcher.appendChild(option);
+  });
+
+  switcher.value = getLocale();
+  switcher.onchange = () => setParams("lang", switcher.value);
+}
+
+/**
+ * Sync the language switcher with the current locale
+ */
+export function updateLanguageSwitcher() {
+  const switcher = document.getElementById("language-switcher");
+  if (switcher) {
+    switcher.value = getLocale();
+  }
+}
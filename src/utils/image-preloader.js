@@ -4,6 +4,7 @@
  */
 
 import { loadingManager } from './loading-manager.js';
+import { t } from './i18n.js';
 
 /**
  * Preload a single image
@@ -49,7 +50,7 @@ export async function preloadImagesInBatches(imageSources, batchSize = 6) {
     loadingManager.updateStage(
       'IMAGES',
       progress,
-      `Cargando imágenes... ${loadedCount}/${totalImages}`
+      t('loading.imagesProgress', { loaded: loadedCount, total: totalImages })
     );
   }
 
@@ -0,0 +1,79 @@
+/**
+ * IndexedDB
+ * Small helper over one IndexedDB object store: the database is opened once, on first use, and
+ * every request runs in its own transaction. Where IndexedDB is unavailable (private mode, Node)
+ * requests resolve to undefined, so callers can fall back without special cases.
+ */
+
+/**
+ * @callback StoreRequest
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Builds the request
+ * @returns {Promise<*>} The request result once its transaction completes, or undefined without IndexedDB
+ */
+
+/**
+ * Create the request runner of an object store
+ * @param {Object} options
+ * @param {string} options.databaseName - The database name
+ * @param {number} options.version - The database version
+ * @param {string} options.storeName - The object store name
+ * @param {(store: IDBObjectStore, oldVersion: number) => void} [options.upgrade] - Migrates the store of an older
+ *   version; the store is created first on a new database
+ * @param {string} options.unavailableWarning - Logged when IndexedDB can't be opened
+ * @returns {StoreRequest}
+ */
+export function createStoreRequester({ databaseName, version, storeName, upgrade, unavailableWarning }) {
+  let databasePromise = null;
+
+  /**
+   * Open the database once
+   * @returns {Promise<IDBDatabase|null>} The database, or null where IndexedDB is unavailable
+   */
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise(resolve => {
+        try {
+          const request = indexedDB.open(databaseName, version);
+          request.onupgradeneeded = ({ oldVersion }) => {
+            const store = oldVersion < 1
+              ? request.result.createObjectStore(storeName)
+              : request.transaction.objectStore(storeName);
+            upgrade?.(store, oldVersion);
+          };
+          request.onsuccess = () => {
+            // Let a newer version opened in another tab upgrade, and reopen on the next request
+            request.result.onversionchange = () => {
+              request.result.close();
+              databasePromise = null;
+            };
+            resolve(request.result);
+          };
+          request.onerror = () => {
+            console.warn(`⚠️ ${unavailableWarning}:`, request.error?.message);
+            resolve(null);
+          };
+        } catch (error) {
+          console.warn(`⚠️ ${unavailableWarning}:`, error.message);
+          resolve(null);
+        }
+      });
+    }
+    return databasePromise;
+  }
+
+  return async (mode, operation) => {
+    const database = await openDatabase();
+    if (!database) {
+      return undefined;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+}
@@ -3,6 +3,8 @@
  * Manages progressive loading with 5 stages and real-time progress updates
  */
 
+import { t } from './i18n.js';
+
 class LoadingManager {
   constructor() {
     this.progressBar = document.getElementById('progress-bar');
@@ -11,13 +13,13 @@ class LoadingManager {
     this.currentProgress = 0;
     this.networkIndicator = null; // Will be created on demand
 
-    // Loading stages with progress ranges
+    // Loading stages with progress ranges (messages are i18n keys, translated when shown)
     this.stages = {
-      INIT: { start: 0, end: 15, message: 'Inicializando visor 3D...' },
-      IMAGES: { start: 15, end: 40, message: 'Cargando imágenes...' },
-      LOCATIONS: { start: 40, end: 70, message: 'Cargando ubicaciones...' },
-      CONTENT: { start: 70, end: 90, message: 'Preparando contenido...' },
-      FINALIZE: { start: 90, end: 100, message: 'Casi listo...' }
+      INIT: { start: 0, end: 15, message: 'loading.stage.init' },
+      IMAGES: { start: 15, end: 40, message: 'loading.stage.images' },
+      LOCATIONS: { start: 40, end: 70, message: 'loading.stage.locations' },
+      CONTENT: { start: 70, end: 90, message: 'loading.stage.content' },
+      FINALIZE: { start: 90, end: 100, message: 'loading.stage.finalize' }
     };
   }
 
@@ -62,7 +64,7 @@ class LoadingManager {
       return;
     }
 
-    this.statusText.textContent = stage.message;
+    this.statusText.textContent = t(stage.message);
     this.setProgress(stage.start);
   }
 
@@ -85,7 +87,7 @@ class LoadingManager {
     if (customMessage) {
       this.statusText.textContent = customMessage;
     } else {
-      this.statusText.textContent = stage.message;
+      this.statusText.textContent = t(stage.message);
     }
 
     this.setProgress(progress);
@@ -117,17 +119,69 @@ class LoadingManager {
     }
   }
 
+  /**
+   * Replace the loading progress with an error message.
+   * Validation errors (with an `errors` list) are shown one per line with their field path.
+   * @param {string} title - Short description of what failed
+   * @param {Error} error - The error to display
+   */
+  showError(title, error) {
+    const loadingScreen = document.getElementById('loading-screen');
+    const loadingContent = loadingScreen?.querySelector('.loading-content');
+    if (!loadingContent) return;
+
+    loadingScreen.classList.remove('hidden');
+    loadingScreen.classList.add('error');
+    loadingContent.querySelector('.loading-error')?.remove();
+
+    const container = document.createElement('div');
+    container.className = 'loading-error';
+    container.setAttribute('role', 'alert');
+
+    const titleElement = document.createElement('div');
+    titleElement.className = 'loading-error-title';
+    titleElement.textContent = title;
+    container.appendChild(titleElement);
+
+    if (Array.isArray(error?.errors) && error.errors.length > 0) {
+      const message = document.createElement('div');
+      message.className = 'loading-error-message';
+      message.textContent = t('errors.configProblems', { count: error.errors.length });
+      container.appendChild(message);
+
+      const list = document.createElement('ul');
+      list.className = 'loading-error-list';
+      error.errors.forEach(({ path, message }) => {
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = path;
+        item.append(code, `: ${message}`);
+        list.appendChild(item);
+      });
+      container.appendChild(list);
+    } else {
+      const message = document.createElement('div');
+      message.className = 'loading-error-message';
+      message.textContent = error?.message || String(error);
+      container.appendChild(message);
+    }
+
+    loadingContent.appendChild(container);
+  }
+
   /**
    * Complete loading and hide the loading screen
    */
   complete() {
     this.setProgress(100);
-    this.statusText.textContent = '¡Listo!';
+    this.statusText.textContent = t('loading.ready');
 
     setTimeout(() => {
       const loadingScreen = document.getElementById('loading-screen');
       if (loadingScreen) {
         loadingScreen.classList.add('hidden');
+        loadingScreen.classList.remove('error');
+        loadingScreen.querySelector('.loading-error')?.remove();
       }
     }, 500);
   }
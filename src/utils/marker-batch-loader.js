@@ -21,16 +21,7 @@ export async function createMarkersInBatches(
 ) {
   loadingManager.startStage('LOCATIONS');
 
-  const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
-    navigator.userAgent
-  );
-  const maxMarkersOnMobile = 8;
-
-  let chaptersToProcess = chapters;
-  if (isMobile && chapters.length > maxMarkersOnMobile) {
-    chaptersToProcess = chapters.slice(0, maxMarkersOnMobile);
-  }
-
+  const chaptersToProcess = chapters;
   const totalMarkers = chaptersToProcess.length;
   let processedCount = 0;
 
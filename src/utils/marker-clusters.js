@@ -0,0 +1,134 @@
+/**
+ * Marker Clusters
+ * Screen-space clustering of map markers and the count badges drawn for clusters
+ */
+
+/**
+ * Diameter in pixels of the cluster badge image
+ * @readonly
+ */
+export const CLUSTER_BADGE_SIZE = 56;
+
+/**
+ * Badge images by count, drawing the same badge twice is wasted work
+ * @type {Map<number, HTMLCanvasElement>}
+ */
+const badgeCache = new Map();
+
+/**
+ * Group points that are closer than `radius` pixels on screen.
+ * Greedy: each unassigned point (in input order) starts a cluster and claims every
+ * unassigned point within `radius` of it, so the result is stable for a given order.
+ *
+ * @template {{x: number, y: number}} Point
+ * @param {Point[]} points - Window coordinates of the markers
+ * @param {number} radius - The clustering radius in pixels
+ * @returns {Array<{members: Point[], x: number, y: number}>} The clusters with their centroid, singletons included
+ */
+export function clusterScreenPoints(points, radius) {
+  const radiusSquared = radius * radius;
+  const assigned = new Array(points.length).fill(false);
+  const clusters = [];
+
+  points.forEach((seed, seedIndex) => {
+    if (assigned[seedIndex]) return;
+    assigned[seedIndex] = true;
+
+    const members = [seed];
+    for (let index = seedIndex + 1; index < points.length; index++) {
+      if (assigned[index]) continue;
+
+      const dx = points[index].x - seed.x;
+      const dy = points[index].y - seed.y;
+      if (dx * dx + dy * dy <= radiusSquared) {
+        assigned[index] = true;
+        members.push(points[index]);
+      }
+    }
+
+    clusters.push({
+      members,
+      x: members.reduce((sum, point) => sum + point.x, 0) / members.length,
+      y: members.reduce((sum, point) => sum + point.y, 0) / members.length,
+    });
+  });
+
+  return clusters;
+}
+
+/**
+ * Returns true if two screen rectangles overlap
+ * @param {{x: number, y: number, width: number, height: number}} a - A rectangle (top-left corner and size)
+ * @param {{x: number, y: number, width: number, height: number}} b - Another rectangle
+ * @returns {boolean}
+ */
+export function rectanglesOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Draw the badge shown for a cluster: a blue disc with the number of markers it contains
+ * @param {number} count - The number of markers in the cluster
+ * @returns {HTMLCanvasElement} The badge image
+ */
+export function createClusterBadge(count) {
+  if (badgeCache.has(count)) {
+    return badgeCache.get(count);
+  }
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  canvas.width = CLUSTER_BADGE_SIZE;
+  canvas.height = CLUSTER_BADGE_SIZE;
+
+  const center = CLUSTER_BADGE_SIZE / 2;
+
+  // Soft halo
+  ctx.fillStyle = 'rgba(59, 130, 246, 0.25)';
+  ctx.beginPath();
+  ctx.arc(center, center, center, 0, 2 * Math.PI);
+  ctx.fill();
+
+  // Disc with white border
+  ctx.fillStyle = '#3b82f6';
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(center, center, center - 8, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.stroke();
+
+  // Count
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `bold ${count > 99 ? 14 : 18}px Arial, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(count), center, center + 1);
+
+  badgeCache.set(count, canvas);
+  return canvas;
+}
+
+/**
+ * The angles of the legs of a spiderfied cluster: evenly spaced on a ring,
+ * starting straight up and going clockwise (screen angles, counter-clockwise positive)
+ * @param {number} count - The number of markers to fan out
+ * @returns {number[]} The angle of each leg in radians
+ */
+export function getSpiderAngles(count) {
+  return Array.from({ length: count }, (_, index) => Math.PI / 2 - (2 * Math.PI * index) / count);
+}
+
+/**
+ * The leg length of a spiderfied cluster, long enough for `count` items of `itemSize` pixels
+ * to sit on the ring without touching
+ * @param {number} count - The number of markers to fan out
+ * @param {number} itemSize - The size in pixels of the item at the end of each leg
+ * @param {number} minLength - The shortest leg in pixels
+ * @returns {number} The leg length in pixels
+ */
+export function getSpiderLegLength(count, itemSize, minLength) {
+  // Neighbours on a ring of radius r are 2r·sin(π/n) apart
+  const ringLength = count > 1 ? (itemSize * 1.1) / (2 * Math.sin(Math.PI / count)) : 0;
+  return Math.max(minLength, ringLength);
+}
@@ -0,0 +1,157 @@
+/**
+ * Place Search
+ * The search box of the top navigation bar. Results come from the story search index as the
+ * visitor types, with the matching words highlighted, and are picked with the mouse or the keyboard.
+ */
+
+import { getSearchIndex } from './search-index.js';
+import { t } from './i18n.js';
+
+const MAX_RESULTS = 8;
+const SEARCH_DELAY = 120;
+
+let searchTimeout;
+let activeResultIndex = -1;
+let currentResults = [];
+let onSelectChapter = null;
+
+/**
+ * Show the results of the current query
+ * @param {HTMLInputElement} input - The search input
+ * @param {HTMLElement} resultsList - The results list
+ * @param {Chapter[]} chapters - The chapters of the current story
+ */
+function renderResults(input, resultsList, chapters) {
+  const query = input.value.trim();
+  currentResults = query ? getSearchIndex(chapters).search(query, { limit: MAX_RESULTS }) : [];
+  activeResultIndex = -1;
+
+  resultsList.innerHTML = '';
+  resultsList.hidden = !query;
+  input.setAttribute('aria-expanded', String(Boolean(query)));
+
+  if (query && currentResults.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'place-search-empty';
+    empty.textContent = t('search.noResults', { query });
+    resultsList.appendChild(empty);
+    return;
+  }
+
+  currentResults.forEach((result, index) => {
+    const item = document.createElement('li');
+    item.className = 'place-search-result';
+    item.id = `place-search-result-${index}`;
+    item.setAttribute('role', 'option');
+    // Both are escaped by the search index, only <mark> is markup
+    item.innerHTML = `
+      <div class="place-search-title">${result.titleHtml}</div>
+      ${result.snippetHtml ? `<div class="place-search-snippet">${result.snippetHtml}</div>` : ''}
+    `;
+    // mousedown fires before the input loses focus and closes the list
+    item.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      selectResult(input, resultsList, index);
+    });
+    resultsList.appendChild(item);
+  });
+}
+
+/**
+ * Move the keyboard selection through the results
+ * @param {HTMLInputElement} input - The search input
+ * @param {HTMLElement} resultsList - The results list
+ * @param {number} index - The result to select, wraps around
+ */
+function setActiveResult(input, resultsList, index) {
+  if (currentResults.length === 0) {
+    return;
+  }
+
+  activeResultIndex = (index + currentResults.length) % currentResults.length;
+  resultsList.querySelectorAll('.place-search-result').forEach((item, itemIndex) => {
+    item.classList.toggle('active', itemIndex === activeResultIndex);
+  });
+
+  const activeItem = resultsList.querySelector('.place-search-result.active');
+  input.setAttribute('aria-activedescendant', activeItem.id);
+  activeItem.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Go to the chapter of a result
+ * @param {HTMLInputElement} input - The search input
+ * @param {HTMLElement} resultsList - The results list
+ * @param {number} index - The result
+ */
+function selectResult(input, resultsList, index) {
+  const result = currentResults[index];
+  if (!result) {
+    return;
+  }
+
+  input.value = '';
+  closeResults(input, resultsList);
+  input.blur();
+  onSelectChapter(result.chapter.id);
+}
+
+/**
+ * Close the results list
+ * @param {HTMLInputElement} input - The search input
+ * @param {HTMLElement} resultsList - The results list
+ */
+function closeResults(input, resultsList) {
+  resultsList.hidden = true;
+  input.setAttribute('aria-expanded', 'false');
+  input.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Set up the search box
+ * @param {Object} options
+ * @param {() => Chapter[]} options.getChapters - The chapters of the current story (it changes with the story and language)
+ * @param {(chapterId: number|string) => void} options.onSelect - Go to a chapter
+ */
+export function initPlaceSearch({ getChapters, onSelect }) {
+  const input = document.getElementById('place-search-input');
+  const resultsList = document.getElementById('place-search-results');
+  if (!input || !resultsList) {
+    return;
+  }
+
+  onSelectChapter = onSelect;
+
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => renderResults(input, resultsList, getChapters()), SEARCH_DELAY);
+  });
+
+  input.addEventListener('focus', () => {
+    if (input.value.trim()) {
+      renderResults(input, resultsList, getChapters());
+    }
+  });
+
+  input.addEventListener('blur', () => closeResults(input, resultsList));
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveResult(input, resultsList, activeResultIndex + 1);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveResult(input, resultsList, activeResultIndex - 1);
+    } else if (event.key === 'Enter') {
+      clearTimeout(searchTimeout);
+      if (activeResultIndex < 0) {
+        // Enter right after typing searches without waiting for the delay
+        renderResults(input, resultsList, getChapters());
+      }
+      selectResult(input, resultsList, Math.max(activeResultIndex, 0));
+    } else if (event.key === 'Escape') {
+      input.value = '';
+      closeResults(input, resultsList);
+    }
+  });
+}
@@ -0,0 +1,421 @@
+/**
+ * Search Index
+ * Full-text search over the chapters of a story, shared by the chatbot and the place search box.
+ * The index is built once per story: an inverted index over the title, address, tags and content,
+ * ranked with BM25F (the fields weigh differently). Text is accent-folded and lightly stemmed, so
+ * "Astilleros" finds "astillero", and query words missing from the index match their closest
+ * indexed words, so "guggenhiem" still finds the Guggenheim.
+ */
+
+/**
+ * How much a match in each field counts
+ * @readonly
+ */
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  address: 1.5,
+  content: 1,
+};
+
+// BM25 term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * How much a query word counts when it matches an indexed word other than itself
+ * @readonly
+ */
+const EXPANSION_WEIGHTS = {
+  prefix: 0.8,
+  synonym: 0.7,
+  typo: 0.6,
+  typo2: 0.45,
+};
+
+/**
+ * Characters of context shown around the first match
+ * @readonly
+ */
+const SNIPPET_LENGTH = 140;
+
+/**
+ * Words left out of the index and of queries, in the languages of the UI
+ * @readonly
+ */
+const STOPWORDS = new Set([
+  // es
+  "al", "algun", "alguna", "algunas", "algunos", "como", "con", "cual", "cuales", "de", "del", "donde", "el",
+  "en", "es", "esta", "estan", "este", "hay", "la", "las", "lo", "los", "me", "mas", "muy", "para", "por",
+  "que", "se", "sin", "son", "su", "sus", "un", "una", "unas", "unos", "y", "o", "quiero", "busco", "ver",
+  "visitar", "ir", "llevame", "ensename", "muestrame", "dime", "cuanto", "cuanta", "cuantos", "cuantas", "cuando",
+  "quien", "tiene", "tienen", "puedo",
+  // ca / gl
+  "els", "les", "amb", "dels", "pel", "una", "uns", "on", "hi", "ha", "da", "do", "dos", "das", "na", "no",
+  "nos", "nas", "cun", "unha", "onde", "quant", "quan", "canto", "cando",
+  // en
+  "the", "a", "an", "of", "in", "on", "at", "to", "for", "and", "or", "with", "is", "are", "where", "what",
+  "which", "show", "me", "find", "how", "much", "many", "when", "who", "can",
+  // eu
+  "eta", "da", "dira", "non", "zer", "bat", "dago", "daude", "zenbat", "noiz",
+]);
+
+/**
+ * Query words that also search for other words, for names the story content doesn't use
+ * @readonly
+ */
+const SYNONYMS = {
+  euskadi: "país vasco",
+  vasco: "país vasco",
+  gallego: "galicia",
+  andaluz: "andalucía",
+  catalan: "cataluña catalunya",
+  barco: "naval buque",
+  buque: "naval barco",
+  astillero: "naval",
+  mar: "marítimo",
+  iglesia: "catedral basílica",
+};
+
+/**
+ * Lowercase a text and strip its accents ("Cádiz" → "cadiz", "Cataluña" → "cataluna")
+ * @param {string} text - The text
+ * @returns {string}
+ */
+export function foldText(text) {
+  return String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * Escape a text for use in HTML content or attribute values
+ * @param {string} text - The text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Shorten a text for a chat answer or prompt
+ * @param {string} text - The text
+ * @param {number} maxLength - The maximum length
+ * @returns {string} The text, cut at a word boundary if it is longer
+ */
+export function truncate(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 0 ? cut.lastIndexOf(" ") : maxLength)}…`;
+}
+
+/**
+ * Reduce a folded word to a stem shared by its plural and gender forms, and by the trade and
+ * its people ("museos", "museo" → "muse"; "navales" → "naval"; "ingenieria", "ingenieros" → "ingenier")
+ * @param {string} word - A folded word
+ * @returns {string}
+ */
+function stem(word) {
+  let stemmed = word;
+  if (stemmed.length > 4 && /[^aeiou]es$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.length > 3 && stemmed.endsWith("s")) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  if (stemmed.length > 6 && stemmed.endsWith("ia")) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.length > 4 && /[aeo]$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  return stemmed;
+}
+
+/**
+ * The index terms of a text
+ * @param {string} text - The text
+ * @returns {string[]} The stems of its words, without stopwords, in order
+ */
+export function tokenize(text) {
+  return (foldText(text).match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+const STEMMED_SYNONYMS = new Map(Object.entries(SYNONYMS).map(([word, synonyms]) => [stem(word), tokenize(synonyms)]));
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and swaps of two neighbours
+ * @param {string} a - A word
+ * @param {string} b - Another word
+ * @param {number} maxDistance - Give up beyond this distance
+ * @returns {number} The distance, or maxDistance + 1 if it is larger
+ */
+function getEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * The texts of a chapter, per indexed field
+ * @param {Chapter} chapter - The chapter
+ * @returns {Object<string, string>}
+ */
+function getFieldTexts(chapter) {
+  const address = chapter.address || "";
+  return {
+    title: chapter.title || "",
+    // The place name is often the address again
+    address: chapter.placeName && !address.includes(chapter.placeName) ? `${address} ${chapter.placeName}` : address,
+    tags: Object.values(chapter.etiquetas || {}).flat().join(", "),
+    content: chapter.content || "",
+  };
+}
+
+/**
+ * Escape a text and mark its words whose stem is one of the terms
+ * @param {string} text - The text
+ * @param {Set<string>} terms - The matched index terms
+ * @returns {string} HTML with the matches in <mark>
+ */
+function highlight(text, terms) {
+  let html = "";
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (terms.has(stem(foldText(match[0])))) {
+      html += `${escapeHtml(text.slice(lastIndex, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  return html + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * The part of a text around its first match
+ * @param {string} text - The text
+ * @param {Set<string>} terms - The matched index terms
+ * @returns {string|null} Highlighted HTML, or null if the text doesn't match
+ */
+function getSnippet(text, terms) {
+  const firstMatch = [...text.matchAll(/[\p{L}\p{N}]+/gu)].find(match => terms.has(stem(foldText(match[0]))));
+  if (!firstMatch) {
+    return null;
+  }
+
+  let start = Math.max(0, firstMatch.index - 40);
+  if (start > 0) {
+    const nextSpace = text.indexOf(" ", start);
+    start = nextSpace >= 0 && nextSpace < firstMatch.index ? nextSpace + 1 : firstMatch.index;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    end = text.lastIndexOf(" ", end) > firstMatch.index ? text.lastIndexOf(" ", end) : end;
+  }
+
+  return `${start > 0 ? "…" : ""}${highlight(text.slice(start, end), terms)}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Chapter} chapter - The matching chapter
+ * @property {number} index - Its index in the story
+ * @property {number} score - The relevance, only comparable within one search
+ * @property {string} titleHtml - The title, escaped, with the matches in <mark>
+ * @property {string} snippetHtml - The content (or tags, or address) around the first match, the same way
+ *
+ * @typedef {Object} SearchIndex
+ * @property {(query: string, options?: {limit?: number, minScoreRatio?: number}) => SearchResult[]} search
+ */
+
+/**
+ * Build the search index of a story
+ * @param {Chapter[]} chapters - The chapters, localized
+ * @returns {SearchIndex}
+ */
+export function createSearchIndex(chapters) {
+  const documents = chapters.map((chapter, index) => ({ chapter, index, texts: getFieldTexts(chapter), lengths: {} }));
+  /** @type {Map<string, Map<number, Object<string, number>>>} Term → document → field → frequency */
+  const postings = new Map();
+  const averageLengths = {};
+
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    let totalLength = 0;
+    documents.forEach((document, documentIndex) => {
+      const terms = tokenize(document.texts[field]);
+      document.lengths[field] = terms.length;
+      totalLength += terms.length;
+      terms.forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const frequencies = postings.get(term);
+        if (!frequencies.has(documentIndex)) frequencies.set(documentIndex, {});
+        const fieldFrequencies = frequencies.get(documentIndex);
+        fieldFrequencies[field] = (fieldFrequencies[field] || 0) + 1;
+      });
+    });
+    averageLengths[field] = totalLength / Math.max(documents.length, 1) || 1;
+  });
+
+  const vocabulary = [...postings.keys()];
+
+  /**
+   * The index terms a query word matches, with how much each counts
+   * @param {string} queryTerm - A query term
+   * @returns {Map<string, number>}
+   */
+  function expandTerm(queryTerm) {
+    const expansions = new Map();
+    const add = (term, weight) => {
+      if (postings.has(term) && weight > (expansions.get(term) || 0)) {
+        expansions.set(term, weight);
+      }
+    };
+
+    add(queryTerm, 1);
+    (STEMMED_SYNONYMS.get(queryTerm) || []).forEach(term => add(term, EXPANSION_WEIGHTS.synonym));
+
+    // Words the story contains match only themselves, otherwise a rare lookalike would outrank them
+    if (postings.has(queryTerm)) {
+      return expansions;
+    }
+
+    const maxDistance = queryTerm.length >= 8 ? 2 : 1;
+    vocabulary.forEach(term => {
+      // While typing ("gugg") and between stems of one word family ("ingenieri", "ingenier")
+      if ((queryTerm.length >= 3 && term.startsWith(queryTerm)) || (term.length >= 4 && queryTerm.startsWith(term))) {
+        add(term, EXPANSION_WEIGHTS.prefix);
+      } else if (queryTerm.length >= 4) {
+        const distance = getEditDistance(queryTerm, term, maxDistance);
+        if (distance === 1) add(term, EXPANSION_WEIGHTS.typo);
+        else if (distance === 2 && maxDistance === 2) add(term, EXPANSION_WEIGHTS.typo2);
+      }
+    });
+
+    return expansions;
+  }
+
+  /**
+   * The BM25F score of a term in a document
+   * @param {string} term - An index term
+   * @param {number} documentIndex - The document
+   * @returns {number}
+   */
+  function scoreTerm(term, documentIndex) {
+    const frequencies = postings.get(term);
+    const fieldFrequencies = frequencies.get(documentIndex);
+    const { lengths } = documents[documentIndex];
+
+    const weightedFrequency = Object.entries(fieldFrequencies).reduce((sum, [field, frequency]) =>
+      sum + FIELD_WEIGHTS[field] * frequency / (1 - BM25_B + BM25_B * lengths[field] / averageLengths[field]), 0);
+    const idf = Math.log(1 + (documents.length - frequencies.size + 0.5) / (frequencies.size + 0.5));
+
+    return idf * weightedFrequency / (BM25_K1 + weightedFrequency);
+  }
+
+  return {
+    /**
+     * Search the chapters
+     * @param {string} query - The query, in any form ("museos navales en galicia")
+     * @param {Object} [options]
+     * @param {number} [options.limit] - The maximum number of results
+     * @param {number} [options.minScoreRatio] - Leave out results scoring less than this share of the best one
+     * @returns {SearchResult[]} The results, best first
+     */
+    search(query, { limit = 10, minScoreRatio = 0.3 } = {}) {
+      const queryTerms = [...new Set(tokenize(query))];
+      if (queryTerms.length === 0) {
+        return [];
+      }
+
+      /** @type {Map<number, {score: number, matchedQueryTerms: number, terms: Set<string>}>} */
+      const matches = new Map();
+
+      queryTerms.forEach(queryTerm => {
+        // A query word counts once per document, with its best matching index term
+        const best = new Map();
+        expandTerm(queryTerm).forEach((weight, term) => {
+          postings.get(term).forEach((_, documentIndex) => {
+            const score = weight * scoreTerm(term, documentIndex);
+            if (score > (best.get(documentIndex)?.score || 0)) {
+              best.set(documentIndex, { score, term });
+            }
+          });
+        });
+
+        best.forEach(({ score, term }, documentIndex) => {
+          const match = matches.get(documentIndex) || { score: 0, matchedQueryTerms: 0, terms: new Set() };
+          match.score += score;
+          match.matchedQueryTerms++;
+          match.terms.add(term);
+          matches.set(documentIndex, match);
+        });
+      });
+
+      // Chapters matching every word of the query come first
+      const ranked = [...matches]
+        .map(([documentIndex, match]) => ({ documentIndex, ...match, score: match.score * match.matchedQueryTerms / queryTerms.length }))
+        .sort((a, b) => b.score - a.score);
+
+      const minScore = (ranked[0]?.score || 0) * minScoreRatio;
+
+      return ranked
+        .filter(match => match.score >= minScore)
+        .slice(0, limit)
+        .map(({ documentIndex, score, terms }) => {
+          const { chapter, index, texts } = documents[documentIndex];
+          return {
+            chapter,
+            index,
+            score,
+            titleHtml: highlight(texts.title, terms),
+            snippetHtml: getSnippet(texts.content, terms) || getSnippet(texts.tags, terms) || getSnippet(texts.address, terms) || "",
+          };
+        });
+    },
+  };
+}
+
+/** @type {WeakMap<Chapter[], SearchIndex>} */
+const indexCache = new WeakMap();
+
+/**
+ * The search index of a story's chapters, built on first use
+ * @param {Chapter[]} chapters - The chapters, localized
+ * @returns {SearchIndex}
+ */
+export function getSearchIndex(chapters) {
+  if (!indexCache.has(chapters)) {
+    indexCache.set(chapters, createSearchIndex(chapters));
+  }
+  return indexCache.get(chapters);
+}
@@ -0,0 +1,393 @@
+/**
+ * Spatial Query
+ * Questions about where places are: the nearest to a town or place ("los 3 más cercanos a Madrid"),
+ * those within a distance ("astilleros a menos de 50 km de Cádiz", "¿qué hay cerca de Vigo?")
+ * and those in a region of their `etiquetas.ubicacion` ("museos en Galicia").
+ */
+
+import { haversineDistance } from './geo.js';
+import { getChapterLocation } from './chapter-location.js';
+import { lookupGazetteer } from './gazetteer.js';
+import { foldText, tokenize, getSearchIndex } from './search-index.js';
+
+/**
+ * Radius in meters of a "near" question without a distance
+ * @readonly
+ */
+export const DEFAULT_NEAR_RADIUS = 30000;
+
+/**
+ * Places listed by a "nearest" question without a count
+ * @readonly
+ */
+const DEFAULT_NEAREST_COUNT = 3;
+
+/**
+ * Most places listed by a "nearest" question
+ * @readonly
+ */
+const MAX_NEAREST_COUNT = 10;
+
+/**
+ * Counts written as words, in the languages of the UI ("los tres más cercanos")
+ * @readonly
+ */
+const NUMBER_WORDS = {
+  dos: 2, two: 2, dous: 2, duas: 2,
+  tres: 3, three: 3,
+  cuatro: 4, quatre: 4, catro: 4, four: 4,
+  cinco: 5, cinc: 5, five: 5,
+  seis: 6, sis: 6, six: 6,
+  siete: 7, sete: 7, seven: 7,
+  ocho: 8, vuit: 8, oito: 8, eight: 8,
+  nueve: 9, nou: 9, nove: 9, nine: 9,
+  diez: 10, deu: 10, dez: 10, ten: 10,
+};
+
+const COUNT_PATTERN = new RegExp(`\\b(\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\b`);
+
+/**
+ * "a menos de 50 km de Cádiz", "within 2.5 km of Vigo": the topic before, the distance and the place after
+ * @readonly
+ */
+const RADIUS_PATTERN = /^(.*?)\b(\d+(?:[.,]\d+)?) ?(km|kms|kilometros?|kilometers?|kilometres?|quilometres?|quilometros?|m|metros?|meters?|metres?)\b(?: de distancia| away)? (?:alrededor de|de|del|desde|from|of|around|da|do|dende) (.+)$/;
+
+/**
+ * "los 3 más cercanos a Madrid", "the nearest museums to Bilbao": the count and topic, the place at the end
+ * @readonly
+ */
+const NEAREST_PATTERN = /^(.*?)\b(?:mas cercan[oa]s?|mas proxim[oa]s?|closest|nearest|mes propers?|mais proxim[oa]s?)\b (?:(.+?) )??(?:a la|a|al|de|del|to|from|of|da|do|ao) (.+)$/;
+
+/**
+ * "¿qué centros hay cerca de Vigo?", "near Ferrol", "close to Bilbao": the topic before and the place after.
+ * "close" and "próximo" need their preposition, alone they are hours ("close on Sunday", "el próximo domingo")
+ * @readonly
+ */
+const NEAR_PATTERN = /^(.*?)\b(?:(?:cerca|near|a prop|preto|alrededor|around)\b(?: (?:de|del|to|of|da|do|a|ao))?|(?:close|proxim[oa]s?) (?:a|al|ao|de|del|to|da|do)) (.+)$/;
+
+/**
+ * "museos en Galicia": the topic before the last "en" and the region after it
+ * @readonly
+ */
+const REGION_PATTERN = /^(.*)\b(?:en|in|dins de|dentro de) (.+)$/;
+
+/**
+ * Words of the distance phrasings left before the number ("a menos de", "within")
+ * @readonly
+ */
+const RADIUS_LEAD_PATTERN = /\b(a menos de|menos de|como mucho a|a un maximo de|en un radio de|a menys de|en un radi de|within|less than|under|up to)\s*$/;
+
+/**
+ * Articles before a place name ("en el País Vasco")
+ * @readonly
+ */
+const LEADING_ARTICLE_PATTERN = /^(el|la|los|las|the|els|les|l|o|os|as) /;
+
+/**
+ * Place words meaning the place being shown ("cerca de aquí")
+ * @readonly
+ */
+const CURRENT_PLACE_PATTERN = /^(aqui|aca|here|this place|aqui mismo|este lugar|este sitio|aquest lloc|aqui mateix|isto|hemen)$/;
+
+/**
+ * Words that only say "places", kept out of the topic ("¿qué centros hay…?" asks for any place)
+ * @readonly
+ */
+const GENERIC_TERMS = new Set(tokenize(
+  'lugares sitios centros places sites things cosas llocs coses algo something'
+));
+
+/**
+ * @typedef {"nearest"|"radius"|"near"|"region"} SpatialKind
+ *
+ * @typedef {Object} SpatialQuery
+ * @property {SpatialKind} kind - Nearest places, within a distance, near (a default distance) or in a region
+ * @property {string} placeText - The town, region or place the question is about, folded
+ * @property {boolean} refersToCurrentPlace - The question is about the place being shown ("cerca de aquí")
+ * @property {string} topic - What kind of places, folded, empty for any place
+ * @property {number} [count] - How many places, for "nearest"
+ * @property {number} [radius] - The distance in meters, for "radius" and "near"
+ *
+ * @typedef {Object} SpatialResult
+ * @property {Chapter} chapter - The chapter
+ * @property {number} index - Its index in the story
+ * @property {number|null} distance - Its distance to the anchor in meters, null without an anchor
+ *
+ * @typedef {Object} SpatialAnswer
+ * @property {SpatialQuery} query - The question
+ * @property {{name: string, lat: number, lng: number, index?: number}|null} anchor - The point distances
+ *   are measured from: a town of the gazetteer or a chapter (with its `index`)
+ * @property {string|null} region - The `ubicacion` tag, for "region"
+ * @property {number|null} radius - The search radius in meters, or the distance of the farthest
+ *   of the nearest places; null for "region"
+ * @property {SpatialResult[]} results - The places, nearest first
+ * @property {SpatialResult|null} closest - When nothing matched, the nearest place outside the radius or region
+ * @property {"unknownPlace"|"noCurrentPlace"} [error] - Why there is no answer
+ */
+
+/**
+ * Fold a message for the patterns: accents, case and punctuation out, decimals kept ("2,5 km")
+ * @param {string} message - The message
+ * @returns {string}
+ */
+function normalizeMessage(message) {
+  return foldText(message)
+    .replace(/[^a-z0-9.,]+/g, ' ')
+    .replace(/[.,](?!\d)|(?<!\d)[.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * The place words of a question, without articles
+ * @param {string} text - The folded text after the spatial phrasing
+ * @returns {string}
+ */
+function cleanPlaceText(text) {
+  return text.replace(LEADING_ARTICLE_PATTERN, '').trim();
+}
+
+/**
+ * The words of a topic that name a kind of place ("astilleros"), without generic words and counts
+ * @param {string} text - The folded text before the spatial phrasing
+ * @returns {string} The topic, empty for any place
+ */
+function cleanTopic(text) {
+  return text
+    .replace(COUNT_PATTERN, ' ')
+    .split(' ')
+    .filter(word => tokenize(word).some(term => !GENERIC_TERMS.has(term)))
+    .join(' ');
+}
+
+/**
+ * The `ubicacion` tags of the story, by their folded name
+ * @param {Chapter[]} chapters - The chapters
+ * @returns {Map<string, string>}
+ */
+function getRegionTags(chapters) {
+  const tags = new Map();
+  chapters.forEach(chapter => {
+    (chapter.etiquetas?.ubicacion || []).forEach(tag => tags.set(normalizeMessage(tag), tag));
+  });
+  return tags;
+}
+
+/**
+ * The `ubicacion` tag a place text names: the tag itself, or a gazetteer variant of it ("Galiza")
+ * @param {string} placeText - The folded place words
+ * @param {Chapter[]} chapters - The chapters
+ * @returns {string|null} The tag as written in the config
+ */
+function findRegionTag(placeText, chapters) {
+  const tags = getRegionTags(chapters);
+  if (tags.has(placeText)) {
+    return tags.get(placeText);
+  }
+
+  const place = lookupGazetteer(placeText);
+  return place ? tags.get(normalizeMessage(place.name)) || null : null;
+}
+
+/**
+ * Recognize a spatial question
+ * @param {string} message - The visitor's message
+ * @param {Chapter[]} chapters - The chapters, a region question must name one of their `ubicacion` tags or a known town
+ * @returns {SpatialQuery|null} The question, or null for anything else
+ */
+export function parseSpatialQuery(message, chapters) {
+  const text = normalizeMessage(message);
+
+  const toQuery = (kind, placeWords, topicWords, extra) => {
+    const placeText = cleanPlaceText(placeWords);
+    return {
+      kind,
+      placeText,
+      refersToCurrentPlace: CURRENT_PLACE_PATTERN.test(placeText),
+      topic: cleanTopic(topicWords),
+      ...extra
+    };
+  };
+
+  const radiusMatch = text.match(RADIUS_PATTERN);
+  if (radiusMatch) {
+    const [, before, amount, unit, place] = radiusMatch;
+    const distance = Number(amount.replace(',', '.'));
+    const radius = unit.startsWith('k') || unit.startsWith('q') ? distance * 1000 : distance;
+    if (radius > 0) {
+      return toQuery('radius', place, before.replace(RADIUS_LEAD_PATTERN, ''), { radius });
+    }
+  }
+
+  const nearestMatch = text.match(NEAREST_PATTERN);
+  if (nearestMatch) {
+    const [, before, middle = '', place] = nearestMatch;
+    const countWord = before.match(COUNT_PATTERN)?.[1];
+    const count = countWord ? NUMBER_WORDS[countWord] || Number(countWord) : DEFAULT_NEAREST_COUNT;
+    return toQuery('nearest', place, `${before} ${middle}`, {
+      count: Math.min(Math.max(count, 1), MAX_NEAREST_COUNT)
+    });
+  }
+
+  const nearMatch = text.match(NEAR_PATTERN);
+  if (nearMatch) {
+    const [, before, place] = nearMatch;
+    return toQuery('near', place, before, { radius: DEFAULT_NEAR_RADIUS });
+  }
+
+  // "en" is in most sentences: only a known region or town makes it a spatial question
+  const regionMatch = text.match(REGION_PATTERN);
+  if (regionMatch) {
+    const [, before, place] = regionMatch;
+    const placeText = cleanPlaceText(place);
+    if (findRegionTag(placeText, chapters) || lookupGazetteer(placeText)) {
+      return toQuery('region', place, before);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The chapters with a location, with their index
+ * @param {Chapter[]} chapters - The chapters
+ * @param {Set<number>|null} [include] - Only these chapter indices, all if null
+ * @returns {Array<{chapter: Chapter, index: number, location: {lat: number, lng: number}}>}
+ */
+function getLocatedChapters(chapters, include = null) {
+  return chapters
+    .map((chapter, index) => ({ chapter, index, location: getChapterLocation(chapter) }))
+    .filter(({ index, location }) => location && (!include || include.has(index)));
+}
+
+/**
+ * The chapters by distance to a point
+ * @param {Chapter[]} chapters - The chapters
+ * @param {{lat: number, lng: number}} point - The point
+ * @param {Set<number>|null} [include] - Only these chapter indices, all if null
+ * @returns {SpatialResult[]} Nearest first
+ */
+function sortByDistance(chapters, point, include = null) {
+  return getLocatedChapters(chapters, include)
+    .map(({ chapter, index, location }) => ({ chapter, index, distance: haversineDistance(point, location) }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * The chapters nearest to a point
+ * @param {Chapter[]} chapters - The chapters
+ * @param {{lat: number, lng: number}} point - The point
+ * @param {number} count - How many
+ * @param {Set<number>|null} [include] - Only these chapter indices, all if null
+ * @returns {SpatialResult[]} Nearest first
+ */
+export function findNearest(chapters, point, count, include = null) {
+  return sortByDistance(chapters, point, include).slice(0, count);
+}
+
+/**
+ * The chapters within a distance of a point
+ * @param {Chapter[]} chapters - The chapters
+ * @param {{lat: number, lng: number}} point - The point
+ * @param {number} radius - The distance in meters
+ * @param {Set<number>|null} [include] - Only these chapter indices, all if null
+ * @returns {SpatialResult[]} Nearest first
+ */
+export function findWithinRadius(chapters, point, radius, include = null) {
+  return sortByDistance(chapters, point, include).filter(result => result.distance <= radius);
+}
+
+/**
+ * The chapters tagged with a region in `etiquetas.ubicacion`
+ * @param {Chapter[]} chapters - The chapters
+ * @param {string} region - The region, town or country, in any case and with or without accents
+ * @param {Set<number>|null} [include] - Only these chapter indices, all if null
+ * @returns {SpatialResult[]} In story order, without distances
+ */
+export function findInRegion(chapters, region, include = null) {
+  const folded = normalizeMessage(region);
+  return chapters
+    .map((chapter, index) => ({ chapter, index, distance: null }))
+    .filter(({ chapter, index }) => (!include || include.has(index)) &&
+      (chapter.etiquetas?.ubicacion || []).some(tag => normalizeMessage(tag) === folded));
+}
+
+/**
+ * The point a question measures from: a town, or a place of the story named by more words than a town
+ * ("cerca del Museo Naval de Madrid" is the museum, "cerca de Vigo" the town)
+ * @param {string} placeText - The folded place words
+ * @param {Chapter[]} chapters - The chapters
+ * @returns {{name: string, lat: number, lng: number, index?: number}|null}
+ */
+function resolveAnchor(placeText, chapters) {
+  const town = lookupGazetteer(placeText);
+  if (town && tokenize(placeText).length <= tokenize(town.name).length + 1) {
+    return { name: town.name, lat: town.lat, lng: town.lng };
+  }
+
+  const [bestMatch] = getSearchIndex(chapters).search(placeText, { limit: 1 });
+  const location = bestMatch && getChapterLocation(bestMatch.chapter);
+  if (location) {
+    return { name: bestMatch.chapter.title, lat: location.lat, lng: location.lng, index: bestMatch.index };
+  }
+
+  return town ? { name: town.name, lat: town.lat, lng: town.lng } : null;
+}
+
+/**
+ * Answer a spatial question
+ * @param {SpatialQuery} query - The question
+ * @param {Chapter[]} chapters - The chapters
+ * @param {Object} [options]
+ * @param {number|null} [options.currentIndex] - The chapter being shown, for "cerca de aquí"
+ * @returns {SpatialAnswer}
+ */
+export function answerSpatialQuery(query, chapters, { currentIndex = null } = {}) {
+  const answer = { query, anchor: null, region: null, radius: null, results: [], closest: null };
+
+  // Only the places about the topic; a topic matching nothing leaves no candidates
+  const include = query.topic
+    ? new Set(getSearchIndex(chapters).search(query.topic, { limit: chapters.length }).map(result => result.index))
+    : null;
+
+  if (query.kind === 'region') {
+    answer.region = findRegionTag(query.placeText, chapters);
+    const town = lookupGazetteer(query.placeText);
+    answer.anchor = town ? { name: town.name, lat: town.lat, lng: town.lng } : null;
+    answer.results = answer.region ? findInRegion(chapters, answer.region, include) : [];
+    if (answer.results.length === 0 && answer.anchor) {
+      answer.closest = findNearest(chapters, answer.anchor, 1, include)[0] || null;
+    }
+    return answer;
+  }
+
+  if (query.refersToCurrentPlace) {
+    const chapter = currentIndex !== null && currentIndex >= 0 ? chapters[currentIndex] : null;
+    const location = chapter && getChapterLocation(chapter);
+    if (!location) {
+      return { ...answer, error: 'noCurrentPlace' };
+    }
+    answer.anchor = { name: chapter.title, lat: location.lat, lng: location.lng, index: currentIndex };
+  } else {
+    answer.anchor = resolveAnchor(query.placeText, chapters);
+    if (!answer.anchor) {
+      return { ...answer, error: 'unknownPlace' };
+    }
+  }
+
+  // A place of the story is not its own neighbour
+  const isNotAnchor = result => result.index !== answer.anchor.index;
+
+  if (query.kind === 'nearest') {
+    answer.results = sortByDistance(chapters, answer.anchor, include).filter(isNotAnchor).slice(0, query.count);
+    answer.radius = answer.results.at(-1)?.distance ?? null;
+    return answer;
+  }
+
+  answer.radius = query.radius;
+  answer.results = findWithinRadius(chapters, answer.anchor, query.radius, include).filter(isNotAnchor);
+  if (answer.results.length === 0) {
+    answer.closest = sortByDistance(chapters, answer.anchor, include).find(isNotAnchor) || null;
+  }
+  return answer;
+}
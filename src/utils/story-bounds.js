@@ -0,0 +1,96 @@
+/**
+ * Story Bounds
+ * Derives the overview camera and marker layout scale from the chapter locations,
+ * so the intro view works for a story in any region
+ */
+
+import { getChapterLocation } from "./chapter-location.js";
+import { haversineDistance } from "./geo.js";
+
+/**
+ * Ratio between the overview camera range and the bounds diagonal.
+ * With Cesium's 60° field of view a top-down camera sees about 1.15 × range,
+ * the extra margin keeps the outermost markers and their labels on screen.
+ * @readonly
+ */
+const OVERVIEW_RANGE_FACTOR = 1.4;
+
+/**
+ * Smallest overview range in meters, used for single-place or city-sized stories
+ * @readonly
+ */
+const MIN_OVERVIEW_RANGE = 3000;
+
+/**
+ * Largest overview range in meters (whole Earth)
+ * @readonly
+ */
+export const MAX_OVERVIEW_RANGE = 20000000;
+
+/**
+ * Get the bounding box of all located chapters
+ * @param {Chapter[]} chapters - The story's chapters
+ * @returns {{west: number, south: number, east: number, north: number}|null} The bounds in degrees, or null if no chapter has a location
+ */
+export function getStoryBounds(chapters) {
+  const locations = chapters.map(getChapterLocation).filter(Boolean);
+  if (locations.length === 0) {
+    return null;
+  }
+
+  return locations.reduce((bounds, { lat, lng }) => ({
+    west: Math.min(bounds.west, lng),
+    south: Math.min(bounds.south, lat),
+    east: Math.max(bounds.east, lng),
+    north: Math.max(bounds.north, lat),
+  }), { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity });
+}
+
+/**
+ * Get the center of a bounding box
+ * @param {{west: number, south: number, east: number, north: number}} bounds - The bounds in degrees
+ * @returns {{lat: number, lng: number}} The center in degrees
+ */
+export function getBoundsCenter(bounds) {
+  return {
+    lat: (bounds.south + bounds.north) / 2,
+    lng: (bounds.west + bounds.east) / 2,
+  };
+}
+
+/**
+ * Get the diagonal size of a bounding box
+ * @param {{west: number, south: number, east: number, north: number}} bounds - The bounds in degrees
+ * @returns {number} The distance between the south-west and north-east corners in meters
+ */
+export function getBoundsDiagonal(bounds) {
+  return haversineDistance(
+    { lat: bounds.south, lng: bounds.west },
+    { lat: bounds.north, lng: bounds.east }
+  );
+}
+
+/**
+ * Get the overview camera view of a story.
+ * `story.properties.overview.center` and `.range` override the values computed from the chapter bounds.
+ * @param {Story} story - The story configuration
+ * @returns {{center: {lat: number, lng: number}, range: number}|null} The overview view, or null if it cannot be determined
+ */
+export function getOverviewView(story) {
+  const overrides = story.properties.overview || {};
+  const bounds = getStoryBounds(story.chapters);
+
+  if (!bounds && !overrides.center) {
+    return null;
+  }
+
+  const center = overrides.center || getBoundsCenter(bounds);
+  const computedRange = bounds
+    ? Math.min(MAX_OVERVIEW_RANGE, Math.max(MIN_OVERVIEW_RANGE, getBoundsDiagonal(bounds) * OVERVIEW_RANGE_FACTOR))
+    : MAX_OVERVIEW_RANGE;
+
+  return {
+    center: { lat: center.lat, lng: center.lng },
+    range: overrides.range || computedRange,
+  };
+}
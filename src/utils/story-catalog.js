@@ -0,0 +1,136 @@
+/**
+ * Story Catalog
+ * Loads the optional stories.json catalog, resolves the `story` URL parameter
+ * to a config URL and renders the story landing page
+ */
+
+import { isLocalizedValue, localizeValue } from './i18n.js';
+
+/**
+ * Story ids given directly as a config path must be a relative .json file
+ * inside the app (no protocol, no parent directory)
+ * @readonly
+ */
+const CONFIG_PATH_PATTERN = /^(\.\/)?[\w\-]+(\/[\w\-]+)*\.json$/;
+
+/**
+ * Load the story catalog. The catalog is optional: a missing file returns null.
+ *
+ * The catalog format is:
+ * { "defaultStory": "iie", "stories": [{ "id", "title", "description", "imageUrl", "config" }] }
+ * `title` and `description` may be per-language objects like story fields.
+ *
+ * @param {string} catalogUrl - The URL of the catalog file
+ * @returns {Promise<{defaultStory: string|null, stories: Array<Object>}|null>} The catalog, or null if unavailable.
+ *   `defaultStory` is null if the catalog names none of its stories: the visitor picks one on the landing page.
+ */
+export async function loadStoryCatalog(catalogUrl) {
+  let catalog;
+
+  try {
+    const response = await fetch(catalogUrl);
+    if (!response.ok) {
+      return null;
+    }
+    catalog = await response.json();
+  } catch (error) {
+    console.warn(`⚠️ Could not load story catalog from ${catalogUrl}:`, error.message);
+    return null;
+  }
+
+  const stories = (Array.isArray(catalog?.stories) ? catalog.stories : []).filter((entry, index) => {
+    const hasTitle = typeof entry?.title === 'string' || isLocalizedValue(entry?.title);
+    const isValid = entry && typeof entry.id === 'string' && hasTitle && typeof entry.config === 'string';
+    if (!isValid) {
+      console.warn(`⚠️ Ignoring story catalog entry ${index}: "id", "title" and "config" are required`);
+    }
+    return isValid;
+  });
+
+  if (stories.length === 0) {
+    return null;
+  }
+
+  const defaultStory = stories.some(entry => entry.id === catalog.defaultStory)
+    ? catalog.defaultStory
+    : null;
+
+  return { defaultStory, stories };
+}
+
+/**
+ * Resolve a story id to the URL of its config file.
+ * Catalog ids take precedence; otherwise the id may be a relative path to a .json config.
+ * @param {{stories: Array<Object>}|null} catalog - The story catalog
+ * @param {string|null} storyId - The story id, usually from the `story` URL parameter
+ * @returns {string|null} The config URL, or null if the story is unknown
+ */
+export function resolveStoryConfigUrl(catalog, storyId) {
+  if (!storyId) {
+    return null;
+  }
+
+  const entry = catalog?.stories.find(story => story.id === storyId);
+  if (entry) {
+    return entry.config;
+  }
+
+  return CONFIG_PATH_PATTERN.test(storyId) ? storyId : null;
+}
+
+/**
+ * Render the story cards into the landing page
+ * @param {{stories: Array<Object>}} catalog - The story catalog
+ * @param {string|null} activeStoryId - The id of the currently loaded story
+ * @param {function(string): void} onSelect - Called with the story id when a card is clicked
+ */
+export function renderStoryCatalog(catalog, activeStoryId, onSelect) {
+  const list = document.getElementById('story-catalog-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  catalog.stories.forEach(entry => {
+    const card = document.createElement('button');
+    card.type = 'button';
+    card.className = 'story-card';
+    card.classList.toggle('active', entry.id === activeStoryId);
+    card.onclick = () => onSelect(entry.id);
+
+    if (entry.imageUrl) {
+      const img = document.createElement('img');
+      img.src = entry.imageUrl;
+      img.alt = '';
+      img.loading = 'lazy';
+      card.appendChild(img);
+    }
+
+    const title = document.createElement('div');
+    title.className = 'story-card-title';
+    title.textContent = localizeValue(entry.title);
+    card.appendChild(title);
+
+    if (entry.description) {
+      const description = document.createElement('div');
+      description.className = 'story-card-description';
+      description.textContent = localizeValue(entry.description);
+      card.appendChild(description);
+    }
+
+    list.appendChild(card);
+  });
+}
+
+/**
+ * Show the story landing page
+ */
+export function showStoryCatalog() {
+  document.getElementById('story-catalog')?.classList.remove('hidden');
+}
+
+/**
+ * Hide the story landing page
+ */
+export function hideStoryCatalog() {
+  document.getElementById('story-catalog')?.classList.add('hidden');
+}
@@ -0,0 +1,274 @@
+/**
+ * Story Export
+ * Serializes chapters to GeoJSON (QGIS), KML with logo placemarks (Google Earth) and CSV (spreadsheets).
+ * Every format carries the coordinates, address, website and the `etiquetas` flattened to one
+ * "|"-separated value per category, the same shape story-import.js reads back.
+ */
+
+import { TAG_CATEGORIES } from "./config-validator.js";
+import { getChapterLocation } from "./chapter-location.js";
+
+/**
+ * Separator of several tags in one flattened value
+ * @readonly
+ */
+const TAG_SEPARATOR = "|";
+
+/**
+ * Placemark icon of chapters without a logo
+ * @readonly
+ */
+const DEFAULT_KML_ICON = "https://maps.google.com/mapfiles/kml/paddle/blu-circle.png";
+
+/**
+ * The export formats, by the name passed to `serializeStory`
+ * @readonly
+ */
+export const EXPORT_FORMATS = {
+  geojson: { extension: "geojson", mimeType: "application/geo+json" },
+  kml: { extension: "kml", mimeType: "application/vnd.google-earth.kml+xml" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+};
+
+/**
+ * The CSV columns, in order
+ * @readonly
+ */
+const CSV_COLUMNS = ["title", "address", "website", "lat", "lng", "elevation", ...TAG_CATEGORIES, "logoUrl", "content"];
+
+/**
+ * Start of a CSV cell that spreadsheets read as a formula
+ * @readonly
+ */
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Flatten a chapter to the values every format exports
+ * @param {Chapter} chapter - The chapter (localized, so every text is a string)
+ * @param {string} [baseUrl] - URL that relative logo URLs are resolved against
+ * @returns {Object} The record; `lat`, `lng` and `elevation` are undefined when the chapter has no known location
+ */
+function toExportRecord(chapter, baseUrl) {
+  const location = getChapterLocation(chapter);
+  const record = {
+    id: chapter.id,
+    title: chapter.title,
+    address: chapter.address,
+    website: chapter.website,
+    lat: location?.lat,
+    lng: location?.lng,
+    elevation: location?.elevation,
+    logoUrl: chapter.logoUrl && baseUrl ? new URL(chapter.logoUrl, baseUrl).href : chapter.logoUrl,
+    content: chapter.content,
+  };
+
+  TAG_CATEGORIES.forEach(category => {
+    const tags = chapter.etiquetas?.[category];
+    record[category] = tags?.length ? tags.join(TAG_SEPARATOR) : undefined;
+  });
+
+  return record;
+}
+
+/**
+ * Serialize chapters as a GeoJSON FeatureCollection. Chapters without a known location get a null geometry.
+ * @param {Chapter[]} chapters - The chapters
+ * @param {{title?: string, baseUrl?: string}} [options]
+ * @returns {string} The GeoJSON text
+ */
+export function toGeoJson(chapters, { title, baseUrl } = {}) {
+  const features = chapters.map(chapter => {
+    const { lat, lng, elevation, ...properties } = toExportRecord(chapter, baseUrl);
+    const coordinates = Number.isFinite(elevation) ? [lng, lat, elevation] : [lng, lat];
+
+    return {
+      type: "Feature",
+      geometry: Number.isFinite(lat) ? { type: "Point", coordinates } : null,
+      properties: Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== undefined)),
+    };
+  });
+
+  return JSON.stringify({ type: "FeatureCollection", name: title, features }, null, 2);
+}
+
+/**
+ * Escape a text for XML element content and attributes
+ * @param {*} value - The value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Wrap HTML in a CDATA section, splitting any "]]>" it contains
+ * @param {string} html - The HTML
+ * @returns {string}
+ */
+function toCdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+/**
+ * The balloon shown when a placemark is clicked in Google Earth
+ * @param {Object} record - The export record
+ * @returns {string} The HTML
+ */
+function getKmlDescription(record) {
+  const parts = [];
+  if (record.logoUrl) parts.push(`<img src="${escapeXml(record.logoUrl)}" alt="" style="max-width:120px;max-height:80px"/>`);
+  if (record.address) parts.push(`<p>${escapeXml(record.address)}</p>`);
+  if (record.website) parts.push(`<p><a href="${escapeXml(record.website)}">${escapeXml(record.website)}</a></p>`);
+  if (record.content) parts.push(`<p>${escapeXml(record.content).replace(/\n/g, "<br/>")}</p>`);
+
+  const tags = TAG_CATEGORIES.filter(category => record[category])
+    .map(category => `<b>${category}:</b> ${escapeXml(record[category].split(TAG_SEPARATOR).join(", "))}`);
+  if (tags.length > 0) parts.push(`<p>${tags.join("<br/>")}</p>`);
+
+  return parts.join("");
+}
+
+/**
+ * Serialize chapters as KML. Each chapter with a logo is drawn with its logo as icon;
+ * chapters without a known location are listed without a point.
+ * @param {Chapter[]} chapters - The chapters
+ * @param {{title?: string, baseUrl?: string}} [options] - Pass `baseUrl` so Google Earth can load relative logos
+ * @returns {string} The KML text
+ */
+export function toKml(chapters, { title = "", baseUrl } = {}) {
+  const records = chapters.map(chapter => toExportRecord(chapter, baseUrl));
+
+  // One style per logo, shared by the chapters of the same organization
+  const logoStyles = new Map();
+  records.forEach(({ logoUrl }) => {
+    if (logoUrl && !logoStyles.has(logoUrl)) logoStyles.set(logoUrl, `logo-${logoStyles.size + 1}`);
+  });
+
+  const iconStyle = (id, href, scale) => `    <Style id="${id}">
+      <IconStyle><scale>${scale}</scale><Icon><href>${escapeXml(href)}</href></Icon></IconStyle>
+      <LabelStyle><scale>0.8</scale></LabelStyle>
+    </Style>`;
+
+  const styles = [
+    iconStyle("default", DEFAULT_KML_ICON, 1),
+    ...[...logoStyles].map(([logoUrl, id]) => iconStyle(id, logoUrl, 1.4)),
+  ];
+
+  const placemarks = records.map(record => {
+    const data = ["website", ...TAG_CATEGORIES]
+      .filter(key => record[key] !== undefined)
+      .map(key => `        <Data name="${key}"><value>${escapeXml(record[key])}</value></Data>`);
+    const point = Number.isFinite(record.lat)
+      ? `\n      <Point><coordinates>${record.lng},${record.lat},${record.elevation ?? 0}</coordinates></Point>`
+      : "";
+
+    return `    <Placemark id="chapter-${escapeXml(record.id)}">
+      <name>${escapeXml(record.title)}</name>${record.address ? `\n      <address>${escapeXml(record.address)}</address>` : ""}
+      <description>${toCdata(getKmlDescription(record))}</description>
+      <styleUrl>#${logoStyles.get(record.logoUrl) || "default"}</styleUrl>${data.length ? `\n      <ExtendedData>\n${data.join("\n")}\n      </ExtendedData>` : ""}${point}
+    </Placemark>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(title)}</name>
+${styles.join("\n")}
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Quote a CSV cell when needed (RFC 4180). Text that a spreadsheet would run as a formula
+ * (starting with =, +, -, @, a tab or a carriage return) gets a leading apostrophe, which
+ * spreadsheets hide and `importStory` drops.
+ * @param {*} value - The value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "string" && CSV_FORMULA_PATTERN.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize chapters as CSV, one row per chapter. Starts with a byte order mark so spreadsheets read it as UTF-8.
+ * @param {Chapter[]} chapters - The chapters
+ * @param {{baseUrl?: string}} [options]
+ * @returns {string} The CSV text
+ */
+export function toCsv(chapters, { baseUrl } = {}) {
+  const rows = chapters.map(chapter => {
+    const record = toExportRecord(chapter, baseUrl);
+    return CSV_COLUMNS.map(column => toCsvCell(record[column])).join(",");
+  });
+
+  return "\uFEFF" + [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+/**
+ * Serialize chapters in an export format
+ * @param {Chapter[]} chapters - The chapters to export
+ * @param {"geojson"|"kml"|"csv"} format - The format
+ * @param {{title?: string, baseUrl?: string}} [options]
+ * @returns {string} The file content
+ */
+export function serializeStory(chapters, format, options = {}) {
+  switch (format) {
+    case "geojson":
+      return toGeoJson(chapters, options);
+    case "kml":
+      return toKml(chapters, options);
+    case "csv":
+      return toCsv(chapters, options);
+    default:
+      throw new Error(`Unknown export format "${format}" (use geojson, kml or csv)`);
+  }
+}
+
+/**
+ * Let the browser download a text as a file
+ * @param {string} content - The file content
+ * @param {string} fileName - The suggested file name
+ * @param {string} mimeType - The content type
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser time to start the download before releasing the file
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download chapters as a file named after the story
+ * @param {Chapter[]} chapters - The chapters to export
+ * @param {"geojson"|"kml"|"csv"} format - The format
+ * @param {string} title - The story title
+ */
+export function downloadStoryExport(chapters, format, title) {
+  const content = serializeStory(chapters, format, { title, baseUrl: document.baseURI });
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+
+  const fileName = title
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "") || "historia";
+
+  downloadFile(content, `${fileName}.${extension}`, mimeType);
+
+  const located = chapters.filter(chapter => getChapterLocation(chapter)).length;
+  console.log(`📤 Exported ${chapters.length} places as ${format.toUpperCase()} (${located} with coordinates)`);
+}
@@ -0,0 +1,539 @@
+/**
+ * Story Import
+ * Turns a spreadsheet (CSV), a GeoJSON FeatureCollection or a KML Placemark set into a story config,
+ * with a report of what was skipped and of the validation errors left to fix.
+ * Runs in the browser (demo admin) and in Node (import-story.mjs), so it parses KML without DOMParser.
+ */
+
+import { validateStory, isWebUrl, isAssetUrl, TAG_CATEGORIES } from "./config-validator.js";
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {"csv"|"geojson"|"kml"} format - The format read
+ * @property {number} recordCount - Rows, features or placemarks in the input
+ * @property {number} chapterCount - Chapters in the story
+ * @property {Array<{record: string, message: string}>} warnings - Skipped records and ignored values, e.g. {record: "row 4", ...}
+ * @property {Array<{path: string, message: string}>} errors - Validation errors of the story (see validateStory)
+ */
+
+/**
+ * Column and property names per chapter field, compared without accents or case
+ * @readonly
+ */
+const FIELD_ALIASES = {
+  title: ["title", "titulo", "nombre", "name"],
+  placeName: ["placename", "lugar", "place"],
+  address: ["address", "direccion", "domicilio"],
+  website: ["website", "web", "url", "sitio web"],
+  content: ["content", "description", "descripcion", "contenido"],
+  logoUrl: ["logourl", "logo"],
+  imageUrl: ["imageurl", "image", "imagen"],
+  openingHours: ["openinghours", "horario"],
+  ticketInfo: ["ticketinfo", "entradas", "precio"],
+  lat: ["lat", "latitude", "latitud"],
+  lng: ["lng", "lon", "long", "longitude", "longitud"],
+  elevation: ["elevation", "altitud", "elevacion"],
+};
+
+/**
+ * Column and property names per tag category
+ * @readonly
+ */
+const TAG_ALIASES = {
+  ubicacion: ["ubicacion", "location", "region"],
+  sector: ["sector"],
+  profesion: ["profesion", "profession", "profesiones"],
+  tipo: ["tipo", "type", "categoria"],
+};
+
+/**
+ * Column holding tags of any category as "category: tag" entries
+ * @readonly
+ */
+const MIXED_TAG_ALIASES = ["etiquetas", "tags"];
+
+/**
+ * Separators between several tags in one cell
+ * @readonly
+ */
+const TAG_SEPARATOR = /[|;,]/;
+
+/**
+ * An HTML tag or comment in an imported value
+ * @readonly
+ */
+const HTML_TAG_PATTERN = /<!--|<\/?[a-z][^>]*>/i;
+
+/**
+ * Chapter fields holding a URL, with the check an imported value must pass to be kept
+ * @readonly
+ */
+const URL_FIELDS = {
+  website: { isValid: isWebUrl, expected: "an http:// or https:// link" },
+  logoUrl: { isValid: isAssetUrl, expected: "an http:// or https:// URL or a path" },
+  imageUrl: { isValid: isAssetUrl, expected: "an http:// or https:// URL or a path" },
+};
+
+/**
+ * Fold a column name for matching: lowercase, without accents and surrounding spaces
+ * @param {string} name - The name
+ * @returns {string}
+ */
+function foldName(name) {
+  return String(name).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+/**
+ * Find what a column or property holds
+ * @param {string} name - The column or property name
+ * @returns {{field: string}|{tagCategory: string}|{mixedTags: true}|null} Null for unknown columns
+ */
+function classifyColumn(name) {
+  // "etiquetas.sector" and "tags: sector" are tag columns too
+  const folded = foldName(name).replace(/^(etiquetas|tags)\s*[.:]\s*/, "");
+
+  const field = Object.keys(FIELD_ALIASES).find(key => FIELD_ALIASES[key].includes(folded));
+  if (field) return { field };
+
+  const tagCategory = TAG_CATEGORIES.find(category => TAG_ALIASES[category].includes(folded));
+  if (tagCategory) return { tagCategory };
+
+  if (MIXED_TAG_ALIASES.includes(folded)) return { mixedTags: true };
+
+  return null;
+}
+
+/**
+ * Split a cell into tags
+ * @param {*} value - The cell, or an array of tags
+ * @returns {string[]}
+ */
+function splitTags(value) {
+  const tags = Array.isArray(value) ? value : String(value ?? "").split(TAG_SEPARATOR);
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Decode the XML and HTML entities of a text
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Turn HTML into plain text (Google Earth writes HTML in KML descriptions): stories hold text only,
+ * so markup from an import can't run in the viewer. Line breaks of paragraphs, lists and <br> are kept.
+ * @param {string} text - The text, maybe with HTML
+ * @returns {string} The text without tags
+ */
+function htmlToText(text) {
+  const stripTags = html => html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])\s*>/gi, "\n")
+    .replace(/<!--[\s\S]*?-->|<\/?[a-z][^>]*>/gi, "");
+
+  // Decoded entities may spell tags again ("&lt;b&gt;")
+  return stripTags(decodeEntities(stripTags(text)))
+    .replace(/[ \t]+/g, " ")
+    .replace(/ ?\n ?/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Turn the named values of one record (CSV row, feature properties, placemark data) into a chapter
+ * @param {Object<string, *>} values - Values by column or property name
+ * @param {{lat: number, lng: number, elevation?: number}|null} location - Coordinates from the geometry, if any
+ * @param {string} record - The record reference for warnings, e.g. "row 4"
+ * @param {ImportReport["warnings"]} warnings - The warning list to append to
+ * @returns {Object|null} The chapter without id, or null if the record has no title
+ */
+function createChapter(values, location, record, warnings) {
+  const chapter = {};
+  const etiquetas = {};
+  const addTags = (category, tags) => {
+    if (tags.length > 0) etiquetas[category] = [...(etiquetas[category] || []), ...tags];
+  };
+
+  Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined || value === null || String(value).trim() === "") return;
+
+    const column = classifyColumn(name);
+    if (!column) return;
+
+    if (column.field && typeof value === "string") {
+      const hasHtml = HTML_TAG_PATTERN.test(value);
+      if (hasHtml) {
+        warnings.push({ record, message: `HTML removed from ${name}` });
+      }
+      chapter[column.field] = hasHtml ? htmlToText(value) : value.trim();
+    } else if (column.field) {
+      chapter[column.field] = value;
+    } else if (column.tagCategory) {
+      addTags(column.tagCategory, splitTags(value));
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      // GeoJSON properties may already hold an etiquetas object
+      Object.entries(value).forEach(([category, tags]) => {
+        const tagCategory = classifyColumn(category)?.tagCategory;
+        if (tagCategory) addTags(tagCategory, splitTags(tags));
+        else warnings.push({ record, message: `unknown tag category "${category}" ignored` });
+      });
+    } else {
+      splitTags(value).forEach(entry => {
+        const [category, ...tag] = entry.split(":");
+        const tagCategory = classifyColumn(category)?.tagCategory;
+        if (tagCategory && tag.length > 0) addTags(tagCategory, [tag.join(":").trim()]);
+        else warnings.push({ record, message: `tag "${entry}" has no known category (use category: tag)` });
+      });
+    }
+  });
+
+  if (!chapter.title) {
+    warnings.push({ record, message: "skipped: no title" });
+    return null;
+  }
+
+  Object.entries(URL_FIELDS).forEach(([field, { isValid, expected }]) => {
+    if (chapter[field] !== undefined && !isValid(chapter[field])) {
+      warnings.push({ record, message: `${field} "${chapter[field]}" ignored: not ${expected}` });
+      delete chapter[field];
+    }
+  });
+
+  const { lat, lng, elevation, ...fields } = chapter;
+  const coordinates = location || parseCoordinates(lat, lng, elevation);
+  if ((lat !== undefined || lng !== undefined) && !location && !coordinates) {
+    warnings.push({ record, message: `invalid coordinates "${lat}, ${lng}" ignored` });
+  }
+
+  const result = {
+    focusOptions: { focusRadius: null, showFocus: false, showLocationMarker: true },
+    ...fields,
+    placeName: fields.placeName || fields.address || fields.title,
+  };
+  if (coordinates) {
+    result.cameraCoordinates = coordinates;
+  } else if (!fields.address && !fields.placeName) {
+    warnings.push({ record, message: "no coordinates or address: the camera will search for the title" });
+  }
+  if (Object.keys(etiquetas).length > 0) {
+    result.etiquetas = etiquetas;
+  }
+
+  return result;
+}
+
+/**
+ * Parse coordinate values
+ * @param {*} lat - Latitude in degrees
+ * @param {*} lng - Longitude in degrees
+ * @param {*} [elevation] - Elevation in meters
+ * @returns {{lat: number, lng: number, elevation?: number}|null} Null unless both are valid
+ */
+function parseCoordinates(lat, lng, elevation) {
+  // Spreadsheets in Spanish use a decimal comma
+  const toNumber = value => (typeof value === "number" ? value : Number(String(value ?? "").trim().replace(",", ".")));
+  const latitude = toNumber(lat);
+  const longitude = toNumber(lng);
+
+  if (lat === undefined || lng === undefined || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+    return null;
+  }
+
+  const coordinates = { lat: latitude, lng: longitude };
+  const height = toNumber(elevation);
+  if (elevation !== undefined && Number.isFinite(height)) {
+    coordinates.elevation = height;
+  }
+  return coordinates;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting). The delimiter is a comma, or a semicolon when the
+ * header uses semicolons, as spreadsheets exported with a Spanish locale do.
+ * @param {string} text - The CSV text
+ * @returns {string[][]} The rows, header included
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const headerLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = headerLine.split(";").length > headerLine.split(",").length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ""));
+}
+
+/**
+ * Read the chapters of a CSV file
+ * @param {string} text - The CSV text
+ * @param {ImportReport["warnings"]} warnings - The warning list to append to
+ * @returns {{chapters: Object[], recordCount: number}}
+ */
+function readCsv(text, warnings) {
+  const [header = [], ...rows] = parseCsv(text);
+
+  header.forEach(name => {
+    if (name.trim() && !classifyColumn(name)) {
+      warnings.push({ record: "header", message: `unknown column "${name.trim()}" ignored` });
+    }
+  });
+
+  const chapters = rows.map((cells, index) => {
+    // Drop the apostrophe that `toCsv` puts before text a spreadsheet would run as a formula
+    const values = Object.fromEntries(header.map((name, column) => [name, cells[column]?.replace(/^'(?=[=+\-@\t\r])/, "")]));
+    // Row numbers as shown in a spreadsheet, the header being row 1
+    return createChapter(values, null, `row ${index + 2}`, warnings);
+  });
+
+  return { chapters, recordCount: rows.length };
+}
+
+/**
+ * Get a point for a GeoJSON geometry: the point itself, or the center of the bounding box of other geometries
+ * @param {Object} geometry - The geometry
+ * @returns {{location: {lat: number, lng: number, elevation?: number}|null, isPoint: boolean}}
+ */
+function getGeometryLocation(geometry) {
+  if (!geometry) {
+    return { location: null, isPoint: false };
+  }
+
+  if (geometry.type === "Point" && Array.isArray(geometry.coordinates)) {
+    const [lng, lat, elevation] = geometry.coordinates;
+    return { location: parseCoordinates(lat, lng, elevation), isPoint: true };
+  }
+
+  const positions = [];
+  const collect = value => {
+    if (Array.isArray(value) && typeof value[0] === "number") positions.push(value);
+    else if (Array.isArray(value)) value.forEach(collect);
+  };
+  collect(geometry.coordinates);
+  (geometry.geometries || []).forEach(part => collect(part.coordinates));
+
+  if (positions.length === 0) {
+    return { location: null, isPoint: false };
+  }
+
+  const lngs = positions.map(([lng]) => lng);
+  const lats = positions.map(([, lat]) => lat);
+  const center = parseCoordinates(
+    (Math.min(...lats) + Math.max(...lats)) / 2,
+    (Math.min(...lngs) + Math.max(...lngs)) / 2
+  );
+  return { location: center, isPoint: false };
+}
+
+/**
+ * Read the chapters of a GeoJSON FeatureCollection (or a single Feature)
+ * @param {string} text - The GeoJSON text
+ * @param {ImportReport["warnings"]} warnings - The warning list to append to
+ * @returns {{chapters: Object[], recordCount: number}}
+ */
+function readGeoJson(text, warnings) {
+  const geojson = JSON.parse(text);
+  const features = geojson.type === "FeatureCollection" ? geojson.features || [] : [geojson];
+
+  const chapters = features.map((feature, index) => {
+    const record = `feature ${index + 1}`;
+    if (feature?.type !== "Feature") {
+      warnings.push({ record, message: `skipped: not a Feature (${feature?.type})` });
+      return null;
+    }
+
+    const { location, isPoint } = getGeometryLocation(feature.geometry);
+    if (location && !isPoint) {
+      warnings.push({ record, message: `${feature.geometry.type} geometry placed at the center of its bounds` });
+    }
+    return createChapter(feature.properties || {}, location, record, warnings);
+  });
+
+  return { chapters, recordCount: features.length };
+}
+
+/**
+ * Decode the text content of a KML element: CDATA sections and XML entities
+ * @param {string} text - The raw element content
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) {
+    return cdata[1].trim();
+  }
+
+  return decodeEntities(text).trim();
+}
+
+/**
+ * Get the content of the first child element with a tag name (namespace prefixes ignored)
+ * @param {string} xml - The parent element
+ * @param {string} tagName - The tag name
+ * @returns {string|undefined} The decoded text
+ */
+function getElementText(xml, tagName) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tagName}>`));
+  return match ? decodeXmlText(match[1]) : undefined;
+}
+
+/**
+ * Read the chapters of a KML Placemark set (e.g. a Google Earth export).
+ * Names, descriptions, addresses and ExtendedData values become chapter fields; Points become coordinates.
+ * @param {string} text - The KML text
+ * @param {ImportReport["warnings"]} warnings - The warning list to append to
+ * @returns {{chapters: Object[], recordCount: number}}
+ */
+function readKml(text, warnings) {
+  const placemarks = text.match(/<(?:\w+:)?Placemark[\s>][\s\S]*?<\/(?:\w+:)?Placemark>/g) || [];
+
+  const chapters = placemarks.map((placemark, index) => {
+    const record = `placemark ${index + 1}`;
+    const values = {
+      title: getElementText(placemark, "name"),
+      content: getElementText(placemark, "description"),
+      address: getElementText(placemark, "address"),
+    };
+
+    // <Data name="..."><value>...</value></Data> and <SimpleData name="...">...</SimpleData>
+    for (const [, name, value] of placemark.matchAll(/<(?:\w+:)?Data\s+name="([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?Data>/g)) {
+      values[name] = getElementText(value, "value");
+    }
+    for (const [, name, value] of placemark.matchAll(/<(?:\w+:)?SimpleData\s+name="([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?SimpleData>/g)) {
+      values[name] = decodeXmlText(value);
+    }
+
+    // The first coordinate tuple ("lng,lat[,alt]") of the Point, or of any other geometry
+    const point = placemark.match(/<(?:\w+:)?Point[\s>][\s\S]*?<\/(?:\w+:)?Point>/);
+    const coordinates = getElementText(point ? point[0] : placemark, "coordinates");
+    let location = null;
+    if (coordinates) {
+      const [lng, lat, altitude] = coordinates.split(/\s+/)[0].split(",");
+      location = parseCoordinates(lat, lng, Number(altitude) ? altitude : undefined);
+      if (location && !point) {
+        warnings.push({ record, message: "placed at the first coordinate of its geometry" });
+      }
+    }
+
+    return createChapter(values, location, record, warnings);
+  });
+
+  return { chapters, recordCount: placemarks.length };
+}
+
+/**
+ * Guess the format of an import from its file name, then from its content
+ * @param {string} text - The file content
+ * @param {string} [fileName] - The file name
+ * @returns {"csv"|"geojson"|"kml"}
+ */
+export function detectImportFormat(text, fileName = "") {
+  const extension = fileName.toLowerCase().split(".").pop();
+  if (extension === "csv") return "csv";
+  if (extension === "geojson" || extension === "json") return "geojson";
+  if (extension === "kml") return "kml";
+
+  const start = text.trimStart();
+  if (start.startsWith("{")) return "geojson";
+  if (start.startsWith("<")) return "kml";
+  return "csv";
+}
+
+/**
+ * Import a story from CSV, GeoJSON or KML.
+ * The story is returned even when it has validation errors, so they can be fixed in the editor.
+ *
+ * @param {string} text - The file content
+ * @param {Object} [options]
+ * @param {"csv"|"geojson"|"kml"} [options.format] - The format (default: detected from fileName and content)
+ * @param {string} [options.fileName] - The file name, used to detect the format and as default title
+ * @param {Object} [options.properties] - Story properties (title, description, createdBy...) to set
+ * @returns {{story: Story, report: ImportReport}} The story and the import report
+ * @throws {Error} If the file can't be parsed (e.g. invalid JSON)
+ *
+ * @example
+ * const { story, report } = importStory(csvText, { fileName: "centros.csv" });
+ * report.errors.forEach(({ path, message }) => console.warn(path, message));
+ */
+export function importStory(text, { format, fileName = "", properties = {} } = {}) {
+  const importFormat = format || detectImportFormat(text, fileName);
+  const readers = { csv: readCsv, geojson: readGeoJson, kml: readKml };
+  if (!readers[importFormat]) {
+    throw new Error(`Unknown import format "${importFormat}" (use csv, geojson or kml)`);
+  }
+
+  const warnings = [];
+  const { chapters, recordCount } = readers[importFormat](text, warnings);
+
+  const title = fileName.replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, "") || "Historia importada";
+  const story = {
+    properties: {
+      title,
+      description: "",
+      date: "",
+      createdBy: "",
+      imageUrl: "",
+      imageCredit: "",
+      cameraStyle: "overview",
+      ...properties,
+    },
+    chapters: chapters.filter(Boolean).map((chapter, index) => ({ id: index + 1, ...chapter })),
+  };
+
+  const report = {
+    format: importFormat,
+    recordCount,
+    chapterCount: story.chapters.length,
+    warnings,
+    errors: validateStory(story),
+  };
+
+  return { story, report };
+}
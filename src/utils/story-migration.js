@@ -0,0 +1,182 @@
+/**
+ * Story Migration
+ * Detects the schema version of a story config and converts older stories to the current schema.
+ * Runs in the browser (inside `loadConfig`) and in Node (scripts/migrate-story.mjs), so it has no Cesium dependency.
+ *
+ * Versions:
+ *   1 - Legacy stories (sampleConfigs/): `coords` plus a Cartesian `cameraOptions` camera, no `placeName`
+ *   2 - `placeName`, `cameraStyle` and `cameraCoordinates` (lat/lng/elevation, optional heading/pitch/range)
+ */
+
+import { cartesianToGeodetic, destinationPoint, getViewTowards } from "./geo.js";
+import { isValidLocation } from "./chapter-location.js";
+
+/**
+ * The schema version of stories written by the current viewer
+ * @readonly
+ */
+export const CURRENT_STORY_VERSION = 2;
+
+/**
+ * Farthest ground distance in meters at which a legacy camera looking near the horizon is given a target
+ * @readonly
+ */
+const MAX_LEGACY_TARGET_DISTANCE = 50000;
+
+/**
+ * Returns true if the value is a legacy Cesium camera ({position: {x, y, z}, heading, pitch})
+ * @param {*} cameraOptions - The value to check
+ * @returns {boolean}
+ */
+function isLegacyCamera(cameraOptions) {
+  const position = cameraOptions?.position;
+  return Boolean(position) && [position.x, position.y, position.z].every(Number.isFinite);
+}
+
+/**
+ * Detect the schema version of a story. An explicit `version` wins, otherwise the
+ * legacy `cameraOptions` camera (or chapters located only by `coords`) marks version 1.
+ * @param {*} story - The parsed story config
+ * @returns {number} The schema version
+ */
+export function detectStoryVersion(story) {
+  if (Number.isInteger(story?.version)) {
+    return story.version;
+  }
+
+  const chapters = Array.isArray(story?.chapters) ? story.chapters : [];
+  const isLegacy = [story?.properties, ...chapters].some(item => item?.cameraOptions !== undefined) ||
+    chapters.some(chapter => chapter && !chapter.placeName && chapter.coords);
+
+  return isLegacy ? 1 : CURRENT_STORY_VERSION;
+}
+
+/**
+ * Convert a legacy Cartesian camera to `cameraCoordinates`. The target is the legacy marker
+ * position when there is one, otherwise the ground point the camera looks at; heading, pitch and
+ * range put the camera back where the legacy camera was.
+ * @param {{position: {x: number, y: number, z: number}, heading: number, pitch: number}} cameraOptions - The legacy camera (radians)
+ * @param {{lat: number, lng: number}} [coords] - The legacy marker position
+ * @returns {{lat: number, lng: number, elevation: number, heading: number, pitch: number, range: number}}
+ */
+export function legacyCameraToCoordinates(cameraOptions, coords) {
+  const { position, heading = 0, pitch = -Math.PI / 4 } = cameraOptions;
+
+  let target;
+  if (isValidLocation(coords)) {
+    target = { lat: coords.lat, lng: coords.lng, height: 0 };
+  } else {
+    const camera = cartesianToGeodetic(position);
+    const groundDistance = pitch < 0
+      ? Math.min(MAX_LEGACY_TARGET_DISTANCE, Math.max(0, camera.height) / Math.tan(-pitch))
+      : MAX_LEGACY_TARGET_DISTANCE;
+    target = { ...destinationPoint(camera, heading * 180 / Math.PI, groundDistance), height: 0 };
+  }
+
+  const view = getViewTowards(position, target);
+  return {
+    lat: parseFloat(target.lat.toFixed(6)),
+    lng: parseFloat(target.lng.toFixed(6)),
+    elevation: 0,
+    heading: parseFloat(view.heading.toFixed(2)),
+    pitch: parseFloat(view.pitch.toFixed(2)),
+    range: Math.round(view.range),
+  };
+}
+
+/**
+ * A plain-text place name for a legacy item, from its title or address
+ * @param {Object} item - A legacy chapter or the story properties
+ * @returns {string|undefined}
+ */
+function getLegacyPlaceName(item) {
+  const candidates = [item.title, item.address].map(text =>
+    text && typeof text === "object" ? Object.values(text)[0] : text
+  );
+  return candidates.find(text => typeof text === "string" && text.trim() !== "");
+}
+
+/**
+ * Convert a version 1 chapter (or the story properties) to version 2
+ * @param {Object} item - The legacy chapter or properties
+ * @returns {Object} The converted copy
+ */
+function migrateItemFromV1(item) {
+  const { cameraOptions, ...migrated } = item;
+
+  if (!migrated.placeName) {
+    const placeName = getLegacyPlaceName(item);
+    if (placeName) migrated.placeName = placeName;
+  }
+
+  if (!migrated.cameraCoordinates) {
+    if (isLegacyCamera(cameraOptions)) {
+      migrated.cameraCoordinates = legacyCameraToCoordinates(cameraOptions, item.coords);
+      // The legacy camera was a fixed view
+      migrated.cameraStyle = migrated.cameraStyle || "static";
+      delete migrated.coords;
+    } else if (isValidLocation(item.coords)) {
+      migrated.cameraCoordinates = { lat: item.coords.lat, lng: item.coords.lng };
+      delete migrated.coords;
+    }
+  }
+
+  // The legacy editor saved the focus radius as a string
+  const focusRadius = migrated.focusOptions?.focusRadius;
+  if (typeof focusRadius === "string") {
+    const radius = Number(focusRadius);
+    migrated.focusOptions = { ...migrated.focusOptions, focusRadius: radius > 0 ? radius : null };
+  }
+
+  return migrated;
+}
+
+/**
+ * The migrations, each from `version` to `version + 1`
+ * @readonly
+ * @type {Object<number, (story: Object) => Object>}
+ */
+const MIGRATIONS = {
+  1: story => ({
+    ...story,
+    properties: story.properties && typeof story.properties === "object"
+      ? migrateItemFromV1(story.properties)
+      : story.properties,
+    chapters: Array.isArray(story.chapters)
+      ? story.chapters.map(chapter => (chapter && typeof chapter === "object" ? migrateItemFromV1(chapter) : chapter))
+      : story.chapters,
+  }),
+};
+
+/**
+ * Convert a story to the current schema version. Current stories are returned as they are;
+ * older ones are converted to a new object and marked with `version`. Values that can't be
+ * converted are left for `validateStory` to report.
+ * @param {*} story - The parsed story config
+ * @returns {{story: *, fromVersion: number}} The current-version story and the version it had
+ * @throws {Error} If the story is newer than this viewer supports
+ *
+ * @example
+ * const { story, fromVersion } = migrateStory(JSON.parse(legacyJson));
+ */
+export function migrateStory(story) {
+  const fromVersion = detectStoryVersion(story);
+
+  if (fromVersion > CURRENT_STORY_VERSION) {
+    throw new Error(`Story schema version ${fromVersion} is newer than this viewer supports (${CURRENT_STORY_VERSION})`);
+  }
+  if (fromVersion === CURRENT_STORY_VERSION) {
+    return { story, fromVersion };
+  }
+
+  let migrated = story;
+  for (let version = fromVersion; version < CURRENT_STORY_VERSION; version++) {
+    if (!MIGRATIONS[version]) {
+      throw new Error(`Unknown story schema version ${version}`);
+    }
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  const { version, ...content } = migrated;
+  return { story: { version: CURRENT_STORY_VERSION, ...content }, fromVersion };
+}
@@ -0,0 +1,245 @@
+/**
+ * Tag Filters
+ * Faceted filtering of the chapters by their `etiquetas`. Active filters live in the
+ * URL hash (one repeated parameter per category, e.g. `#sector=Naval&sector=Pesca`),
+ * so a filtered view can be shared. Tags are OR-ed within a category and AND-ed across categories.
+ */
+
+import { TAG_CATEGORIES } from './config-validator.js';
+import { hideMarker, showMarker } from './create-markers.js';
+import { getParams, setParams } from './params.js';
+import { t } from './i18n.js';
+
+/**
+ * The active filters: the selected tags per category. Categories without a selection are omitted.
+ * @type {Object<string, string[]>}
+ */
+let activeFilters = {};
+
+/**
+ * Get the tags of a chapter in a category
+ * @param {Chapter} chapter - The chapter
+ * @param {string} category - One of TAG_CATEGORIES
+ * @returns {string[]} The tags, empty if the chapter has none
+ */
+function getChapterTags(chapter, category) {
+  return chapter.etiquetas?.[category] || [];
+}
+
+/**
+ * Returns true if the chapter matches the filters
+ * @param {Chapter} chapter - The chapter to check
+ * @param {Object<string, string[]>} filters - The selected tags per category
+ * @param {string|null} [ignoredCategory=null] - A category to leave out (used for facet counts)
+ * @returns {boolean}
+ */
+function matchesFilters(chapter, filters, ignoredCategory = null) {
+  return Object.entries(filters).every(([category, selectedTags]) =>
+    category === ignoredCategory ||
+    getChapterTags(chapter, category).some(tag => selectedTags.includes(tag))
+  );
+}
+
+/**
+ * Read the filters from the URL hash, keeping only tags that exist in the chapters
+ * (a shared link may come from another story or language)
+ * @param {Chapter[]} chapters - The chapters of the story
+ * @returns {Object<string, string[]>} The selected tags per category
+ */
+function readFiltersFromParams(chapters) {
+  const params = getParams();
+  const filters = {};
+
+  TAG_CATEGORIES.forEach(category => {
+    const knownTags = new Set(chapters.flatMap(chapter => getChapterTags(chapter, category)));
+    const selectedTags = params.getAll(category).filter(tag => knownTags.has(tag));
+    if (selectedTags.length > 0) {
+      filters[category] = selectedTags;
+    }
+  });
+
+  return filters;
+}
+
+/**
+ * Count, for every tag, the chapters that would match if the tag were selected.
+ * Each category is counted against the filters of the other categories only,
+ * so selecting a tag never zeroes out its siblings.
+ * @param {Chapter[]} chapters - The chapters of the story
+ * @param {Object<string, string[]>} filters - The selected tags per category
+ * @returns {Object<string, Map<string, number>>} Tag counts per category, most frequent first
+ */
+function getFacetCounts(chapters, filters) {
+  const facets = {};
+
+  TAG_CATEGORIES.forEach(category => {
+    const counts = new Map();
+
+    chapters.forEach(chapter => {
+      const matches = matchesFilters(chapter, filters, category);
+      getChapterTags(chapter, category).forEach(tag => {
+        counts.set(tag, (counts.get(tag) || 0) + (matches ? 1 : 0));
+      });
+    });
+
+    facets[category] = new Map(
+      [...counts].sort(([tagA, countA], [tagB, countB]) => countB - countA || tagA.localeCompare(tagB))
+    );
+  });
+
+  return facets;
+}
+
+/**
+ * Returns true if any filter is active
+ * @returns {boolean}
+ */
+export function hasActiveFilters() {
+  return Object.keys(activeFilters).length > 0;
+}
+
+/**
+ * Returns true if the chapter passes the active filters
+ * @param {Chapter} chapter - The chapter to check
+ * @returns {boolean}
+ */
+export function isChapterVisible(chapter) {
+  return matchesFilters(chapter, activeFilters);
+}
+
+/**
+ * Show the markers of the chapters passing the active filters and hide the others
+ * @param {Chapter[]} chapters - The chapters of the story
+ */
+export function updateMarkerVisibility(chapters) {
+  chapters.forEach(chapter => {
+    const { id } = chapter;
+    const setVisibility = isChapterVisible(chapter) ? showMarker : hideMarker;
+    [id, `dot-${id}`, `line-${id}`].forEach(setVisibility);
+  });
+}
+
+/**
+ * Hide the place cards of the chapters not passing the active filters
+ * @param {Chapter[]} chapters - The chapters of the story
+ */
+function updatePlacesListVisibility(chapters) {
+  chapters.forEach(chapter => {
+    const card = document.querySelector(`#places-list .place-card[data-chapter-id="${chapter.id}"]`);
+    card?.classList.toggle('filtered-out', !isChapterVisible(chapter));
+  });
+}
+
+/**
+ * Render the facets, the result summary and the active filter count
+ * @param {Chapter[]} chapters - The chapters of the story
+ */
+function renderFilterPanel(chapters) {
+  const facetsContainer = document.getElementById('filter-facets');
+  if (!facetsContainer) return;
+
+  facetsContainer.innerHTML = '';
+  const facets = getFacetCounts(chapters, activeFilters);
+
+  TAG_CATEGORIES.forEach(category => {
+    const counts = facets[category];
+    if (counts.size === 0) return;
+
+    const selectedTags = activeFilters[category] || [];
+
+    const section = document.createElement('fieldset');
+    section.className = 'filter-facet';
+
+    const legend = document.createElement('legend');
+    legend.textContent = t(`tags.${category}`);
+    section.appendChild(legend);
+
+    const options = document.createElement('div');
+    options.className = 'filter-options';
+
+    counts.forEach((count, tag) => {
+      const isSelected = selectedTags.includes(tag);
+
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'filter-option';
+      option.classList.toggle('selected', isSelected);
+      option.setAttribute('aria-pressed', String(isSelected));
+      option.disabled = count === 0 && !isSelected;
+      option.onclick = () => {
+        const nextTags = isSelected
+          ? selectedTags.filter(selectedTag => selectedTag !== tag)
+          : [...selectedTags, tag];
+        // The hashchange listener applies the new filters
+        setParams(category, nextTags.length > 0 ? nextTags : undefined);
+      };
+
+      const label = document.createElement('span');
+      label.textContent = tag;
+      const badge = document.createElement('span');
+      badge.className = 'filter-count';
+      badge.textContent = count;
+      option.append(label, badge);
+
+      options.appendChild(option);
+    });
+
+    section.appendChild(options);
+    facetsContainer.appendChild(section);
+  });
+
+  const visibleCount = chapters.filter(isChapterVisible).length;
+  const summary = document.getElementById('filter-summary');
+  if (summary) {
+    summary.textContent = t('filters.summary', { count: visibleCount, total: chapters.length });
+  }
+
+  const clearButton = document.getElementById('filter-clear');
+  if (clearButton) {
+    clearButton.disabled = !hasActiveFilters();
+  }
+
+  const activeCount = Object.values(activeFilters).reduce((sum, tags) => sum + tags.length, 0);
+  const badge = document.getElementById('filter-badge');
+  if (badge) {
+    badge.textContent = activeCount;
+    badge.classList.toggle('hidden', activeCount === 0);
+  }
+}
+
+/**
+ * Read the filters from the URL hash and apply them to the filter panel, the places list
+ * and - in the overview, where markers are visible - the markers
+ * @param {Chapter[]} chapters - The chapters of the story
+ */
+export function applyFilters(chapters) {
+  activeFilters = readFiltersFromParams(chapters);
+
+  renderFilterPanel(chapters);
+  updatePlacesListVisibility(chapters);
+
+  if (getParams().get('chapterId') === null) {
+    updateMarkerVisibility(chapters);
+  }
+}
+
+/**
+ * Remove every filter from the URL hash (in a single hash update)
+ */
+export function clearFilters() {
+  const params = getParams();
+  TAG_CATEGORIES.forEach(category => params.delete(category));
+  window.location.hash = params;
+}
+
+/**
+ * Toggle the filter panel
+ * @param {boolean} [open] - Force the panel open or closed
+ */
+export function toggleFilterPanel(open) {
+  const panel = document.getElementById('filter-panel');
+  if (!panel) return;
+
+  const isOpen = panel.classList.toggle('open', open);
+  document.getElementById('filter-btn')?.setAttribute('aria-expanded', String(isOpen));
+}